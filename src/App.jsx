@@ -3,13 +3,32 @@
  * Your voice, refracted through history
  */
 
-import { useEffect } from 'react';
+import { useEffect, useState } from 'react';
 import { HashRouter, Routes, Route } from 'react-router-dom';
 import Home from './pages/Home';
 import Prism from './pages/Prism';
 import About from './pages/About';
 import AudioUnlockButton from './components/AudioUnlockButton';
+import StopAllButton from './components/StopAllButton';
 import { warmupAudio } from './utils/mobileAudio';
+import { savePreferences } from './utils/profileStorage';
+import useProfiles from './hooks/useProfiles';
+import { getReferencePitch } from './engine/pitchUtils';
+
+// Reference pitch until one is chosen
+const DEFAULT_REFERENCE = 'A440';
+
+/**
+ * Resolve a stored reference, falling back to the default for one that
+ * doesn't resolve (e.g. from an edited profile file)
+ */
+function resolveReference(reference) {
+  try {
+    return getReferencePitch(reference);
+  } catch {
+    return getReferencePitch(DEFAULT_REFERENCE);
+  }
+}
 
 export default function App() {
   // Warm up audio context early (doesn't unlock, just creates context)
@@ -17,14 +36,32 @@ export default function App() {
     warmupAudio();
   }, []);
 
+  // Reference pitch every note is named against: the active profile's
+  // preference, or the guest's choice for this visit
+  const { active } = useProfiles();
+  const [guestReference, setGuestReference] = useState(DEFAULT_REFERENCE);
+  const reference = resolveReference(active ? active.preferences.tuningStandard : guestReference);
+
+  const changeReference = (value) => {
+    if (!active) {
+      setGuestReference(value);
+      return;
+    }
+    savePreferences(active.id, { tuningStandard: value })
+      .catch(e => console.warn('Could not save the reference pitch:', e));
+  };
+
   return (
     <HashRouter>
       {/* Global audio unlock button for mobile */}
       <AudioUnlockButton />
 
+      {/* Global stop for everything on the shared audio engine */}
+      <StopAllButton />
+
       <Routes>
-        <Route path="/" element={<Home />} />
-        <Route path="/prism/:f0" element={<Prism />} />
+        <Route path="/" element={<Home reference={reference} onReferenceChange={changeReference} />} />
+        <Route path="/prism/:f0" element={<Prism reference={reference} onReferenceChange={changeReference} />} />
         <Route path="/about" element={<About />} />
       </Routes>
     </HashRouter>
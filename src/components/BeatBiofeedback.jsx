@@ -0,0 +1,306 @@
+/**
+ * BeatBiofeedback Component
+ * Sing against your Sa drone and see the beat you're creating
+ *
+ * Plays a sustained drone at f0, tracks the sung pitch from the mic and
+ * classifies the live beat frequency |sung − drone| with
+ * getBrainwaveState. Time spent in each band is accumulated so the
+ * session shows how long you actually held theta, alpha, etc.
+ *
+ * Headphones help: without them the mic hears the drone as well.
+ */
+
+import { useState, useRef, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import usePitchTracker from '../hooks/usePitchTracker';
+import useEngineBus from '../hooks/useEngineBus';
+import { getBrainwaveState, getBeatFrequency } from '../engine/frameworks/neuroscience';
+import { BRAINWAVE_STATES } from '../engine/ratios';
+import { formatHz } from '../engine/pitchUtils';
+
+// Bands in display order, with the unison state first
+const BANDS = [
+  { key: 'unison', label: 'Unison', color: '#666666' },
+  { key: 'delta', label: 'δ Delta', color: BRAINWAVE_STATES.delta.color },
+  { key: 'theta', label: 'θ Theta', color: BRAINWAVE_STATES.theta.color },
+  { key: 'alpha', label: 'α Alpha', color: BRAINWAVE_STATES.alpha.color },
+  { key: 'beta', label: 'β Beta', color: BRAINWAVE_STATES.beta.color },
+  { key: 'gamma', label: 'γ Gamma', color: BRAINWAVE_STATES.gamma.color }
+];
+
+// Beat meter spans 0..METER_MAX Hz (gamma pins to the right edge)
+const METER_MAX = 32;
+
+// Rolling history window for the strip chart
+const HISTORY_SECONDS = 30;
+
+// Ignore gaps longer than this when accumulating zone time (e.g. breaths)
+const MAX_FRAME_GAP = 0.25;
+
+function emptyZoneTimes() {
+  return Object.fromEntries(BANDS.map(b => [b.key, 0]));
+}
+
+export default function BeatBiofeedback({ f0 = 165 }) {
+  const droneVoiceRef = useRef(null);
+  const lastTimeRef = useRef(null);
+
+  const [droneVolume, setDroneVolume] = useState(0.3);
+  const [history, setHistory] = useState([]);
+  const [zoneTimes, setZoneTimes] = useState(emptyZoneTimes);
+
+  // Accumulate history and time-in-zone from every voiced frame
+  const handleFrame = useCallback(({ smoothed, time }) => {
+    const lastTime = lastTimeRef.current;
+    lastTimeRef.current = time;
+    if (!smoothed) return;
+
+    const beat = getBeatFrequency(smoothed, f0);
+    const { band } = getBrainwaveState(beat);
+
+    setHistory(prev => {
+      const next = [...prev, { time, beat, band }];
+      while (next.length && time - next[0].time > HISTORY_SECONDS) next.shift();
+      return next;
+    });
+
+    if (lastTime !== null) {
+      const dt = time - lastTime;
+      if (dt > 0 && dt <= MAX_FRAME_GAP) {
+        setZoneTimes(prev => ({ ...prev, [band]: prev[band] + dt }));
+      }
+    }
+  }, [f0]);
+
+  const { isListening, pitch, error, start, stop } = usePitchTracker({ onFrame: handleFrame });
+
+  // Global "stop all" ends the session: the drone is gone, so stop listening
+  const { busRef, initAudio } = useEngineBus('biofeedback', {
+    onStopAll: () => {
+      droneVoiceRef.current = null;
+      stop();
+    }
+  });
+
+  const stopDrone = useCallback(() => {
+    droneVoiceRef.current?.stop({ release: 0.25 });
+    droneVoiceRef.current = null;
+  }, []);
+
+  const startDrone = useCallback(async () => {
+    const engine = await initAudio();
+    if (!engine) return;
+
+    droneVoiceRef.current = busRef.current.createVoice({
+      frequency: f0,
+      volume: droneVolume * 0.3,
+      attack: 0.2
+    });
+  }, [f0, droneVolume, initAudio, busRef]);
+
+  // Start mic, then drone. openMicrophone runs unlockAudioSync before its
+  // first await, so the Safari gesture chain is preserved.
+  const startSession = useCallback(() => {
+    lastTimeRef.current = null;
+
+    (async () => {
+      const ok = await start();
+      if (ok) await startDrone();
+    })();
+  }, [start, startDrone]);
+
+  const stopSession = useCallback(() => {
+    stop();
+    stopDrone();
+  }, [stop, stopDrone]);
+
+  const resetHistory = useCallback(() => {
+    setHistory([]);
+    setZoneTimes(emptyZoneTimes());
+  }, []);
+
+  // Live drone volume
+  useEffect(() => {
+    droneVoiceRef.current?.setVolume(droneVolume * 0.3, { ramp: 0.05 });
+  }, [droneVolume]);
+
+  // Follow f0 changes while playing
+  useEffect(() => {
+    droneVoiceRef.current?.setFrequency(f0, { ramp: 0.05 });
+  }, [f0]);
+
+  const beat = pitch ? getBeatFrequency(pitch, f0) : null;
+  const state = beat !== null ? getBrainwaveState(beat) : null;
+  const totalTime = Object.values(zoneTimes).reduce((a, b) => a + b, 0);
+
+  // Strip chart geometry
+  const latestTime = history.length ? history[history.length - 1].time : 0;
+  const chartX = (t) => 300 - ((latestTime - t) / HISTORY_SECONDS) * 300;
+  const chartY = (b) => 60 - (Math.min(b, METER_MAX) / METER_MAX) * 60;
+
+  return (
+    <div className="bg-carbon-900 rounded-lg p-4 text-white font-mono">
+      {/* Header */}
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h3 className="text-carbon-200 font-semibold flex items-center gap-2">
+            <span>🫀</span>
+            Beat Biofeedback
+          </h3>
+          <p className="text-[10px] text-carbon-500 mt-0.5">
+            Sing near your {formatHz(f0)} Hz drone — headphones recommended
+          </p>
+        </div>
+        <button
+          onClick={isListening ? stopSession : startSession}
+          className={`
+            px-4 py-2 rounded flex items-center gap-2
+            transition-all duration-200 border font-bold text-sm
+            ${isListening
+              ? 'bg-signal-orange/20 border-signal-orange text-signal-orange'
+              : 'bg-carbon-800 border-carbon-600 text-carbon-400 hover:border-carbon-400'}
+          `}
+        >
+          {isListening ? '■ STOP' : '▶ START'}
+        </button>
+      </div>
+
+      {error && (
+        <div className="mb-3 px-3 py-2 rounded-lg bg-signal-amber/10 border border-signal-amber/30 text-signal-amber text-xs">
+          {error}
+        </div>
+      )}
+
+      {/* Live readout */}
+      <div className="grid grid-cols-3 gap-2 mb-4 text-center">
+        <div className="bg-carbon-800 rounded p-2">
+          <div className="text-[9px] text-carbon-500 uppercase tracking-wider">Drone</div>
+          <div className="text-sm font-bold text-carbon-200">{formatHz(f0)}</div>
+        </div>
+        <div className="bg-carbon-800 rounded p-2">
+          <div className="text-[9px] text-carbon-500 uppercase tracking-wider">You</div>
+          <div className="text-sm font-bold text-carbon-200">{pitch ? formatHz(pitch) : '—'}</div>
+        </div>
+        <div
+          className="rounded p-2 border"
+          style={{
+            backgroundColor: state ? `${state.color}33` : undefined,
+            borderColor: state ? state.color : '#333333'
+          }}
+        >
+          <div className="text-[9px] text-carbon-400 uppercase tracking-wider">Beat</div>
+          <div className="text-sm font-bold text-white">{beat !== null ? `${beat.toFixed(1)} Hz` : '—'}</div>
+        </div>
+      </div>
+
+      {/* Current state */}
+      <div className="mb-4 text-center">
+        <div className="text-lg font-bold" style={{ color: state ? state.color : '#666666' }}>
+          {state ? state.state : (isListening ? 'Listening…' : 'Press start and hum')}
+        </div>
+        {state && (
+          <div className="text-[10px] text-carbon-400 mt-0.5">{state.description}</div>
+        )}
+      </div>
+
+      {/* Beat meter with band segments */}
+      <div className="relative h-4 rounded overflow-hidden flex mb-1">
+        {[[0, 0.5, 'unison'], [0.5, 4, 'delta'], [4, 8, 'theta'], [8, 12, 'alpha'], [12, 30, 'beta'], [30, METER_MAX, 'gamma']].map(([lo, hi, key]) => (
+          <div
+            key={key}
+            style={{
+              width: `${((hi - lo) / METER_MAX) * 100}%`,
+              backgroundColor: BANDS.find(b => b.key === key).color,
+              opacity: state?.band === key ? 1 : 0.35
+            }}
+          />
+        ))}
+        {beat !== null && (
+          <motion.div
+            className="absolute top-0 bottom-0 w-1 bg-white rounded-full"
+            animate={{ left: `calc(${(Math.min(beat, METER_MAX) / METER_MAX) * 100}% - 2px)` }}
+            transition={{ type: 'spring', stiffness: 300, damping: 30 }}
+          />
+        )}
+      </div>
+      <div className="flex justify-between text-[8px] text-carbon-600 mb-4">
+        <span>0 Hz</span>
+        <span>8</span>
+        <span>12</span>
+        <span>30+ Hz</span>
+      </div>
+
+      {/* Beat history strip chart */}
+      <div className="bg-carbon-800 rounded p-2 mb-4">
+        <div className="text-[9px] text-carbon-500 uppercase tracking-wider mb-1">
+          Last {HISTORY_SECONDS}s
+        </div>
+        <svg viewBox="0 0 300 60" preserveAspectRatio="none" className="w-full h-16">
+          {[4, 8, 12, 30].map(b => (
+            <line key={b} x1="0" x2="300" y1={chartY(b)} y2={chartY(b)} stroke="#333333" strokeWidth="0.5" />
+          ))}
+          {history.map((p, i) => (
+            <rect
+              key={i}
+              x={chartX(p.time)}
+              y={chartY(p.beat) - 1}
+              width="2"
+              height="2"
+              fill={BANDS.find(b => b.key === p.band).color}
+            />
+          ))}
+        </svg>
+      </div>
+
+      {/* Time in zone */}
+      <div className="space-y-1.5 mb-4">
+        <div className="flex items-center justify-between">
+          <span className="text-[9px] text-carbon-500 uppercase tracking-wider">Time in zone</span>
+          <button
+            onClick={resetHistory}
+            className="text-[9px] text-carbon-500 hover:text-carbon-300"
+          >
+            Reset
+          </button>
+        </div>
+        {BANDS.map(band => {
+          const seconds = zoneTimes[band.key];
+          const share = totalTime > 0 ? seconds / totalTime : 0;
+          return (
+            <div key={band.key} className="flex items-center gap-2">
+              <span className="text-[10px] text-carbon-400 w-16">{band.label}</span>
+              <div className="flex-1 h-2 bg-carbon-800 rounded-full overflow-hidden">
+                <div
+                  className="h-full rounded-full transition-all duration-200"
+                  style={{ width: `${share * 100}%`, backgroundColor: band.color }}
+                />
+              </div>
+              <span className="text-[10px] text-carbon-400 w-10 text-right">{seconds.toFixed(1)}s</span>
+            </div>
+          );
+        })}
+      </div>
+
+      {/* Drone volume */}
+      <div className="flex items-center gap-2">
+        <span className="text-[9px] text-carbon-500 uppercase tracking-wider">Drone Vol</span>
+        <input
+          type="range"
+          min="0"
+          max="1"
+          step="0.05"
+          value={droneVolume}
+          onChange={(e) => setDroneVolume(parseFloat(e.target.value))}
+          className="flex-1 h-1.5 bg-carbon-700 rounded-full appearance-none cursor-pointer
+            [&::-webkit-slider-thumb]:appearance-none
+            [&::-webkit-slider-thumb]:w-3
+            [&::-webkit-slider-thumb]:h-3
+            [&::-webkit-slider-thumb]:rounded-full
+            [&::-webkit-slider-thumb]:bg-signal-orange
+            [&::-webkit-slider-thumb]:cursor-pointer"
+        />
+        <span className="text-[9px] text-carbon-400 w-8">{Math.round(droneVolume * 100)}%</span>
+      </div>
+    </div>
+  );
+}
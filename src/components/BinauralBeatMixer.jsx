@@ -1,19 +1,35 @@
 /**
  * BinauralBeatMixer Component
- * Creates binaural beats for brainwave entrainment
+ * Creates binaural, monaural or isochronic beats for brainwave entrainment
  *
  * How it works:
- * - Plays slightly different frequencies in left and right ears
- * - Brain perceives a "beat" at the difference frequency
- * - This beat can entrain brainwaves to specific states
+ * - Binaural: slightly different frequencies in left and right ears; the
+ *   brain perceives a "beat" at the difference (headphones only)
+ * - Monaural: both tones in each ear; the beat is a real loudness swell
+ * - Isochronic: one carrier pulsed at the beat rate, with a duty cycle and
+ *   envelope shape; the placement puts it on f0 or half a beat off it
+ * - The beat can entrain brainwaves to specific states
  *
  * Example: Left 165 Hz, Right 171 Hz → 6 Hz beat (Theta)
  */
 
-import { useState, useRef, useEffect, useCallback } from 'react';
+import { useState, useRef, useEffect, useCallback, useMemo } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { getAudioContext, subscribeToAudioState, unlockAudioSync } from '../utils/mobileAudio';
+import { subscribeToAudioState, getAudioState } from '../utils/mobileAudio';
+import { unlockAudioEngine } from '../utils/audioEngine';
+import useEngineBus from '../hooks/useEngineBus';
 import { AudioUnlockInline } from './AudioUnlockButton';
+import RenderToWav from './RenderToWav';
+import MixerPresets from './MixerPresets';
+import EntrainmentPreview from './EntrainmentPreview';
+import { startEntrainment, entrainmentFrequencies } from '../utils/entrainment';
+import {
+  ENTRAINMENT_MODES,
+  PULSE_SHAPES,
+  PULSE_DEFAULTS,
+  DUTY_LIMITS,
+  getEntrainmentMode
+} from '../engine/entrainment';
 
 // Brainwave states with frequencies and descriptions
 const BRAINWAVE_STATES = {
@@ -71,20 +87,13 @@ const BRAINWAVE_STATES = {
 
 // Mode options for how to create the beat
 const BEAT_MODES = [
-  { id: 'centered', label: 'Centered', desc: 'f0 ± beat/2' },
-  { id: 'above', label: 'Above f0', desc: 'f0 and f0 + beat' },
-  { id: 'below', label: 'Below f0', desc: 'f0 - beat and f0' },
+  { id: 'centered', label: 'Centered', desc: 'f0 ± beat/2', carrierDesc: 'carrier on f0' },
+  { id: 'above', label: 'Above f0', desc: 'f0 and f0 + beat', carrierDesc: 'carrier f0 + beat/2' },
+  { id: 'below', label: 'Below f0', desc: 'f0 - beat and f0', carrierDesc: 'carrier f0 - beat/2' },
 ];
 
 export default function BinauralBeatMixer({ f0 = 165, brainwaveMap = {} }) {
-  const audioContextRef = useRef(null);
-  const leftOscRef = useRef(null);
-  const rightOscRef = useRef(null);
-  const leftGainRef = useRef(null);
-  const rightGainRef = useRef(null);
-  const leftPanRef = useRef(null);
-  const rightPanRef = useRef(null);
-  const masterGainRef = useRef(null);
+  const patchRef = useRef(null);
 
   // State
   const [isPlaying, setIsPlaying] = useState(false);
@@ -92,6 +101,9 @@ export default function BinauralBeatMixer({ f0 = 165, brainwaveMap = {} }) {
   const [selectedState, setSelectedState] = useState('theta');
   const [beatFrequency, setBeatFrequency] = useState(6);
   const [beatMode, setBeatMode] = useState('centered');
+  const [entrainment, setEntrainment] = useState('binaural');
+  const [dutyCycle, setDutyCycle] = useState(PULSE_DEFAULTS.duty);
+  const [pulseShape, setPulseShape] = useState(PULSE_DEFAULTS.shape);
   const [volume, setVolume] = useState(0.5);
   const [waveType, setWaveType] = useState('sine');
   const [showAdvanced, setShowAdvanced] = useState(false);
@@ -106,120 +118,92 @@ export default function BinauralBeatMixer({ f0 = 165, brainwaveMap = {} }) {
     return unsubscribe;
   }, [audioState]);
 
-  // Calculate left and right frequencies based on mode
-  const getFrequencies = useCallback(() => {
-    switch (beatMode) {
-      case 'centered':
-        return {
-          left: f0 - beatFrequency / 2,
-          right: f0 + beatFrequency / 2
-        };
-      case 'above':
-        return {
-          left: f0,
-          right: f0 + beatFrequency
-        };
-      case 'below':
-        return {
-          left: f0 - beatFrequency,
-          right: f0
-        };
-      default:
-        return { left: f0, right: f0 + beatFrequency };
-    }
-  }, [f0, beatFrequency, beatMode]);
-
-  const frequencies = getFrequencies();
+  // Everything the voices need; the tone pair follows the beat placement
+  const settings = useMemo(() => ({
+    mode: entrainment,
+    f0,
+    beat: beatFrequency,
+    placement: beatMode,
+    waveType,
+    duty: dutyCycle,
+    shape: pulseShape
+  }), [entrainment, f0, beatFrequency, beatMode, waveType, dutyCycle, pulseShape]);
+
+  const frequencies = entrainmentFrequencies(settings);
   const currentBrainwave = BRAINWAVE_STATES[selectedState];
+  const currentMode = getEntrainmentMode(entrainment);
+  const isochronic = entrainment === 'isochronic';
+
+  // What the two outer circles show
+  const sides = isochronic
+    ? {
+        left: { label: 'Carrier', value: frequencies.carrier.toFixed(1), unit: 'Hz' },
+        right: { label: 'Duty', value: Math.round(dutyCycle * 100), unit: '%' }
+      }
+    : {
+        left: { label: entrainment === 'monaural' ? 'Low' : 'Left', value: frequencies.left.toFixed(1), unit: 'Hz' },
+        right: { label: entrainment === 'monaural' ? 'High' : 'Right', value: frequencies.right.toFixed(1), unit: 'Hz' }
+      };
+
+  // Rebuild the beat on an offline engine for WAV rendering
+  const buildRenderPatch = (engine) => {
+    const bus = engine.createBus('binaural', { volume: volume * 0.3 });
+    startEntrainment(bus, settings, { when: 0, attack: 0 });
+  };
 
-  // Initialize audio context with mobile-friendly unlocking
-  const initAudio = useCallback(async () => {
-    const ctx = await getAudioContext();
-
-    if (!ctx) {
-      setAudioState('error');
-      return null;
-    }
-
-    // If context is suspended, needs user interaction
-    if (ctx.state === 'suspended') {
-      setAudioState('waiting');
-      return null;
+  const { busRef, initAudio: initBus } = useEngineBus('binaural', {
+    volume: volume * 0.3,
+    onStopAll: () => {
+      patchRef.current = null;
+      setIsPlaying(false);
     }
+  });
 
-    if (!audioContextRef.current || audioContextRef.current !== ctx) {
-      audioContextRef.current = ctx;
-
-      // Master gain
-      masterGainRef.current = ctx.createGain();
-      masterGainRef.current.gain.value = volume * 0.3;
-      masterGainRef.current.connect(ctx.destination);
-
-      // Left channel
-      leftPanRef.current = ctx.createStereoPanner();
-      leftPanRef.current.pan.value = -1;
-      leftGainRef.current = ctx.createGain();
-      leftGainRef.current.connect(leftPanRef.current);
-      leftPanRef.current.connect(masterGainRef.current);
-
-      // Right channel
-      rightPanRef.current = ctx.createStereoPanner();
-      rightPanRef.current.pan.value = 1;
-      rightGainRef.current = ctx.createGain();
-      rightGainRef.current.connect(rightPanRef.current);
-      rightPanRef.current.connect(masterGainRef.current);
-    }
+  // Initialize the shared audio engine and this mixer's bus
+  const initAudio = useCallback(async () => {
+    const engine = await initBus();
 
-    setAudioState('running');
-    return ctx;
-  }, [volume]);
+    // No engine: no Web Audio, or a suspended context needs user interaction
+    setAudioState(engine ? 'running' : getAudioState() === 'suspended' ? 'waiting' : 'error');
+    return engine;
+  }, [initBus]);
 
-  // Start binaural beat - CRITICAL: Must call unlockAudioSync FIRST for Safari
+  // Start binaural beat - CRITICAL: Must unlock synchronously FIRST for Safari
   const startBeat = useCallback(() => {
     // CRITICAL: Sync unlock first for Safari
-    unlockAudioSync();
+    unlockAudioEngine();
 
     (async () => {
-      const ctx = await initAudio();
-      if (!ctx) return;
-
-      const { left, right } = getFrequencies();
-
-      // Create left oscillator
-      leftOscRef.current = ctx.createOscillator();
-      leftOscRef.current.type = waveType;
-      leftOscRef.current.frequency.value = left;
-      leftGainRef.current.gain.value = 1;
-      leftOscRef.current.connect(leftGainRef.current);
-      leftOscRef.current.start();
-
-      // Create right oscillator
-      rightOscRef.current = ctx.createOscillator();
-      rightOscRef.current.type = waveType;
-      rightOscRef.current.frequency.value = right;
-      rightGainRef.current.gain.value = 1;
-      rightOscRef.current.connect(rightGainRef.current);
-      rightOscRef.current.start();
+      const engine = await initAudio();
+      if (!engine) return;
 
+      patchRef.current = startEntrainment(busRef.current, settings);
       setIsPlaying(true);
     })();
-  }, [initAudio, getFrequencies, waveType]);
+  }, [initAudio, busRef, settings]);
 
   // Stop binaural beat
   const stopBeat = useCallback(() => {
-    if (leftOscRef.current) {
-      leftOscRef.current.stop();
-      leftOscRef.current.disconnect();
-      leftOscRef.current = null;
-    }
-    if (rightOscRef.current) {
-      rightOscRef.current.stop();
-      rightOscRef.current.disconnect();
-      rightOscRef.current = null;
-    }
+    patchRef.current?.stop();
+    patchRef.current = null;
     setIsPlaying(false);
   }, []);
 
+  // Saved presets (older ones predate the entrainment modes)
+  const presetSettings = { selectedState, beatFrequency, beatMode, volume, waveType, entrainment, dutyCycle, pulseShape };
+
+  const loadSettings = useCallback((saved) => {
+    stopBeat();
+    setSelectedState(saved.selectedState);
+    setBeatFrequency(saved.beatFrequency);
+    setBeatMode(saved.beatMode);
+    setVolume(saved.volume);
+    setWaveType(saved.waveType);
+    setEntrainment(saved.entrainment ?? 'binaural');
+    setDutyCycle(saved.dutyCycle ?? PULSE_DEFAULTS.duty);
+    setPulseShape(saved.pulseShape ?? PULSE_DEFAULTS.shape);
+  }, [stopBeat]);
+
   // Toggle play
   const togglePlay = useCallback(() => {
     if (isPlaying) {
@@ -229,33 +213,18 @@ export default function BinauralBeatMixer({ f0 = 165, brainwaveMap = {} }) {
     }
   }, [isPlaying, startBeat, stopBeat]);
 
-  // Update frequencies in real-time
+  // Follow changes in real-time; a new mode needs new voices
   useEffect(() => {
-    if (isPlaying && leftOscRef.current && rightOscRef.current) {
-      const { left, right } = getFrequencies();
-      const ctx = audioContextRef.current;
-      if (ctx) {
-        leftOscRef.current.frequency.linearRampToValueAtTime(left, ctx.currentTime + 0.1);
-        rightOscRef.current.frequency.linearRampToValueAtTime(right, ctx.currentTime + 0.1);
-      }
-    }
-  }, [beatFrequency, beatMode, f0, isPlaying, getFrequencies]);
-
-  // Update wave type
-  useEffect(() => {
-    if (leftOscRef.current) leftOscRef.current.type = waveType;
-    if (rightOscRef.current) rightOscRef.current.type = waveType;
-  }, [waveType]);
+    const patch = patchRef.current;
+    if (!patch) return;
 
-  // Update volume
-  useEffect(() => {
-    if (masterGainRef.current && audioContextRef.current) {
-      masterGainRef.current.gain.linearRampToValueAtTime(
-        volume * 0.3,
-        audioContextRef.current.currentTime + 0.1
-      );
+    if (patch.mode !== settings.mode) {
+      patch.stop({ release: 0.1 });
+      patchRef.current = startEntrainment(busRef.current, settings, { attack: 0.1 });
+    } else {
+      patch.update(settings, { ramp: 0.1 });
     }
-  }, [volume]);
+  }, [settings, busRef]);
 
   // Select brainwave state
   const selectState = useCallback((stateId) => {
@@ -263,18 +232,6 @@ export default function BinauralBeatMixer({ f0 = 165, brainwaveMap = {} }) {
     setBeatFrequency(BRAINWAVE_STATES[stateId].defaultBeat);
   }, []);
 
-  // Cleanup oscillators (don't close shared audio context)
-  useEffect(() => {
-    return () => {
-      if (leftOscRef.current) {
-        try { leftOscRef.current.stop(); } catch (e) {}
-      }
-      if (rightOscRef.current) {
-        try { rightOscRef.current.stop(); } catch (e) {}
-      }
-    };
-  }, []);
-
   // Color classes for current state
   const getColorClass = (type) => {
     const colors = {
@@ -293,11 +250,11 @@ export default function BinauralBeatMixer({ f0 = 165, brainwaveMap = {} }) {
       <div className="flex items-center justify-between mb-4">
         <div>
           <h3 className="text-carbon-200 font-semibold flex items-center gap-2">
-            <span>🎧</span>
-            Binaural Beat Generator
+            <span>{currentMode.headphones ? '🎧' : '🔊'}</span>
+            {currentMode.label} Beat Generator
           </h3>
           <p className="text-[10px] text-carbon-500 mt-0.5">
-            Headphones required for effect
+            {currentMode.headphones ? 'Headphones required for effect' : 'Works on speakers or headphones'}
           </p>
         </div>
         <button
@@ -325,6 +282,32 @@ export default function BinauralBeatMixer({ f0 = 165, brainwaveMap = {} }) {
         </div>
       )}
 
+      <MixerPresets mixer="binaural" settings={presetSettings} onLoad={loadSettings} />
+
+      {/* Entrainment mode */}
+      <div className="mb-4">
+        <div className="text-[10px] text-carbon-500 uppercase tracking-wider mb-2">
+          Beat Type
+        </div>
+        <div className="flex gap-2">
+          {ENTRAINMENT_MODES.map(mode => (
+            <button
+              key={mode.id}
+              onClick={() => setEntrainment(mode.id)}
+              className={`
+                flex-1 px-3 py-2 text-xs rounded border transition-all
+                ${entrainment === mode.id
+                  ? 'bg-carbon-700 border-signal-orange text-signal-orange'
+                  : 'bg-carbon-800 border-carbon-700 text-carbon-400 hover:border-carbon-500'}
+              `}
+            >
+              <div className="font-medium">{mode.headphones ? '🎧' : '🔊'} {mode.label}</div>
+              <div className="text-[9px] opacity-70 mt-0.5">{mode.desc}</div>
+            </button>
+          ))}
+        </div>
+      </div>
+
       {/* Brainwave state selector */}
       <div className="mb-4">
         <div className="text-[10px] text-carbon-500 uppercase tracking-wider mb-2">
@@ -383,9 +366,9 @@ export default function BinauralBeatMixer({ f0 = 165, brainwaveMap = {} }) {
               }}
             >
               <div className="text-center">
-                <div className="text-[8px] sm:text-[10px] text-blue-300 uppercase tracking-wider">Left</div>
-                <div className="text-base sm:text-xl font-bold text-blue-400 mt-0.5 sm:mt-1">{frequencies.left.toFixed(1)}</div>
-                <div className="text-[8px] sm:text-[10px] text-blue-300">Hz</div>
+                <div className="text-[8px] sm:text-[10px] text-blue-300 uppercase tracking-wider">{sides.left.label}</div>
+                <div className="text-base sm:text-xl font-bold text-blue-400 mt-0.5 sm:mt-1">{sides.left.value}</div>
+                <div className="text-[8px] sm:text-[10px] text-blue-300">{sides.left.unit}</div>
               </div>
             </motion.div>
           </div>
@@ -429,9 +412,9 @@ export default function BinauralBeatMixer({ f0 = 165, brainwaveMap = {} }) {
               }}
             >
               <div className="text-center">
-                <div className="text-[8px] sm:text-[10px] text-red-300 uppercase tracking-wider">Right</div>
-                <div className="text-base sm:text-xl font-bold text-red-400 mt-0.5 sm:mt-1">{frequencies.right.toFixed(1)}</div>
-                <div className="text-[8px] sm:text-[10px] text-red-300">Hz</div>
+                <div className="text-[8px] sm:text-[10px] text-red-300 uppercase tracking-wider">{sides.right.label}</div>
+                <div className="text-base sm:text-xl font-bold text-red-400 mt-0.5 sm:mt-1">{sides.right.value}</div>
+                <div className="text-[8px] sm:text-[10px] text-red-300">{sides.right.unit}</div>
               </div>
             </motion.div>
           </div>
@@ -439,26 +422,39 @@ export default function BinauralBeatMixer({ f0 = 165, brainwaveMap = {} }) {
 
         {/* Formula */}
         <div className="text-center mt-2 text-[10px] text-carbon-500">
-          <span className="text-blue-400">{frequencies.left.toFixed(1)}</span>
-          <span className="mx-2">−</span>
-          <span className="text-red-400">{frequencies.right.toFixed(1)}</span>
-          <span className="mx-2">=</span>
-          <span className={getColorClass('text')}>{Math.abs(beatFrequency).toFixed(1)} Hz</span>
+          {isochronic ? (
+            <>
+              <span className="text-blue-400">{frequencies.carrier.toFixed(1)} Hz</span>
+              <span className="mx-2">pulsed at</span>
+              <span className={getColorClass('text')}>{beatFrequency.toFixed(1)} Hz</span>
+              <span className="mx-2">·</span>
+              <span className="text-red-400">{Math.round(dutyCycle * 100)}% on</span>
+            </>
+          ) : (
+            <>
+              <span className="text-blue-400">{frequencies.left.toFixed(1)}</span>
+              <span className="mx-2">−</span>
+              <span className="text-red-400">{frequencies.right.toFixed(1)}</span>
+              <span className="mx-2">=</span>
+              <span className={getColorClass('text')}>{Math.abs(beatFrequency).toFixed(1)} Hz</span>
+            </>
+          )}
           <span className="ml-2 text-carbon-400">({currentBrainwave.name})</span>
         </div>
       </div>
 
-      {/* Compact frequency display for reference */}
-      <div className="grid grid-cols-3 gap-2 mb-4 text-center">
-        <div className="bg-carbon-800/50 rounded py-2">
-          <div className="text-[9px] text-blue-300">🎧 L</div>
-        </div>
-        <div className={`rounded py-2 ${getColorClass('bg')}`}>
-          <div className={`text-[9px] ${getColorClass('text')}`}>🧠 Perceived</div>
-        </div>
-        <div className="bg-carbon-800/50 rounded py-2">
-          <div className="text-[9px] text-red-300">🎧 R</div>
-        </div>
+      {/* What each ear receives, and how loud it is over time */}
+      <div className="mb-4">
+        <EntrainmentPreview
+          mode={entrainment}
+          left={frequencies.left}
+          right={frequencies.right}
+          carrier={frequencies.carrier}
+          beat={beatFrequency}
+          duty={dutyCycle}
+          shape={pulseShape}
+          accentClass={getColorClass('text')}
+        />
       </div>
 
       {/* Beat frequency slider */}
@@ -493,6 +489,53 @@ export default function BinauralBeatMixer({ f0 = 165, brainwaveMap = {} }) {
         </div>
       </div>
 
+      {/* Isochronic pulse */}
+      {isochronic && (
+        <div className="mb-4 space-y-3">
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <span className="text-[10px] text-carbon-500 uppercase tracking-wider">Duty Cycle</span>
+              <span className="text-xs text-carbon-400">{Math.round(dutyCycle * 100)}% on</span>
+            </div>
+            <input
+              type="range"
+              min={DUTY_LIMITS.min}
+              max={DUTY_LIMITS.max}
+              step="0.05"
+              value={dutyCycle}
+              onChange={(e) => setDutyCycle(parseFloat(e.target.value))}
+              className="w-full h-2 bg-carbon-700 rounded-full appearance-none cursor-pointer
+                [&::-webkit-slider-thumb]:appearance-none
+                [&::-webkit-slider-thumb]:w-4
+                [&::-webkit-slider-thumb]:h-4
+                [&::-webkit-slider-thumb]:rounded-full
+                [&::-webkit-slider-thumb]:bg-signal-orange
+                [&::-webkit-slider-thumb]:cursor-pointer"
+            />
+          </div>
+          <div>
+            <div className="text-[10px] text-carbon-500 uppercase tracking-wider mb-2">Pulse Shape</div>
+            <div className="flex gap-2">
+              {PULSE_SHAPES.map(shape => (
+                <button
+                  key={shape.id}
+                  onClick={() => setPulseShape(shape.id)}
+                  className={`
+                    flex-1 px-3 py-2 text-xs rounded border transition-all
+                    ${pulseShape === shape.id
+                      ? 'bg-carbon-700 border-signal-coral text-signal-coral'
+                      : 'bg-carbon-800 border-carbon-700 text-carbon-400 hover:border-carbon-500'}
+                  `}
+                >
+                  <div className="font-medium">{shape.label}</div>
+                  <div className="text-[9px] opacity-70 mt-0.5">{shape.desc}</div>
+                </button>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Volume */}
       <div className="mb-4">
         <div className="flex items-center justify-between mb-2">
@@ -550,7 +593,7 @@ export default function BinauralBeatMixer({ f0 = 165, brainwaveMap = {} }) {
                     `}
                   >
                     <div className="font-medium">{mode.label}</div>
-                    <div className="text-[9px] opacity-70 mt-0.5">{mode.desc}</div>
+                    <div className="text-[9px] opacity-70 mt-0.5">{isochronic ? mode.carrierDesc : mode.desc}</div>
                   </button>
                 ))}
               </div>
@@ -602,24 +645,34 @@ export default function BinauralBeatMixer({ f0 = 165, brainwaveMap = {} }) {
                 selectedState === 'beta' ? 'bg-amber-400' : 'bg-red-400'
               }`} />
               <span className="text-[10px] text-carbon-400">
-                Generating {beatFrequency.toFixed(1)} Hz {currentBrainwave.name} beat
+                Generating {beatFrequency.toFixed(1)} Hz {currentBrainwave.name} {currentMode.label.toLowerCase()} beat
               </span>
             </div>
             <div className="text-[9px] text-carbon-500 mt-1">
-              Left: {frequencies.left.toFixed(2)} Hz | Right: {frequencies.right.toFixed(2)} Hz
+              {isochronic
+                ? `Carrier: ${frequencies.carrier.toFixed(2)} Hz | ${Math.round(dutyCycle * 100)}% duty, ${pulseShape}`
+                : `Left: ${frequencies.left.toFixed(2)} Hz | Right: ${frequencies.right.toFixed(2)} Hz${entrainment === 'monaural' ? ' (both ears)' : ''}`}
             </div>
           </motion.div>
         )}
       </AnimatePresence>
 
+      <RenderToWav
+        buildPatch={buildRenderPatch}
+        filename={`vocal-prism-${selectedState}-${Math.abs(beatFrequency).toFixed(1)}hz-${entrainment}`}
+        defaultMinutes={20}
+      />
+
       {/* How it works */}
       <div className="mt-4 pt-3 border-t border-carbon-700">
         <details className="text-[10px] text-carbon-500">
-          <summary className="cursor-pointer hover:text-carbon-300">How binaural beats work</summary>
+          <summary className="cursor-pointer hover:text-carbon-300">How the beats work</summary>
           <div className="mt-2 space-y-1 leading-relaxed">
             <p>Binaural beats are an auditory illusion. When slightly different frequencies are played to each ear (via headphones), your brain perceives a third "beat" at the difference frequency.</p>
-            <p>This beat can help entrain your brainwaves to specific states. For example, a 6 Hz beat can encourage theta waves associated with meditation and creativity.</p>
-            <p className="text-signal-amber">🎧 Stereo headphones are required for the effect to work.</p>
+            <p>Monaural beats mix the same two tones before they reach the ear, so the beat is a real rise and fall in loudness, audible on any speaker.</p>
+            <p>Isochronic tones switch a single tone on and off at the beat rate; the placement puts it where the tone pair would be centred. The duty cycle sets how long each pulse sounds; a square pulse is the most pronounced, a smooth one the gentlest.</p>
+            <p>A beat can help entrain your brainwaves to specific states. For example, a 6 Hz beat can encourage theta waves associated with meditation and creativity.</p>
+            <p className="text-signal-amber">🎧 Stereo headphones are required for binaural beats only.</p>
           </div>
         </details>
       </div>
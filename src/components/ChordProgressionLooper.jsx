@@ -9,77 +9,19 @@
  * - Smooth chord transitions
  */
 
-import { useState, useRef, useEffect, useCallback } from 'react';
+import { useState, useRef, useEffect, useCallback, useMemo } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { getAudioContext, unlockAudioSync } from '../utils/mobileAudio';
+import { unlockAudioEngine } from '../utils/audioEngine';
+import useEngineBus from '../hooks/useEngineBus';
+import { createBeatScheduler } from '../utils/beatScheduler';
 import { AudioUnlockInline } from './AudioUnlockButton';
-
-// Chord definitions (intervals from root in semitones)
-const CHORD_TYPES = {
-  major: { name: 'Major', intervals: [0, 4, 7], symbol: '' },
-  minor: { name: 'Minor', intervals: [0, 3, 7], symbol: 'm' },
-  dim: { name: 'Dim', intervals: [0, 3, 6], symbol: '°' },
-  aug: { name: 'Aug', intervals: [0, 4, 8], symbol: '+' },
-  sus2: { name: 'Sus2', intervals: [0, 2, 7], symbol: 'sus2' },
-  sus4: { name: 'Sus4', intervals: [0, 5, 7], symbol: 'sus4' },
-  maj7: { name: 'Maj7', intervals: [0, 4, 7, 11], symbol: 'maj7' },
-  min7: { name: 'Min7', intervals: [0, 3, 7, 10], symbol: 'm7' },
-  dom7: { name: 'Dom7', intervals: [0, 4, 7, 10], symbol: '7' },
-  power: { name: 'Power', intervals: [0, 7], symbol: '5' },
-};
-
-// Scale degrees (semitones from root) for building progressions
-const SCALE_DEGREES = {
-  // Basic diatonic triads (Ionian/Major)
-  'I': { semitones: 0, type: 'major' },
-  'ii': { semitones: 2, type: 'minor' },
-  'iii': { semitones: 4, type: 'minor' },
-  'IV': { semitones: 5, type: 'major' },
-  'V': { semitones: 7, type: 'major' },
-  'vi': { semitones: 9, type: 'minor' },
-  'vii°': { semitones: 11, type: 'dim' },
-
-  // Seventh chords
-  'I7': { semitones: 0, type: 'dom7' },
-  'IV7': { semitones: 5, type: 'dom7' },
-  'V7': { semitones: 7, type: 'dom7' },
-  'ii7': { semitones: 2, type: 'min7' },
-  'iii7': { semitones: 4, type: 'min7' },
-  'vi7': { semitones: 9, type: 'min7' },
-  'Imaj7': { semitones: 0, type: 'maj7' },
-  'IVmaj7': { semitones: 5, type: 'maj7' },
-
-  // Modal interchange (borrowed chords)
-  'bII': { semitones: 1, type: 'major' },    // Neapolitan
-  'II': { semitones: 2, type: 'major' },     // Lydian II
-  'III': { semitones: 4, type: 'major' },    // Major III (borrowed from parallel major/mixolydian)
-  'bIII': { semitones: 3, type: 'major' },   // From minor
-  'bVI': { semitones: 8, type: 'major' },    // From minor
-  'bVII': { semitones: 10, type: 'major' },  // Mixolydian/minor
-  'iv': { semitones: 5, type: 'minor' },     // Minor iv (from minor)
-  'i': { semitones: 0, type: 'minor' },      // Minor tonic
-
-  // Secondary dominants
-  'V/V': { semitones: 2, type: 'major' },    // V of V (D in C)
-  'V/ii': { semitones: 9, type: 'major' },   // V of ii
-  'V/vi': { semitones: 4, type: 'major' },   // V of vi (E in C)
-
-  // Diminished
-  'vii°/V': { semitones: 6, type: 'dim' },   // Leading tone to V
-
-  // Suspended
-  'Isus4': { semitones: 0, type: 'sus4' },
-  'IVsus2': { semitones: 5, type: 'sus2' },
-  'Vsus4': { semitones: 7, type: 'sus4' },
-
-  // Power chords
-  'I5': { semitones: 0, type: 'power' },
-  'bIII5': { semitones: 3, type: 'power' },
-  'IV5': { semitones: 5, type: 'power' },
-  'V5': { semitones: 7, type: 'power' },
-  'bVI5': { semitones: 8, type: 'power' },
-  'bVII5': { semitones: 10, type: 'power' },
-};
+import MidiExportButton from './MidiExportButton';
+import RenderToWav from './RenderToWav';
+import ProgressionEditor from './ProgressionEditor';
+import { progressionToMidi } from '../engine/midi';
+import { tuneProgression, CHORD_TUNINGS, DEFAULT_CHORD_TUNING, COMMAS } from '../engine/chordTuning';
+import { parseChordSymbol } from '../engine/romanNumerals';
+import { loadCustomProgressions, upsertCustomProgression, removeCustomProgression } from '../utils/progressionStorage';
 
 // Progression categories for organization
 const PROGRESSION_CATEGORIES = [
@@ -89,9 +31,12 @@ const PROGRESSION_CATEGORIES = [
   { id: 'modal', name: 'Modal', color: 'cyan' },
   { id: 'classical', name: 'Classical', color: 'amber' },
   { id: 'rock', name: 'Rock', color: 'red' },
+  { id: 'custom', name: 'Custom', color: 'green' },
 ];
 
-// Preset progressions organized by category
+// Preset progressions organized by category. Chords are Roman-numeral
+// symbols for parseChordSymbol; an optional `durations` array gives
+// per-chord beats (null = the beats-per-chord setting).
 const PROGRESSIONS = [
   // === POPULAR ===
   {
@@ -347,10 +292,8 @@ const PROGRESSIONS = [
 ];
 
 export default function ChordProgressionLooper({ f0 = 165 }) {
-  const audioContextRef = useRef(null);
-  const oscillatorsRef = useRef([]);
-  const masterGainRef = useRef(null);
-  const intervalRef = useRef(null);
+  const voicesRef = useRef([]);
+  const schedulerRef = useRef(null);
 
   // State
   const [isPlaying, setIsPlaying] = useState(false);
@@ -362,25 +305,48 @@ export default function ChordProgressionLooper({ f0 = 165 }) {
   const [waveType, setWaveType] = useState('triangle');
   const [beatsPerChord, setBeatsPerChord] = useState(4);
   const [beatCount, setBeatCount] = useState(0);
+  const [barBeats, setBarBeats] = useState(4); // beats in the bar now sounding
   const [useVoiceLeading, setUseVoiceLeading] = useState(true);
+  const [metronome, setMetronome] = useState(false);
+  const [chordTuning, setChordTuning] = useState(DEFAULT_CHORD_TUNING);
+  const [customProgressions, setCustomProgressions] = useState(loadCustomProgressions);
+  const [editing, setEditing] = useState(null); // progression being edited, {} for a new one
   const previousChordRef = useRef(null);
 
-  const currentProgression = PROGRESSIONS.find(p => p.id === selectedProgression) || PROGRESSIONS[0];
-  const filteredProgressions = PROGRESSIONS.filter(p => p.category === selectedCategory);
-
-  // Get frequency for a chord at given root offset (in semitones)
-  const getChordFrequencies = useCallback((chordDef) => {
-    const degree = SCALE_DEGREES[chordDef];
-    if (!degree) return [f0];
+  // Latest settings for the scheduler, which reads them at each bar line
+  const liveRef = useRef({ tempo, metronome, beats: [], chords: [], playChord: null });
 
-    const rootHz = f0 * Math.pow(2, degree.semitones / 12);
-    const chord = CHORD_TYPES[degree.type];
-    if (!chord) return [rootHz];
+  const customWithCategory = useMemo(
+    () => customProgressions.map(p => ({ genre: 'Custom', description: p.chords.join(' – '), ...p, category: 'custom' })),
+    [customProgressions]
+  );
+  const allProgressions = [...PROGRESSIONS, ...customWithCategory];
+  const currentProgression = allProgressions.find(p => p.id === selectedProgression) || PROGRESSIONS[0];
+  const filteredProgressions = allProgressions.filter(p => p.category === selectedCategory);
+
+  // Beats each chord is held for
+  const chordBeats = useMemo(
+    () => currentProgression.chords.map((_, idx) => currentProgression.durations?.[idx] ?? beatsPerChord),
+    [currentProgression, beatsPerChord]
+  );
 
-    return chord.intervals.map(interval =>
-      rootHz * Math.pow(2, interval / 12)
-    );
-  }, [f0]);
+  // One pass through the progression in the selected tuning. Adaptive JI
+  // re-anchors on Sa at the top of each pass; the jump is the comma drift.
+  // A chord that doesn't parse (e.g. a hand-edited saved progression) is
+  // reported, and the progression won't play until it is fixed.
+  const tunedPass = useMemo(() => {
+    const errors = [];
+    const shapes = currentProgression.chords.map((symbol, idx) => {
+      try {
+        return parseChordSymbol(symbol);
+      } catch (err) {
+        errors.push({ idx, symbol, message: err.message });
+        return { semitones: 0, intervals: [0] }; // keeps the chord boxes in line
+      }
+    });
+    return { ...tuneProgression(f0, shapes, chordTuning), errors };
+  }, [f0, currentProgression, chordTuning]);
+  const playable = tunedPass.errors.length === 0;
 
   /**
    * Apply voice leading to minimize movement from previous chord
@@ -449,39 +415,33 @@ export default function ChordProgressionLooper({ f0 = 165 }) {
     return bestInversion;
   }, []);
 
-  // Initialize audio
-  const initAudio = useCallback(async () => {
-    const ctx = await getAudioContext();
-    if (!ctx) return null;
-
-    if (!audioContextRef.current || audioContextRef.current !== ctx) {
-      audioContextRef.current = ctx;
-      masterGainRef.current = ctx.createGain();
-      masterGainRef.current.gain.value = volume * 0.15;
-      masterGainRef.current.connect(ctx.destination);
+  // The shared audio engine and this looper's bus. Global "stop all"
+  // silences the engine; stop the clock too
+  const { busRef, initAudio } = useEngineBus('chords', {
+    volume: volume * 0.15,
+    onStopAll: () => {
+      schedulerRef.current?.stop();
+      schedulerRef.current = null;
+      voicesRef.current = [];
+      previousChordRef.current = null;
+      setIsPlaying(false);
+      setCurrentChordIndex(0);
+      setBeatCount(0);
+    },
+    onNewBus: () => {
+      voicesRef.current = [];
     }
+  });
 
-    return ctx;
-  }, [volume]);
+  // Play a chord now, or queue it at an audio-clock time
+  const playChord = useCallback((chordFrequencies, when) => {
+    const bus = busRef.current;
+    if (!bus) return;
 
-  // Play a chord
-  const playChord = useCallback((chordDef) => {
-    const ctx = audioContextRef.current;
-    if (!ctx) return;
+    // Release the previous chord as this one starts
+    voicesRef.current.forEach(voice => voice.stop({ release: 0.08, at: when }));
 
-    // Stop existing oscillators with fade out
-    oscillatorsRef.current.forEach(({ osc, gain }) => {
-      try {
-        gain.gain.linearRampToValueAtTime(0, ctx.currentTime + 0.08);
-        setTimeout(() => {
-          try { osc.stop(); osc.disconnect(); } catch (e) {}
-        }, 100);
-      } catch (e) {}
-    });
-    oscillatorsRef.current = [];
-
-    // Get frequencies for new chord
-    let frequencies = getChordFrequencies(chordDef);
+    let frequencies = chordFrequencies;
 
     // Apply voice leading if enabled
     if (useVoiceLeading && previousChordRef.current) {
@@ -491,136 +451,178 @@ export default function ChordProgressionLooper({ f0 = 165 }) {
     // Store for next chord's voice leading
     previousChordRef.current = frequencies;
 
-    // Create oscillators for each note
-    frequencies.forEach((freq, i) => {
-      const osc = ctx.createOscillator();
-      const gain = ctx.createGain();
-
-      osc.type = waveType;
-      osc.frequency.value = freq;
-
-      // Stagger attacks slightly for richness
-      gain.gain.setValueAtTime(0, ctx.currentTime);
-      gain.gain.linearRampToValueAtTime(
-        0.3 / frequencies.length,
-        ctx.currentTime + 0.05 + (i * 0.02)
-      );
-
-      osc.connect(gain);
-      gain.connect(masterGainRef.current);
-      osc.start();
-
-      oscillatorsRef.current.push({ osc, gain });
+    // Stagger attacks slightly for richness
+    voicesRef.current = frequencies.map((freq, i) => bus.createVoice({
+      frequency: freq,
+      type: waveType,
+      volume: 0.3 / frequencies.length,
+      attack: 0.05 + (i * 0.02),
+      when
+    }));
+  }, [waveType, useVoiceLeading, applyVoiceLeading, busRef]);
+
+  // Metronome click: accented on the bar line
+  const scheduleTick = useCallback((time, accent) => {
+    busRef.current?.createVoice({
+      frequency: accent ? 1760 : 1320,
+      when: time,
+      envelope: (g, t) => {
+        g.setValueAtTime(accent ? 0.5 : 0.3, t);
+        g.exponentialRampToValueAtTime(0.001, t + 0.04);
+      },
+      duration: 0.05,
+      release: 0.005
     });
-  }, [getChordFrequencies, waveType, useVoiceLeading, applyVoiceLeading]);
+  }, [busRef]);
 
-  // Start the loop
+  // Start the loop: chords and ticks are queued on the audio clock
   const startLoop = useCallback(() => {
     // CRITICAL: Sync unlock first for Safari
-    unlockAudioSync();
+    unlockAudioEngine();
 
     (async () => {
-      const ctx = await initAudio();
-      if (!ctx) return;
+      const engine = await initAudio();
+      if (!engine || schedulerRef.current) return;
 
+      previousChordRef.current = null;
       setCurrentChordIndex(0);
       setBeatCount(0);
-      playChord(currentProgression.chords[0]);
-      setIsPlaying(true);
-
-      // Calculate interval: (60 / tempo) * 1000 ms per beat * beatsPerChord
-      const msPerChord = (60 / tempo) * 1000 * beatsPerChord;
-      const msPerBeat = (60 / tempo) * 1000;
 
-      let beat = 0;
-      let chordIdx = 0;
-
-      intervalRef.current = setInterval(() => {
-        beat++;
-        setBeatCount(beat % beatsPerChord);
-
-        // Move to next chord
-        if (beat % beatsPerChord === 0) {
-          chordIdx = (chordIdx + 1) % currentProgression.chords.length;
-          setCurrentChordIndex(chordIdx);
-          playChord(currentProgression.chords[chordIdx]);
+      const live = liveRef.current;
+      const scheduler = createBeatScheduler(engine.ctx, {
+        getTempo: () => live.tempo,
+        getBeatsPerBar: (bar) => live.beats[bar % live.beats.length],
+        onBar: (bar, time) => {
+          live.playChord(live.chords[bar % live.chords.length], time);
+        },
+        onBeat: (beat, time) => {
+          if (live.metronome) scheduleTick(time, beat === 0);
+        },
+        onVisualBeat: ({ bar, beat, beatsPerBar }) => {
+          setCurrentChordIndex(bar % live.chords.length);
+          setBeatCount(beat);
+          setBarBeats(beatsPerBar);
         }
-      }, msPerBeat);
+      });
+      schedulerRef.current = scheduler;
+      scheduler.start();
+      setIsPlaying(true);
     })();
-  }, [initAudio, currentProgression, tempo, beatsPerChord, playChord]);
+  }, [initAudio, scheduleTick]);
 
   // Stop the loop
   const stopLoop = useCallback(() => {
-    if (intervalRef.current) {
-      clearInterval(intervalRef.current);
-      intervalRef.current = null;
-    }
+    schedulerRef.current?.stop();
+    schedulerRef.current = null;
 
-    // Fade out all oscillators
-    const ctx = audioContextRef.current;
-    if (ctx) {
-      oscillatorsRef.current.forEach(({ osc, gain }) => {
-        try {
-          gain.gain.linearRampToValueAtTime(0, ctx.currentTime + 0.2);
-          setTimeout(() => {
-            try { osc.stop(); osc.disconnect(); } catch (e) {}
-          }, 250);
-        } catch (e) {}
-      });
-    }
-    oscillatorsRef.current = [];
+    // Fade out the sounding chord and anything already queued
+    busRef.current?.stopAll({ release: 0.2 });
+    voicesRef.current = [];
     previousChordRef.current = null; // Reset voice leading
     setIsPlaying(false);
     setCurrentChordIndex(0);
     setBeatCount(0);
-  }, []);
+  }, [busRef]);
 
   // Toggle play
   const togglePlay = useCallback(() => {
     if (isPlaying) {
       stopLoop();
-    } else {
+    } else if (playable) {
       startLoop();
     }
-  }, [isPlaying, startLoop, stopLoop]);
+  }, [isPlaying, playable, startLoop, stopLoop]);
 
-  // Update tempo in real-time
+  // Tempo, bar length, progression and sound changes reach the running
+  // scheduler through liveRef and apply from the next bar line
   useEffect(() => {
-    if (isPlaying) {
-      stopLoop();
-      startLoop();
-    }
-  }, [tempo, beatsPerChord]);
+    Object.assign(liveRef.current, {
+      tempo,
+      metronome,
+      beats: chordBeats,
+      chords: tunedPass.chords.map(chord => chord.frequencies),
+      playChord
+    });
+  }, [tempo, chordBeats, metronome, tunedPass, playChord]);
 
-  // Update volume
+  // Cleanup: stop the scheduler (the hook releases the bus)
   useEffect(() => {
-    if (masterGainRef.current && audioContextRef.current) {
-      masterGainRef.current.gain.linearRampToValueAtTime(
-        volume * 0.15,
-        audioContextRef.current.currentTime + 0.1
-      );
-    }
-  }, [volume]);
+    return () => schedulerRef.current?.stop();
+  }, []);
 
-  // Cleanup
-  useEffect(() => {
-    return () => {
-      if (intervalRef.current) clearInterval(intervalRef.current);
-      oscillatorsRef.current.forEach(({ osc }) => {
-        try { osc.stop(); } catch (e) {}
+  const currentTuning = CHORD_TUNINGS.find(t => t.id === chordTuning) || CHORD_TUNINGS[0];
+  const wolfCount = tunedPass.chords.filter(c => c.fifthErrorCents !== null && Math.abs(c.fifthErrorCents) > 1).length;
+  const formatCents = (cents) => `${cents > 0 ? '+' : cents < 0 ? '−' : '±'}${Math.abs(cents).toFixed(1)}¢`;
+
+  // One pass through the progression, voiced exactly as playback would
+  const buildProgressionMidi = () => {
+    let previous = null;
+    const chords = currentProgression.chords.map((chordDef, idx) => {
+      let frequencies = tunedPass.chords[idx].frequencies;
+      if (useVoiceLeading && previous) {
+        frequencies = applyVoiceLeading(frequencies, previous);
+      }
+      previous = frequencies;
+      return { name: chordDef, frequencies, beats: chordBeats[idx] };
+    });
+
+    return progressionToMidi(chords, {
+      bpm: tempo,
+      beatsPerChord,
+      title: `${currentProgression.name} — Sa ${f0} Hz, ${currentTuning.name}`
+    });
+  };
+
+  // Loop the progression on an offline engine for WAV rendering,
+  // with the same envelopes and voice leading as live playback
+  const buildRenderPatch = (engine, duration) => {
+    const bus = engine.createBus('chords', { volume: volume * 0.15 });
+    let previous = null;
+    let start = 0;
+
+    for (let step = 0; start < duration; step++) {
+      const idx = step % tunedPass.chords.length;
+      let frequencies = tunedPass.chords[idx].frequencies;
+      if (useVoiceLeading && previous) {
+        frequencies = applyVoiceLeading(frequencies, previous);
+      }
+      previous = frequencies;
+
+      const end = Math.min(duration, start + (60 / tempo) * chordBeats[idx]);
+
+      frequencies.forEach((freq, i) => {
+        bus.createVoice({
+          frequency: freq,
+          type: waveType,
+          volume: 0.3 / frequencies.length,
+          attack: 0.05 + (i * 0.02),
+          when: start,
+          duration: end - start,
+          release: 0.08
+        });
       });
-    };
-  }, []);
+      start = end;
+    }
+  };
+
+  const selectProgression = (id) => {
+    setSelectedProgression(id);
+    if (isPlaying) {
+      stopLoop();
+    }
+  };
 
-  // Get display name for chord
-  const getChordDisplay = (chordDef) => {
-    const degree = SCALE_DEGREES[chordDef];
-    if (!degree) return chordDef;
+  const saveCustom = (progression) => {
+    const { id, name, chords, durations } = progression;
+    setCustomProgressions(list => upsertCustomProgression(list, { id, name, chords, durations }));
+    setEditing(null);
+    setSelectedCategory('custom');
+    selectProgression(id);
+  };
 
-    // Map semitones to note names (relative to f0)
-    const noteNames = ['1', 'b2', '2', 'b3', '3', '4', 'b5', '5', 'b6', '6', 'b7', '7'];
-    const chord = CHORD_TYPES[degree.type];
-    return chordDef;
+  const deleteCustom = (id) => {
+    setCustomProgressions(list => removeCustomProgression(list, id));
+    if (selectedProgression === id) selectProgression(PROGRESSIONS[0].id);
   };
 
   return (
@@ -638,9 +640,10 @@ export default function ChordProgressionLooper({ f0 = 165 }) {
         </div>
         <button
           onClick={togglePlay}
+          disabled={!isPlaying && !playable}
           className={`
             px-5 py-2.5 rounded-lg flex items-center gap-2
-            transition-all duration-200 border-2 font-bold text-sm
+            transition-all duration-200 border-2 font-bold text-sm disabled:opacity-40
             ${isPlaying
               ? 'bg-signal-orange border-signal-orange text-carbon-900'
               : 'bg-carbon-800 border-carbon-600 text-carbon-400 hover:border-carbon-400'}
@@ -670,6 +673,7 @@ export default function ChordProgressionLooper({ f0 = 165 }) {
                   : cat.color === 'blue' ? 'bg-blue-500/20 border-blue-500 text-blue-400'
                   : cat.color === 'cyan' ? 'bg-cyan-500/20 border-cyan-500 text-cyan-400'
                   : cat.color === 'amber' ? 'bg-amber-500/20 border-amber-500 text-amber-400'
+                  : cat.color === 'green' ? 'bg-green-500/20 border-green-500 text-green-400'
                   : 'bg-red-500/20 border-red-500 text-red-400'
                   : 'bg-carbon-800 border-carbon-700 text-carbon-500 hover:border-carbon-500'}
               `}
@@ -679,57 +683,123 @@ export default function ChordProgressionLooper({ f0 = 165 }) {
           ))}
         </div>
 
+        {/* Editor for a new or copied progression */}
+        {editing && (
+          <div className="mb-3">
+            <ProgressionEditor
+              key={editing.id || 'new'}
+              progression={editing.chords ? editing : null}
+              defaultBeats={beatsPerChord}
+              onSave={saveCustom}
+              onCancel={() => setEditing(null)}
+            />
+          </div>
+        )}
+
         {/* Progressions in selected category */}
         <div className="grid grid-cols-2 sm:grid-cols-3 gap-2">
           {filteredProgressions.map(prog => (
+            <div key={prog.id} className="relative">
+              <button
+                onClick={() => selectProgression(prog.id)}
+                className={`
+                  w-full h-full p-2.5 rounded-lg border text-left transition-all
+                  ${selectedProgression === prog.id
+                    ? 'bg-signal-orange/20 border-signal-orange text-signal-orange'
+                    : 'bg-carbon-800 border-carbon-700 text-carbon-400 hover:border-carbon-500'}
+                `}
+              >
+                <div className="text-xs font-bold truncate pr-4">{prog.name}</div>
+                <div className="text-[9px] opacity-70 mt-0.5">{prog.description}</div>
+              </button>
+              {prog.category === 'custom' && (
+                <button
+                  onClick={() => deleteCustom(prog.id)}
+                  title={`Delete ${prog.name}`}
+                  className="absolute top-1.5 right-2 text-[10px] text-carbon-500 hover:text-signal-coral"
+                >
+                  ✕
+                </button>
+              )}
+            </div>
+          ))}
+          {selectedCategory === 'custom' && !editing && (
             <button
-              key={prog.id}
-              onClick={() => {
-                setSelectedProgression(prog.id);
-                if (isPlaying) {
-                  stopLoop();
-                }
-              }}
-              className={`
-                p-2.5 rounded-lg border text-left transition-all
-                ${selectedProgression === prog.id
-                  ? 'bg-signal-orange/20 border-signal-orange text-signal-orange'
-                  : 'bg-carbon-800 border-carbon-700 text-carbon-400 hover:border-carbon-500'}
-              `}
+              onClick={() => setEditing({})}
+              className="p-2.5 rounded-lg border border-dashed border-carbon-600 text-carbon-500 text-xs
+                hover:border-carbon-400 hover:text-carbon-300 transition-all"
             >
-              <div className="text-xs font-bold truncate">{prog.name}</div>
-              <div className="text-[9px] opacity-70 mt-0.5">{prog.description}</div>
+              + New progression
             </button>
-          ))}
+          )}
         </div>
       </div>
 
       {/* Current progression display */}
       <div className="mb-4 bg-carbon-800 rounded-lg p-4">
-        <div className="text-[10px] text-carbon-500 uppercase tracking-wider mb-2">
-          {currentProgression.name}
+        <div className="flex items-center justify-between mb-2">
+          <div className="text-[10px] text-carbon-500 uppercase tracking-wider">
+            {currentProgression.name}
+          </div>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => setEditing(currentProgression.category === 'custom'
+                ? currentProgression
+                : { ...currentProgression, name: `${currentProgression.name} (copy)` })}
+              className="text-[10px] text-carbon-500 hover:text-carbon-300"
+            >
+              {currentProgression.category === 'custom' ? 'Edit' : 'Edit a copy'}
+            </button>
+            <MidiExportButton
+              filename={`vocal-prism-${currentProgression.id}-${tempo}bpm.mid`}
+              build={buildProgressionMidi}
+              disabled={!playable}
+            />
+          </div>
         </div>
         <p className="text-xs text-carbon-400 mb-3">{currentProgression.description}</p>
 
+        {!playable && (
+          <div className="mb-3 px-2 py-1.5 rounded bg-signal-coral/10 border border-signal-coral/30 text-[10px] text-signal-coral">
+            {tunedPass.errors.map(({ idx, symbol, message }) => (
+              <div key={idx}>Chord {idx + 1} ({symbol}): {message}</div>
+            ))}
+            <div className="mt-1 text-carbon-400">Edit the progression to play it.</div>
+          </div>
+        )}
+
         {/* Chord boxes */}
         <div className="flex flex-wrap gap-2 justify-center">
           {currentProgression.chords.map((chord, idx) => {
             const isActive = isPlaying && idx === currentChordIndex;
+            const tuned = tunedPass.chords[idx];
+            const offset = chordTuning === 'adaptive'
+              ? (Math.abs(tuned.driftCents) > 0.05 ? formatCents(tuned.driftCents) : null)
+              : chordTuning === 'fixed' && tuned.fifthErrorCents !== null && Math.abs(tuned.fifthErrorCents) > 1
+                ? `5th ${formatCents(tuned.fifthErrorCents)}`
+                : null;
             return (
-              <motion.div
-                key={`${chord}-${idx}`}
-                className={`
-                  w-12 h-12 sm:w-16 sm:h-16 rounded-lg flex items-center justify-center
-                  border-2 transition-all duration-150
-                  ${isActive
-                    ? 'bg-signal-orange border-signal-orange text-carbon-900 scale-110 shadow-lg shadow-signal-orange/30'
-                    : 'bg-carbon-700 border-carbon-600 text-carbon-300'}
-                `}
-                animate={isActive ? { scale: [1.1, 1.15, 1.1] } : {}}
-                transition={{ duration: 0.3, repeat: isActive ? Infinity : 0 }}
-              >
-                <span className="text-sm sm:text-lg font-bold">{chord}</span>
-              </motion.div>
+              <div key={`${chord}-${idx}`} className="flex flex-col items-center gap-1">
+                <motion.div
+                  className={`
+                    w-12 h-12 sm:w-16 sm:h-16 rounded-lg flex items-center justify-center
+                    border-2 transition-all duration-150
+                    ${isActive
+                      ? 'bg-signal-orange border-signal-orange text-carbon-900 scale-110 shadow-lg shadow-signal-orange/30'
+                      : 'bg-carbon-700 border-carbon-600 text-carbon-300'}
+                  `}
+                  animate={isActive ? { scale: [1.1, 1.15, 1.1] } : {}}
+                  transition={{ duration: 0.3, repeat: isActive ? Infinity : 0 }}
+                >
+                  <span className="text-sm sm:text-lg font-bold">{chord}</span>
+                </motion.div>
+                {chordBeats[idx] !== beatsPerChord && (
+                  <span className="text-[9px] font-mono text-carbon-500">{chordBeats[idx]} beats</span>
+                )}
+                {offset && (
+                  <span className="text-[9px] font-mono text-signal-amber">{offset}</span>
+                )}
+              </div>
             );
           })}
         </div>
@@ -737,7 +807,7 @@ export default function ChordProgressionLooper({ f0 = 165 }) {
         {/* Beat indicator */}
         {isPlaying && (
           <div className="mt-4 flex justify-center gap-1.5">
-            {Array.from({ length: beatsPerChord }).map((_, i) => (
+            {Array.from({ length: barBeats }).map((_, i) => (
               <motion.div
                 key={i}
                 className={`w-3 h-3 rounded-full ${
@@ -755,6 +825,57 @@ export default function ChordProgressionLooper({ f0 = 165 }) {
 
       {/* Controls */}
       <div className="space-y-4">
+        {/* Chord tuning */}
+        <div>
+          <div className="text-[10px] text-carbon-500 uppercase tracking-wider mb-2">
+            Tuning
+          </div>
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+            {CHORD_TUNINGS.map(t => (
+              <button
+                key={t.id}
+                onClick={() => setChordTuning(t.id)}
+                className={`
+                  py-2 text-xs rounded border transition-all
+                  ${chordTuning === t.id
+                    ? 'bg-carbon-700 border-signal-orange text-signal-orange'
+                    : 'bg-carbon-800 border-carbon-700 text-carbon-400 hover:border-carbon-500'}
+                `}
+              >
+                {t.name}
+              </button>
+            ))}
+          </div>
+          <p className="text-[9px] text-carbon-500 mt-1.5">{currentTuning.description}</p>
+
+          {/* Comma report */}
+          <div className="mt-2 bg-carbon-800 rounded-lg px-3 py-2 text-[10px] text-carbon-400 font-mono">
+            {chordTuning === 'adaptive' && (
+              Math.abs(tunedPass.returnDriftCents) > 0.05 ? (
+                <>
+                  Back at {currentProgression.chords[0]} the root has drifted{' '}
+                  <span className="text-signal-amber">{formatCents(tunedPass.returnDriftCents)}</span>{' '}
+                  ({tunedPass.returnDriftCommas.toFixed(2)} syntonic commas). Each pass re-anchors on Sa,
+                  so that jump is what you hear at the top of the loop.
+                </>
+              ) : (
+                <>This progression closes without drift: its root movements come back to the same pure pitch.</>
+              )
+            )}
+            {chordTuning === 'fixed' && (
+              wolfCount > 0
+                ? <>{wolfCount} chord{wolfCount > 1 ? 's get' : ' gets'} an impure fifth. The syntonic comma ({COMMAS.syntonic.cents}¢) is fixed in place instead of drifting.</>
+                : <>Every fifth in this progression is pure 3:2 on the fixed scale.</>
+            )}
+            {chordTuning === 'pythagorean' && (
+              <>Major thirds are 81/64, a syntonic comma ({COMMAS.syntonic.cents}¢) wider than 5:4. Twelve pure fifths overshoot seven octaves by the Pythagorean comma ({COMMAS.pythagorean.cents}¢).</>
+            )}
+            {chordTuning === 'et' && (
+              <>Fifths are 2.0¢ narrow and major thirds 13.7¢ wide: the Pythagorean comma ({COMMAS.pythagorean.cents}¢) is shared out over all twelve fifths.</>
+            )}
+          </div>
+        </div>
+
         {/* Tempo */}
         <div>
           <div className="flex items-center justify-between mb-2">
@@ -859,6 +980,33 @@ export default function ChordProgressionLooper({ f0 = 165 }) {
           </div>
         </div>
 
+        {/* Metronome toggle */}
+        <div>
+          <div className="flex items-center justify-between">
+            <div>
+              <div className="text-[10px] text-carbon-500 uppercase tracking-wider">
+                Metronome
+              </div>
+              <div className="text-[9px] text-carbon-600 mt-0.5">
+                Click on every beat, accent on the chord change
+              </div>
+            </div>
+            <button
+              onClick={() => setMetronome(!metronome)}
+              className={`
+                relative w-11 h-6 rounded-full transition-colors duration-200
+                ${metronome ? 'bg-signal-orange' : 'bg-carbon-700'}
+              `}
+            >
+              <motion.div
+                className="absolute top-1 left-1 w-4 h-4 bg-white rounded-full shadow-sm"
+                animate={{ x: metronome ? 20 : 0 }}
+                transition={{ type: 'spring', stiffness: 500, damping: 30 }}
+              />
+            </button>
+          </div>
+        </div>
+
         {/* Voice leading toggle */}
         <div>
           <div className="flex items-center justify-between">
@@ -906,6 +1054,12 @@ export default function ChordProgressionLooper({ f0 = 165 }) {
         )}
       </AnimatePresence>
 
+      <RenderToWav
+        buildPatch={buildRenderPatch}
+        filename={`vocal-prism-${currentProgression.id}-${tempo}bpm`}
+        disabled={!playable}
+      />
+
       {/* Music theory info */}
       <div className="mt-4 pt-3 border-t border-carbon-700">
         <details className="text-[10px] text-carbon-500">
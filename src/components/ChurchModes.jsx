@@ -0,0 +1,299 @@
+/**
+ * ChurchModes Component
+ * The eight Gregorian modes with their final on the user's f0: final,
+ * tenor and ambitus against the comfortable range, and each mode's scale
+ * and psalm tone to listen to
+ *
+ * Notes are queued on the audio clock up front; the highlighted note
+ * follows them by timers, as in RagaPlayer.
+ */
+
+import { useState, useRef, useEffect } from 'react';
+import { unlockAudioEngine } from '../utils/audioEngine';
+import useEngineBus from '../hooks/useEngineBus';
+
+// Parts of a psalm verse, and how many times the tenor is recited after
+// the formula before it
+const PSALM_PARTS = [
+  { id: 'intonation', recite: 3 },
+  { id: 'mediant', recite: 2 },
+  { id: 'termination', recite: 0 }
+];
+
+/**
+ * Notes of a psalm verse: intonation, recitation, mediant, recitation,
+ * termination. Each note carries the part it belongs to.
+ */
+function psalmVerse(psalmTone) {
+  return PSALM_PARTS.flatMap(part => [
+    ...psalmTone[part.id].map(note => ({ ...note, part: part.id })),
+    ...Array.from({ length: part.recite }, () => ({ ...psalmTone.tenor, part: 'tenor' }))
+  ]);
+}
+
+export default function ChurchModes({ gregorian, f0, initialMode = null, onModeChange }) {
+  const voicesRef = useRef([]);
+  const timersRef = useRef([]);
+
+  const [selected, setSelected] = useState(initialMode ?? gregorian.mode.number);
+  const [tempo, setTempo] = useState(100); // notes per minute
+  const [playing, setPlaying] = useState(null); // { what, index }
+
+  const { modes, range } = gregorian;
+  const mode = modes.find(m => m.number === selected) || modes[0];
+
+  const { busRef, initAudio } = useEngineBus('chant', {
+    volume: 0.5,
+    onStopAll: () => {
+      timersRef.current.forEach(id => clearTimeout(id));
+      timersRef.current = [];
+      voicesRef.current = [];
+      setPlaying(null);
+    },
+    onNewBus: () => {
+      voicesRef.current = [];
+    }
+  });
+
+  const cancel = () => {
+    timersRef.current.forEach(id => clearTimeout(id));
+    timersRef.current = [];
+    voicesRef.current.forEach(v => v.stop({ release: 0.1 }));
+    voicesRef.current = [];
+  };
+
+  const stop = () => {
+    cancel();
+    setPlaying(null);
+  };
+
+  // Play a list of notes; accented notes are held a little longer
+  const playNotes = async (what, notes) => {
+    unlockAudioEngine();
+    const engine = await initAudio();
+    if (!engine) return;
+
+    cancel();
+    const beat = 60 / tempo;
+    let time = engine.now() + 0.05;
+
+    notes.forEach((note, index) => {
+      const length = beat * (note.accent ? 1.4 : 1);
+      voicesRef.current.push(busRef.current.createVoice({
+        frequency: note.hz,
+        type: 'triangle',
+        when: time,
+        envelope: (g, t) => {
+          g.setValueAtTime(0, t);
+          g.linearRampToValueAtTime(note.accent ? 0.42 : 0.32, t + 0.05);
+          g.setTargetAtTime(0.22, t + 0.05, length / 2);
+        },
+        duration: length * 0.97,
+        release: 0.08
+      }));
+
+      timersRef.current.push(setTimeout(
+        () => setPlaying({ what, index }),
+        Math.max(0, (time - engine.now()) * 1000)
+      ));
+      time += length;
+    });
+
+    timersRef.current.push(setTimeout(() => setPlaying(null), (time - engine.now()) * 1000));
+  };
+
+  const scaleNotes = [...mode.scale, ...mode.scale.slice(0, -1).reverse()];
+  const verseNotes = psalmVerse(mode.psalmTone);
+
+  const toggle = (what, notes) => {
+    if (playing?.what === what) stop();
+    else playNotes(what, notes);
+  };
+
+  // Cleanup: pending note timers
+  useEffect(() => {
+    return () => timersRef.current.forEach(id => clearTimeout(id));
+  }, []);
+
+  // Semitone axis for the ambitus chart, covering every mode and the range
+  const rangeLow = 12 * Math.log2(range.low / f0);
+  const rangeHigh = 12 * Math.log2(range.high / f0);
+  const axisMin = Math.floor(Math.min(rangeLow, ...modes.map(m => m.ambitus.low.semitones))) - 1;
+  const axisMax = Math.ceil(Math.max(rangeHigh, ...modes.map(m => m.ambitus.high.semitones))) + 1;
+  const x = (st) => `${((st - axisMin) / (axisMax - axisMin)) * 100}%`;
+  const width = (from, to) => `${((to - from) / (axisMax - axisMin)) * 100}%`;
+
+  const currentNote = (what, index) => playing?.what === what && playing.index === index;
+
+  return (
+    <div className="bg-carbon-800 rounded-lg p-4 text-white font-mono text-sm">
+      {/* Header */}
+      <div className="mb-4">
+        <h3 className="text-carbon-200 font-semibold">The Eight Modes</h3>
+        <p className="text-[10px] text-carbon-500 mt-0.5">
+          Final on your f0 ({f0} Hz) — comfortable range {range.lowNote}–{range.highNote}
+          {range.estimated && ' (estimated)'}
+        </p>
+      </div>
+
+      {/* Ambitus against the comfortable range */}
+      <div className="space-y-1 mb-4">
+        {modes.map(m => (
+          <button
+            key={m.number}
+            onClick={() => {
+              setSelected(m.number);
+              onModeChange?.(m.number);
+            }}
+            className={`w-full flex items-center gap-2 px-1.5 py-1 rounded transition-colors
+              ${selected === m.number ? 'bg-carbon-700' : 'hover:bg-carbon-700/50'}`}
+            title={m.fit.summary}
+          >
+            <span className={`w-32 shrink-0 text-left text-[10px]
+              ${selected === m.number ? 'text-signal-orange' : 'text-carbon-300'}`}>
+              {m.label}
+            </span>
+            <span className="relative flex-1 h-3">
+              {/* Comfortable range */}
+              <span
+                className="absolute inset-y-0 bg-carbon-600/60 rounded-sm"
+                style={{ left: x(rangeLow), width: width(rangeLow, rangeHigh) }}
+              />
+              {/* Ambitus */}
+              <span
+                className={`absolute top-1 h-1 rounded-full ${m.fit.fits ? 'bg-green-400' : 'bg-signal-amber'}`}
+                style={{ left: x(m.ambitus.low.semitones), width: width(m.ambitus.low.semitones, m.ambitus.high.semitones) }}
+              />
+              {/* Final and tenor */}
+              <span className="absolute inset-y-0 w-px bg-signal-orange" style={{ left: x(0) }} />
+              <span className="absolute inset-y-0 w-0.5 bg-purple-400" style={{ left: x(m.tenor.semitones) }} />
+            </span>
+            {m.fit.best && (
+              <span className="text-[8px] text-signal-orange shrink-0">best fit</span>
+            )}
+          </button>
+        ))}
+        <div className="flex gap-3 pl-1.5 pt-1 text-[8px] text-carbon-500">
+          <span><span className="inline-block w-2 h-2 bg-carbon-600 rounded-sm mr-1" />your range</span>
+          <span><span className="inline-block w-2 h-0.5 bg-green-400 mr-1 align-middle" />ambitus</span>
+          <span><span className="inline-block w-px h-2 bg-signal-orange mr-1" />final</span>
+          <span><span className="inline-block w-0.5 h-2 bg-purple-400 mr-1" />tenor</span>
+        </div>
+      </div>
+
+      {/* Selected mode */}
+      <div className="bg-carbon-900 rounded-lg p-3 border border-carbon-700 space-y-3">
+        <div>
+          <div className="text-xs text-carbon-200 font-semibold">{mode.label}</div>
+          <div className="text-[9px] text-carbon-500 mt-0.5">
+            {mode.maneria} {mode.type} — {mode.character.toLowerCase()}; {mode.use.toLowerCase()}
+          </div>
+        </div>
+
+        <div className="grid grid-cols-2 sm:grid-cols-4 gap-2 text-[10px]">
+          <div>
+            <div className="text-[9px] text-carbon-500 uppercase tracking-wider">Final</div>
+            <div className="text-signal-orange">{mode.final.name} · {mode.final.hzFormatted} Hz</div>
+          </div>
+          <div>
+            <div className="text-[9px] text-carbon-500 uppercase tracking-wider">Tenor</div>
+            <div className="text-purple-400">{mode.tenor.name} · {mode.tenor.hzFormatted} Hz</div>
+          </div>
+          <div>
+            <div className="text-[9px] text-carbon-500 uppercase tracking-wider">Ambitus</div>
+            <div className="text-carbon-300">
+              {mode.ambitus.low.name}–{mode.ambitus.high.name} · {mode.ambitus.low.hzFormatted}–{mode.ambitus.high.hzFormatted} Hz
+            </div>
+          </div>
+          <div>
+            <div className="text-[9px] text-carbon-500 uppercase tracking-wider">Fit</div>
+            <div className={mode.fit.fits ? 'text-green-400' : 'text-signal-amber'}>{mode.fit.summary}</div>
+          </div>
+        </div>
+
+        {/* Scale */}
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => toggle('scale', scaleNotes)}
+            className={`w-24 shrink-0 px-2 py-1 text-[10px] rounded border text-left transition-all
+              ${playing?.what === 'scale'
+                ? 'bg-amber-500/20 border-amber-400 text-amber-400'
+                : 'bg-carbon-800 border-carbon-600 text-carbon-400 hover:border-carbon-400'}`}
+          >
+            {playing?.what === 'scale' ? '■' : '▶'} Scale
+          </button>
+          <div className="flex flex-wrap gap-0.5">
+            {mode.scale.map((note, i) => (
+              <span
+                key={i}
+                className={`px-1 rounded text-[10px] transition-colors
+                  ${currentNote('scale', i) || currentNote('scale', scaleNotes.length - 1 - i)
+                    ? 'bg-signal-orange text-carbon-900'
+                    : note.index === mode.final.index
+                      ? 'text-signal-orange'
+                      : note.index === mode.tenor.index
+                        ? 'text-purple-400'
+                        : 'text-carbon-300'}`}
+              >
+                {note.name}
+              </span>
+            ))}
+          </div>
+        </div>
+
+        {/* Psalm tone */}
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => toggle('psalm', verseNotes)}
+            className={`w-24 shrink-0 px-2 py-1 text-[10px] rounded border text-left transition-all
+              ${playing?.what === 'psalm'
+                ? 'bg-amber-500/20 border-amber-400 text-amber-400'
+                : 'bg-carbon-800 border-carbon-600 text-carbon-400 hover:border-carbon-400'}`}
+            title="Psalm tone: intonation, recitation on the tenor, mediant, recitation, termination"
+          >
+            {playing?.what === 'psalm' ? '■' : '▶'} Psalm tone
+          </button>
+          <div className="flex flex-wrap items-center gap-0.5">
+            {verseNotes.map((note, i) => (
+              <span
+                key={i}
+                className={`px-1 rounded text-[10px] transition-colors
+                  ${currentNote('psalm', i)
+                    ? 'bg-signal-orange text-carbon-900'
+                    : note.part === 'tenor'
+                      ? 'text-purple-400'
+                      : 'text-carbon-300'}
+                  ${note.accent ? 'underline' : ''}
+                  ${i > 0 && note.part !== verseNotes[i - 1].part && note.part !== 'tenor' ? 'ml-1.5' : ''}`}
+                title={note.part}
+              >
+                {note.name}
+              </span>
+            ))}
+          </div>
+        </div>
+
+        {/* Tempo */}
+        <div className="flex items-center gap-2">
+          <span className="text-[9px] text-carbon-500 uppercase tracking-wider">Tempo</span>
+          <input
+            type="range"
+            min="50"
+            max="180"
+            step="5"
+            value={tempo}
+            onChange={(e) => setTempo(parseInt(e.target.value))}
+            className="flex-1 h-1.5 bg-carbon-700 rounded-full appearance-none cursor-pointer
+              [&::-webkit-slider-thumb]:appearance-none
+              [&::-webkit-slider-thumb]:w-3
+              [&::-webkit-slider-thumb]:h-3
+              [&::-webkit-slider-thumb]:rounded-full
+              [&::-webkit-slider-thumb]:bg-signal-orange
+              [&::-webkit-slider-thumb]:cursor-pointer"
+          />
+          <span className="text-[9px] text-carbon-400 w-16 text-right">{tempo} notes/min</span>
+        </div>
+      </div>
+    </div>
+  );
+}
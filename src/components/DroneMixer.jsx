@@ -8,13 +8,21 @@
  * - Svara / Solfege / Note label modes
  * - Scale mode (just intonation) + Chromatic mode (all 12 semitones)
  * - Rich preset library
+ * - Plucked tanpura with jawari alongside the sustained voices
  * - Historical context overlays (Pythagorean, Vedic, Gregorian, etc.)
  */
 
 import { useState, useRef, useEffect, useCallback } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { getAudioContext, getAudioState, isAudioReady, subscribeToAudioState, unlockAudioSync } from '../utils/mobileAudio';
+import { subscribeToAudioState, getAudioState } from '../utils/mobileAudio';
+import { unlockAudioEngine } from '../utils/audioEngine';
+import useEngineBus from '../hooks/useEngineBus';
+import { createTanpura, scheduleTanpura, TANPURA_DEFAULTS, TANPURA_FIRST_STRINGS } from '../utils/tanpura';
 import { AudioUnlockInline } from './AudioUnlockButton';
+import MidiExportButton from './MidiExportButton';
+import RenderToWav from './RenderToWav';
+import MixerPresets from './MixerPresets';
+import { droneToMidi } from '../engine/midi';
 
 // Historical context definitions
 const HISTORICAL_CONTEXTS = {
@@ -236,10 +244,8 @@ function Fader({ value, onChange, isActive, onToggle, label, subLabel, hz, cents
 }
 
 export default function DroneMixer({ scale = [], f0 = 165, initialContext = 'none' }) {
-  const audioContextRef = useRef(null);
-  const oscillatorsRef = useRef({});
-  const gainNodesRef = useRef({});
-  const masterGainRef = useRef(null);
+  const voicesRef = useRef({});
+  const tanpuraRef = useRef(null);
 
   // State
   const [isPlaying, setIsPlaying] = useState(false);
@@ -250,6 +256,11 @@ export default function DroneMixer({ scale = [], f0 = 165, initialContext = 'non
   const [waveType, setWaveType] = useState('sine');
   const [presetCategory, setPresetCategory] = useState('basic');
   const [historicalContext, setHistoricalContext] = useState(initialContext);
+  const [tanpuraOn, setTanpuraOn] = useState(false);
+  const [tanpura, setTanpura] = useState(() => {
+    const { firstString, cycleSeconds, jawari, detune } = TANPURA_DEFAULTS;
+    return { firstString, cycleSeconds, jawari, detune };
+  });
 
   // Get current context data
   const contextData = HISTORICAL_CONTEXTS[historicalContext] || HISTORICAL_CONTEXTS.none;
@@ -319,112 +330,97 @@ export default function DroneMixer({ scale = [], f0 = 165, initialContext = 'non
     return unsubscribe;
   }, [audioState]);
 
-  // Initialize audio context with mobile-friendly unlocking
+  const { busRef, initAudio: initBus } = useEngineBus('drone', {
+    volume: masterVolume,
+    onStopAll: () => {
+      voicesRef.current = {};
+      tanpuraRef.current?.stop({ release: 0 });
+      tanpuraRef.current = null;
+      setIsPlaying(false);
+      setAudioState('idle');
+    },
+    onNewBus: () => {
+      voicesRef.current = {};
+    }
+  });
+
+  // Initialize the shared audio engine and this mixer's bus
   const initAudio = useCallback(async () => {
     try {
       setAudioState('starting');
 
-      // Use shared audio context utility (handles mobile unlocking)
-      const ctx = await getAudioContext();
-
-      if (!ctx) {
-        setAudioState('error');
-        return null;
-      }
+      // Shared engine (handles mobile unlocking via mobileAudio)
+      const engine = await initBus();
 
-      // If context is suspended, it needs user interaction
-      // The AudioUnlockInline component will handle this
-      if (ctx.state === 'suspended') {
-        setAudioState('waiting');
-        return null;
-      }
-
-      // Store reference and set up master gain if needed
-      if (!audioContextRef.current || audioContextRef.current !== ctx) {
-        audioContextRef.current = ctx;
-        masterGainRef.current = ctx.createGain();
-        masterGainRef.current.gain.value = masterVolume;
-        masterGainRef.current.connect(ctx.destination);
-      }
-
-      setAudioState('running');
-      return ctx;
+      // No engine: no Web Audio, or a suspended context needs user
+      // interaction (the AudioUnlockInline component handles this)
+      setAudioState(engine ? 'running' : getAudioState() === 'suspended' ? 'waiting' : 'error');
+      return engine;
     } catch (err) {
       console.error('Audio init error:', err);
       setAudioState('error');
       return null;
     }
-  }, [masterVolume]);
+  }, [initBus]);
 
-  // Create oscillator
+  // Start a voice
   const createOscillator = useCallback((voiceId, freq, volume) => {
-    const ctx = audioContextRef.current;
-    if (!ctx) return;
-
-    // Stop existing
-    if (oscillatorsRef.current[voiceId]) {
-      try {
-        oscillatorsRef.current[voiceId].stop();
-        oscillatorsRef.current[voiceId].disconnect();
-      } catch (e) {}
-    }
+    const bus = busRef.current;
+    if (!bus) return;
 
-    const osc = ctx.createOscillator();
-    const gain = ctx.createGain();
+    // Replace existing
+    voicesRef.current[voiceId]?.stop({ release: 0.02 });
 
-    osc.type = waveType;
-    osc.frequency.value = freq;
-
-    // Smooth attack
-    gain.gain.value = 0;
-    gain.gain.linearRampToValueAtTime(volume * 0.25, ctx.currentTime + 0.08);
-
-    osc.connect(gain);
-    gain.connect(masterGainRef.current);
-    osc.start();
-
-    oscillatorsRef.current[voiceId] = osc;
-    gainNodesRef.current[voiceId] = gain;
-  }, [waveType]);
+    voicesRef.current[voiceId] = bus.createVoice({
+      frequency: freq,
+      type: waveType,
+      volume: volume * 0.25,
+      attack: 0.08
+    });
+  }, [waveType, busRef]);
 
-  // Stop oscillator
+  // Stop a voice
   const stopOscillator = useCallback((voiceId) => {
-    const ctx = audioContextRef.current;
-    const gain = gainNodesRef.current[voiceId];
-    const osc = oscillatorsRef.current[voiceId];
-
-    if (gain && ctx) {
-      gain.gain.linearRampToValueAtTime(0, ctx.currentTime + 0.08);
-      setTimeout(() => {
-        try {
-          if (osc) { osc.stop(); osc.disconnect(); }
-        } catch (e) {}
-        delete oscillatorsRef.current[voiceId];
-        delete gainNodesRef.current[voiceId];
-      }, 100);
-    }
+    const voice = voicesRef.current[voiceId];
+    if (!voice) return;
+    voice.stop({ release: 0.08 });
+    delete voicesRef.current[voiceId];
   }, []);
 
-  // Stop all oscillators
+  // Stop all voices
   const stopAll = useCallback(() => {
-    Object.keys(oscillatorsRef.current).forEach(id => stopOscillator(id));
+    Object.keys(voicesRef.current).forEach(id => stopOscillator(id));
   }, [stopOscillator]);
 
-  // Toggle play - CRITICAL: Must call unlockAudioSync FIRST for Safari
+  // Start / stop the plucked tanpura on this mixer's bus
+  const startTanpura = useCallback(() => {
+    if (!busRef.current) return;
+    tanpuraRef.current?.stop({ release: 0.3 });
+    tanpuraRef.current = createTanpura(busRef.current, { ...tanpura, f0 });
+    tanpuraRef.current.start();
+  }, [tanpura, f0, busRef]);
+
+  const stopTanpura = useCallback(() => {
+    tanpuraRef.current?.stop();
+    tanpuraRef.current = null;
+  }, []);
+
+  // Toggle play - CRITICAL: Must unlock synchronously FIRST for Safari
   const togglePlay = useCallback(() => {
     if (isPlaying) {
       stopAll();
+      stopTanpura();
       setIsPlaying(false);
       setAudioState('idle');
     } else {
-      // CRITICAL: Call sync unlock FIRST, in the direct click call stack
+      // CRITICAL: Sync unlock FIRST, in the direct click call stack
       // Safari requires resume() to be in the synchronous gesture chain
-      unlockAudioSync();
+      unlockAudioEngine();
 
       // Now we can do async stuff
       (async () => {
-        const ctx = await initAudio();
-        if (!ctx) {
+        const engine = await initAudio();
+        if (!engine) {
           console.error('Failed to initialize audio');
           return;
         }
@@ -432,12 +428,28 @@ export default function DroneMixer({ scale = [], f0 = 165, initialContext = 'non
           const freq = getFrequency(voiceId);
           createOscillator(voiceId, freq, volumes[voiceId]);
         });
+        if (tanpuraOn) startTanpura();
         setIsPlaying(true);
       })();
     }
-  }, [isPlaying, activeVoices, volumes, initAudio, getFrequency, createOscillator, stopAll]);
+  }, [isPlaying, activeVoices, volumes, initAudio, getFrequency, createOscillator, stopAll, tanpuraOn, startTanpura, stopTanpura]);
+
+  // Toggle the tanpura - CRITICAL: Must unlock synchronously FIRST for Safari
+  const toggleTanpura = useCallback(() => {
+    setTanpuraOn(!tanpuraOn);
+    if (!isPlaying) return;
+    if (tanpuraOn) {
+      stopTanpura();
+    } else {
+      unlockAudioEngine();
+      (async () => {
+        await initAudio();
+        startTanpura();
+      })();
+    }
+  }, [tanpuraOn, isPlaying, initAudio, startTanpura, stopTanpura]);
 
-  // Toggle voice - CRITICAL: Must call unlockAudioSync FIRST for Safari
+  // Toggle voice - CRITICAL: Must unlock synchronously FIRST for Safari
   const toggleVoice = useCallback((voiceId) => {
     const isCurrentlyActive = activeVoices.has(voiceId);
 
@@ -456,7 +468,7 @@ export default function DroneMixer({ scale = [], f0 = 165, initialContext = 'non
       });
       if (isPlaying) {
         // CRITICAL: Sync unlock first for Safari
-        unlockAudioSync();
+        unlockAudioEngine();
         (async () => {
           await initAudio();
           createOscillator(voiceId, getFrequency(voiceId), volumes[voiceId]);
@@ -469,10 +481,9 @@ export default function DroneMixer({ scale = [], f0 = 165, initialContext = 'non
   const updateVoiceVolume = useCallback((voiceId, value) => {
     setVolumes(prev => ({ ...prev, [voiceId]: value }));
 
-    const gain = gainNodesRef.current[voiceId];
-    const ctx = audioContextRef.current;
-    if (gain && ctx && activeVoices.has(voiceId)) {
-      gain.gain.linearRampToValueAtTime(value * 0.25, ctx.currentTime + 0.05);
+    const voice = voicesRef.current[voiceId];
+    if (voice && activeVoices.has(voiceId)) {
+      voice.setVolume(value * 0.25, { ramp: 0.05 });
     }
   }, [activeVoices, setVolumes]);
 
@@ -484,60 +495,90 @@ export default function DroneMixer({ scale = [], f0 = 165, initialContext = 'non
     setActiveVoices(newVoices);
 
     if (isPlaying) {
-      setTimeout(() => {
-        initAudio();
-        preset.voices.forEach(voiceId => {
-          createOscillator(voiceId, getFrequency(voiceId), volumes[voiceId]);
-        });
-      }, 120);
+      preset.voices.forEach(voiceId => {
+        createOscillator(voiceId, getFrequency(voiceId), volumes[voiceId]);
+      });
     }
-  }, [isPlaying, volumes, initAudio, getFrequency, createOscillator, stopAll, setActiveVoices]);
+  }, [isPlaying, volumes, getFrequency, createOscillator, stopAll, setActiveVoices]);
+
+  // Saved presets: everything but the context and labels
+  const presetSettings = {
+    mode,
+    waveType,
+    masterVolume,
+    scaleVoices: [...scaleActiveVoices],
+    scaleVolumes,
+    chromVoices: [...chromActiveVoices],
+    chromVolumes,
+    tanpuraOn,
+    tanpura
+  };
+
+  const loadSettings = useCallback((settings) => {
+    if (isPlaying) {
+      stopAll();
+      stopTanpura();
+      setIsPlaying(false);
+      setAudioState('idle');
+    }
+    setMode(settings.mode);
+    setWaveType(settings.waveType);
+    setMasterVolume(settings.masterVolume);
+    setScaleActiveVoices(new Set(settings.scaleVoices));
+    setScaleVolumes(settings.scaleVolumes);
+    setChromActiveVoices(new Set(settings.chromVoices));
+    setChromVolumes(settings.chromVolumes);
+    setTanpuraOn(settings.tanpuraOn);
+    setTanpura(settings.tanpura);
+  }, [isPlaying, stopAll, stopTanpura]);
 
   // Switch mode
   const switchMode = useCallback((newMode) => {
     if (isPlaying) stopAll();
     setMode(newMode);
     if (isPlaying) {
-      setTimeout(() => {
-        initAudio();
-        const voices = newMode === 'scale' ? scaleActiveVoices : chromActiveVoices;
-        const vols = newMode === 'scale' ? scaleVolumes : chromVolumes;
-        voices.forEach(voiceId => {
-          const freq = newMode === 'scale'
-            ? (scale.find(n => n.degree === voiceId)?.hz || f0)
-            : (f0 * CHROMATIC_INTERVALS[voiceId]?.ratio);
-          createOscillator(voiceId, freq, vols[voiceId]);
-        });
-      }, 120);
-    }
-  }, [isPlaying, scaleActiveVoices, chromActiveVoices, scaleVolumes, chromVolumes, scale, f0, initAudio, createOscillator, stopAll]);
-
-  // Update master volume
-  useEffect(() => {
-    if (masterGainRef.current && audioContextRef.current) {
-      masterGainRef.current.gain.linearRampToValueAtTime(
-        masterVolume,
-        audioContextRef.current.currentTime + 0.05
-      );
+      const voices = newMode === 'scale' ? scaleActiveVoices : chromActiveVoices;
+      const vols = newMode === 'scale' ? scaleVolumes : chromVolumes;
+      voices.forEach(voiceId => {
+        const freq = newMode === 'scale'
+          ? (scale.find(n => n.degree === voiceId)?.hz || f0)
+          : (f0 * CHROMATIC_INTERVALS[voiceId]?.ratio);
+        createOscillator(voiceId, freq, vols[voiceId]);
+      });
     }
-  }, [masterVolume]);
+  }, [isPlaying, scaleActiveVoices, chromActiveVoices, scaleVolumes, chromVolumes, scale, f0, createOscillator, stopAll]);
 
   // Update wave type
   useEffect(() => {
-    Object.values(oscillatorsRef.current).forEach(osc => {
-      if (osc) osc.type = waveType;
-    });
+    Object.values(voicesRef.current).forEach(voice => voice.setType(waveType));
   }, [waveType]);
 
-  // Cleanup oscillators (don't close shared audio context)
+  // Tanpura settings and Sa apply from the next pluck
   useEffect(() => {
-    return () => {
-      Object.values(oscillatorsRef.current).forEach(osc => {
-        try { osc.stop(); osc.disconnect(); } catch (e) {}
-      });
-    };
+    tanpuraRef.current?.set({ ...tanpura, f0 });
+  }, [tanpura, f0]);
+
+  // Stop the tanpura's plucks on unmount (the hook releases the bus)
+  useEffect(() => {
+    return () => tanpuraRef.current?.stop({ release: 0 });
   }, []);
 
+  // Rebuild the current drone on an offline engine for WAV rendering
+  const buildRenderPatch = (engine, duration) => {
+    const bus = engine.createBus('drone', { volume: masterVolume });
+    activeVoices.forEach(voiceId => {
+      bus.createVoice({
+        frequency: getFrequency(voiceId),
+        type: waveType,
+        volume: volumes[voiceId] * 0.25,
+        attack: 0
+      });
+    });
+    if (tanpuraOn) {
+      scheduleTanpura(bus, duration, { ...tanpura, f0 });
+    }
+  };
+
   const voices = mode === 'scale'
     ? scale.map(n => n.degree)
     : CHROMATIC_INTERVALS.map((_, i) => i);
@@ -730,6 +771,8 @@ export default function DroneMixer({ scale = [], f0 = 165, initialContext = 'non
         </div>
       </div>
 
+      <MixerPresets mixer="drone" settings={presetSettings} onLoad={loadSettings} />
+
       {/* Mixer faders */}
       <div className="bg-carbon-800 rounded-lg p-2 sm:p-3 mb-3 sm:mb-4">
         <div className={`flex justify-between gap-0 sm:gap-0.5 ${mode === 'chromatic' ? 'overflow-x-auto pb-2 -mx-1 px-1' : ''}`}>
@@ -757,6 +800,81 @@ export default function DroneMixer({ scale = [], f0 = 165, initialContext = 'non
         </div>
       </div>
 
+      {/* Tanpura */}
+      <div className="bg-carbon-800 rounded-lg p-2 sm:p-3 mb-3 sm:mb-4">
+        <div className="flex items-center justify-between">
+          <div>
+            <div className="text-[10px] text-carbon-400 uppercase tracking-wider">Tanpura</div>
+            <div className="text-[9px] text-carbon-500 mt-0.5">
+              {TANPURA_FIRST_STRINGS[tanpura.firstString].label} – Sa – Sa – low Sa, plucked in a cycle with jawari buzz
+            </div>
+          </div>
+          <button
+            onClick={toggleTanpura}
+            className={`
+              relative w-11 h-6 rounded-full transition-colors duration-200 shrink-0
+              ${tanpuraOn ? 'bg-signal-orange' : 'bg-carbon-700'}
+            `}
+          >
+            <motion.div
+              className="absolute top-1 left-1 w-4 h-4 bg-white rounded-full shadow-sm"
+              animate={{ x: tanpuraOn ? 20 : 0 }}
+              transition={{ type: 'spring', stiffness: 500, damping: 30 }}
+            />
+          </button>
+        </div>
+
+        {tanpuraOn && (
+          <div className="mt-3 grid grid-cols-1 sm:grid-cols-2 gap-x-4 gap-y-2">
+            <div className="flex items-center gap-2">
+              <span className="text-[9px] text-carbon-500 uppercase tracking-wider w-16">1st string</span>
+              <div className="flex gap-1">
+                {Object.entries(TANPURA_FIRST_STRINGS).map(([id, string]) => (
+                  <button
+                    key={id}
+                    onClick={() => setTanpura(prev => ({ ...prev, firstString: id }))}
+                    className={`
+                      px-2 py-0.5 text-[9px] rounded border transition-all
+                      ${tanpura.firstString === id
+                        ? 'bg-carbon-700 border-signal-orange text-signal-orange'
+                        : 'bg-carbon-800 border-carbon-700 text-carbon-400 hover:border-carbon-500'}
+                    `}
+                    title={string.description}
+                  >
+                    {string.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+            {[
+              { key: 'cycleSeconds', label: 'Cycle', min: 2.5, max: 8, step: 0.1, format: v => `${v.toFixed(1)} s` },
+              { key: 'jawari', label: 'Jawari', min: 0, max: 1, step: 0.05, format: v => `${Math.round(v * 100)}%` },
+              { key: 'detune', label: 'Detune', min: 0, max: 8, step: 0.5, format: v => `${v}¢` }
+            ].map(control => (
+              <div key={control.key} className="flex items-center gap-2">
+                <span className="text-[9px] text-carbon-500 uppercase tracking-wider w-16">{control.label}</span>
+                <input
+                  type="range"
+                  min={control.min}
+                  max={control.max}
+                  step={control.step}
+                  value={tanpura[control.key]}
+                  onChange={(e) => setTanpura(prev => ({ ...prev, [control.key]: parseFloat(e.target.value) }))}
+                  className="flex-1 h-1.5 bg-carbon-700 rounded-full appearance-none cursor-pointer
+                             [&::-webkit-slider-thumb]:appearance-none
+                             [&::-webkit-slider-thumb]:w-3
+                             [&::-webkit-slider-thumb]:h-3
+                             [&::-webkit-slider-thumb]:rounded-full
+                             [&::-webkit-slider-thumb]:bg-signal-orange
+                             [&::-webkit-slider-thumb]:cursor-pointer"
+                />
+                <span className="text-[9px] text-carbon-400 w-10 text-right">{control.format(tanpura[control.key])}</span>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
       {/* Bottom Controls Bar */}
       <div className="flex items-center justify-between gap-3 pt-3 border-t border-carbon-700">
         {/* Mode + Label toggle */}
@@ -804,7 +922,7 @@ export default function DroneMixer({ scale = [], f0 = 165, initialContext = 'non
           )}
         </div>
 
-        {/* Wave type */}
+        {/* Wave type + export */}
         <div className="flex gap-1">
           {WAVE_TYPES.map(wave => (
             <button
@@ -821,9 +939,28 @@ export default function DroneMixer({ scale = [], f0 = 165, initialContext = 'non
               {wave.label}
             </button>
           ))}
+          <MidiExportButton
+            filename={`vocal-prism-drone-${Math.round(f0)}hz.mid`}
+            disabled={activeVoices.size === 0}
+            build={() => droneToMidi(
+              Array.from(activeVoices).sort((a, b) => a - b).map(id => ({
+                hz: getFrequency(id),
+                volume: volumes[id],
+                label: String(getLabel(id))
+              })),
+              { title: `Vocal Prism drone — Sa ${f0} Hz` }
+            )}
+          />
         </div>
       </div>
 
+      <RenderToWav
+        buildPatch={buildRenderPatch}
+        filename={`vocal-prism-drone-${Math.round(f0)}hz`}
+        disabled={activeVoices.size === 0 && !tanpuraOn}
+        defaultMinutes={20}
+      />
+
       {/* Now playing indicator */}
       <AnimatePresence>
         {isPlaying && (
@@ -835,7 +972,10 @@ export default function DroneMixer({ scale = [], f0 = 165, initialContext = 'non
           >
             <div className="w-2 h-2 rounded-full bg-signal-orange animate-pulse" />
             <span className="text-[9px] text-carbon-400">
-              Playing: {Array.from(activeVoices).sort((a, b) => a - b).map(id => getLabel(id)).join(' + ')}
+              Playing: {[
+                ...Array.from(activeVoices).sort((a, b) => a - b).map(id => getLabel(id)),
+                ...(tanpuraOn ? ['Tanpura'] : [])
+              ].join(' + ')}
             </span>
           </motion.div>
         )}
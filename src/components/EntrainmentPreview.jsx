@@ -0,0 +1,111 @@
+/**
+ * EntrainmentPreview Component
+ * Two beat periods of an entrainment mode side by side: the waveform each
+ * ear receives, and its loudness envelope
+ *
+ * For binaural beats the envelopes are flat; the dashed line is the beat
+ * the brain builds from the two ears. For monaural and isochronic beats
+ * the swell is in the sound itself.
+ */
+
+import { useMemo } from 'react';
+import { entrainmentSignal, entrainmentEnvelope } from '../engine/entrainment';
+
+const WIDTH = 240;
+const ROW_HEIGHT = 36;
+const PERIODS = 2;
+
+// Enough points for ~10 per carrier cycle, within reason
+const MIN_POINTS = 400;
+const MAX_POINTS = 3000;
+
+function toPath(values, height, top) {
+  return values
+    .map((v, i) => `${i ? 'L' : 'M'}${((i / (values.length - 1)) * WIDTH).toFixed(1)},${(top + (1 - v) * height / 2).toFixed(1)}`)
+    .join('');
+}
+
+function envelopePath(values, height, top) {
+  return values
+    .map((v, i) => `${i ? 'L' : 'M'}${((i / (values.length - 1)) * WIDTH).toFixed(1)},${(top + (1 - v) * height).toFixed(1)}`)
+    .join('');
+}
+
+export default function EntrainmentPreview({ mode, left, right, carrier, beat, duty, shape, accentClass = 'text-signal-orange' }) {
+  const stereo = mode === 'binaural';
+  const rows = stereo ? 2 : 1;
+  const height = rows * ROW_HEIGHT;
+
+  const { wave, envelope } = useMemo(() => {
+    const span = PERIODS / Math.max(beat, 0.1);
+    const cycles = Math.max(left, right, carrier) * span;
+    const points = Math.round(Math.min(MAX_POINTS, Math.max(MIN_POINTS, cycles * 10)));
+    const options = { left, right, carrier, beat, duty, shape };
+
+    const signal = [];
+    const levels = [];
+    for (let i = 0; i < points; i++) {
+      const t = (i / (points - 1)) * span;
+      signal.push(entrainmentSignal(mode, t, options));
+      levels.push(entrainmentEnvelope(mode, t, options));
+    }
+    return { wave: signal, envelope: levels };
+  }, [mode, left, right, carrier, beat, duty, shape]);
+
+  const ears = stereo
+    ? [{ key: 'left', label: 'L', color: '#60a5fa' }, { key: 'right', label: 'R', color: '#f87171' }]
+    : [{ key: 'left', label: 'L = R', color: '#d4d4d4' }];
+
+  return (
+    <div className="grid grid-cols-2 gap-2">
+      <div className="bg-carbon-800 rounded p-2">
+        <div className="text-[9px] text-carbon-500 uppercase tracking-wider mb-1">Waveform</div>
+        <svg viewBox={`0 0 ${WIDTH} ${height}`} className="w-full" style={{ height: `${rows * 2.25}rem` }} preserveAspectRatio="none">
+          {ears.map((ear, row) => (
+            <g key={ear.key}>
+              <line x1="0" x2={WIDTH} y1={row * ROW_HEIGHT + ROW_HEIGHT / 2} y2={row * ROW_HEIGHT + ROW_HEIGHT / 2} stroke="#404040" strokeWidth="0.5" />
+              <path
+                d={toPath(wave.map(s => s[ear.key]), ROW_HEIGHT - 4, row * ROW_HEIGHT + 2)}
+                fill="none"
+                stroke={ear.color}
+                strokeWidth="0.6"
+                vectorEffect="non-scaling-stroke"
+              />
+              <text x="2" y={row * ROW_HEIGHT + 9} fontSize="8" fill={ear.color} fontFamily="monospace">{ear.label}</text>
+            </g>
+          ))}
+        </svg>
+      </div>
+
+      <div className="bg-carbon-800 rounded p-2">
+        <div className="text-[9px] text-carbon-500 uppercase tracking-wider mb-1">Envelope</div>
+        <svg viewBox={`0 0 ${WIDTH} ${height}`} className={`w-full ${accentClass}`} style={{ height: `${rows * 2.25}rem` }} preserveAspectRatio="none">
+          {ears.map((ear, row) => (
+            <g key={ear.key}>
+              <path
+                d={envelopePath(envelope.map(e => e[ear.key]), ROW_HEIGHT - 4, row * ROW_HEIGHT + 2)}
+                fill="none"
+                stroke={ear.color}
+                strokeWidth="1.2"
+                vectorEffect="non-scaling-stroke"
+              />
+              {stereo && (
+                <path
+                  d={envelopePath(envelope.map(e => e.perceived), ROW_HEIGHT - 4, row * ROW_HEIGHT + 2)}
+                  fill="none"
+                  stroke="currentColor"
+                  strokeWidth="1"
+                  strokeDasharray="3,2"
+                  vectorEffect="non-scaling-stroke"
+                />
+              )}
+            </g>
+          ))}
+        </svg>
+        <div className="text-[9px] text-carbon-500 mt-1">
+          {stereo ? 'Steady in each ear; dashed = beat heard in the head' : `${PERIODS} beats at ${beat.toFixed(1)} Hz`}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,297 @@
+/**
+ * GamakaPlayer Component
+ * Audition meend, andolan, kan and gamakas on the user's shruti scale
+ *
+ * The ornament's contour (engine/ornaments) is played as detune automation
+ * on a single voice, so the pitch moves continuously instead of stepping
+ * between tones. Neighbouring svaras come from the selected raga.
+ */
+
+import { useState, useRef, useEffect } from 'react';
+import { unlockAudioEngine } from '../utils/audioEngine';
+import useEngineBus from '../hooks/useEngineBus';
+import { SVARA_SHRUTIS } from '../engine/ragas';
+import {
+  ornamentContour,
+  neighbours,
+  ORNAMENTS,
+  ORNAMENT_DEFAULTS,
+  ORNAMENT_EXAMPLES,
+  MEEND_CURVES
+} from '../engine/ornaments';
+
+// Svaras used for neighbours when no raga is selected (the shuddha svaras)
+const DEFAULT_SHRUTIS = ['S', 'R', 'G', 'm', 'P', 'D', 'N'].map(svara => SVARA_SHRUTIS[svara]);
+
+/**
+ * Play a contour on a bus as one gliding voice
+ * @returns {object} The voice
+ */
+function playContour(bus, f0, contour, when) {
+  const base = contour[0].cents;
+  const duration = contour[contour.length - 1].t;
+
+  const voice = bus.createVoice({
+    frequency: f0 * Math.pow(2, base / 1200),
+    type: 'triangle',
+    when,
+    envelope: (g, t) => {
+      g.setValueAtTime(0, t);
+      g.linearRampToValueAtTime(0.35, t + 0.06);
+    },
+    duration,
+    release: 0.15
+  });
+
+  const detune = voice.osc.detune;
+  detune.setValueAtTime(0, when);
+  contour.forEach(point => {
+    detune.linearRampToValueAtTime(point.cents - base, when + point.t);
+  });
+
+  return voice;
+}
+
+export default function GamakaPlayer({ scale, f0 = 165, raga = null, ragas = {}, onSelectRaga }) {
+  const voiceRef = useRef(null);
+  const timerRef = useRef(null);
+
+  const [type, setType] = useState('andolan');
+  const [on, setOn] = useState(6);
+  const [to, setTo] = useState(5);
+  const [curve, setCurve] = useState(ORNAMENT_DEFAULTS.curve);
+  const [depth, setDepth] = useState(ORNAMENT_DEFAULTS.depth);
+  const [rates, setRates] = useState({ andolan: ORNAMENTS.andolan.rate.default, kampita: ORNAMENTS.kampita.rate.default });
+  const [duration, setDuration] = useState(ORNAMENT_DEFAULTS.duration);
+  const [isPlaying, setIsPlaying] = useState(false);
+
+  const { busRef, initAudio } = useEngineBus('gamaka', {
+    volume: 0.5,
+    onStopAll: () => {
+      if (timerRef.current) clearTimeout(timerRef.current);
+      voiceRef.current = null;
+      setIsPlaying(false);
+    },
+    onNewBus: () => {
+      voiceRef.current = null;
+    }
+  });
+
+  const centsOf = (shruti) => scale.find(s => s.shruti === shruti)?.cents ?? 0;
+
+  // Contour for a set of settings, on a raga's svaras
+  const buildContour = (settings, ragaForNeighbours) => {
+    // Sa' is left out: neighbours() already wraps the octave
+    const shrutis = (ragaForNeighbours?.shrutis || DEFAULT_SHRUTIS).filter(n => n <= 22);
+    const cents = centsOf(settings.on);
+    return ornamentContour(settings.type, {
+      ...settings,
+      cents,
+      target: centsOf(settings.to),
+      ...neighbours(cents, shrutis.map(centsOf))
+    });
+  };
+
+  // Svaras to choose from: the raga's, or all 22 shrutis
+  const choices = scale.filter(s => (raga ? raga.shrutis.includes(s.shruti) : true));
+
+  // A svara the selected raga leaves out plays as its nearest svara
+  const nearestChoice = (shruti) => {
+    if (choices.some(s => s.shruti === shruti)) return shruti;
+    const cents = centsOf(shruti);
+    return choices.reduce((best, s) => (Math.abs(s.cents - cents) < Math.abs(best.cents - cents) ? s : best)).shruti;
+  };
+
+  const settings = { type, on: nearestChoice(on), to: nearestChoice(to), curve, depth, rate: rates[type], duration };
+  const contour = buildContour(settings, raga);
+
+  const stop = () => {
+    if (timerRef.current) clearTimeout(timerRef.current);
+    voiceRef.current?.stop({ release: 0.1 });
+    voiceRef.current = null;
+    setIsPlaying(false);
+  };
+
+  const play = async (points) => {
+    unlockAudioEngine();
+    const engine = await initAudio();
+    if (!engine) return;
+
+    voiceRef.current?.stop({ release: 0.05 });
+    if (timerRef.current) clearTimeout(timerRef.current);
+
+    voiceRef.current = playContour(busRef.current, f0, points, engine.now() + 0.03);
+    setIsPlaying(true);
+    timerRef.current = setTimeout(() => setIsPlaying(false), points[points.length - 1].t * 1000 + 100);
+  };
+
+  // Load an example's settings, select its raga and play it
+  const playExample = (example) => {
+    const next = {
+      type: example.type,
+      on: example.on,
+      to: example.to ?? example.on,
+      curve: example.curve ?? curve,
+      depth: example.depth ?? depth,
+      rate: example.rate ?? rates[example.type],
+      duration: example.duration
+    };
+    setType(next.type);
+    setOn(next.on);
+    setTo(next.to);
+    setCurve(next.curve);
+    setDepth(next.depth);
+    if (next.rate !== undefined) setRates(prev => ({ ...prev, [next.type]: next.rate }));
+    setDuration(next.duration);
+    onSelectRaga?.(example.raga);
+    play(buildContour(next, ragas[example.raga]));
+  };
+
+  // Cleanup: a pending end-of-contour timer
+  useEffect(() => {
+    return () => {
+      if (timerRef.current) clearTimeout(timerRef.current);
+    };
+  }, []);
+
+  const { needs, rate: rateRange } = ORNAMENTS[type];
+
+  // Contour plot
+  const plotWidth = 300;
+  const plotHeight = 60;
+  const allCents = contour.map(p => p.cents);
+  const minCents = Math.min(...allCents) - 20;
+  const maxCents = Math.max(...allCents) + 20;
+  const plotPoints = contour.map(p => {
+    const x = (p.t / contour[contour.length - 1].t) * plotWidth;
+    const y = plotHeight - ((p.cents - minCents) / (maxCents - minCents)) * plotHeight;
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  }).join(' ');
+
+  const svaraSelect = (value, onChange) => (
+    <select
+      value={value}
+      onChange={(e) => onChange(parseInt(e.target.value))}
+      className="bg-carbon-800 border border-carbon-700 rounded px-1.5 py-0.5 text-[10px] text-carbon-300"
+    >
+      {choices.map(s => (
+        <option key={s.shruti} value={s.shruti}>{s.svara} ({s.cents}¢)</option>
+      ))}
+    </select>
+  );
+
+  const slider = (label, value, onChange, { min, max, step, format }) => (
+    <div className="flex items-center gap-2">
+      <span className="text-[9px] text-carbon-500 uppercase tracking-wider w-14">{label}</span>
+      <input
+        type="range"
+        min={min}
+        max={max}
+        step={step}
+        value={value}
+        onChange={(e) => onChange(parseFloat(e.target.value))}
+        className="flex-1 h-1.5 bg-carbon-700 rounded-full appearance-none cursor-pointer
+          [&::-webkit-slider-thumb]:appearance-none
+          [&::-webkit-slider-thumb]:w-3
+          [&::-webkit-slider-thumb]:h-3
+          [&::-webkit-slider-thumb]:rounded-full
+          [&::-webkit-slider-thumb]:bg-signal-orange
+          [&::-webkit-slider-thumb]:cursor-pointer"
+      />
+      <span className="text-[9px] text-carbon-400 w-12 text-right">{format(value)}</span>
+    </div>
+  );
+
+  return (
+    <div className="bg-carbon-900 rounded-lg p-3 border border-carbon-700 space-y-3">
+      <div className="flex items-center justify-between">
+        <div>
+          <div className="text-xs text-carbon-200 font-semibold">Ornaments</div>
+          <div className="text-[9px] text-carbon-500 mt-0.5">{ORNAMENTS[type].description}</div>
+        </div>
+        <button
+          onClick={() => (isPlaying ? stop() : play(contour))}
+          className={`shrink-0 px-3 py-1 text-[10px] rounded border transition-all
+            ${isPlaying
+              ? 'bg-amber-500/20 border-amber-400 text-amber-400'
+              : 'bg-carbon-800 border-carbon-600 text-carbon-400 hover:border-carbon-400'}`}
+        >
+          {isPlaying ? '■ Stop' : `▶ ${ORNAMENTS[type].name}`}
+        </button>
+      </div>
+
+      {/* Ornament type */}
+      <div className="flex flex-wrap gap-1">
+        {Object.entries(ORNAMENTS).map(([id, ornament]) => (
+          <button
+            key={id}
+            onClick={() => setType(id)}
+            className={`px-2 py-1 text-[10px] rounded border transition-all
+              ${type === id
+                ? 'bg-carbon-700 border-signal-orange text-signal-orange'
+                : 'bg-carbon-800 border-carbon-700 text-carbon-400 hover:border-carbon-500'}`}
+            title={ornament.description}
+          >
+            {ornament.name}
+          </button>
+        ))}
+      </div>
+
+      {/* Svaras and shape */}
+      <div className="space-y-1.5">
+        <div className="flex flex-wrap items-center gap-2 text-[10px] text-carbon-500">
+          <span>on</span>
+          {svaraSelect(settings.on, setOn)}
+          {needs.includes('target') && (
+            <>
+              <span>{type === 'kan' ? 'grace' : 'to'}</span>
+              {svaraSelect(settings.to, setTo)}
+            </>
+          )}
+          {type === 'meend' && (
+            <div className="flex gap-0.5">
+              {Object.entries(MEEND_CURVES).map(([id, c]) => (
+                <button
+                  key={id}
+                  onClick={() => setCurve(id)}
+                  className={`px-1.5 py-0.5 text-[9px] rounded border transition-all
+                    ${curve === id
+                      ? 'bg-carbon-700 border-signal-coral text-signal-coral'
+                      : 'bg-carbon-800 border-carbon-700 text-carbon-400'}`}
+                >
+                  {c.name}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+        {needs.includes('depth') && slider('Depth', depth, setDepth, { min: 5, max: 80, step: 1, format: v => `${v}¢` })}
+        {rateRange && slider('Rate', rates[type], (v) => setRates(prev => ({ ...prev, [type]: v })), {
+          min: rateRange.min, max: rateRange.max, step: 0.05, format: v => `${v.toFixed(1)} Hz`
+        })}
+        {slider('Length', duration, setDuration, { min: 0.5, max: 6, step: 0.25, format: v => `${v} s` })}
+      </div>
+
+      {/* Contour */}
+      <svg viewBox={`0 0 ${plotWidth} ${plotHeight}`} className="w-full h-14 bg-carbon-800 rounded" preserveAspectRatio="none">
+        <polyline points={plotPoints} fill="none" stroke="currentColor" strokeWidth="1.5" className="text-signal-orange" vectorEffect="non-scaling-stroke" />
+      </svg>
+
+      {/* Examples */}
+      <div>
+        <div className="text-[9px] text-carbon-500 uppercase tracking-wider mb-1">Hear it in a raga</div>
+        <div className="flex flex-wrap gap-1">
+          {ORNAMENT_EXAMPLES.map(example => (
+            <button
+              key={example.id}
+              onClick={() => playExample(example)}
+              className="px-2 py-1 text-[9px] rounded border bg-carbon-800 border-carbon-700 text-carbon-400 hover:border-carbon-500 transition-all"
+            >
+              ▶ {example.name}
+            </button>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,167 @@
+/**
+ * IntonationMeter Component
+ * Live tuner against the personalized just scale
+ *
+ * Listens to the mic, snaps the sung pitch to the nearest degree of the
+ * user's scale (or the 22 shrutis) and shows the deviation in cents from
+ * the just target and from the nearest 12-TET pitch side by side.
+ */
+
+import { useState } from 'react';
+import { motion } from 'framer-motion';
+import usePitchTracker from '../hooks/usePitchTracker';
+import { snapToScale, getIntonationZone } from '../engine/intonation';
+import { formatHz, formatCents } from '../engine/pitchUtils';
+
+// Needle range in cents either side of the target
+const METER_RANGE = 50;
+
+const TARGET_SETS = [
+  { id: 'scale', label: 'Your Scale', desc: '8 svaras' },
+  { id: 'shruti', label: '22 Shrutis', desc: 'Microtonal positions' }
+];
+
+const ZONE_COLORS = {
+  'in-tune': { text: 'text-green-400', bg: 'bg-green-400' },
+  close: { text: 'text-signal-amber', bg: 'bg-signal-amber' },
+  off: { text: 'text-signal-orange', bg: 'bg-signal-orange' }
+};
+
+/**
+ * Horizontal cents meter with a centered target line
+ */
+function CentsMeter({ label, cents, sublabel }) {
+  const hasValue = typeof cents === 'number';
+  const clamped = hasValue ? Math.max(-METER_RANGE, Math.min(METER_RANGE, cents)) : 0;
+  const zone = hasValue ? getIntonationZone(cents) : null;
+  const colors = zone ? ZONE_COLORS[zone] : null;
+
+  return (
+    <div>
+      <div className="flex items-baseline justify-between mb-1">
+        <span className="text-[9px] text-carbon-500 uppercase tracking-wider">{label}</span>
+        <span className={`text-sm font-bold ${colors ? colors.text : 'text-carbon-600'}`}>
+          {hasValue ? formatCents(cents) : '—'}
+        </span>
+      </div>
+      <div className="relative h-3 bg-carbon-800 rounded-full overflow-hidden">
+        {/* ±5¢ in-tune window */}
+        <div
+          className="absolute inset-y-0 bg-green-500/20"
+          style={{ left: `${50 - (5 / METER_RANGE) * 50}%`, right: `${50 - (5 / METER_RANGE) * 50}%` }}
+        />
+        <div className="absolute inset-y-0 left-1/2 w-px bg-carbon-500" />
+        {hasValue && (
+          <motion.div
+            className={`absolute top-0 bottom-0 w-1 rounded-full ${colors.bg}`}
+            animate={{ left: `calc(${50 + (clamped / METER_RANGE) * 50}% - 2px)` }}
+            transition={{ type: 'spring', stiffness: 300, damping: 30 }}
+          />
+        )}
+      </div>
+      <div className="flex justify-between text-[8px] text-carbon-600 mt-0.5">
+        <span>-{METER_RANGE}¢ flat</span>
+        {sublabel && <span className="text-carbon-500">{sublabel}</span>}
+        <span>sharp +{METER_RANGE}¢</span>
+      </div>
+    </div>
+  );
+}
+
+export default function IntonationMeter({ f0, scale, shrutiScale, scaleLabel = '5-Limit Just Intonation', a4 }) {
+  const [targetSet, setTargetSet] = useState('scale');
+  const { isListening, pitch, error, start, stop } = usePitchTracker();
+
+  const targets = targetSet === 'shruti' && shrutiScale ? shrutiScale : scale;
+  const snapped = pitch ? snapToScale(pitch, f0, targets, a4) : null;
+  const targetName = snapped
+    ? (snapped.target.svara || snapped.target.name)
+    : null;
+
+  return (
+    <div className="bg-carbon-900 rounded-lg p-4 text-white font-mono">
+      {/* Header */}
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h3 className="text-carbon-200 font-semibold flex items-center gap-2">
+            <span>🎯</span>
+            Intonation Meter
+          </h3>
+          <p className="text-[10px] text-carbon-500 mt-0.5">
+            Sing any svara — see how close you are to your scale
+          </p>
+        </div>
+        <button
+          onClick={isListening ? stop : start}
+          className={`
+            px-4 py-2 rounded flex items-center gap-2
+            transition-all duration-200 border font-bold text-sm
+            ${isListening
+              ? 'bg-signal-orange/20 border-signal-orange text-signal-orange'
+              : 'bg-carbon-800 border-carbon-600 text-carbon-400 hover:border-carbon-400'}
+          `}
+        >
+          {isListening ? '■ STOP' : '🎤 LISTEN'}
+        </button>
+      </div>
+
+      {error && (
+        <div className="mb-3 px-3 py-2 rounded-lg bg-signal-amber/10 border border-signal-amber/30 text-signal-amber text-xs">
+          {error}
+        </div>
+      )}
+
+      {/* Target set selector */}
+      <div className="grid grid-cols-2 gap-1.5 mb-4">
+        {TARGET_SETS.map(set => (
+          <button
+            key={set.id}
+            onClick={() => setTargetSet(set.id)}
+            disabled={set.id === 'shruti' && !shrutiScale}
+            className={`px-3 py-2 text-xs rounded border transition-all disabled:opacity-40
+              ${targetSet === set.id
+                ? 'bg-signal-orange/20 border-signal-orange text-signal-orange'
+                : 'bg-carbon-800 border-carbon-700 text-carbon-400 hover:border-carbon-500'}`}
+          >
+            <div className="font-medium">{set.label}</div>
+            <div className="text-[9px] opacity-70">{set.id === 'scale' ? scaleLabel : set.desc}</div>
+          </button>
+        ))}
+      </div>
+
+      {/* Readout */}
+      <div className="bg-carbon-800 rounded-lg p-4 mb-4 text-center">
+        <div className="text-[9px] text-carbon-500 uppercase tracking-wider">Nearest degree</div>
+        <div className="text-2xl font-bold text-carbon-100 mt-1">
+          {targetName || (isListening ? '…' : '—')}
+        </div>
+        <div className="text-[10px] text-carbon-400 mt-1 space-x-3">
+          <span>You: {pitch ? `${formatHz(pitch)} Hz` : '—'}</span>
+          <span>Target: {snapped ? `${formatHz(snapped.targetHz)} Hz` : '—'}</span>
+        </div>
+      </div>
+
+      {/* Meters */}
+      <div className="space-y-4">
+        <CentsMeter
+          label="vs Scale Target"
+          cents={snapped?.centsFromJust}
+          sublabel={snapped ? `${targetName}` : null}
+        />
+        <CentsMeter
+          label="vs 12-TET"
+          cents={snapped?.centsFromET}
+          sublabel={snapped ? snapped.etNote : null}
+        />
+      </div>
+
+      {/* Explanation of the gap */}
+      {snapped && Math.abs(snapped.justVsET) >= 1 && (
+        <p className="text-[10px] text-carbon-500 mt-4">
+          Your {targetName} sits {formatCents(snapped.justVsET)} from {snapped.targetEtNote} in equal temperament —
+          singing it in tune here <em>means</em> disagreeing with the piano.
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,32 @@
+/**
+ * MidiExportButton Component
+ * Downloads a Standard MIDI File built on click
+ */
+
+import { downloadFile } from '../utils/download';
+
+const VARIANTS = {
+  dark: 'bg-carbon-800 border-carbon-700 text-carbon-400 hover:border-carbon-500',
+  light: 'bg-white border-carbon-200 text-carbon-600 hover:border-carbon-400'
+};
+
+/**
+ * @param {function} build - Returns the file bytes (Uint8Array)
+ * @param {string} filename - Download name, ending in .mid
+ */
+export default function MidiExportButton({ build, filename, label = '⤓ MIDI', title, disabled = false, variant = 'dark' }) {
+  const handleClick = () => {
+    downloadFile(filename, build(), 'audio/midi');
+  };
+
+  return (
+    <button
+      onClick={handleClick}
+      disabled={disabled}
+      title={title || 'Export as a MIDI file with pitch-bend for exact tuning'}
+      className={`px-2 py-1 text-[9px] sm:text-[10px] font-medium rounded border transition-all disabled:opacity-40 ${VARIANTS[variant]}`}
+    >
+      {label}
+    </button>
+  );
+}
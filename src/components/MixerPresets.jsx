@@ -0,0 +1,74 @@
+/**
+ * MixerPresets Component
+ * Save a mixer's settings to the active voice profile and load them back
+ *
+ * Each mixer passes its settings as a plain object and applies a loaded
+ * one itself; presets are kept per mixer. Hidden without an active profile.
+ */
+
+import { useState } from 'react';
+import useProfiles from '../hooks/useProfiles';
+import { saveMixerPreset, removeMixerPreset } from '../utils/profileStorage';
+
+export default function MixerPresets({ mixer, settings, onLoad }) {
+  const { active } = useProfiles();
+  const [name, setName] = useState('');
+
+  if (!active) return null;
+
+  const presets = active.mixerPresets.filter(p => p.mixer === mixer);
+
+  const save = (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    saveMixerPreset(active.id, { mixer, name: name.trim(), settings })
+      .catch(err => console.warn('Could not save the preset:', err));
+    setName('');
+  };
+
+  const remove = (preset) => {
+    removeMixerPreset(active.id, preset.id)
+      .catch(err => console.warn('Could not delete the preset:', err));
+  };
+
+  return (
+    <div className="flex items-center gap-2 flex-wrap mb-3">
+      <span className="text-[9px] text-carbon-500 uppercase tracking-wider">
+        {active.name}:
+      </span>
+      {presets.map(preset => (
+        <span key={preset.id} className="inline-flex items-center rounded border border-carbon-700 bg-carbon-800">
+          <button
+            onClick={() => onLoad(preset.settings)}
+            className="px-2 py-0.5 text-[9px] text-carbon-300 hover:text-signal-orange transition-colors"
+            title={`Load "${preset.name}" (saved ${new Date(preset.createdAt).toLocaleDateString()})`}
+          >
+            {preset.name}
+          </button>
+          <button
+            onClick={() => remove(preset)}
+            className="pr-1.5 text-[9px] text-carbon-600 hover:text-signal-coral transition-colors"
+            title="Delete preset"
+          >
+            ×
+          </button>
+        </span>
+      ))}
+      <form onSubmit={save} className="flex items-center gap-1">
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Preset name"
+          className="w-24 px-1.5 py-0.5 text-[9px] bg-carbon-800 border border-carbon-700 rounded text-carbon-200 placeholder:text-carbon-600 focus:outline-none focus:border-carbon-500"
+        />
+        <button
+          type="submit"
+          disabled={!name.trim()}
+          className="px-2 py-0.5 text-[9px] rounded border border-carbon-700 text-carbon-400 hover:border-carbon-500 disabled:opacity-40 transition-colors"
+        >
+          Save
+        </button>
+      </form>
+    </div>
+  );
+}
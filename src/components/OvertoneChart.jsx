@@ -3,12 +3,16 @@
  * Visual representation of the overtone series
  * Extended to support 16 harmonics with toggle
  * NOW WITH AUDIO - click any harmonic to hear it!
+ *
+ * `measured` partials (from SampleAnalyzer) are marked against the harmonic
+ * each sits nearest, with their deviation in cents.
  */
 
 import { useState } from 'react';
 import { playTone, playHarmonicSeries, stopAllTones } from '../utils/playTone';
+import { formatHz, formatCents } from '../engine/pitchUtils';
 
-export default function OvertoneChart({ overtones, maxHarmonics = 16 }) {
+export default function OvertoneChart({ overtones, maxHarmonics = 16, measured = null }) {
   const [showExtended, setShowExtended] = useState(false);
   const [viewMode, setViewMode] = useState('chart'); // 'chart' or 'table'
   const [playingHarmonic, setPlayingHarmonic] = useState(null);
@@ -49,6 +53,11 @@ export default function OvertoneChart({ overtones, maxHarmonics = 16 }) {
   // Harmonics that are notably "out of tune" with 12-TET
   const outOfTuneHarmonics = [7, 11, 13, 14];
 
+  // The strongest measured partial nearest each harmonic
+  const measuredFor = (harmonic) => (measured || [])
+    .filter(p => p.harmonic === harmonic)
+    .reduce((best, p) => (!best || p.db > best.db ? p : best), null);
+
   // Chart dimensions
   const chartHeight = 160;
   const chartWidth = displayCount * 45 + 80;
@@ -193,6 +202,11 @@ export default function OvertoneChart({ overtones, maxHarmonics = 16 }) {
               const isOutOfTune = outOfTuneHarmonics.includes(overtone.harmonic);
               const barColor = isOutOfTune ? '#f59e0b' : '#f97316';
               const isPlaying = playingHarmonic === overtone.harmonic;
+              const partial = measuredFor(overtone.harmonic);
+              const partialY = partial && bottomY - Math.min(
+                Math.max(((partial.hz - minHz) / (maxHz - minHz)) * barAreaHeight, 4),
+                barAreaHeight + 10
+              );
 
               return (
                 <g
@@ -252,6 +266,33 @@ export default function OvertoneChart({ overtones, maxHarmonics = 16 }) {
                   >
                     H{overtone.harmonic}
                   </text>
+
+                  {/* Measured partial and its deviation */}
+                  {partial && (
+                    <>
+                      <line
+                        x1={barX - 3}
+                        x2={barX + barWidth + 3}
+                        y1={partialY}
+                        y2={partialY}
+                        stroke="#1A1A1A"
+                        strokeWidth="2"
+                        opacity={Math.max(0.3, partial.amplitude)}
+                      >
+                        <title>{`Measured ${formatHz(partial.hz)} Hz, ${formatCents(partial.cents)}, ${Math.round(partial.db)} dB`}</title>
+                      </line>
+                      <text
+                        x={barX + barWidth / 2}
+                        y={bottomY + 28}
+                        textAnchor="middle"
+                        fontSize="8"
+                        fill={Math.abs(partial.cents) < 10 ? '#64748b' : '#f59e0b'}
+                        fontFamily="monospace"
+                      >
+                        {formatCents(partial.cents)}
+                      </text>
+                    </>
+                  )}
                 </g>
               );
             })}
@@ -298,6 +339,11 @@ export default function OvertoneChart({ overtones, maxHarmonics = 16 }) {
                 {overtone.note && (
                   <div className="text-[9px] text-signal-amber mt-1">{overtone.note}</div>
                 )}
+                {measuredFor(overtone.harmonic) && (
+                  <div className="text-[9px] font-mono text-carbon-600 mt-1">
+                    Measured {formatHz(measuredFor(overtone.harmonic).hz)} Hz · {formatCents(measuredFor(overtone.harmonic).cents)}
+                  </div>
+                )}
               </button>
             );
           })}
@@ -314,6 +360,12 @@ export default function OvertoneChart({ overtones, maxHarmonics = 16 }) {
           <div className="w-3 h-3 bg-signal-amber rounded" />
           <span>"Out of tune" harmonics (7, 11, 13, 14)</span>
         </div>
+        {measured && (
+          <div className="flex items-center gap-1">
+            <div className="w-3 h-0.5 bg-carbon-900" />
+            <span>Measured partial (¢ from the harmonic)</span>
+          </div>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,340 @@
+/**
+ * OvertoneTrainer Component
+ * Live spectrogram of the mic with gridlines at each harmonic of f0, the
+ * harmonic the singer is reinforcing right now, and guided exercises
+ * scored on how cleanly each target partial stands out
+ *
+ * Sing a steady drone on Sa and shape the vowel: the reinforced harmonic
+ * shows as a bright line on its gridline. An optional sine drone on Sa
+ * helps hold the pitch; being a sine it adds nothing above H1.
+ */
+
+import { useState, useRef, useEffect, useCallback } from 'react';
+import usePitchTracker from '../hooks/usePitchTracker';
+import {
+  harmonicLevels,
+  findEmphasizedHarmonic,
+  frameScore,
+  exerciseStepAt,
+  exerciseDuration,
+  summarizeExercise,
+  getOvertoneExercise,
+  OVERTONE_EXERCISES,
+  OVERTONE_DEFAULTS
+} from '../engine/overtoneSinging';
+import { formatHz } from '../engine/pitchUtils';
+import { unlockAudioEngine } from '../utils/audioEngine';
+import useEngineBus from '../hooks/useEngineBus';
+
+// Spectrum analyser size: ~6 Hz bins at 48 kHz
+const SPECTRUM_SIZE = 8192;
+
+// Spectrogram canvas (pixels) and columns drawn per frame
+const CANVAS_WIDTH = 480;
+const CANVAS_HEIGHT = 200;
+const COLUMN_WIDTH = 2;
+
+// dB range of the colour map (getFloatFrequencyData is in dBFS)
+const FLOOR_DB = -100;
+const CEILING_DB = -30;
+
+// The view reaches just above the top harmonic
+const VIEW_HARMONICS = OVERTONE_DEFAULTS.maxHarmonic + 1;
+
+// Carbon → signal orange → cream
+function dbToColor(db) {
+  const t = Math.min(1, Math.max(0, (db - FLOOR_DB) / (CEILING_DB - FLOOR_DB)));
+  const mix = (a, b, x) => Math.round(a + (b - a) * x);
+  if (t < 0.6) {
+    const x = t / 0.6;
+    return `rgb(${mix(26, 255, x)},${mix(26, 107, x)},${mix(26, 53, x)})`;
+  }
+  const x = (t - 0.6) / 0.4;
+  return `rgb(255,${mix(107, 240, x)},${mix(53, 220, x)})`;
+}
+
+export default function OvertoneTrainer({ f0 = 165 }) {
+  const canvasRef = useRef(null);
+  const sessionRef = useRef(null); // { exercise, start, frames }
+  const droneRef = useRef(null);
+
+  const [exerciseId, setExerciseId] = useState(OVERTONE_EXERCISES[0].id);
+  const [live, setLive] = useState(null); // { levels, emphasized }
+  const [progress, setProgress] = useState(null); // { index, elapsed }
+  const [result, setResult] = useState(null);
+  const [droneOn, setDroneOn] = useState(false);
+
+  const exercise = getOvertoneExercise(exerciseId);
+  const maxHz = f0 * VIEW_HARMONICS;
+
+  // Scroll the spectrogram one column and paint the newest spectrum
+  const drawColumn = useCallback((spectrum, sampleRate) => {
+    const canvas = canvasRef.current;
+    const ctx = canvas?.getContext('2d');
+    if (!ctx) return;
+
+    ctx.drawImage(canvas, -COLUMN_WIDTH, 0);
+    const binHz = sampleRate / (2 * spectrum.length);
+    for (let y = 0; y < CANVAS_HEIGHT; y++) {
+      const high = Math.ceil((maxHz * (1 - y / CANVAS_HEIGHT)) / binHz);
+      const low = Math.floor((maxHz * (1 - (y + 1) / CANVAS_HEIGHT)) / binHz);
+      let db = -Infinity;
+      for (let k = Math.max(0, low); k <= Math.min(spectrum.length - 1, high); k++) db = Math.max(db, spectrum[k]);
+      ctx.fillStyle = dbToColor(db);
+      ctx.fillRect(CANVAS_WIDTH - COLUMN_WIDTH, y, COLUMN_WIDTH, 1);
+    }
+  }, [maxHz]);
+
+  const handleFrame = useCallback(({ smoothed, time, spectrum, sampleRate }) => {
+    if (!spectrum) return;
+    drawColumn(spectrum, sampleRate);
+
+    // Read the harmonics of the drone actually sung, falling back to Sa
+    const levels = harmonicLevels(spectrum, sampleRate, smoothed || f0);
+    const emphasized = smoothed ? findEmphasizedHarmonic(levels) : null;
+    setLive({ levels, emphasized });
+
+    const session = sessionRef.current;
+    if (!session) return;
+    if (session.start === null) session.start = time;
+
+    const elapsed = time - session.start;
+    const at = exerciseStepAt(session.exercise, elapsed);
+    if (!at) {
+      setResult(summarizeExercise(session.exercise, session.frames));
+      setProgress(null);
+      sessionRef.current = null;
+      return;
+    }
+
+    session.frames[at.index].push(smoothed ? frameScore(levels, at.step.harmonic) : 0);
+    setProgress({ index: at.index, elapsed });
+  }, [f0, drawColumn]);
+
+  const { isListening, pitch, error, start, stop } = usePitchTracker({
+    onFrame: handleFrame,
+    spectrumSize: SPECTRUM_SIZE
+  });
+
+  // Global "stop all" silences the drone; the mic keeps listening
+  const { busRef, initAudio } = useEngineBus('overtone-trainer', {
+    onStopAll: () => {
+      droneRef.current = null;
+      setDroneOn(false);
+    }
+  });
+
+  const stopDrone = useCallback(() => {
+    droneRef.current?.stop({ release: 0.25 });
+    droneRef.current = null;
+  }, []);
+
+  const startDrone = useCallback(async () => {
+    const engine = await initAudio();
+    if (!engine) return;
+
+    droneRef.current = busRef.current.createVoice({ frequency: f0, volume: 0.08, attack: 0.3 });
+  }, [f0, initAudio, busRef]);
+
+  // Start mic, then drone. openMicrophone runs unlockAudioSync before its
+  // first await, so the gesture chain is preserved.
+  const listen = () => {
+    (async () => {
+      const ok = await start();
+      if (ok && droneOn) await startDrone();
+    })();
+  };
+
+  const stopListening = () => {
+    sessionRef.current = null;
+    setProgress(null);
+    setLive(null);
+    stop();
+    stopDrone();
+  };
+
+  const startExercise = () => {
+    sessionRef.current = { exercise, start: null, frames: exercise.steps.map(() => []) };
+    setResult(null);
+    setProgress({ index: 0, elapsed: 0 });
+    if (!isListening) listen();
+  };
+
+  const toggleDrone = (on) => {
+    setDroneOn(on);
+    if (!isListening) return;
+    if (on) {
+      unlockAudioEngine();
+      startDrone();
+    }
+    else stopDrone();
+  };
+
+  // Follow f0 changes while the drone plays
+  useEffect(() => {
+    droneRef.current?.setFrequency(f0, { ramp: 0.05 });
+  }, [f0]);
+
+  const target = progress ? exercise.steps[progress.index].harmonic : null;
+  const emphasized = live?.emphasized?.harmonic ?? null;
+  const y = (hz) => `${(1 - hz / maxHz) * 100}%`;
+  const harmonics = Array.from({ length: OVERTONE_DEFAULTS.maxHarmonic }, (_, i) => i + 1);
+
+  // Level bars: each harmonic relative to the loudest
+  const loudest = live ? Math.max(...live.levels.map(l => l.db)) : 0;
+
+  return (
+    <div className="bg-carbon-800 rounded-lg p-4 text-white font-mono text-sm space-y-3">
+      {/* Header */}
+      <div className="flex items-start justify-between gap-2">
+        <div>
+          <h3 className="text-carbon-200 font-semibold">Overtone Trainer</h3>
+          <p className="text-[10px] text-carbon-500 mt-0.5">
+            Sing a steady drone on your Sa ({formatHz(f0)} Hz) and bring out one harmonic at a time
+          </p>
+        </div>
+        <button
+          onClick={isListening ? stopListening : listen}
+          className={`shrink-0 px-3 py-1 text-[10px] rounded border transition-all ${
+            isListening
+              ? 'bg-signal-orange border-signal-orange text-white'
+              : 'border-carbon-600 text-carbon-300 hover:border-signal-orange hover:text-signal-orange'
+          }`}
+        >
+          {isListening ? '■ Stop' : '● Listen'}
+        </button>
+      </div>
+
+      {error && <p className="text-[10px] text-signal-coral">{error}</p>}
+
+      {/* Spectrogram with harmonic gridlines */}
+      <div className="relative rounded overflow-hidden border border-carbon-700 bg-carbon-900">
+        <canvas
+          ref={canvasRef}
+          width={CANVAS_WIDTH}
+          height={CANVAS_HEIGHT}
+          className="block w-full h-48"
+        />
+        <svg className="absolute inset-0 w-full h-full pointer-events-none">
+          {harmonics.map(n => {
+            const color = n === target ? '#FF6B35' : n === emphasized ? '#F59E0B' : 'rgba(255,255,255,0.15)';
+            return (
+              <g key={n}>
+                <line x1="24" x2="100%" y1={y(n * f0)} y2={y(n * f0)} stroke={color} strokeWidth={n === target ? 1.5 : 0.5} strokeDasharray={n === target ? '' : '2,3'} />
+                <text x="2" y={y(n * f0)} dy="3" fontSize="8" fill={color === 'rgba(255,255,255,0.15)' ? '#666' : color} fontFamily="monospace">
+                  H{n}
+                </text>
+              </g>
+            );
+          })}
+        </svg>
+      </div>
+
+      {/* Live reading */}
+      <div className="flex items-end gap-3">
+        <div className="w-24 shrink-0">
+          <div className="text-[9px] text-carbon-500 uppercase tracking-wider">Reinforcing</div>
+          <div className={`text-2xl font-bold ${emphasized ? 'text-signal-amber' : 'text-carbon-600'}`}>
+            {emphasized ? `H${emphasized}` : '—'}
+          </div>
+          <div className="text-[10px] text-carbon-500">
+            {live?.emphasized
+              ? `${formatHz(live.emphasized.hz)} Hz · +${Math.round(live.emphasized.prominence)} dB`
+              : pitch ? `drone ${formatHz(pitch)} Hz` : 'silent'}
+          </div>
+        </div>
+        <div className="flex-1 flex items-end gap-0.5 h-12">
+          {harmonics.map(n => {
+            const level = live?.levels.find(l => l.harmonic === n);
+            const height = level ? Math.max(0, 1 + (level.db - loudest) / 50) : 0;
+            return (
+              <div key={n} className="flex-1 flex flex-col items-center justify-end h-full" title={`H${n}`}>
+                <div
+                  className={`w-full rounded-sm ${n === target ? 'bg-signal-orange' : n === emphasized ? 'bg-signal-amber' : 'bg-carbon-600'}`}
+                  style={{ height: `${height * 100}%` }}
+                />
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      {/* Exercises */}
+      <div className="bg-carbon-900 rounded p-3 space-y-2">
+        <div className="flex flex-wrap gap-1">
+          {OVERTONE_EXERCISES.map(e => (
+            <button
+              key={e.id}
+              onClick={() => setExerciseId(e.id)}
+              disabled={!!progress}
+              className={`px-2 py-1 text-[10px] rounded border transition-all disabled:opacity-50 ${
+                exerciseId === e.id
+                  ? 'bg-signal-orange/20 border-signal-orange text-signal-orange'
+                  : 'bg-carbon-800 border-carbon-700 text-carbon-400 hover:border-carbon-500'
+              }`}
+            >
+              {e.name}
+            </button>
+          ))}
+        </div>
+        <p className="text-[10px] text-carbon-500 leading-relaxed">{exercise.description}</p>
+
+        {/* Step timeline */}
+        <div className="flex gap-0.5">
+          {exercise.steps.map((step, i) => {
+            const stepScore = result?.steps[i]?.score;
+            const isCurrent = progress?.index === i;
+            return (
+              <div
+                key={i}
+                className={`rounded px-1 py-1 text-center text-[10px] border ${
+                  isCurrent ? 'border-signal-orange text-signal-orange' : 'border-carbon-700 text-carbon-400'
+                }`}
+                style={{ flex: step.seconds }}
+              >
+                H{step.harmonic}
+                {stepScore !== undefined && <div className="text-[9px] text-carbon-500">{stepScore}</div>}
+              </div>
+            );
+          })}
+        </div>
+
+        <div className="flex flex-wrap items-center gap-3">
+          <button
+            onClick={progress ? () => {
+              sessionRef.current = null;
+              setProgress(null);
+            } : startExercise}
+            className="px-3 py-1 text-[10px] rounded border border-carbon-600 text-carbon-300 hover:border-signal-orange hover:text-signal-orange transition-all"
+          >
+            {progress ? '■ Cancel' : `▶ Start (${Math.round(exerciseDuration(exercise))} s)`}
+          </button>
+          <label className="flex items-center gap-1.5 text-[10px] text-carbon-400 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={droneOn}
+              onChange={(e) => toggleDrone(e.target.checked)}
+              className="accent-signal-orange"
+            />
+            Sine drone on Sa
+          </label>
+          {progress && (
+            <span className="text-[10px] text-carbon-400">
+              {progress.elapsed.toFixed(1)} s — bring out <span className="text-signal-orange">H{target}</span>
+            </span>
+          )}
+          {result && !progress && (
+            <span className="text-[10px] text-carbon-300">
+              Score <span className="text-signal-orange font-bold">{result.score}</span>/100
+            </span>
+          )}
+        </div>
+      </div>
+
+      <p className="text-[9px] text-carbon-500 leading-relaxed">
+        Scores are how far each target harmonic stands above its neighbours, averaged over its step
+        ({OVERTONE_DEFAULTS.fullProminence} dB clear of both is full marks). Headphones help when the drone is on.
+      </p>
+    </div>
+  );
+}
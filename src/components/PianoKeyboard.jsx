@@ -2,10 +2,13 @@
  * PianoKeyboard Component
  * Visual keyboard showing personalized scale notes with cent deviations
  * Crystal clear highlighting with proper color contrast
+ * With a vocal profile, a rail above the keys marks the sung range, the
+ * tessitura and the passaggi
  */
 
 import { useMemo, useState } from 'react';
 import { motion } from 'framer-motion';
+import { freqToMidi, DEFAULT_A4 } from '../engine/pitchUtils';
 
 // Piano key layout for one octave
 const OCTAVE_KEYS = [
@@ -23,6 +26,10 @@ const OCTAVE_KEYS = [
   { note: 'B', type: 'white', hasBlack: false },
 ];
 
+// White keys below each pitch class (C = 0 … B = 6); black keys sit on the
+// boundary after the white key below them
+const WHITE_INDEX = { 0: 0, 2: 1, 4: 2, 5: 3, 7: 4, 9: 5, 11: 6 };
+
 // Normalize note names for comparison (handle enharmonics)
 function normalizeNote(note) {
   const enharmonics = {
@@ -46,7 +53,9 @@ export default function PianoKeyboard({
   highlightRoot = true,
   showLabels = true,
   showCents = true,
-  compact = false
+  compact = false,
+  profile = null,
+  a4 = DEFAULT_A4
 }) {
   const [hoveredKey, setHoveredKey] = useState(null);
 
@@ -122,8 +131,54 @@ export default function PianoKeyboard({
     return scaleMap[fullKey];
   };
 
+  // Horizontal centre of a key (px) by MIDI note; white keys are 1px apart
+  const keyCentre = (midi) => {
+    const pitchClass = ((midi % 12) + 12) % 12;
+    const whites = (Math.floor(midi / 12) - 1 - startOctave) * 7;
+    return pitchClass in WHITE_INDEX
+      ? (whites + WHITE_INDEX[pitchClass]) * (keyWidth + 1) + keyWidth / 2
+      : (whites + WHITE_INDEX[pitchClass - 1] + 1) * (keyWidth + 1) - 0.5;
+  };
+
+  // Position of any pitch, between key centres, clamped to the keyboard
+  const firstMidi = (startOctave + 1) * 12;
+  const lastMidi = firstMidi + numOctaves * 12 - 1;
+  const pitchX = (hz) => {
+    const midi = Math.min(lastMidi, Math.max(firstMidi, freqToMidi(hz, a4)));
+    const below = Math.floor(midi);
+    const above = Math.min(lastMidi, below + 1);
+    return keyCentre(below) + (keyCentre(above) - keyCentre(below)) * (midi - below);
+  };
+
   return (
     <div className="relative overflow-x-auto pb-2">
+      {/* Vocal range rail */}
+      {profile && (
+        <div className="relative h-3 mb-1" style={{ minWidth: whiteKeys.length * keyWidth }}>
+          <div
+            className="absolute top-1 h-1 rounded-full bg-carbon-300"
+            style={{ left: pitchX(profile.low.hz), width: pitchX(profile.high.hz) - pitchX(profile.low.hz) }}
+            title={`Sung range ${profile.low.note}–${profile.high.note}`}
+          />
+          <div
+            className="absolute top-0.5 h-2 rounded-full bg-green-500/70"
+            style={{
+              left: pitchX(profile.tessitura.low.hz),
+              width: pitchX(profile.tessitura.high.hz) - pitchX(profile.tessitura.low.hz)
+            }}
+            title={`Tessitura ${profile.tessitura.low.note}–${profile.tessitura.high.note}`}
+          />
+          {profile.passaggio && ['primo', 'secondo'].map(which => (
+            <div
+              key={which}
+              className="absolute top-0 h-3 w-0.5 bg-purple-500"
+              style={{ left: pitchX(profile.passaggio[which].hz) }}
+              title={`Passaggio (${which}) ${profile.passaggio[which].note}`}
+            />
+          ))}
+        </div>
+      )}
+
       <div
         className="relative flex"
         style={{
@@ -264,7 +319,7 @@ export default function PianoKeyboard({
       </div>
 
       {/* Legend */}
-      <div className="flex items-center justify-center gap-6 mt-4 text-xs text-carbon-500">
+      <div className="flex flex-wrap items-center justify-center gap-x-6 gap-y-2 mt-4 text-xs text-carbon-500">
         <div className="flex items-center gap-2">
           <span className="w-4 h-4 rounded bg-signal-orange shadow-sm" />
           <span>Root (Sa)</span>
@@ -279,6 +334,24 @@ export default function PianoKeyboard({
             <span>Cents from ET</span>
           </div>
         )}
+        {profile && (
+          <>
+            <div className="flex items-center gap-2">
+              <span className="w-4 h-1 rounded-full bg-carbon-300" />
+              <span>Range{profile.estimated && ' (estimated)'}</span>
+            </div>
+            <div className="flex items-center gap-2">
+              <span className="w-4 h-2 rounded-full bg-green-500/70" />
+              <span>Tessitura</span>
+            </div>
+            {profile.passaggio && (
+              <div className="flex items-center gap-2">
+                <span className="w-0.5 h-3 bg-purple-500" />
+                <span>Passaggi</span>
+              </div>
+            )}
+          </>
+        )}
       </div>
 
       {/* Hover tooltip */}
@@ -0,0 +1,119 @@
+/**
+ * ProgressionEditor Component
+ * Write a chord progression in Roman numerals for the looper
+ *
+ * The text is parsed on every keystroke; the first bad symbol is reported
+ * by position. Beat buttons under each parsed chord rewrite the text with a
+ * ":beats" suffix, so the text stays the single source of truth.
+ */
+
+import { useState, useMemo } from 'react';
+import { parseProgression, serializeProgression } from '../engine/romanNumerals';
+
+const SYNTAX_HINT = 'ii7  V7/ii  bVImaj7  V65  I64  IV/5  viiø7  V7sus4  I:2';
+
+export default function ProgressionEditor({ progression, defaultBeats = 4, onSave, onCancel }) {
+  const [name, setName] = useState(progression?.name || '');
+  const [text, setText] = useState(() => progression
+    ? serializeProgression(progression.chords.map((symbol, i) => ({ symbol, beats: progression.durations?.[i] ?? null })))
+    : '');
+
+  const parsed = useMemo(() => {
+    if (!text.trim()) return { entries: [], error: null };
+    try {
+      return { entries: parseProgression(text), error: null };
+    } catch (err) {
+      return { entries: [], error: err.message };
+    }
+  }, [text]);
+
+  const setBeats = (index, delta) => {
+    const entries = parsed.entries.map((entry, i) => {
+      if (i !== index) return entry;
+      const beats = Math.max(1, Math.min(32, (entry.beats ?? defaultBeats) + delta));
+      return { ...entry, beats: beats === defaultBeats && entry.beats === null ? null : beats };
+    });
+    setText(serializeProgression(entries));
+  };
+
+  const canSave = name.trim() && parsed.entries.length > 0 && !parsed.error;
+
+  const handleSave = () => {
+    if (!canSave) return;
+    onSave({
+      id: progression?.category === 'custom' ? progression.id : `custom-${Date.now()}`,
+      name: name.trim(),
+      chords: parsed.entries.map(e => e.symbol),
+      durations: parsed.entries.map(e => e.beats),
+      description: parsed.entries.map(e => e.symbol).join(' – '),
+      genre: 'Custom',
+      category: 'custom'
+    });
+  };
+
+  return (
+    <div className="bg-carbon-800 rounded-lg p-3 space-y-2">
+      <input
+        type="text"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        placeholder="Progression name"
+        className="w-full px-2 py-1.5 text-xs rounded border bg-carbon-900 border-carbon-700 text-carbon-200 placeholder:text-carbon-600"
+      />
+      <input
+        type="text"
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        placeholder="ii7 – V7/ii – bVImaj7 – V7sus4"
+        spellCheck={false}
+        className={`w-full px-2 py-1.5 text-xs rounded border bg-carbon-900 text-carbon-200 placeholder:text-carbon-600
+          ${parsed.error ? 'border-signal-coral' : 'border-carbon-700'}`}
+      />
+      <div className="text-[9px] text-carbon-500">
+        e.g. {SYNTAX_HINT} — <span className="text-carbon-400">/numeral</span> is a secondary function,{' '}
+        <span className="text-carbon-400">/1–7</span> a bass degree, <span className="text-carbon-400">:n</span> holds for n beats
+      </div>
+
+      {parsed.error && (
+        <div className="px-2 py-1.5 rounded bg-signal-coral/10 border border-signal-coral/30 text-[10px] text-signal-coral">
+          {parsed.error}
+        </div>
+      )}
+
+      {/* Parsed chords with per-chord beats */}
+      {parsed.entries.length > 0 && (
+        <div className="flex flex-wrap gap-1.5">
+          {parsed.entries.map((entry, i) => (
+            <div key={`${entry.symbol}-${i}`} className="flex flex-col items-center bg-carbon-900 rounded px-2 py-1">
+              <span className="text-xs font-bold text-carbon-200">{entry.symbol}</span>
+              <div className="flex items-center gap-1 text-[9px] text-carbon-500">
+                <button onClick={() => setBeats(i, -1)} className="px-1 hover:text-carbon-200">−</button>
+                <span className={entry.beats ? 'text-signal-orange' : ''}>{entry.beats ?? defaultBeats}b</span>
+                <button onClick={() => setBeats(i, 1)} className="px-1 hover:text-carbon-200">+</button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="flex gap-2 justify-end">
+        {onCancel && (
+          <button
+            onClick={onCancel}
+            className="px-3 py-1 text-[10px] rounded border border-carbon-600 text-carbon-400 hover:border-carbon-400"
+          >
+            Cancel
+          </button>
+        )}
+        <button
+          onClick={handleSave}
+          disabled={!canSave}
+          className="px-3 py-1 text-[10px] rounded border font-bold transition-all disabled:opacity-40
+            bg-signal-orange/20 border-signal-orange text-signal-orange"
+        >
+          Save
+        </button>
+      </div>
+    </div>
+  );
+}
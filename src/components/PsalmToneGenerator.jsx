@@ -0,0 +1,284 @@
+/**
+ * PsalmToneGenerator Component
+ * Sets a line of text to the psalm tone of a church mode, with optional
+ * parallel organum, shows it on the staff and sings it at the user's pitch
+ *
+ * The verse is set by engine/chant on the mode as placed by
+ * analyzeGregorian (final on f0). Playback queues every note on the audio
+ * clock; recitation moves at speech pace and the accents are lengthened.
+ */
+
+import { useState, useRef, useEffect, useMemo } from 'react';
+import { unlockAudioEngine } from '../utils/audioEngine';
+import useEngineBus from '../hooks/useEngineBus';
+import { setPsalmTone, CHANT_LANGUAGES, ORGANUM_INTERVALS } from '../engine/chant';
+import { ChantNotation } from './StaffNotation';
+
+const EXAMPLES = [
+  { label: 'Dixit Dominus', text: 'Dixit Dóminus Dómino meo: * Sede a dextris meis.', language: 'latin' },
+  { label: 'Gloria Patri', text: 'Glória Patri, et Fílio, * et Spirítui Sancto.', language: 'latin' },
+  { label: 'Magnificat', text: 'Magníficat * ánima mea Dóminum.', language: 'latin' },
+  { label: 'Psalm 136', text: 'O give thanks unto the Lord, for he is gracious: * for his mercy endureth for ever.', language: 'english' }
+];
+
+const PART_COLORS = {
+  intonation: 'text-signal-amber',
+  tenor: 'text-purple-400',
+  mediant: 'text-signal-orange',
+  termination: 'text-signal-orange'
+};
+
+/**
+ * Note length in beats: recitation quicker, accents longer, the end of
+ * each half held
+ */
+function noteBeats(syllable, isLastNote) {
+  if (isLastNote) return 2;
+  if (syllable.part === 'tenor') return syllable.stressed ? 1 : 0.7;
+  return syllable.notes.length === 1 && syllable.stressed ? 1.2 : 1;
+}
+
+export default function PsalmToneGenerator({ gregorian, a4 }) {
+  const voicesRef = useRef([]);
+  const timersRef = useRef([]);
+
+  const [text, setText] = useState(EXAMPLES[0].text);
+  const [language, setLanguage] = useState(EXAMPLES[0].language);
+  const [modeNumber, setModeNumber] = useState(gregorian.mode.number);
+  const [intonation, setIntonation] = useState(true);
+  const [organum, setOrganum] = useState(null);
+  const [tempo, setTempo] = useState(120); // beats per minute
+  const [playing, setPlaying] = useState(null); // [half, syllable]
+
+  const mode = gregorian.modes.find(m => m.number === modeNumber) || gregorian.modes[0];
+
+  const verse = useMemo(
+    () => setPsalmTone(text, mode.psalmTone, { language, intonation, organum }),
+    [text, mode.psalmTone, language, intonation, organum]
+  );
+  const isEmpty = verse.every(half => !half.length);
+
+  const { busRef, initAudio } = useEngineBus('psalm', {
+    volume: 0.5,
+    onStopAll: () => {
+      timersRef.current.forEach(id => clearTimeout(id));
+      timersRef.current = [];
+      voicesRef.current = [];
+      setPlaying(null);
+    },
+    onNewBus: () => {
+      voicesRef.current = [];
+    }
+  });
+
+  const cancel = () => {
+    timersRef.current.forEach(id => clearTimeout(id));
+    timersRef.current = [];
+    voicesRef.current.forEach(v => v.stop({ release: 0.1 }));
+    voicesRef.current = [];
+  };
+
+  const stop = () => {
+    cancel();
+    setPlaying(null);
+  };
+
+  const sing = (hz, when, length, level) => {
+    voicesRef.current.push(busRef.current.createVoice({
+      frequency: hz,
+      type: 'triangle',
+      when,
+      envelope: (g, t) => {
+        g.setValueAtTime(0, t);
+        g.linearRampToValueAtTime(level, t + 0.04);
+        g.setTargetAtTime(level * 0.7, t + 0.04, length / 2);
+      },
+      duration: length * 0.97,
+      release: 0.06
+    }));
+  };
+
+  const play = async () => {
+    unlockAudioEngine();
+    const engine = await initAudio();
+    if (!engine) return;
+
+    cancel();
+    const beat = 60 / tempo;
+    let time = engine.now() + 0.05;
+
+    verse.forEach((half, h) => {
+      half.forEach((syllable, s) => {
+        timersRef.current.push(setTimeout(
+          () => setPlaying([h, s]),
+          Math.max(0, (time - engine.now()) * 1000)
+        ));
+
+        syllable.notes.forEach((note, n) => {
+          const isLastNote = s === half.length - 1 && n === syllable.notes.length - 1;
+          const length = beat * noteBeats(syllable, isLastNote);
+          sing(note.hz, time, length, syllable.stressed ? 0.36 : 0.3);
+          if (syllable.organum) sing(syllable.organum[n].hz, time, length, 0.22);
+          time += length;
+        });
+      });
+      // Breath at the asterisk
+      time += beat;
+    });
+
+    timersRef.current.push(setTimeout(() => setPlaying(null), (time - engine.now()) * 1000));
+  };
+
+  const loadExample = (example) => {
+    stop();
+    setText(example.text);
+    setLanguage(example.language);
+  };
+
+  // Cleanup: pending syllable timers
+  useEffect(() => {
+    return () => timersRef.current.forEach(id => clearTimeout(id));
+  }, []);
+
+  const optionButton = (key, isActive, onClick, label, title) => (
+    <button
+      key={key}
+      onClick={onClick}
+      title={title}
+      className={`px-1.5 py-0.5 text-[9px] rounded border transition-all
+        ${isActive
+          ? 'bg-carbon-700 border-signal-orange text-signal-orange'
+          : 'bg-carbon-800 border-carbon-700 text-carbon-400 hover:border-carbon-500'}`}
+    >
+      {label}
+    </button>
+  );
+
+  return (
+    <div className="bg-carbon-800 rounded-lg p-4 text-white font-mono text-sm space-y-3">
+      {/* Header */}
+      <div className="flex items-start justify-between gap-2">
+        <div>
+          <h3 className="text-carbon-200 font-semibold">Psalm Tone Generator</h3>
+          <p className="text-[10px] text-carbon-500 mt-0.5">
+            Divide the verse with * · mark stress with an acute (Dómino)
+          </p>
+        </div>
+        <button
+          onClick={() => (playing ? stop() : play())}
+          disabled={isEmpty}
+          className={`shrink-0 px-3 py-1 text-[10px] rounded border transition-all disabled:opacity-40
+            ${playing
+              ? 'bg-amber-500/20 border-amber-400 text-amber-400'
+              : 'bg-carbon-800 border-carbon-600 text-carbon-400 hover:border-carbon-400'}`}
+        >
+          {playing ? '■ Stop' : '▶ Sing'}
+        </button>
+      </div>
+
+      {/* Text */}
+      <textarea
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        rows={2}
+        className="w-full bg-carbon-900 border border-carbon-700 rounded px-2 py-1.5 text-xs text-carbon-200 resize-none focus:outline-none focus:border-carbon-500"
+      />
+      <div className="flex flex-wrap gap-1">
+        {EXAMPLES.map(example => (
+          <button
+            key={example.label}
+            onClick={() => loadExample(example)}
+            className={`px-2 py-0.5 text-[9px] rounded border transition-all
+              ${text === example.text
+                ? 'bg-carbon-700 border-signal-orange text-signal-orange'
+                : 'bg-carbon-800 border-carbon-700 text-carbon-400 hover:border-carbon-500'}`}
+          >
+            {example.label}
+          </button>
+        ))}
+      </div>
+
+      {/* Tone and options */}
+      <div className="space-y-1.5 text-[9px] text-carbon-500">
+        <div className="flex flex-wrap items-center gap-1">
+          <span className="uppercase tracking-wider w-14">Tone</span>
+          {gregorian.modes.map(m => optionButton(
+            m.number,
+            modeNumber === m.number,
+            () => setModeNumber(m.number),
+            m.label.split(' ')[1],
+            m.label
+          ))}
+          <span className="ml-1 text-carbon-400">{mode.name} · tenor {mode.tenor.name}</span>
+        </div>
+        <div className="flex flex-wrap items-center gap-1">
+          <span className="uppercase tracking-wider w-14">Organum</span>
+          {optionButton('none', !organum, () => setOrganum(null), 'None')}
+          {Object.entries(ORGANUM_INTERVALS).map(([id, interval]) =>
+            optionButton(id, organum === id, () => setOrganum(id), interval.name)
+          )}
+        </div>
+        <div className="flex flex-wrap items-center gap-1">
+          <span className="uppercase tracking-wider w-14">Text</span>
+          {Object.entries(CHANT_LANGUAGES).map(([id, lang]) =>
+            optionButton(id, language === id, () => setLanguage(id), lang.name)
+          )}
+          <span className="ml-2" />
+          {optionButton('intonation', intonation, () => setIntonation(!intonation), 'Intonation', 'Begin with the intonation, as in the first verse')}
+        </div>
+      </div>
+
+      {/* Pointed text */}
+      {isEmpty ? (
+        <div className="text-[10px] text-carbon-500">Enter a line of text to set.</div>
+      ) : (
+        <>
+          <div className="flex flex-wrap items-baseline gap-x-0.5 gap-y-1 text-[11px]">
+            {verse.map((half, h) => half.map((syllable, s) => (
+              <span
+                key={`${h}-${s}`}
+                className={`rounded px-0.5 transition-colors
+                  ${playing?.[0] === h && playing[1] === s
+                    ? 'bg-signal-orange text-carbon-900'
+                    : PART_COLORS[syllable.part]}
+                  ${syllable.stressed ? 'underline' : ''}
+                  ${syllable.wordEnd ? 'mr-1.5' : ''}`}
+                title={syllable.notes.map(n => n.name).join(' ')}
+              >
+                {syllable.text}
+                {h === 0 && s === half.length - 1 && <span className="text-carbon-500 ml-1">*</span>}
+              </span>
+            )))}
+          </div>
+          <div className="flex gap-3 text-[8px] text-carbon-500">
+            <span className={PART_COLORS.intonation}>intonation</span>
+            <span className={PART_COLORS.tenor}>recitation</span>
+            <span className={PART_COLORS.mediant}>mediant / termination</span>
+          </div>
+          <ChantNotation verse={verse} a4={a4} />
+        </>
+      )}
+
+      {/* Tempo */}
+      <div className="flex items-center gap-2">
+        <span className="text-[9px] text-carbon-500 uppercase tracking-wider">Tempo</span>
+        <input
+          type="range"
+          min="60"
+          max="200"
+          step="5"
+          value={tempo}
+          onChange={(e) => setTempo(parseInt(e.target.value))}
+          className="flex-1 h-1.5 bg-carbon-700 rounded-full appearance-none cursor-pointer
+            [&::-webkit-slider-thumb]:appearance-none
+            [&::-webkit-slider-thumb]:w-3
+            [&::-webkit-slider-thumb]:h-3
+            [&::-webkit-slider-thumb]:rounded-full
+            [&::-webkit-slider-thumb]:bg-signal-orange
+            [&::-webkit-slider-thumb]:cursor-pointer"
+        />
+        <span className="text-[9px] text-carbon-400 w-16 text-right">{tempo} bpm</span>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,253 @@
+/**
+ * RagaPlayer Component
+ * Performs a raga's aroha, avaroha and pakad on the user's shruti scale
+ * over a tanpura drone
+ *
+ * Notes are queued on the audio clock up front; the highlighted svara
+ * follows them by timers. The vadi is held longer than the other svaras,
+ * and a comma in the phrase leaves a breath.
+ */
+
+import { useState, useRef, useEffect } from 'react';
+import { unlockAudioEngine } from '../utils/audioEngine';
+import useEngineBus from '../hooks/useEngineBus';
+import { createTanpura, TANPURA_FIRST_STRINGS } from '../utils/tanpura';
+import { noteToHz } from '../engine/ragas';
+
+const PHRASES = [
+  { id: 'aroha', label: 'Aroha', hint: 'ascent' },
+  { id: 'avaroha', label: 'Avaroha', hint: 'descent' },
+  { id: 'pakad', label: 'Pakad', hint: 'catch phrase' }
+];
+
+export default function RagaPlayer({ raga, scale, f0 = 165 }) {
+  const tanpuraRef = useRef(null);
+  const phraseVoicesRef = useRef([]);
+  const timersRef = useRef([]);
+
+  const [tempo, setTempo] = useState(90); // svaras per minute
+  const [playing, setPlaying] = useState(null); // { phrase, index }
+  const [isDronePlaying, setIsDronePlaying] = useState(false);
+
+  const { busRef, initAudio } = useEngineBus('raga', {
+    volume: 0.5,
+    onStopAll: () => {
+      timersRef.current.forEach(id => clearTimeout(id));
+      timersRef.current = [];
+      phraseVoicesRef.current = [];
+      tanpuraRef.current?.stop({ release: 0 });
+      tanpuraRef.current = null;
+      setPlaying(null);
+      setIsDronePlaying(false);
+    },
+    onNewBus: () => {
+      tanpuraRef.current = null;
+      phraseVoicesRef.current = [];
+    }
+  });
+
+  // End the phrase's timers and voices (the drone keeps going)
+  const cancelPhrase = () => {
+    timersRef.current.forEach(id => clearTimeout(id));
+    timersRef.current = [];
+    phraseVoicesRef.current.forEach(v => v.stop({ release: 0.1 }));
+    phraseVoicesRef.current = [];
+  };
+
+  const stopPhrase = () => {
+    cancelPhrase();
+    setPlaying(null);
+  };
+
+  const stopDrone = () => {
+    tanpuraRef.current?.stop();
+    tanpuraRef.current = null;
+    setIsDronePlaying(false);
+  };
+
+  // Tanpura tuned for the raga: first string Pa, or Ma / Ni where Pa is varjit
+  const startDrone = async () => {
+    const engine = await initAudio();
+    if (!engine) return;
+
+    tanpuraRef.current = createTanpura(busRef.current, { f0, firstString: raga.tanpuraString, volume: 0.4 });
+    tanpuraRef.current.start();
+    setIsDronePlaying(true);
+  };
+
+  const toggleDrone = () => {
+    unlockAudioEngine();
+    if (isDronePlaying) stopDrone();
+    else startDrone();
+  };
+
+  // Play aroha, avaroha or pakad
+  const playPhrase = async (phraseId) => {
+    unlockAudioEngine();
+    const engine = await initAudio();
+    if (!engine) return;
+
+    cancelPhrase();
+    const notes = raga[phraseId];
+    const beat = 60 / tempo;
+    let time = engine.now() + 0.05;
+
+    notes.forEach((note, index) => {
+      const hz = noteToHz(note, scale);
+      const isVadi = note.svara === raga.vadi.svara;
+      const length = beat * (isVadi ? 1.5 : 1);
+
+      if (hz) {
+        phraseVoicesRef.current.push(busRef.current.createVoice({
+          frequency: hz,
+          type: 'triangle',
+          when: time,
+          envelope: (g, t) => {
+            g.setValueAtTime(0, t);
+            g.linearRampToValueAtTime(isVadi ? 0.45 : 0.35, t + 0.04);
+            g.setTargetAtTime(0.2, t + 0.04, length / 2);
+          },
+          duration: length * 0.95,
+          release: 0.06
+        }));
+      }
+
+      timersRef.current.push(setTimeout(
+        () => setPlaying({ phrase: phraseId, index }),
+        Math.max(0, (time - engine.now()) * 1000)
+      ));
+      time += length + (note.breath ? beat * 0.5 : 0);
+    });
+
+    timersRef.current.push(setTimeout(() => setPlaying(null), (time - engine.now()) * 1000));
+  };
+
+  // A new raga or Sa retunes a sounding tanpura from its next pluck
+  useEffect(() => {
+    tanpuraRef.current?.set({ f0, firstString: raga.tanpuraString });
+  }, [f0, raga.tanpuraString]);
+
+  // Cleanup: pending timers and the tanpura's pluck scheduler
+  useEffect(() => {
+    return () => {
+      timersRef.current.forEach(id => clearTimeout(id));
+      tanpuraRef.current?.stop({ release: 0 });
+    };
+  }, []);
+
+  const varjitText = (names) => (names.length ? names.join(', ') : 'none');
+
+  return (
+    <div className="bg-carbon-900 rounded-lg p-3 border border-carbon-700 space-y-3">
+      <div className="flex items-start justify-between gap-2">
+        <div>
+          <div className="text-xs text-carbon-200 font-semibold">{raga.name}</div>
+          <div className="text-[9px] text-carbon-500 mt-0.5">{raga.description}</div>
+        </div>
+        <button
+          onClick={toggleDrone}
+          className={`shrink-0 px-2.5 py-1 text-[10px] rounded border transition-all
+            ${isDronePlaying
+              ? 'bg-signal-orange/20 border-signal-orange text-signal-orange'
+              : 'bg-carbon-800 border-carbon-600 text-carbon-400 hover:border-carbon-400'}`}
+        >
+          {isDronePlaying ? '■' : '▶'} Tanpura ({TANPURA_FIRST_STRINGS[raga.tanpuraString].label})
+        </button>
+      </div>
+
+      {/* Raga facts */}
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-2 text-[10px]">
+        <div>
+          <div className="text-[9px] text-carbon-500 uppercase tracking-wider">Thaat</div>
+          <div className="text-carbon-300">{raga.thaat.name}</div>
+        </div>
+        <div>
+          <div className="text-[9px] text-carbon-500 uppercase tracking-wider">Time</div>
+          <div className="text-carbon-300" title={raga.time.description}>
+            {raga.time.name} <span className="text-carbon-500">{raga.time.hours[0]}–{raga.time.hours[1]}h</span>
+          </div>
+        </div>
+        <div>
+          <div className="text-[9px] text-carbon-500 uppercase tracking-wider">Vadi / Samvadi</div>
+          <div>
+            <span className="text-signal-orange">{raga.vadi.name}</span>
+            <span className="text-carbon-500"> / </span>
+            <span className="text-signal-amber">{raga.samvadi.name}</span>
+          </div>
+        </div>
+        <div>
+          <div className="text-[9px] text-carbon-500 uppercase tracking-wider">Varjit</div>
+          <div className="text-carbon-300">
+            {raga.varjit.aroha.join() === raga.varjit.avaroha.join()
+              ? varjitText(raga.varjit.aroha)
+              : <>↑ {varjitText(raga.varjit.aroha)} · ↓ {varjitText(raga.varjit.avaroha)}</>}
+          </div>
+        </div>
+      </div>
+
+      {/* Phrases */}
+      <div className="space-y-1.5">
+        {PHRASES.map(phrase => (
+          <div key={phrase.id} className="flex items-center gap-2">
+            <button
+              onClick={() => (playing?.phrase === phrase.id ? stopPhrase() : playPhrase(phrase.id))}
+              className={`w-24 shrink-0 px-2 py-1 text-[10px] rounded border text-left transition-all
+                ${playing?.phrase === phrase.id
+                  ? 'bg-amber-500/20 border-amber-400 text-amber-400'
+                  : 'bg-carbon-800 border-carbon-600 text-carbon-400 hover:border-carbon-400'}`}
+              title={phrase.hint}
+            >
+              {playing?.phrase === phrase.id ? '■' : '▶'} {phrase.label}
+              {phrase.id !== 'pakad' && raga.vakra[phrase.id] && (
+                <span className="text-[8px] text-carbon-500"> vakra</span>
+              )}
+            </button>
+            <div className="flex flex-wrap items-center gap-0.5">
+              {raga[phrase.id].map((note, i) => {
+                const isCurrent = playing?.phrase === phrase.id && playing.index === i;
+                return (
+                  <span key={i} className="flex items-center">
+                    <span
+                      className={`px-1 rounded text-[10px] transition-colors
+                        ${isCurrent
+                          ? 'bg-signal-orange text-carbon-900'
+                          : note.svara === raga.vadi.svara
+                            ? 'text-signal-orange'
+                            : note.svara === raga.samvadi.svara
+                              ? 'text-signal-amber'
+                              : 'text-carbon-300'}`}
+                    >
+                      {note.label}
+                    </span>
+                    {note.breath && <span className="text-carbon-600 text-[10px] mr-1">,</span>}
+                  </span>
+                );
+              })}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {/* Tempo */}
+      <div className="flex items-center gap-2">
+        <span className="text-[9px] text-carbon-500 uppercase tracking-wider">Laya</span>
+        <input
+          type="range"
+          min="40"
+          max="200"
+          step="5"
+          value={tempo}
+          onChange={(e) => setTempo(parseInt(e.target.value))}
+          className="flex-1 h-1.5 bg-carbon-700 rounded-full appearance-none cursor-pointer
+            [&::-webkit-slider-thumb]:appearance-none
+            [&::-webkit-slider-thumb]:w-3
+            [&::-webkit-slider-thumb]:h-3
+            [&::-webkit-slider-thumb]:rounded-full
+            [&::-webkit-slider-thumb]:bg-signal-orange
+            [&::-webkit-slider-thumb]:cursor-pointer"
+        />
+        <span className="text-[9px] text-carbon-400 w-16 text-right">{tempo} svaras/min</span>
+      </div>
+    </div>
+  );
+}
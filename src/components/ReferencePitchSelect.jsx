@@ -0,0 +1,78 @@
+/**
+ * ReferencePitchSelect Component
+ * Pill selector for the reference pitch (A4) every note is named against:
+ * the tuning standards, or a custom value in Hz
+ */
+
+import { useState } from 'react';
+import { TUNING_STANDARDS } from '../engine/tuning';
+import { getReferencePitch, CUSTOM_A4_RANGE } from '../engine/pitchUtils';
+
+export default function ReferencePitchSelect({ reference, onChange }) {
+  const [customInput, setCustomInput] = useState(reference.custom ? String(reference.a4) : '');
+  const [customError, setCustomError] = useState(null);
+  const [editing, setEditing] = useState(reference.custom);
+
+  const applyCustom = (value) => {
+    setCustomInput(value);
+    try {
+      onChange(getReferencePitch(parseFloat(value)).a4);
+      setCustomError(null);
+    } catch (e) {
+      setCustomError(e.message);
+    }
+  };
+
+  const pill = (isSelected) => `px-2 py-1 text-[10px] sm:text-xs font-medium rounded-md transition-colors ${
+    isSelected
+      ? 'bg-white text-carbon-800 shadow-sm'
+      : 'text-carbon-500 hover:text-carbon-700'
+  }`;
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-1 bg-carbon-100 rounded-lg p-0.5">
+        {Object.entries(TUNING_STANDARDS).map(([id, standard]) => (
+          <button
+            key={id}
+            onClick={() => {
+              setEditing(false);
+              setCustomError(null);
+              onChange(id);
+            }}
+            title={standard.name}
+            className={pill(!editing && reference.id === id)}
+          >
+            A={standard.a4}
+          </button>
+        ))}
+        <button onClick={() => setEditing(true)} className={pill(editing)}>
+          Custom
+        </button>
+        {editing && (
+          <span className="flex items-center gap-1 px-1">
+            <input
+              type="number"
+              value={customInput}
+              onChange={(e) => applyCustom(e.target.value)}
+              min={CUSTOM_A4_RANGE.min}
+              max={CUSTOM_A4_RANGE.max}
+              step="0.5"
+              placeholder={String(reference.a4)}
+              autoFocus
+              className="w-16 px-1.5 py-0.5 text-xs font-mono border border-carbon-300 rounded focus:outline-none focus:ring-2 focus:ring-signal-orange/50"
+            />
+            <span className="text-[10px] text-carbon-500">Hz</span>
+          </span>
+        )}
+      </div>
+      <p className={`text-[10px] sm:text-xs mt-1.5 ${customError ? 'text-signal-orange' : 'text-carbon-400'}`}>
+        {customError || (
+          <>
+            <span className="font-medium text-carbon-600">{reference.name}</span> — {reference.description}
+          </>
+        )}
+      </p>
+    </div>
+  );
+}
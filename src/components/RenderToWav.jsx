@@ -0,0 +1,158 @@
+/**
+ * RenderToWav Component
+ * "Render to WAV" panel shared by the mixers
+ *
+ * The parent passes a buildPatch(engine, duration) that recreates its
+ * current sound on an offline audio engine; this panel handles duration,
+ * fades, bit depth, progress and the download.
+ */
+
+import { useState } from 'react';
+import { renderPatch, isOfflineRenderSupported, RENDER_SAMPLE_RATE, MAX_RENDER_MINUTES } from '../utils/offlineRender';
+import { audioBufferToWav, estimateWavSize, WAV_BIT_DEPTHS } from '../engine/wav';
+import { downloadFile } from '../utils/download';
+
+const DURATION_PRESETS = [1, 5, 10, 20]; // minutes
+
+function formatMegabytes(bytes) {
+  return `${(bytes / (1024 * 1024)).toFixed(bytes > 100 * 1024 * 1024 ? 0 : 1)} MB`;
+}
+
+export default function RenderToWav({ buildPatch, filename, disabled = false, defaultMinutes = 5 }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [minutes, setMinutes] = useState(Math.min(defaultMinutes, MAX_RENDER_MINUTES));
+  const [fadeSeconds, setFadeSeconds] = useState(5);
+  const [bitDepth, setBitDepth] = useState(16);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+
+  const supported = isOfflineRenderSupported();
+  const seconds = Math.max(1, minutes * 60);
+  const isRendering = progress !== null;
+
+  const handleRender = async () => {
+    setError(null);
+    setProgress(0);
+    try {
+      const buffer = await renderPatch(buildPatch, {
+        duration: seconds,
+        fadeIn: Math.min(fadeSeconds, seconds / 4),
+        fadeOut: Math.min(fadeSeconds, seconds / 4),
+        onProgress: setProgress
+      });
+      downloadFile(`${filename}-${minutes}min-${bitDepth}bit.wav`, audioBufferToWav(buffer, bitDepth));
+    } catch (err) {
+      setError(err.message || 'Rendering failed');
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  if (!supported) return null;
+
+  return (
+    <div className="mt-3">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="text-[10px] text-carbon-400 hover:text-carbon-200 uppercase tracking-wider"
+      >
+        {isOpen ? '▼' : '▶'} Render to WAV
+      </button>
+
+      {isOpen && (
+        <div className="mt-2 bg-carbon-800 rounded-lg p-3 space-y-3 font-mono">
+          {/* Duration */}
+          <div>
+            <div className="flex items-center justify-between mb-1.5">
+              <span className="text-[9px] text-carbon-500 uppercase tracking-wider">Length</span>
+              <span className="text-[10px] text-carbon-400">{minutes} min</span>
+            </div>
+            <div className="flex gap-1">
+              {DURATION_PRESETS.map(m => (
+                <button
+                  key={m}
+                  onClick={() => setMinutes(m)}
+                  className={`flex-1 py-1 text-[10px] rounded border transition-all
+                    ${minutes === m
+                      ? 'bg-carbon-700 border-signal-orange text-signal-orange'
+                      : 'bg-carbon-900 border-carbon-700 text-carbon-400 hover:border-carbon-500'}`}
+                >
+                  {m}m
+                </button>
+              ))}
+              <input
+                type="number"
+                min="0.1"
+                max={MAX_RENDER_MINUTES}
+                step="0.5"
+                value={minutes}
+                onChange={(e) => setMinutes(Math.max(0.1, Math.min(MAX_RENDER_MINUTES, parseFloat(e.target.value) || 1)))}
+                className="w-14 px-1 py-1 text-[10px] rounded border bg-carbon-900 border-carbon-700 text-carbon-300 text-center"
+              />
+            </div>
+          </div>
+
+          {/* Fade + bit depth */}
+          <div className="flex items-center gap-3">
+            <label className="flex items-center gap-2 flex-1">
+              <span className="text-[9px] text-carbon-500 uppercase tracking-wider">Fades</span>
+              <input
+                type="range"
+                min="0"
+                max="30"
+                step="1"
+                value={fadeSeconds}
+                onChange={(e) => setFadeSeconds(parseInt(e.target.value, 10))}
+                className="flex-1 h-1.5 bg-carbon-700 rounded-full appearance-none cursor-pointer
+                  [&::-webkit-slider-thumb]:appearance-none
+                  [&::-webkit-slider-thumb]:w-3
+                  [&::-webkit-slider-thumb]:h-3
+                  [&::-webkit-slider-thumb]:rounded-full
+                  [&::-webkit-slider-thumb]:bg-signal-orange"
+              />
+              <span className="text-[10px] text-carbon-400 w-6">{fadeSeconds}s</span>
+            </label>
+            <div className="flex rounded overflow-hidden border border-carbon-600">
+              {WAV_BIT_DEPTHS.map(depth => (
+                <button
+                  key={depth}
+                  onClick={() => setBitDepth(depth)}
+                  className={`px-2 py-1 text-[9px] transition-all ${
+                    bitDepth === depth ? 'bg-signal-orange text-carbon-900' : 'bg-carbon-900 text-carbon-400'
+                  }`}
+                >
+                  {depth}-bit
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {/* Render */}
+          <div className="flex items-center gap-3">
+            <button
+              onClick={handleRender}
+              disabled={disabled || isRendering}
+              className="px-3 py-1.5 text-xs rounded border font-bold transition-all disabled:opacity-40
+                bg-signal-orange/20 border-signal-orange text-signal-orange"
+            >
+              {isRendering ? `Rendering ${Math.round(progress * 100)}%` : '⤓ Render WAV'}
+            </button>
+            <span className="text-[9px] text-carbon-500">
+              Stereo · {RENDER_SAMPLE_RATE / 1000} kHz · ≈{formatMegabytes(estimateWavSize({ seconds, bitDepth }))}
+            </span>
+          </div>
+
+          {isRendering && (
+            <div className="h-1 bg-carbon-900 rounded-full overflow-hidden">
+              <div className="h-full bg-signal-orange transition-all" style={{ width: `${progress * 100}%` }} />
+            </div>
+          )}
+
+          {error && (
+            <div className="text-[10px] text-signal-amber">{error}</div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
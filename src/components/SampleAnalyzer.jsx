@@ -0,0 +1,288 @@
+/**
+ * SampleAnalyzer Component
+ * Drop in (or record) a bowl, gong or sustained vowel and find its real
+ * partials: frequency, level, decay and distance from the harmonic series.
+ * The sample can be played back as recorded or rebuilt additively from
+ * the partials found.
+ *
+ * The parent gets the analysis through onAnalyzed so OvertoneChart can set
+ * the partials against the ideal series.
+ */
+
+import { useState, useRef, useEffect } from 'react';
+import { analyzeSample } from '../engine/partials';
+import { freqToNoteName, formatHz, formatCents, DEFAULT_A4 } from '../engine/pitchUtils';
+import { decodeSample, recordSample } from '../utils/sampleInput';
+import { unlockAudioEngine } from '../utils/audioEngine';
+import useEngineBus from '../hooks/useEngineBus';
+
+const RECORD_SECONDS = 6;
+
+// Longest a decaying partial is resynthesized for (seconds)
+const MAX_RESYNTH_RING = 60;
+
+export default function SampleAnalyzer({ onAnalyzed, a4 = DEFAULT_A4 }) {
+  const inputRef = useRef(null);
+  const sampleRef = useRef(null); // { samples, sampleRate }
+  const voicesRef = useRef([]);
+  const sourceRef = useRef(null);
+  const timerRef = useRef(null);
+
+  const [status, setStatus] = useState('idle'); // 'idle' | 'recording' | 'analyzing'
+  const [error, setError] = useState(null);
+  const [result, setResult] = useState(null); // analysis plus { name }
+  const [playing, setPlaying] = useState(null); // 'original' | 'resynth'
+  const [dragOver, setDragOver] = useState(false);
+
+  const { busRef, initAudio } = useEngineBus('sample', {
+    volume: 0.8,
+    onStopAll: () => {
+      clearTimeout(timerRef.current);
+      voicesRef.current = [];
+      try {
+        sourceRef.current?.stop();
+      } catch {
+        // Already ended
+      }
+      sourceRef.current = null;
+      setPlaying(null);
+    },
+    onNewBus: () => {
+      voicesRef.current = [];
+    }
+  });
+
+  const silence = () => {
+    clearTimeout(timerRef.current);
+    voicesRef.current.forEach(v => v.stop({ release: 0.1 }));
+    voicesRef.current = [];
+    try {
+      sourceRef.current?.stop();
+    } catch {
+      // Already ended
+    }
+    sourceRef.current = null;
+  };
+
+  const stop = () => {
+    silence();
+    setPlaying(null);
+  };
+
+  // Decode/record, then analyse off the click so the status can paint
+  const load = async (getSample, name) => {
+    stop();
+    setError(null);
+    try {
+      const sample = await getSample();
+      setStatus('analyzing');
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      const analysis = analyzeSample(sample.samples, sample.sampleRate);
+      sampleRef.current = sample;
+      setResult({ ...analysis, name });
+      onAnalyzed?.(analysis);
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setStatus('idle');
+    }
+  };
+
+  const loadFile = (file) => {
+    if (!file) return;
+    load(() => decodeSample(file), file.name);
+  };
+
+  const record = () => {
+    setStatus('recording');
+    load(() => recordSample(RECORD_SECONDS), `Recording ${new Date().toLocaleTimeString()}`);
+  };
+
+  const clear = () => {
+    stop();
+    sampleRef.current = null;
+    setResult(null);
+    onAnalyzed?.(null);
+  };
+
+  const playOriginal = async () => {
+    unlockAudioEngine();
+    const engine = await initAudio();
+    if (!engine || !sampleRef.current) return;
+
+    silence();
+    const { samples, sampleRate } = sampleRef.current;
+    const buffer = engine.ctx.createBuffer(1, samples.length, sampleRate);
+    buffer.copyToChannel(samples, 0);
+
+    const source = engine.ctx.createBufferSource();
+    source.buffer = buffer;
+    source.connect(busRef.current.input);
+    source.onended = () => {
+      source.disconnect();
+      if (sourceRef.current === source) {
+        sourceRef.current = null;
+        setPlaying(null);
+      }
+    };
+    source.start();
+    sourceRef.current = source;
+    setPlaying('original');
+  };
+
+  // One sine per partial at its level, decaying at its measured rate
+  const playResynthesis = async () => {
+    unlockAudioEngine();
+    const engine = await initAudio();
+    if (!engine || !result) return;
+
+    silence();
+    const start = engine.now() + 0.05;
+    const total = result.partials.reduce((sum, p) => sum + p.amplitude, 0);
+    let end = 0;
+
+    result.partials.forEach(partial => {
+      const peak = (0.5 * partial.amplitude) / total;
+      const length = partial.sustained ? result.duration : Math.min(partial.t60, MAX_RESYNTH_RING);
+      end = Math.max(end, length);
+
+      voicesRef.current.push(busRef.current.createVoice({
+        frequency: partial.hz,
+        when: start,
+        envelope: (g, t) => {
+          g.setValueAtTime(0, t);
+          g.linearRampToValueAtTime(peak, t + 0.01);
+          if (!partial.sustained) g.exponentialRampToValueAtTime(peak * 0.001, t + 0.01 + length);
+        },
+        duration: length + 0.05,
+        release: partial.sustained ? 0.3 : 0.05
+      }));
+    });
+
+    setPlaying('resynth');
+    timerRef.current = setTimeout(() => setPlaying(null), (end + 0.1) * 1000);
+  };
+
+  const toggle = (what) => {
+    if (playing === what) stop();
+    else if (what === 'original') playOriginal();
+    else playResynthesis();
+  };
+
+  // Cleanup: the end-of-play timer and a playing sample
+  useEffect(() => {
+    return () => {
+      clearTimeout(timerRef.current);
+      try {
+        sourceRef.current?.stop();
+      } catch {
+        // Already ended
+      }
+    };
+  }, []);
+
+  const busy = status !== 'idle';
+  const smallButton = 'px-2 py-1 text-[10px] sm:text-xs font-medium rounded-md border border-carbon-200 bg-white text-carbon-600 hover:border-carbon-400 transition-colors disabled:opacity-40';
+  const playButton = (what, label) => (
+    <button
+      onClick={() => toggle(what)}
+      className={`px-2 py-1 text-[10px] sm:text-xs font-medium rounded-md transition-colors ${
+        playing === what
+          ? 'bg-signal-orange text-white'
+          : 'bg-signal-orange/20 text-signal-orange hover:bg-signal-orange/30'
+      }`}
+    >
+      {playing === what ? '■ Stop' : `▶ ${label}`}
+    </button>
+  );
+
+  return (
+    <div className="bg-cream-50 rounded p-3 border border-carbon-100 space-y-3">
+      <div>
+        <div className="text-xs uppercase tracking-wider text-carbon-400 font-medium">Your Own Bowl or Voice</div>
+        <p className="text-[10px] text-carbon-500 mt-0.5">
+          Real bowls and voices are not a perfect harmonic series. Load a recording to find its partials.
+        </p>
+      </div>
+
+      {/* Drop zone */}
+      <div
+        onDragOver={(e) => {
+          e.preventDefault();
+          setDragOver(true);
+        }}
+        onDragLeave={() => setDragOver(false)}
+        onDrop={(e) => {
+          e.preventDefault();
+          setDragOver(false);
+          loadFile(e.dataTransfer.files[0]);
+        }}
+        className={`flex flex-wrap items-center justify-center gap-2 rounded-lg border border-dashed p-3 text-xs text-carbon-500 transition-colors ${
+          dragOver ? 'border-signal-orange bg-signal-orange/5' : 'border-carbon-200 bg-white'
+        }`}
+      >
+        <span>Drop a WAV or recording here, or</span>
+        <button onClick={() => inputRef.current?.click()} disabled={busy} className={smallButton}>
+          Choose file
+        </button>
+        <button onClick={record} disabled={busy} className={smallButton}>
+          {status === 'recording' ? `● Recording ${RECORD_SECONDS} s…` : `● Record ${RECORD_SECONDS} s`}
+        </button>
+        <input
+          ref={inputRef}
+          type="file"
+          accept="audio/*,.wav"
+          className="hidden"
+          onChange={(e) => {
+            loadFile(e.target.files[0]);
+            e.target.value = '';
+          }}
+        />
+      </div>
+
+      {status === 'analyzing' && <p className="text-xs text-carbon-500">Finding partials…</p>}
+      {error && <p className="text-xs text-signal-orange">{error}</p>}
+
+      {result && (
+        <>
+          <div className="flex flex-wrap items-center gap-2 text-xs">
+            <span className="text-carbon-700 font-medium truncate max-w-[12rem]" title={result.name}>{result.name}</span>
+            <span className="font-mono text-carbon-500">
+              {formatHz(result.fundamental)} Hz ({freqToNoteName(result.fundamental, a4)}) · {result.partials.length} partials · {result.duration.toFixed(1)} s
+            </span>
+            <span className="flex-1" />
+            {playButton('original', 'Original')}
+            {playButton('resynth', 'Resynthesize')}
+            <button onClick={clear} className={smallButton}>Clear</button>
+          </div>
+
+          <div className="bg-white border border-carbon-100 rounded-lg p-2 overflow-x-auto">
+            <div className="grid grid-cols-6 gap-2 text-[10px] text-carbon-400 border-b border-carbon-100 pb-1 mb-1 min-w-[22rem]">
+              <span>Hz</span>
+              <span className="text-right">× f1</span>
+              <span className="text-center">Nearest</span>
+              <span className="text-right">Cents</span>
+              <span className="text-right">Level</span>
+              <span className="text-right">T60</span>
+            </div>
+            {result.partials.map(partial => (
+              <div key={partial.hz} className="grid grid-cols-6 gap-2 text-[10px] font-mono py-0.5 min-w-[22rem]">
+                <span className="text-carbon-700">{formatHz(partial.hz)}</span>
+                <span className="text-right text-carbon-500">{partial.ratio.toFixed(3)}</span>
+                <span className="text-center text-carbon-500">H{partial.harmonic}</span>
+                <span className={`text-right ${Math.abs(partial.cents) < 10 ? 'text-carbon-500' : 'text-signal-amber'}`}>
+                  {formatCents(partial.cents)}
+                </span>
+                <span className="text-right text-carbon-500">{Math.round(partial.db)} dB</span>
+                <span className="text-right text-carbon-500">
+                  {partial.sustained ? 'held' : `${partial.t60.toFixed(1)} s`}
+                </span>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,159 @@
+/**
+ * ScalaFiles Component
+ * Import .scl/.kbm files as tuning systems and export the current scale
+ *
+ * An imported scale is registered in the tuning-system registry, so the
+ * scale table, drone and shruti mixers all play it rooted on the user's f0.
+ */
+
+import { useState, useRef } from 'react';
+import {
+  parseScl,
+  parseKbm,
+  serializeScl,
+  serializeKbm,
+  sclToTuningSystem,
+  tuningSystemToScl,
+  createKbmForF0
+} from '../engine/scala';
+import { registerTuningSystem, unregisterTuningSystem, listTuningSystems, getTuningSystem } from '../engine/tuningSystems';
+import { scaleToMidi } from '../engine/midi';
+import { downloadFile, readFileAsText } from '../utils/download';
+import MidiExportButton from './MidiExportButton';
+
+/**
+ * Lowercase, dash-separated id fragment from a file name
+ */
+function slugify(text) {
+  return text.toLowerCase().replace(/\.[a-z]+$/, '').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+export default function ScalaFiles({ f0, scale, tuningSystemId, onImport }) {
+  const inputRef = useRef(null);
+  const [errors, setErrors] = useState([]);
+  const [lastImport, setLastImport] = useState(null);
+
+  const handleFiles = async (fileList) => {
+    const files = Array.from(fileList || []);
+    if (files.length === 0) return;
+
+    const sclFile = files.find(f => f.name.toLowerCase().endsWith('.scl'));
+    const kbmFile = files.find(f => f.name.toLowerCase().endsWith('.kbm'));
+    const nextErrors = [];
+
+    if (!sclFile) {
+      setErrors([{ file: files[0].name, message: 'Choose a .scl file (optionally together with a .kbm mapping)' }]);
+      return;
+    }
+
+    let scl = null;
+    let kbm = null;
+
+    try {
+      scl = parseScl(await readFileAsText(sclFile));
+    } catch (err) {
+      nextErrors.push({ file: sclFile.name, message: err.message });
+    }
+
+    if (kbmFile) {
+      try {
+        kbm = parseKbm(await readFileAsText(kbmFile));
+      } catch (err) {
+        nextErrors.push({ file: kbmFile.name, message: err.message });
+      }
+    }
+
+    setErrors(nextErrors);
+    if (!scl || nextErrors.length > 0) return;
+
+    try {
+      // A fresh id per import, so re-importing an edited file is a change
+      // the page notices; the earlier import of the same file goes away
+      const system = registerTuningSystem({
+        ...sclToTuningSystem(scl, { id: `scala-${slugify(sclFile.name)}-${Date.now().toString(36)}`, kbm }),
+        file: sclFile.name
+      });
+      listTuningSystems()
+        .filter(s => s.source === 'scala' && s.file === sclFile.name && s.id !== system.id)
+        .forEach(s => unregisterTuningSystem(s.id));
+      setLastImport({ name: system.name, notes: scl.degrees.length, kbm: kbmFile?.name });
+      onImport(system.id);
+    } catch (err) {
+      setErrors([{ file: sclFile.name, message: err.message }]);
+    }
+  };
+
+  const exportScl = () => {
+    const system = getTuningSystem(tuningSystemId);
+    const filename = `vocal-prism-${system.id}.scl`;
+    downloadFile(filename, serializeScl(tuningSystemToScl(system), filename));
+  };
+
+  const exportKbm = () => {
+    const system = getTuningSystem(tuningSystemId);
+    const filename = `vocal-prism-${system.id}-${Math.round(f0)}hz.kbm`;
+    downloadFile(filename, serializeKbm(createKbmForF0(f0, system.degrees.length - 1), filename));
+  };
+
+  return (
+    <div className="mt-2">
+      <div className="flex flex-wrap items-center gap-1.5">
+        <button
+          onClick={() => inputRef.current?.click()}
+          className="px-2 py-1 text-[10px] sm:text-xs font-medium rounded-md border border-carbon-200 bg-white text-carbon-600 hover:border-carbon-400 transition-colors"
+        >
+          Import .scl / .kbm
+        </button>
+        <button
+          onClick={exportScl}
+          className="px-2 py-1 text-[10px] sm:text-xs font-medium rounded-md border border-carbon-200 bg-white text-carbon-600 hover:border-carbon-400 transition-colors"
+        >
+          ⤓ .scl
+        </button>
+        <button
+          onClick={exportKbm}
+          title={`Keyboard mapping with Sa tuned to ${f0} Hz`}
+          className="px-2 py-1 text-[10px] sm:text-xs font-medium rounded-md border border-carbon-200 bg-white text-carbon-600 hover:border-carbon-400 transition-colors"
+        >
+          ⤓ .kbm
+        </button>
+        {scale && (
+          <MidiExportButton
+            variant="light"
+            filename={`vocal-prism-scale-${tuningSystemId}-${Math.round(f0)}hz.mid`}
+            title="Your scale as MIDI, pitch-bent to the exact frequencies"
+            build={() => scaleToMidi(scale)}
+          />
+        )}
+        <input
+          ref={inputRef}
+          type="file"
+          accept=".scl,.kbm"
+          multiple
+          className="hidden"
+          onChange={(e) => {
+            handleFiles(e.target.files);
+            e.target.value = '';
+          }}
+        />
+      </div>
+
+      {lastImport && errors.length === 0 && (
+        <p className="text-[10px] sm:text-xs text-carbon-400 mt-1.5">
+          Loaded <span className="font-medium text-carbon-600">{lastImport.name}</span> ({lastImport.notes} notes
+          {lastImport.kbm ? `, mapped by ${lastImport.kbm}` : ''}) — rooted on your {f0} Hz Sa.
+        </p>
+      )}
+
+      {errors.length > 0 && (
+        <div className="mt-1.5 px-3 py-2 rounded-lg bg-signal-coral/10 border border-signal-coral/30 text-[10px] sm:text-xs text-signal-coral space-y-0.5">
+          {errors.map(err => (
+            <div key={err.file}>
+              <span className="font-medium">{err.file}</span> — {err.message}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,515 @@
+/**
+ * SessionProgrammer Component
+ * Build a timed entrainment session from segments and play it
+ *
+ * Each segment ramps the beat from one rate to another over its length,
+ * with its own carrier, volume curve and an optional drone or noise bed.
+ * The whole session is scheduled on the audio clock (utils/sessionPlayer);
+ * the timeline shows the beat and volume curves with a playhead, and can
+ * be clicked to jump. Programs are saved in this browser and can be moved
+ * between machines as JSON.
+ *
+ * A session keeps the f0 it started with until it is stopped.
+ */
+
+import { useState, useRef, useEffect, useMemo } from 'react';
+import {
+  SESSION_PRESETS,
+  SEGMENT_LIMITS,
+  VOLUME_CURVES,
+  BED_TYPES,
+  normalizeProgram,
+  createSegment,
+  programTimeline,
+  programDuration,
+  sessionStateAt,
+  describeSegment,
+  formatSessionTime
+} from '../engine/sessionProgram';
+import { ENTRAINMENT_MODES } from '../engine/entrainment';
+import { getBrainwaveState } from '../engine/frameworks/neuroscience';
+import { createSessionPlayer } from '../utils/sessionPlayer';
+import {
+  loadPrograms,
+  upsertProgram,
+  removeProgram,
+  serializePrograms,
+  parsePrograms
+} from '../utils/programStorage';
+import { downloadFile, readFileAsText } from '../utils/download';
+import { unlockAudioEngine } from '../utils/audioEngine';
+import useEngineBus from '../hooks/useEngineBus';
+import { AudioUnlockInline } from './AudioUnlockButton';
+
+// Timeline drawing (viewBox units)
+const TIMELINE_WIDTH = 1000;
+const TIMELINE_HEIGHT = 90;
+const TIMELINE_POINTS = 200;
+
+// Beat axis of the timeline (log scale, Hz)
+const AXIS_MIN_BEAT = 0.5;
+const AXIS_MAX_BEAT = 50;
+
+const isSaved = (program) => program.id.startsWith('session-');
+
+const slugify = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'session';
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+export default function SessionProgrammer({ f0 = 165 }) {
+  const playerRef = useRef(null);
+  const inputRef = useRef(null);
+
+  const [programs, setPrograms] = useState(loadPrograms);
+  const [program, setProgram] = useState(() => normalizeProgram(SESSION_PRESETS[0]));
+  const [status, setStatus] = useState('stopped'); // 'stopped' | 'playing' | 'paused'
+  const [elapsed, setElapsed] = useState(0);
+  const [message, setMessage] = useState(null); // { text, isError }
+
+  // The player's buses feed this one
+  const { busRef, initAudio } = useEngineBus('session-programmer', {
+    onStopAll: () => {
+      playerRef.current?.stop({ release: 0.05 });
+      playerRef.current = null;
+      setStatus('stopped');
+    }
+  });
+
+  const duration = programDuration(program);
+  const timeline = useMemo(() => programTimeline(program), [program]);
+  const editable = status === 'stopped';
+  const state = duration > 0 ? sessionStateAt(program, elapsed, { f0 }) : null;
+
+  // Beat and volume curves, sampled for drawing
+  const curves = useMemo(() => {
+    if (!duration) return { beat: '', volume: '' };
+    const beatY = (beat) => {
+      const x = Math.log(clamp(beat, AXIS_MIN_BEAT, AXIS_MAX_BEAT) / AXIS_MIN_BEAT) / Math.log(AXIS_MAX_BEAT / AXIS_MIN_BEAT);
+      return TIMELINE_HEIGHT - 4 - x * (TIMELINE_HEIGHT - 8);
+    };
+    const beat = [];
+    const volume = [];
+    for (let i = 0; i <= TIMELINE_POINTS; i++) {
+      const t = (i / TIMELINE_POINTS) * duration;
+      const at = sessionStateAt(program, t, { f0 });
+      const x = (i / TIMELINE_POINTS) * TIMELINE_WIDTH;
+      beat.push(`${x.toFixed(1)},${beatY(at.beat).toFixed(1)}`);
+      volume.push(`${x.toFixed(1)},${(TIMELINE_HEIGHT - at.volume * TIMELINE_HEIGHT).toFixed(1)}`);
+    }
+    return {
+      beat: beat.join(' '),
+      volume: `0,${TIMELINE_HEIGHT} ${volume.join(' ')} ${TIMELINE_WIDTH},${TIMELINE_HEIGHT}`
+    };
+  }, [program, duration, f0]);
+
+  // Follow the audio clock while playing
+  useEffect(() => {
+    if (status !== 'playing') return;
+    const id = setInterval(() => setElapsed(playerRef.current?.elapsed() ?? 0), 250);
+    return () => clearInterval(id);
+  }, [status]);
+
+  // Stop the session on unmount
+  useEffect(() => {
+    return () => playerRef.current?.stop({ release: 0.1 });
+  }, []);
+
+  // A session whose graph can't be built (e.g. a bad frequency) stays stopped
+  const fail = (e) => {
+    playerRef.current = null;
+    setStatus('stopped');
+    setMessage({ text: `Could not play this session: ${e.message}`, isError: true });
+  };
+
+  const play = () => {
+    unlockAudioEngine();
+
+    (async () => {
+      if (!playerRef.current) {
+        const engine = await initAudio();
+        if (!engine) return;
+        playerRef.current = createSessionPlayer(engine, program, {
+          f0,
+          destination: busRef.current.input,
+          onEnd: () => {
+            playerRef.current = null;
+            setStatus('stopped');
+            setElapsed(0);
+          }
+        });
+      }
+      if (playerRef.current.start(elapsed < duration ? elapsed : 0)) setStatus('playing');
+    })().catch(fail);
+  };
+
+  const pause = () => {
+    setElapsed(playerRef.current.pause());
+    setStatus('paused');
+  };
+
+  const stop = () => {
+    playerRef.current?.stop();
+    playerRef.current = null;
+    setStatus('stopped');
+    setElapsed(0);
+  };
+
+  const seek = (e) => {
+    if (!duration) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    const t = clamp((e.clientX - rect.left) / rect.width, 0, 1) * duration;
+    try {
+      playerRef.current?.seek(t);
+    } catch (err) {
+      fail(err);
+    }
+    setElapsed(t);
+  };
+
+  // Editing
+
+  const edit = (change) => {
+    setProgram(p => ({ ...p, ...change }));
+    setElapsed(0);
+    setMessage(null);
+  };
+
+  const editSegment = (index, change) => {
+    edit({ segments: program.segments.map((s, i) => (i === index ? { ...s, ...change } : s)) });
+  };
+
+  const moveSegment = (index, delta) => {
+    const segments = [...program.segments];
+    const [moved] = segments.splice(index, 1);
+    segments.splice(index + delta, 0, moved);
+    edit({ segments });
+  };
+
+  const addSegment = () => {
+    edit({ segments: [...program.segments, createSegment(program.segments[program.segments.length - 1])] });
+  };
+
+  const open = (next) => {
+    stop();
+    setProgram(normalizeProgram(next));
+    setMessage(null);
+  };
+
+  const save = () => {
+    const saved = isSaved(program) ? program : { ...program, id: `session-${Date.now()}` };
+    setPrograms(list => upsertProgram(list, saved));
+    setProgram(saved);
+    setMessage({ text: `Saved "${saved.name}"`, isError: false });
+  };
+
+  const remove = () => {
+    setPrograms(list => removeProgram(list, program.id));
+    setMessage({ text: `Deleted "${program.name}"`, isError: false });
+    setProgram(p => ({ ...p, id: 'draft' }));
+  };
+
+  const exportPrograms = (list, filename) => {
+    downloadFile(filename, serializePrograms(list), 'application/json');
+  };
+
+  const importFile = (file) => {
+    if (!file) return;
+    readFileAsText(file)
+      .then(text => {
+        const imported = parsePrograms(text).map(p => (isSaved(p) ? p : { ...p, id: `session-${Date.now()}-${p.id}` }));
+        setPrograms(list => imported.reduce(upsertProgram, list));
+        if (imported.length) open(imported[0]);
+        setMessage({ text: `Imported ${imported.length} session${imported.length === 1 ? '' : 's'}`, isError: false });
+      })
+      .catch(e => setMessage({ text: e.message, isError: true }));
+  };
+
+  const chip = (active) => `px-2 py-1 text-[10px] rounded border transition-all
+    ${active
+      ? 'bg-signal-orange/20 border-signal-orange text-signal-orange'
+      : 'bg-carbon-800 border-carbon-700 text-carbon-400 hover:border-carbon-500'}`;
+  const smallButton = 'px-2 py-1 text-[10px] rounded border border-carbon-600 text-carbon-300 hover:border-signal-orange hover:text-signal-orange transition-all disabled:opacity-40';
+  const field = 'bg-carbon-800 border border-carbon-700 rounded px-1.5 py-0.5 text-[10px] text-carbon-200 disabled:opacity-50';
+
+  const numberInput = (value, onChange, { min, max, step = 1, width = 'w-12', placeholder } = {}) => (
+    <input
+      type="number"
+      value={value ?? ''}
+      min={min}
+      max={max}
+      step={step}
+      placeholder={placeholder}
+      disabled={!editable}
+      onChange={(e) => {
+        const parsed = parseFloat(e.target.value);
+        onChange(Number.isFinite(parsed) ? Math.min(parsed, max) : null);
+      }}
+      onBlur={() => {
+        if (value !== null && value < min) onChange(min);
+      }}
+      className={`${field} ${width}`}
+    />
+  );
+
+  const current = state && status !== 'stopped' ? program.segments[state.index] : null;
+
+  return (
+    <div className="bg-carbon-900 rounded-lg p-4 text-white font-mono space-y-4">
+      {/* Header */}
+      <div className="flex items-start justify-between gap-2">
+        <div>
+          <h3 className="text-carbon-200 font-semibold flex items-center gap-2">
+            <span>⏱</span>
+            Session Programmer
+          </h3>
+          <p className="text-[10px] text-carbon-500 mt-0.5">
+            Timed beat ramps on your f0 ({f0} Hz) · {formatSessionTime(duration)} total
+          </p>
+        </div>
+        <div className="flex gap-2 shrink-0">
+          {status === 'playing' ? (
+            <button onClick={pause} className="px-4 py-2 rounded border font-bold text-sm bg-signal-orange/20 border-signal-orange text-signal-orange">
+              ❚❚ PAUSE
+            </button>
+          ) : (
+            <button
+              onClick={play}
+              disabled={!duration}
+              className="px-4 py-2 rounded border font-bold text-sm bg-carbon-800 border-carbon-600 text-carbon-400 hover:border-carbon-400 disabled:opacity-40"
+            >
+              {status === 'paused' ? '▶ RESUME' : '▶ PLAY'}
+            </button>
+          )}
+          {status !== 'stopped' && (
+            <button onClick={stop} className="px-3 py-2 rounded border font-bold text-sm bg-carbon-800 border-carbon-600 text-carbon-400 hover:border-carbon-400">
+              ■
+            </button>
+          )}
+        </div>
+      </div>
+
+      <AudioUnlockInline />
+
+      {/* Programs */}
+      <div className="space-y-2">
+        <div className="flex flex-wrap gap-1">
+          {SESSION_PRESETS.map(preset => (
+            <button key={preset.id} onClick={() => open(preset)} className={chip(program.id === preset.id)}>
+              {preset.name}
+            </button>
+          ))}
+          {programs.map(saved => (
+            <button key={saved.id} onClick={() => open(saved)} className={chip(program.id === saved.id)}>
+              ★ {saved.name}
+            </button>
+          ))}
+        </div>
+        <div className="flex flex-wrap items-center gap-1.5">
+          <input
+            type="text"
+            value={program.name}
+            onChange={(e) => edit({ name: e.target.value })}
+            disabled={!editable}
+            className={`${field} flex-1 min-w-[8rem] py-1`}
+          />
+          <button onClick={save} disabled={!program.name.trim()} className={smallButton}>Save</button>
+          {isSaved(program) && (
+            <button onClick={remove} className={smallButton}>Delete</button>
+          )}
+          <button onClick={() => exportPrograms([program], `vocal-prism-session-${slugify(program.name)}.json`)} className={smallButton}>
+            ⤓ Export
+          </button>
+          <button
+            onClick={() => exportPrograms(programs, 'vocal-prism-sessions.json')}
+            disabled={!programs.length}
+            className={smallButton}
+          >
+            ⤓ All
+          </button>
+          <button onClick={() => inputRef.current?.click()} className={smallButton}>Import</button>
+          <input
+            ref={inputRef}
+            type="file"
+            accept=".json,application/json"
+            className="hidden"
+            onChange={(e) => {
+              importFile(e.target.files[0]);
+              e.target.value = '';
+            }}
+          />
+        </div>
+        {message && (
+          <p className={`text-[10px] ${message.isError ? 'text-signal-coral' : 'text-carbon-500'}`}>{message.text}</p>
+        )}
+      </div>
+
+      {/* Timeline */}
+      <div>
+        <div
+          onClick={seek}
+          className="relative h-24 bg-carbon-800 rounded overflow-hidden cursor-pointer"
+          title="Click to jump"
+        >
+          <svg viewBox={`0 0 ${TIMELINE_WIDTH} ${TIMELINE_HEIGHT}`} preserveAspectRatio="none" className="absolute inset-0 w-full h-full">
+            {timeline.map(({ segment, index, start, end }) => (
+              <rect
+                key={index}
+                x={(start / duration) * TIMELINE_WIDTH}
+                width={((end - start) / duration) * TIMELINE_WIDTH}
+                y="0"
+                height={TIMELINE_HEIGHT}
+                fill={getBrainwaveState((segment.beatFrom + segment.beatTo) / 2).color}
+                opacity={current && state.index === index ? 0.55 : 0.3}
+                stroke="#1a1a1a"
+                strokeWidth="2"
+                vectorEffect="non-scaling-stroke"
+              />
+            ))}
+            <polygon points={curves.volume} fill="rgba(255,255,255,0.08)" />
+            <polyline points={curves.beat} fill="none" stroke="#FF6B35" strokeWidth="2" vectorEffect="non-scaling-stroke" />
+            {duration > 0 && (
+              <line
+                x1={(elapsed / duration) * TIMELINE_WIDTH}
+                x2={(elapsed / duration) * TIMELINE_WIDTH}
+                y1="0"
+                y2={TIMELINE_HEIGHT}
+                stroke="#fff"
+                strokeWidth="1.5"
+                vectorEffect="non-scaling-stroke"
+              />
+            )}
+          </svg>
+        </div>
+        <div className="flex justify-between text-[9px] text-carbon-500 mt-1">
+          <span>{formatSessionTime(elapsed)}</span>
+          <span>
+            <span className="text-signal-orange">—</span> beat (log) · <span className="text-carbon-300">▒</span> volume
+          </span>
+          <span>{formatSessionTime(duration)}</span>
+        </div>
+      </div>
+
+      {/* Now playing */}
+      {current && (
+        <div className="bg-carbon-800 rounded p-3 text-xs flex flex-wrap items-center gap-x-4 gap-y-1">
+          <span className="text-carbon-400">
+            Segment {state.index + 1}/{program.segments.length}: {describeSegment(current)}
+          </span>
+          <span className="text-signal-orange font-bold">{state.beat.toFixed(2)} Hz {state.band}</span>
+          <span className="text-carbon-400">carrier {state.carrier.toFixed(1)} Hz</span>
+          <span className="text-carbon-400">volume {Math.round(state.volume * 100)}%</span>
+          {status === 'paused' && <span className="text-signal-amber">paused</span>}
+        </div>
+      )}
+
+      {/* Program settings */}
+      <div>
+        <div className="text-[10px] text-carbon-500 uppercase tracking-wider mb-2">Beat Type</div>
+        <div className="flex gap-1">
+          {ENTRAINMENT_MODES.map(mode => (
+            <button
+              key={mode.id}
+              onClick={() => edit({ mode: mode.id })}
+              disabled={!editable}
+              className={`${chip(program.mode === mode.id)} disabled:opacity-50`}
+            >
+              {mode.headphones ? '🎧' : '🔊'} {mode.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Segments */}
+      <div className="space-y-1.5">
+        <div className="text-[10px] text-carbon-500 uppercase tracking-wider">Segments</div>
+        {program.segments.map((segment, index) => (
+          <div key={index} className="bg-carbon-800 rounded p-2 space-y-1.5">
+            <div className="flex items-center justify-between gap-2">
+              <span className="text-[10px] text-carbon-300">
+                {index + 1}. {describeSegment(segment)}
+              </span>
+              <span className="flex gap-1">
+                <button onClick={() => moveSegment(index, -1)} disabled={!editable || index === 0} className={smallButton}>↑</button>
+                <button onClick={() => moveSegment(index, 1)} disabled={!editable || index === program.segments.length - 1} className={smallButton}>↓</button>
+                <button
+                  onClick={() => edit({ segments: program.segments.filter((_, i) => i !== index) })}
+                  disabled={!editable || program.segments.length === 1}
+                  className={smallButton}
+                >
+                  ✕
+                </button>
+              </span>
+            </div>
+            <div className="flex flex-wrap items-center gap-x-3 gap-y-1 text-[10px] text-carbon-500">
+              <label className="flex items-center gap-1">
+                {numberInput(segment.minutes, v => editSegment(index, { minutes: v ?? SEGMENT_LIMITS.minMinutes }), {
+                  min: SEGMENT_LIMITS.minMinutes, max: SEGMENT_LIMITS.maxMinutes, step: 0.5
+                })}
+                min
+              </label>
+              <label className="flex items-center gap-1">
+                beat
+                {numberInput(segment.beatFrom, v => editSegment(index, { beatFrom: v ?? SEGMENT_LIMITS.minBeat }), {
+                  min: SEGMENT_LIMITS.minBeat, max: SEGMENT_LIMITS.maxBeat, step: 0.5
+                })}
+                →
+                {numberInput(segment.beatTo, v => editSegment(index, { beatTo: v ?? SEGMENT_LIMITS.minBeat }), {
+                  min: SEGMENT_LIMITS.minBeat, max: SEGMENT_LIMITS.maxBeat, step: 0.5
+                })}
+                Hz
+              </label>
+              <label className="flex items-center gap-1">
+                carrier
+                {numberInput(segment.carrier, v => editSegment(index, { carrier: v }), {
+                  min: SEGMENT_LIMITS.minCarrier, max: SEGMENT_LIMITS.maxCarrier, width: 'w-14', placeholder: 'Sa'
+                })}
+                Hz
+              </label>
+              <label className="flex items-center gap-1">
+                vol
+                {numberInput(Math.round(segment.volumeFrom * 100), v => editSegment(index, { volumeFrom: (v ?? 0) / 100 }), { min: 0, max: 100, step: 5 })}
+                →
+                {numberInput(Math.round(segment.volumeTo * 100), v => editSegment(index, { volumeTo: (v ?? 0) / 100 }), { min: 0, max: 100, step: 5 })}
+                %
+                <select
+                  value={segment.volumeCurve}
+                  onChange={(e) => editSegment(index, { volumeCurve: e.target.value })}
+                  disabled={!editable}
+                  className={field}
+                >
+                  {VOLUME_CURVES.map(c => <option key={c.id} value={c.id}>{c.label}</option>)}
+                </select>
+              </label>
+              <label className="flex items-center gap-1">
+                bed
+                <select
+                  value={segment.bed}
+                  onChange={(e) => editSegment(index, { bed: e.target.value })}
+                  disabled={!editable}
+                  className={field}
+                >
+                  {BED_TYPES.map(b => <option key={b.id} value={b.id}>{b.label}</option>)}
+                </select>
+                {segment.bed !== 'none' && (
+                  <>
+                    {numberInput(Math.round(segment.bedLevel * 100), v => editSegment(index, { bedLevel: (v ?? 0) / 100 }), { min: 0, max: 100, step: 5 })}
+                    %
+                  </>
+                )}
+              </label>
+            </div>
+          </div>
+        ))}
+        <button onClick={addSegment} disabled={!editable} className={smallButton}>+ Add segment</button>
+        {!editable && (
+          <p className="text-[9px] text-carbon-500">Stop the session to edit it.</p>
+        )}
+      </div>
+
+      <p className="text-[9px] text-carbon-500 leading-relaxed">
+        Each segment after the first glides in over a few seconds from where the last one ended. Leave the carrier
+        empty to use your Sa. Binaural sessions need headphones; monaural and isochronic ones work on speakers.
+      </p>
+    </div>
+  );
+}
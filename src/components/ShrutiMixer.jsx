@@ -7,8 +7,14 @@
 
 import { useState, useRef, useCallback, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { getAudioContext, subscribeToAudioState, unlockAudioSync } from '../utils/mobileAudio';
+import { subscribeToAudioState, getAudioState } from '../utils/mobileAudio';
+import { unlockAudioEngine } from '../utils/audioEngine';
+import useEngineBus from '../hooks/useEngineBus';
 import { AudioUnlockInline } from './AudioUnlockButton';
+import { shrutisToScl, serializeScl } from '../engine/scala';
+import { downloadFile } from '../utils/download';
+import RenderToWav from './RenderToWav';
+import MixerPresets from './MixerPresets';
 
 // Common harmonic combinations in Indian classical music
 const HARMONY_PRESETS = [
@@ -113,9 +119,7 @@ const TUNABLE_SVARAS = [
 ];
 
 export default function ShrutiMixer({ shrutiData, f0 = 165 }) {
-  const audioContextRef = useRef(null);
-  const oscillatorsRef = useRef(new Map());
-  const masterGainRef = useRef(null);
+  const voicesRef = useRef(new Map());
 
   const [activeShrutis, setActiveShrutis] = useState(new Set([1])); // Start with Sa
   const [masterVolume, setMasterVolume] = useState(0.5);
@@ -135,6 +139,17 @@ export default function ShrutiMixer({ shrutiData, f0 = 165 }) {
     return unsubscribe;
   }, [audioState]);
 
+  const { busRef, initAudio: initBus } = useEngineBus('shruti', {
+    volume: masterVolume * 0.4,
+    onStopAll: () => {
+      voicesRef.current = new Map();
+      setIsPlaying(false);
+    },
+    onNewBus: () => {
+      voicesRef.current = new Map();
+    }
+  });
+
   // Fine-tuning state: which shruti is selected for each tunable svara
   const [tunedShrutis, setTunedShrutis] = useState(() => {
     const initial = {};
@@ -150,71 +165,35 @@ export default function ShrutiMixer({ shrutiData, f0 = 165 }) {
   // Get shruti data by number
   const getShrutiByNumber = (num) => scale.find(s => s.shruti === num);
 
-  // Initialize audio context with mobile-friendly unlocking
+  // Initialize the shared audio engine and this mixer's bus
   const initAudio = useCallback(async () => {
-    const ctx = await getAudioContext();
-
-    if (!ctx) {
-      setAudioState('error');
-      return null;
-    }
-
-    // If context is suspended, needs user interaction
-    if (ctx.state === 'suspended') {
-      setAudioState('waiting');
-      return null;
-    }
-
-    if (!audioContextRef.current || audioContextRef.current !== ctx) {
-      audioContextRef.current = ctx;
-      masterGainRef.current = ctx.createGain();
-      masterGainRef.current.gain.value = masterVolume * 0.4;
-      masterGainRef.current.connect(ctx.destination);
-    }
+    const engine = await initBus();
 
-    setAudioState('running');
-    return ctx;
-  }, [masterVolume]);
+    // No engine: no Web Audio, or a suspended context needs user interaction
+    setAudioState(engine ? 'running' : getAudioState() === 'suspended' ? 'waiting' : 'error');
+    return engine;
+  }, [initBus]);
 
-  // Start an oscillator for a shruti
+  // Start a voice for a shruti
   const startOscillator = useCallback(async (shrutiNum) => {
-    const ctx = await initAudio();
+    const engine = await initAudio();
     const shruti = getShrutiByNumber(shrutiNum);
-    if (!shruti || oscillatorsRef.current.has(shrutiNum)) return;
-
-    const osc = ctx.createOscillator();
-    const gain = ctx.createGain();
-
-    osc.type = waveType;
-    osc.frequency.value = shruti.hz;
-
-    // Smooth fade in
-    gain.gain.setValueAtTime(0, ctx.currentTime);
-    gain.gain.linearRampToValueAtTime(0.3, ctx.currentTime + 0.1);
+    if (!engine || !shruti || voicesRef.current.has(shrutiNum)) return;
 
-    osc.connect(gain);
-    gain.connect(masterGainRef.current);
-    osc.start();
+    voicesRef.current.set(shrutiNum, busRef.current.createVoice({
+      frequency: shruti.hz,
+      type: waveType,
+      volume: 0.3,
+      attack: 0.1
+    }));
+  }, [initAudio, busRef, waveType, scale]);
 
-    oscillatorsRef.current.set(shrutiNum, { osc, gain });
-  }, [initAudio, waveType, scale]);
-
-  // Stop an oscillator for a shruti
+  // Stop the voice for a shruti
   const stopOscillator = useCallback((shrutiNum) => {
-    const entry = oscillatorsRef.current.get(shrutiNum);
-    if (!entry) return;
-
-    const ctx = audioContextRef.current;
-    if (ctx) {
-      entry.gain.gain.linearRampToValueAtTime(0, ctx.currentTime + 0.1);
-      setTimeout(() => {
-        try {
-          entry.osc.stop();
-          entry.osc.disconnect();
-        } catch (e) {}
-        oscillatorsRef.current.delete(shrutiNum);
-      }, 150);
-    }
+    const voice = voicesRef.current.get(shrutiNum);
+    if (!voice) return;
+    voice.stop({ release: 0.1 });
+    voicesRef.current.delete(shrutiNum);
   }, []);
 
   // Toggle a shruti
@@ -232,10 +211,10 @@ export default function ShrutiMixer({ shrutiData, f0 = 165 }) {
     });
   }, [isPlaying, startOscillator, stopOscillator]);
 
-  // Start all active shrutis - CRITICAL: Must call unlockAudioSync FIRST for Safari
+  // Start all active shrutis - CRITICAL: Must unlock synchronously FIRST for Safari
   const startAll = useCallback(() => {
     // CRITICAL: Sync unlock first for Safari
-    unlockAudioSync();
+    unlockAudioEngine();
 
     (async () => {
       await initAudio();
@@ -246,9 +225,9 @@ export default function ShrutiMixer({ shrutiData, f0 = 165 }) {
     })();
   }, [initAudio, activeShrutis, startOscillator]);
 
-  // Stop all oscillators
+  // Stop all voices
   const stopAll = useCallback(() => {
-    oscillatorsRef.current.forEach((_, num) => stopOscillator(num));
+    voicesRef.current.forEach((_, num) => stopOscillator(num));
     setIsPlaying(false);
   }, [stopOscillator]);
 
@@ -261,21 +240,30 @@ export default function ShrutiMixer({ shrutiData, f0 = 165 }) {
     }
   }, [isPlaying, startAll, stopAll]);
 
+  // Saved presets
+  const presetSettings = { activeShrutis: [...activeShrutis], tunedShrutis, waveType, masterVolume };
+
+  const loadSettings = (settings) => {
+    stopAll();
+    setActiveShrutis(new Set(settings.activeShrutis));
+    setTunedShrutis(settings.tunedShrutis);
+    setWaveType(settings.waveType);
+    setMasterVolume(settings.masterVolume);
+  };
+
   // Apply preset
   const applyPreset = useCallback((preset) => {
     // Stop current playback
     if (isPlaying) {
-      oscillatorsRef.current.forEach((_, num) => stopOscillator(num));
+      voicesRef.current.forEach((_, num) => stopOscillator(num));
     }
 
     // Set new active shrutis
     setActiveShrutis(new Set(preset.shrutis));
 
-    // If playing, start the new ones
+    // If playing, start the new ones (old voices release on the audio clock)
     if (isPlaying) {
-      setTimeout(() => {
-        preset.shrutis.forEach(num => startOscillator(num));
-      }, 100);
+      preset.shrutis.forEach(num => startOscillator(num));
     }
   }, [isPlaying, stopOscillator, startOscillator]);
 
@@ -319,7 +307,7 @@ export default function ShrutiMixer({ shrutiData, f0 = 165 }) {
 
         if (isPlaying) {
           stopOscillator(oldShruti);
-          setTimeout(() => startOscillator(newShruti), 50);
+          startOscillator(newShruti);
         }
       }
 
@@ -327,31 +315,34 @@ export default function ShrutiMixer({ shrutiData, f0 = 165 }) {
     });
   }, [isPlaying, startOscillator, stopOscillator]);
 
-  // Update master volume
-  useEffect(() => {
-    if (masterGainRef.current && audioContextRef.current) {
-      masterGainRef.current.gain.linearRampToValueAtTime(
-        masterVolume * 0.4,
-        audioContextRef.current.currentTime + 0.1
-      );
-    }
-  }, [masterVolume]);
+  // Export Sa … Sa' with the currently selected shruti for each tunable svara
+  const exportTunedScale = () => {
+    const chosen = [1, ...TUNABLE_SVARAS.map(s => tunedShrutis[s.name].shruti), 14, 23]
+      .sort((a, b) => a - b)
+      .map(getShrutiByNumber)
+      .filter(Boolean);
+    const filename = `vocal-prism-shrutis-${Math.round(f0)}hz.scl`;
+    const text = serializeScl(
+      shrutisToScl(chosen, `Vocal Prism tuned shrutis, Sa = ${f0} Hz (${chosen.map(s => s.svara).join(', ')})`),
+      filename
+    );
+    downloadFile(filename, text);
+  };
 
-  // Update wave type for all oscillators
-  useEffect(() => {
-    oscillatorsRef.current.forEach(({ osc }) => {
-      osc.type = waveType;
+  // Rebuild the active shrutis on an offline engine for WAV rendering
+  const buildRenderPatch = (engine) => {
+    const bus = engine.createBus('shruti', { volume: masterVolume * 0.4 });
+    activeShrutis.forEach(num => {
+      const shruti = getShrutiByNumber(num);
+      if (!shruti) return;
+      bus.createVoice({ frequency: shruti.hz, type: waveType, volume: 0.3, attack: 0, when: 0 });
     });
-  }, [waveType]);
+  };
 
-  // Cleanup oscillators (don't close shared audio context)
+  // Update wave type for all voices
   useEffect(() => {
-    return () => {
-      oscillatorsRef.current.forEach(({ osc }) => {
-        try { osc.stop(); } catch (e) {}
-      });
-    };
-  }, []);
+    voicesRef.current.forEach(voice => voice.setType(waveType));
+  }, [waveType]);
 
   // Calculate interval info for active shrutis
   const getIntervalInfo = () => {
@@ -411,6 +402,8 @@ export default function ShrutiMixer({ shrutiData, f0 = 165 }) {
         </div>
       )}
 
+      <MixerPresets mixer="shruti" settings={presetSettings} onLoad={loadSettings} />
+
       {/* Harmony Presets */}
       <div className="mb-4">
         <div className="text-[10px] text-carbon-500 uppercase tracking-wider mb-2">
@@ -585,6 +578,14 @@ export default function ShrutiMixer({ shrutiData, f0 = 165 }) {
                 >
                   Clear All
                 </button>
+                <button
+                  onClick={exportTunedScale}
+                  title="Download Sa–Sa' with these shruti choices as a Scala file"
+                  className="ml-auto px-2 py-1 text-[9px] rounded border bg-carbon-900 border-carbon-700
+                    text-carbon-400 hover:border-carbon-500 transition-all"
+                >
+                  ⤓ Export .scl
+                </button>
               </div>
             </motion.div>
           )}
@@ -758,6 +759,12 @@ export default function ShrutiMixer({ shrutiData, f0 = 165 }) {
         </button>
       </div>
 
+      <RenderToWav
+        buildPatch={buildRenderPatch}
+        filename={`vocal-prism-shrutis-${Math.round(f0)}hz`}
+        disabled={activeShrutis.size === 0}
+      />
+
       {/* Info */}
       <div className="mt-3 pt-3 border-t border-carbon-700">
         <details className="text-[10px] text-carbon-500">
@@ -1,129 +1,106 @@
 /**
  * ShrutiScale Component
- * Displays the 22 shruti microtonal intervals with audio playback
+ * Displays the 22 shruti microtonal intervals with audio playback,
+ * the selected raga's phrases through RagaPlayer and its ornaments
+ * through GamakaPlayer
  */
 
 import { useState, useRef, useCallback, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { getAudioContext } from '../utils/mobileAudio';
+import useEngineBus from '../hooks/useEngineBus';
+import { createTanpura, TANPURA_FIRST_STRINGS } from '../utils/tanpura';
+import RagaPlayer from './RagaPlayer';
+import GamakaPlayer from './GamakaPlayer';
 
-export default function ShrutiScale({ shrutiData, f0 = 165 }) {
+export default function ShrutiScale({ shrutiData, f0 = 165, initialRaga = null, onRagaChange }) {
   const [showFull, setShowFull] = useState(false);
-  const [selectedRaga, setSelectedRaga] = useState(null);
+  const [selectedRaga, setSelectedRaga] = useState(initialRaga);
 
   // Audio state
-  const audioContextRef = useRef(null);
-  const activeOscillatorsRef = useRef(new Map());
-  const droneOscRef = useRef(null);
-  const droneGainRef = useRef(null);
-  const masterGainRef = useRef(null);
+  const activeVoicesRef = useRef(new Map());
+  const tanpuraRef = useRef(null);
 
   const [isDronePlaying, setIsDronePlaying] = useState(false);
   const [playingShruti, setPlayingShruti] = useState(null);
   const [isPlayingSequence, setIsPlayingSequence] = useState(false);
   const [droneVolume, setDroneVolume] = useState(0.3);
+  const [firstString, setFirstString] = useState('P');
   const sequenceTimeoutRef = useRef(null);
 
-  if (!shrutiData) return null;
+  // The shared audio engine and this component's bus
+  const { busRef, initAudio } = useEngineBus('shruti-scale', {
+    volume: 0.5,
+    onStopAll: () => {
+      if (sequenceTimeoutRef.current) {
+        clearTimeout(sequenceTimeoutRef.current);
+      }
+      activeVoicesRef.current = new Map();
+      tanpuraRef.current?.stop({ release: 0 });
+      tanpuraRef.current = null;
+      setIsDronePlaying(false);
+      setIsPlayingSequence(false);
+      setPlayingShruti(null);
+    },
+    onNewBus: () => {
+      activeVoicesRef.current = new Map();
+      tanpuraRef.current = null;
+    }
+  });
 
-  const { scale, ragas, system } = shrutiData;
+  // Tanpura settings and Sa apply from the next pluck
+  useEffect(() => {
+    tanpuraRef.current?.set({ f0, firstString, volume: droneVolume });
+  }, [f0, firstString, droneVolume]);
 
-  // Initialize audio context with mobile-friendly unlocking
-  const initAudio = useCallback(async () => {
-    const ctx = await getAudioContext();
-    if (!ctx || ctx.state !== 'running') return null;
+  if (!shrutiData) return null;
 
-    if (!audioContextRef.current || audioContextRef.current !== ctx) {
-      audioContextRef.current = ctx;
-      masterGainRef.current = ctx.createGain();
-      masterGainRef.current.gain.value = 0.5;
-      masterGainRef.current.connect(ctx.destination);
-    }
-    return ctx;
-  }, []);
+  const { scale, ragas, system } = shrutiData;
 
   // Play a single shruti tone
   const playShruti = useCallback(async (shruti, duration = 0.8) => {
-    const ctx = await initAudio();
-    const hz = shruti.hz;
+    const engine = await initAudio();
+    if (!engine) return;
 
     // Stop any existing tone for this shruti
-    if (activeOscillatorsRef.current.has(shruti.shruti)) {
-      const old = activeOscillatorsRef.current.get(shruti.shruti);
-      old.osc.stop();
-      old.osc.disconnect();
-      activeOscillatorsRef.current.delete(shruti.shruti);
-    }
-
-    // Create oscillator
-    const osc = ctx.createOscillator();
-    const gain = ctx.createGain();
-
-    osc.type = 'sine';
-    osc.frequency.value = hz;
-
-    // Envelope
-    gain.gain.setValueAtTime(0, ctx.currentTime);
-    gain.gain.linearRampToValueAtTime(0.4, ctx.currentTime + 0.05);
-    gain.gain.exponentialRampToValueAtTime(0.01, ctx.currentTime + duration);
-
-    osc.connect(gain);
-    gain.connect(masterGainRef.current);
-
-    osc.start();
-    osc.stop(ctx.currentTime + duration + 0.1);
-
-    activeOscillatorsRef.current.set(shruti.shruti, { osc, gain });
+    activeVoicesRef.current.get(shruti.shruti)?.stop({ release: 0.02 });
+
+    const voice = busRef.current.createVoice({
+      frequency: shruti.hz,
+      envelope: (g, t) => {
+        g.setValueAtTime(0, t);
+        g.linearRampToValueAtTime(0.4, t + 0.05);
+        g.exponentialRampToValueAtTime(0.01, t + duration);
+      },
+      duration: duration + 0.1,
+      release: 0.05
+    });
+
+    activeVoicesRef.current.set(shruti.shruti, voice);
     setPlayingShruti(shruti.shruti);
 
     setTimeout(() => {
       setPlayingShruti(prev => prev === shruti.shruti ? null : prev);
-      activeOscillatorsRef.current.delete(shruti.shruti);
+      if (activeVoicesRef.current.get(shruti.shruti) === voice) {
+        activeVoicesRef.current.delete(shruti.shruti);
+      }
     }, duration * 1000);
-  }, [initAudio]);
+  }, [initAudio, busRef]);
 
-  // Toggle Sa drone
+  // Toggle the tanpura drone on Sa
   const toggleDrone = useCallback(async () => {
-    const ctx = await initAudio();
-
-    if (isDronePlaying && droneOscRef.current) {
-      droneGainRef.current.gain.linearRampToValueAtTime(0, ctx.currentTime + 0.3);
-      setTimeout(() => {
-        if (droneOscRef.current) {
-          droneOscRef.current.stop();
-          droneOscRef.current.disconnect();
-          droneOscRef.current = null;
-        }
-      }, 350);
+    const engine = await initAudio();
+    if (!engine) return;
+
+    if (isDronePlaying && tanpuraRef.current) {
+      tanpuraRef.current.stop();
+      tanpuraRef.current = null;
       setIsDronePlaying(false);
     } else {
-      // Create drone oscillator (Sa)
-      droneOscRef.current = ctx.createOscillator();
-      droneGainRef.current = ctx.createGain();
-
-      droneOscRef.current.type = 'sine';
-      droneOscRef.current.frequency.value = f0;
-
-      droneGainRef.current.gain.setValueAtTime(0, ctx.currentTime);
-      droneGainRef.current.gain.linearRampToValueAtTime(droneVolume * 0.5, ctx.currentTime + 0.2);
-
-      droneOscRef.current.connect(droneGainRef.current);
-      droneGainRef.current.connect(masterGainRef.current);
-
-      droneOscRef.current.start();
+      tanpuraRef.current = createTanpura(busRef.current, { f0, firstString, volume: droneVolume });
+      tanpuraRef.current.start();
       setIsDronePlaying(true);
     }
-  }, [initAudio, isDronePlaying, f0, droneVolume]);
-
-  // Update drone volume
-  useEffect(() => {
-    if (droneGainRef.current && audioContextRef.current && isDronePlaying) {
-      droneGainRef.current.gain.linearRampToValueAtTime(
-        droneVolume * 0.5,
-        audioContextRef.current.currentTime + 0.1
-      );
-    }
-  }, [droneVolume, isDronePlaying]);
+  }, [initAudio, busRef, isDronePlaying, f0, firstString, droneVolume]);
 
   // Play ascending scale
   const playScale = useCallback(async (shrutisToPlay = null) => {
@@ -155,27 +132,13 @@ export default function ShrutiScale({ shrutiData, f0 = 165 }) {
     setTimeout(() => setIsPlayingSequence(false), toPlay.length * noteDelay + 500);
   }, [scale, playShruti, isPlayingSequence]);
 
-  // Play raga pattern
-  const playRaga = useCallback(() => {
-    if (!selectedRaga || !ragas[selectedRaga]) return;
-
-    const ragaShrutiNumbers = ragas[selectedRaga].shrutis;
-    const ragaShrutis = scale.filter(s => ragaShrutiNumbers.includes(s.shruti));
-    playScale(ragaShrutis);
-  }, [selectedRaga, ragas, scale, playScale]);
-
-  // Cleanup oscillators (don't close shared audio context)
+  // Cleanup: the sequence timer and the tanpura's plucks (the hook releases the bus)
   useEffect(() => {
     return () => {
       if (sequenceTimeoutRef.current) {
         clearTimeout(sequenceTimeoutRef.current);
       }
-      if (droneOscRef.current) {
-        try { droneOscRef.current.stop(); droneOscRef.current.disconnect(); } catch (e) {}
-      }
-      activeOscillatorsRef.current.forEach(({ osc }) => {
-        try { osc.stop(); } catch (e) {}
-      });
+      tanpuraRef.current?.stop({ release: 0 });
     };
   }, []);
 
@@ -191,6 +154,11 @@ export default function ShrutiScale({ shrutiData, f0 = 165 }) {
     { name: "Sa'", shrutis: [23], color: 'signal-orange' },
   ];
 
+  const selectRaga = (id) => {
+    setSelectedRaga(id);
+    onRagaChange?.(id);
+  };
+
   // Get shrutis in selected raga
   const ragaShrutis = selectedRaga ? ragas[selectedRaga]?.shrutis || [] : [];
 
@@ -224,7 +192,7 @@ export default function ShrutiScale({ shrutiData, f0 = 165 }) {
                 : 'bg-carbon-800 border-carbon-600 text-carbon-400 hover:border-carbon-400'}`}
           >
             <span>{isDronePlaying ? '■' : '▶'}</span>
-            <span>Sa Drone</span>
+            <span>Tanpura</span>
           </button>
 
           {/* Play Scale */}
@@ -238,23 +206,26 @@ export default function ShrutiScale({ shrutiData, f0 = 165 }) {
             <span>{isPlayingSequence ? '■' : '▶'}</span>
             <span>{isPlayingSequence ? 'Stop' : 'Play All 22'}</span>
           </button>
-
-          {/* Play Selected Raga */}
-          {selectedRaga && (
-            <button
-              onClick={playRaga}
-              className="px-3 py-1.5 text-xs rounded border transition-all flex items-center gap-1.5
-                bg-amber-500/20 border-amber-400 text-amber-400 hover:bg-amber-500/30"
-            >
-              <span>▶</span>
-              <span>Play {ragas[selectedRaga]?.name}</span>
-            </button>
-          )}
         </div>
 
-        {/* Drone Volume */}
+        {/* Tanpura first string and volume */}
         {isDronePlaying && (
           <div className="flex items-center gap-2">
+            <div className="flex gap-0.5">
+              {Object.entries(TANPURA_FIRST_STRINGS).map(([id, string]) => (
+                <button
+                  key={id}
+                  onClick={() => setFirstString(id)}
+                  className={`px-1.5 py-0.5 text-[9px] rounded border transition-all
+                    ${firstString === id
+                      ? 'bg-carbon-700 border-signal-orange text-signal-orange'
+                      : 'bg-carbon-800 border-carbon-700 text-carbon-400 hover:border-carbon-500'}`}
+                  title={string.description}
+                >
+                  {string.label}
+                </button>
+              ))}
+            </div>
             <span className="text-[9px] text-carbon-500 uppercase tracking-wider">Drone Vol</span>
             <input
               type="range"
@@ -286,7 +257,7 @@ export default function ShrutiScale({ shrutiData, f0 = 165 }) {
             >
               <div className="w-1.5 h-1.5 rounded-full bg-signal-orange animate-pulse" />
               <span className="text-[9px] text-carbon-400">
-                {isDronePlaying && `Sa drone (${f0} Hz)`}
+                {isDronePlaying && `Tanpura on Sa (${f0} Hz)`}
                 {isDronePlaying && playingShruti && ' + '}
                 {playingShruti && (() => {
                   const s = scale.find(sh => sh.shruti === playingShruti);
@@ -308,11 +279,11 @@ export default function ShrutiScale({ shrutiData, f0 = 165 }) {
       {/* Raga selector */}
       <div className="mb-4">
         <div className="text-[9px] text-carbon-500 uppercase tracking-wider mb-1.5">
-          Raga Patterns (select to highlight)
+          Ragas (select to highlight and play)
         </div>
         <div className="flex flex-wrap gap-1">
           <button
-            onClick={() => setSelectedRaga(null)}
+            onClick={() => selectRaga(null)}
             className={`px-2 py-1 text-[10px] rounded border transition-all
               ${!selectedRaga
                 ? 'bg-carbon-700 border-signal-orange text-signal-orange'
@@ -323,7 +294,7 @@ export default function ShrutiScale({ shrutiData, f0 = 165 }) {
           {Object.entries(ragas).map(([id, raga]) => (
             <button
               key={id}
-              onClick={() => setSelectedRaga(id)}
+              onClick={() => selectRaga(id)}
               className={`px-2 py-1 text-[10px] rounded border transition-all
                 ${selectedRaga === id
                   ? 'bg-carbon-700 border-signal-orange text-signal-orange'
@@ -334,6 +305,22 @@ export default function ShrutiScale({ shrutiData, f0 = 165 }) {
             </button>
           ))}
         </div>
+
+        {selectedRaga && ragas[selectedRaga] && (
+          <div className="mt-2">
+            <RagaPlayer raga={ragas[selectedRaga]} scale={scale} f0={f0} />
+          </div>
+        )}
+
+        <div className="mt-2">
+          <GamakaPlayer
+            scale={scale}
+            f0={f0}
+            raga={selectedRaga ? ragas[selectedRaga] : null}
+            ragas={ragas}
+            onSelectRaga={selectRaga}
+          />
+        </div>
       </div>
 
       {/* Shruti visualization */}
@@ -390,7 +377,7 @@ export default function ShrutiScale({ shrutiData, f0 = 165 }) {
                             </span>
                           </div>
                           <div className="flex items-center gap-3">
-                            <span className="text-carbon-500">{shruti.ratio[0]}:{shruti.ratio[1]}</span>
+                            <span className="text-carbon-500">{shruti.ratioLabel}</span>
                             <span className={`w-16 text-right ${isPlaying ? 'text-signal-orange' : 'text-carbon-400'}`}>
                               {shruti.hzFormatted}
                             </span>
@@ -6,6 +6,7 @@
 
 import { useEffect, useRef } from 'react';
 import abcjs from 'abcjs';
+import { freqToNoteName, DEFAULT_A4 } from '../engine/pitchUtils';
 
 // Convert note name to ABC notation format
 function noteToAbc(noteName) {
@@ -47,6 +48,17 @@ function noteToAbc(noteName) {
   return abcNote;
 }
 
+// ABC for a note within a bar, given the accidentals already shown in it
+// (ABC accidentals last to the bar line, so a later natural needs "=")
+function noteToAbcInBar(noteName, shownAccidentals) {
+  const abcNote = noteToAbc(noteName);
+  const bare = abcNote.replace(/^[\^_]/, '');
+  const accidental = abcNote[0] === '^' || abcNote[0] === '_' ? abcNote[0] : '=';
+  const shown = shownAccidentals[bare] ?? '=';
+  shownAccidentals[bare] = accidental;
+  return accidental === shown ? bare : accidental + bare;
+}
+
 // Determine appropriate clef based on frequency range
 function selectClef(scale) {
   if (!scale || scale.length === 0) return 'treble';
@@ -220,3 +232,69 @@ K:C clef=${clef}
     />
   );
 }
+
+/**
+ * A psalm verse set by engine/chant: one bar per half verse, melismas
+ * slurred, the organal voice (when present) sounding with the chant as chords
+ */
+export function ChantNotation({ verse, title = '', a4 = DEFAULT_A4 }) {
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    if (!containerRef.current || !verse) return;
+
+    const allHz = verse.flat().flatMap(s => [...s.notes, ...(s.organum || [])].map(n => n.hz));
+    const clef = Math.min(...allHz) < 175 ? 'bass' : 'treble';
+
+    const bars = verse.filter(half => half.length).map(half => {
+      const accidentals = {};
+      const notes = [];
+      const lyrics = [];
+
+      half.forEach((syllable, s) => {
+        const isLast = s === half.length - 1;
+        const group = syllable.notes.map((note, n) => {
+          const pitches = [note, syllable.organum?.[n]].filter(Boolean)
+            .map(p => noteToAbcInBar(freqToNoteName(p.hz, a4), accidentals));
+          const length = isLast && n === syllable.notes.length - 1 ? '2' : '';
+          return (pitches.length > 1 ? `[${pitches.reverse().join('')}]` : pitches[0]) + length;
+        });
+        notes.push(group.length > 1 ? `(${group.join(' ')})` : group[0]);
+
+        lyrics.push(syllable.text.replace(/[-_*~|\\]/g, '') + (syllable.wordEnd ? '' : '-'));
+        for (let n = 1; n < syllable.notes.length; n++) lyrics.push('_');
+      });
+
+      return { notes: notes.join(' '), lyrics: lyrics.join(' ') };
+    });
+
+    const abc = `
+X:1
+${title ? `T:${title}\n` : ''}M:none
+L:1/4
+K:C clef=${clef}
+${bars.map(b => b.notes).join(' | ')} |]
+w: ${bars.map(b => b.lyrics).join(' ')}
+`.trim();
+
+    abcjs.renderAbc(containerRef.current, abc, {
+      responsive: 'resize',
+      add_classes: true,
+      staffwidth: 600,
+      paddingleft: 10,
+      paddingright: 10,
+      paddingtop: 10,
+      paddingbottom: 10,
+      scale: 1.0,
+    });
+
+  }, [verse, title, a4]);
+
+  return (
+    <div
+      ref={containerRef}
+      className="bg-white rounded-lg p-4 overflow-x-auto"
+      style={{ minHeight: '120px' }}
+    />
+  );
+}
@@ -0,0 +1,32 @@
+/**
+ * StopAllButton Component
+ * Floating "stop all audio" control, shown only while something is sounding
+ *
+ * Every mixer plays through the shared audio engine, so one call silences
+ * drones, chords, bowls and UI tones together; each mixer resets its own
+ * play state through subscribeToStopAll (useEngineBus's onStopAll).
+ */
+
+import { useState, useEffect } from 'react';
+import { stopAllAudio, subscribeToAudioActivity } from '../utils/audioEngine';
+
+export default function StopAllButton() {
+  const [isActive, setIsActive] = useState(false);
+
+  useEffect(() => subscribeToAudioActivity(setIsActive), []);
+
+  if (!isActive) return null;
+
+  return (
+    <button
+      onClick={() => stopAllAudio()}
+      className="fixed bottom-4 right-4 z-50 flex items-center gap-2 px-4 py-2 rounded-full
+        bg-carbon-900/90 border border-signal-coral text-signal-coral font-mono text-xs
+        shadow-lg backdrop-blur hover:bg-signal-coral hover:text-carbon-900 transition-colors"
+      title="Stop all audio"
+    >
+      <span className="inline-block w-2.5 h-2.5 bg-current rounded-sm" />
+      Stop all audio
+    </button>
+  );
+}
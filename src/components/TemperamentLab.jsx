@@ -0,0 +1,267 @@
+/**
+ * TemperamentLab Component
+ * Historical temperaments side by side on the user's root: how far each
+ * interval is from pure or from 12-TET, how fast it beats, and an A/B
+ * player that sounds the same triad in two temperaments back to back
+ *
+ * Beats come from the upper partials, so the player uses a sawtooth.
+ */
+
+import { useState, useRef, useEffect, useMemo } from 'react';
+import {
+  compareTemperaments,
+  temperedTriad,
+  TEMPERAMENT_KEYINGS,
+  TRIAD_QUALITIES,
+  REFERENCE_TEMPERAMENTS
+} from '../engine/temperaments';
+import { formatHz } from '../engine/pitchUtils';
+import { unlockAudioEngine } from '../utils/audioEngine';
+import useEngineBus from '../hooks/useEngineBus';
+
+// Seconds each temperament's triad sounds, and the gap between them
+const CHORD_LENGTH = 2.4;
+const CHORD_GAP = 0.4;
+
+const formatCents = (cents) => {
+  const rounded = Math.round(cents * 10) / 10;
+  if (rounded === 0) return '0';
+  return rounded > 0 ? `+${rounded.toFixed(1)}` : rounded.toFixed(1);
+};
+
+const formatBeats = (hz) => (hz < 0.05 ? '0' : hz < 10 ? hz.toFixed(1) : Math.round(hz).toString());
+
+// Colour by how far an interval is from its target
+const deviationClass = (cents) => {
+  const size = Math.abs(cents);
+  if (size < 1) return 'text-carbon-500';
+  if (size < 8) return 'text-carbon-300';
+  if (size < 20) return 'text-signal-amber';
+  return 'text-signal-coral';
+};
+
+// A is always 12-TET; B is the period temperament for the reference pitch
+const defaultPair = (referenceId) => [
+  '12-tet',
+  REFERENCE_TEMPERAMENTS[referenceId]?.suggested.find(id => id !== '12-tet') ?? 'meantone-quarter'
+];
+
+export default function TemperamentLab({ f0 = 165, reference }) {
+  const voicesRef = useRef([]);
+  const timersRef = useRef([]);
+
+  const [keying, setKeying] = useState('root');
+  const [against, setAgainst] = useState('pure'); // 'pure' | 'et'
+  const [quality, setQuality] = useState('major');
+  const [pair, setPair] = useState(() => defaultPair(reference.id));
+  const [playing, setPlaying] = useState(null); // index into pair
+
+  // A new reference pitch suggests its own period temperament for B
+  const [pairFor, setPairFor] = useState(reference.id);
+  if (pairFor !== reference.id) {
+    setPairFor(reference.id);
+    setPair(defaultPair(reference.id));
+  }
+
+  const comparison = useMemo(
+    () => compareTemperaments(f0, { a4: reference.a4, keying }),
+    [f0, reference.a4, keying]
+  );
+  const { key, temperaments, intervals } = comparison;
+  const context = REFERENCE_TEMPERAMENTS[reference.id];
+  const nameOf = (id) => temperaments.find(t => t.id === id)?.short ?? id;
+
+  const { busRef, initAudio } = useEngineBus('temperament-lab', {
+    volume: 0.5,
+    onStopAll: () => {
+      timersRef.current.forEach(id => clearTimeout(id));
+      timersRef.current = [];
+      voicesRef.current = [];
+      setPlaying(null);
+    },
+    onNewBus: () => {
+      voicesRef.current = [];
+    }
+  });
+
+  const cancel = () => {
+    timersRef.current.forEach(id => clearTimeout(id));
+    timersRef.current = [];
+    voicesRef.current.forEach(v => v.stop({ release: 0.1 }));
+    voicesRef.current = [];
+  };
+
+  const stop = () => {
+    cancel();
+    setPlaying(null);
+  };
+
+  // A then B, the same triad on the same root
+  const playPair = async () => {
+    unlockAudioEngine();
+    const engine = await initAudio();
+    if (!engine) return;
+
+    cancel();
+    let time = engine.now() + 0.05;
+
+    pair.forEach((id, index) => {
+      temperedTriad(f0, id, { quality, keyIndex: key.index }).forEach(hz => {
+        voicesRef.current.push(busRef.current.createVoice({
+          frequency: hz,
+          type: 'sawtooth',
+          when: time,
+          envelope: (g, t) => {
+            g.setValueAtTime(0, t);
+            g.linearRampToValueAtTime(0.12, t + 0.08);
+          },
+          duration: CHORD_LENGTH,
+          release: 0.15
+        }));
+      });
+
+      timersRef.current.push(setTimeout(
+        () => setPlaying(index),
+        Math.max(0, (time - engine.now()) * 1000)
+      ));
+      time += CHORD_LENGTH + CHORD_GAP;
+    });
+
+    timersRef.current.push(setTimeout(() => setPlaying(null), (time - engine.now()) * 1000));
+  };
+
+  // Cleanup: pending chord timers
+  useEffect(() => {
+    return () => timersRef.current.forEach(id => clearTimeout(id));
+  }, []);
+
+  const pill = (isSelected) => `px-2 py-1 text-[10px] rounded border transition-all ${
+    isSelected
+      ? 'bg-signal-orange/20 border-signal-orange text-signal-orange'
+      : 'bg-carbon-900 border-carbon-700 text-carbon-400 hover:border-carbon-500'
+  }`;
+  const columns = { gridTemplateColumns: `4.5rem repeat(${temperaments.length}, minmax(0, 1fr))` };
+  const beating = intervals.filter(i => i.beats);
+
+  const temperamentSelect = (index) => (
+    <select
+      value={pair[index]}
+      onChange={(e) => setPair(pair.map((id, i) => (i === index ? e.target.value : id)))}
+      className="bg-carbon-800 border border-carbon-700 rounded px-1.5 py-0.5 text-[10px] text-carbon-300"
+    >
+      {temperaments.map(t => (
+        <option key={t.id} value={t.id}>{t.name}</option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="space-y-3">
+      <div>
+        <h4 className="text-carbon-200 font-semibold text-xs">Temperament Lab</h4>
+        <p className="text-[10px] text-carbon-500 mt-0.5">
+          Every interval above your {formatHz(f0)} Hz
+          {keying === 'keyboard' && ` (played on ${key.name})`}, temperament by temperament
+        </p>
+      </div>
+
+      {context && (
+        <p className="text-[10px] text-carbon-400 leading-relaxed bg-carbon-900 rounded px-2 py-1.5">
+          <span className="text-signal-amber">A={reference.a4}:</span> {context.note}
+        </p>
+      )}
+
+      {/* Keying and comparison target */}
+      <div className="flex flex-wrap items-center gap-1">
+        {TEMPERAMENT_KEYINGS.map(k => (
+          <button key={k.id} onClick={() => setKeying(k.id)} title={k.description} className={pill(keying === k.id)}>
+            {k.name}
+          </button>
+        ))}
+        <span className="w-2" />
+        <button onClick={() => setAgainst('pure')} className={pill(against === 'pure')}>¢ from pure</button>
+        <button onClick={() => setAgainst('et')} className={pill(against === 'et')}>¢ from ET</button>
+      </div>
+
+      {/* Deviation table */}
+      <div className="bg-carbon-900 rounded p-3 text-[10px] overflow-x-auto">
+        <div className="grid gap-1 text-carbon-500 border-b border-carbon-700 pb-1 mb-1" style={columns}>
+          <span>Interval</span>
+          {temperaments.map(t => (
+            <span key={t.id} className="text-right truncate" title={t.description}>{t.short}</span>
+          ))}
+        </div>
+        {intervals.map(interval => (
+          <div key={interval.short} className="grid gap-1 py-0.5" style={columns}>
+            <span className="text-carbon-300" title={`${interval.name}, pure ${interval.ratio.join(':')}`}>
+              {interval.short}
+            </span>
+            {interval.tunings.map(t => {
+              const cents = against === 'pure' ? t.fromPure : t.fromET;
+              return (
+                <span key={t.id} className={`text-right ${deviationClass(cents)}`} title={`${t.cents.toFixed(1)}¢`}>
+                  {formatCents(cents)}
+                </span>
+              );
+            })}
+          </div>
+        ))}
+      </div>
+
+      {/* Beat rates */}
+      <div className="bg-carbon-900 rounded p-3 text-[10px] overflow-x-auto">
+        <div className="text-carbon-500 mb-1">Beats per second above {formatHz(f0)} Hz</div>
+        <div className="grid gap-1 text-carbon-500 border-b border-carbon-700 pb-1 mb-1" style={columns}>
+          <span>Interval</span>
+          {temperaments.map(t => (
+            <span key={t.id} className="text-right truncate">{t.short}</span>
+          ))}
+        </div>
+        {beating.map(interval => (
+          <div key={interval.short} className="grid gap-1 py-0.5" style={columns}>
+            <span className="text-carbon-300" title={`Partials ${interval.ratio[1]} and ${interval.ratio[0]} coincide when pure`}>
+              {interval.short}
+            </span>
+            {interval.tunings.map(t => (
+              <span key={t.id} className={`text-right ${deviationClass(t.fromPure)}`}>
+                {formatBeats(t.beatHz)}
+              </span>
+            ))}
+          </div>
+        ))}
+      </div>
+
+      {/* A/B player */}
+      <div className="bg-carbon-900 rounded p-3 space-y-2">
+        <div className="flex flex-wrap items-center gap-2 text-[10px]">
+          <span className="text-carbon-500">A</span>
+          {temperamentSelect(0)}
+          <span className="text-carbon-500">B</span>
+          {temperamentSelect(1)}
+          {Object.entries(TRIAD_QUALITIES).map(([id, triad]) => (
+            <button key={id} onClick={() => setQuality(id)} className={pill(quality === id)}>
+              {triad.name}
+            </button>
+          ))}
+        </div>
+        <div className="flex items-center gap-3">
+          <button
+            onClick={playing !== null ? stop : playPair}
+            className={`px-3 py-1.5 text-xs rounded border transition-all ${
+              playing !== null
+                ? 'bg-signal-orange border-signal-orange text-white'
+                : 'border-carbon-600 text-carbon-300 hover:border-signal-orange hover:text-signal-orange'
+            }`}
+          >
+            {playing !== null ? '■ Stop' : '▶ Play A → B'}
+          </button>
+          <span className="text-[10px] text-carbon-400">
+            {playing !== null
+              ? <>Now: <span className="text-signal-orange">{playing === 0 ? 'A' : 'B'} — {nameOf(pair[playing])}</span></>
+              : `${TRIAD_QUALITIES[quality].name} triad on ${formatHz(f0)} Hz: ${nameOf(pair[0])}, then ${nameOf(pair[1])}`}
+          </span>
+        </div>
+      </div>
+    </div>
+  );
+}
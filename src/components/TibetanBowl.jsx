@@ -2,11 +2,28 @@
  * TibetanBowl Component
  * Interactive singing bowl with sacred geometry patterns and authentic audio
  * Click the bowl to play - features realistic singing bowl harmonics
+ *
+ * The sound comes from the modal model in engine/singingBowl: pick a
+ * measured bowl or set diameter, wall and alloy, and either hear it at its
+ * own pitch or retuned so its fundamental sits on the user's Sa.
  */
 
 import { useEffect, useState, useRef, useCallback } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { unlockAudioSync, getAudioContext } from '../utils/mobileAudio';
+import { unlockAudioEngine } from '../utils/audioEngine';
+import useEngineBus from '../hooks/useEngineBus';
+import {
+  modelBowl,
+  getBowlPreset,
+  bowlDiameterFor,
+  BOWL_PRESETS,
+  BOWL_ALLOYS,
+  BOWL_EXCITATIONS,
+  BOWL_LIMITS,
+  DEFAULT_BOWL_PRESET
+} from '../engine/singingBowl';
+import { freqToNoteName, formatHz } from '../engine/pitchUtils';
+import RenderToWav from './RenderToWav';
 
 // Sacred geometry pattern definitions
 const SACRED_PATTERNS = {
@@ -32,14 +49,73 @@ const SACRED_PATTERNS = {
   }
 };
 
-// Singing bowl harmonic ratios (not perfect integers - this gives the characteristic sound)
-// Real singing bowls have inharmonic overtones due to the circular vibration modes
-const BOWL_HARMONICS = [
-  { ratio: 1.0, gain: 0.5, name: 'Fundamental' },
-  { ratio: 2.71, gain: 0.3, name: '1st Overtone' },  // (2,0) mode
-  { ratio: 5.0, gain: 0.15, name: '2nd Overtone' },  // (3,0) mode
-  { ratio: 7.8, gain: 0.08, name: '3rd Overtone' },  // (4,0) mode
-];
+// Seconds between strikes when rendering a struck bowl offline
+const STRIKE_INTERVAL = 15;
+
+// Partials above this are skipped
+const MAX_PARTIAL_HZ = 8000;
+
+// Longest the struck-bowl visuals keep going (seconds)
+const MAX_VISUAL_RING = 20;
+
+/**
+ * Strike: each mode as its degenerate pair (beating at the split), with a
+ * quick attack and the mode's own exponential decay to -60 dB
+ * @returns {object} { voices, harmonics } - voices started, mode indices sounding
+ */
+function strikeVoices(bus, model, when) {
+  const voices = [];
+  const harmonics = [];
+
+  model.modes.forEach((mode, index) => {
+    if (mode.high > MAX_PARTIAL_HZ) return;
+
+    [mode.low, mode.high].forEach(hz => {
+      const peak = mode.gain * 0.2;
+      voices.push(bus.createVoice({
+        frequency: hz,
+        when,
+        envelope: (g, t) => {
+          g.setValueAtTime(0, t);
+          g.linearRampToValueAtTime(peak, t + 0.01);
+          g.exponentialRampToValueAtTime(peak * 0.001, t + 0.01 + mode.t60);
+        },
+        duration: mode.t60 + 0.1,
+        release: 0.1
+      }));
+    });
+    harmonics.push(index);
+  });
+
+  return { voices, harmonics };
+}
+
+/**
+ * Rub: every mode's pair sustained with a slow build-up
+ */
+function rubVoices(bus, model, { when, duration = null, attack = 2 } = {}) {
+  const voices = [];
+  const harmonics = [];
+
+  model.modes.forEach((mode, index) => {
+    if (mode.high > MAX_PARTIAL_HZ) return;
+
+    [mode.low, mode.high].forEach(hz => {
+      voices.push(bus.createVoice({ frequency: hz, volume: mode.gain * 0.15, attack, when, duration }));
+    });
+    harmonics.push(index);
+  });
+
+  return { voices, harmonics };
+}
+
+/**
+ * Settings for a preset (or the user's bowl equivalent)
+ */
+function presetBowl(preset) {
+  const { id, diameter, thickness, alloy, asymmetry, ratios } = preset;
+  return { id, diameter, thickness, alloy, asymmetry, ratios };
+}
 
 // Generate Flower of Life circles (19 circles)
 function generateFlowerOfLife(radius) {
@@ -144,7 +220,9 @@ function generatePetals(count, radius, offset = 0) {
 
 export default function TibetanBowl({
   f0 = 165,
-  size = 300
+  size = 300,
+  equivalent = null,
+  a4
 }) {
   const [isPlaying, setIsPlaying] = useState(false);
   const [activeHarmonics, setActiveHarmonics] = useState([]);
@@ -152,12 +230,31 @@ export default function TibetanBowl({
   const [pulsePhase, setPulsePhase] = useState(0);
   const [pattern, setPattern] = useState('flowerOfLife');
   const [strikeIntensity, setStrikeIntensity] = useState(0);
+  const [bowl, setBowl] = useState(() => presetBowl(getBowlPreset(DEFAULT_BOWL_PRESET)));
+  const [tuneToSa, setTuneToSa] = useState(true);
+  const [excitation, setExcitation] = useState('strike');
+  const [isRubbing, setIsRubbing] = useState(false);
 
   const rippleIdRef = useRef(0);
-  const audioContextRef = useRef(null);
-  const oscillatorsRef = useRef([]);
-  const gainNodesRef = useRef([]);
-  const masterGainRef = useRef(null);
+  const voicesRef = useRef([]);
+  const ringTimerRef = useRef(null);
+
+  const modelFor = (how) => modelBowl(bowl, { excitation: how, tuneTo: tuneToSa ? f0 : null });
+  const model = modelFor(excitation);
+  const alloy = BOWL_ALLOYS[bowl.alloy];
+
+  // Editing the dimensions leaves the preset's measured ratios behind
+  const setDimension = (key, value) => setBowl({ ...bowl, [key]: value, id: 'custom', ratios: undefined });
+
+  // The measured bowls, plus one the size of the user's bowl equivalent
+  const presets = equivalent
+    ? [...BOWL_PRESETS, {
+      id: 'equivalent',
+      name: 'Your size',
+      description: `A ${equivalent.diameter}cm bowl, about the size whose fundamental is your f0`,
+      ...equivalent
+    }]
+    : BOWL_PRESETS;
 
   const center = size / 2;
   const bowlRadius = size * 0.4;
@@ -170,92 +267,35 @@ export default function TibetanBowl({
     { petals: 24, radius: bowlRadius * 0.85, color: '#fed7aa', width: 0.5 },
   ];
 
+  // The bowl's bus on the shared engine
+  const { busRef, initAudio } = useEngineBus('bowl', {
+    onStopAll: () => {
+      voicesRef.current = [];
+      setIsPlaying(false);
+      setActiveHarmonics([]);
+      setIsRubbing(false);
+    },
+    onNewBus: () => {
+      voicesRef.current = [];
+    }
+  });
+
   // Strike the bowl - creates the characteristic attack and decay
   const strikeBowl = useCallback(async () => {
     // Sync unlock for mobile
-    unlockAudioSync();
+    unlockAudioEngine();
 
-    const ctx = await getAudioContext();
-    if (!ctx) return;
-
-    audioContextRef.current = ctx;
+    const engine = await initAudio();
+    if (!engine) return;
 
     // Stop any existing sounds
-    oscillatorsRef.current.forEach(osc => {
-      try { osc.stop(); } catch (e) {}
-    });
-    oscillatorsRef.current = [];
-    gainNodesRef.current = [];
-
-    // Create master gain for overall volume control
-    const masterGain = ctx.createGain();
-    masterGain.gain.setValueAtTime(0.4, ctx.currentTime);
-    masterGain.connect(ctx.destination);
-    masterGainRef.current = masterGain;
-
-    const newOscillators = [];
-    const newGainNodes = [];
-    const activeHarmonicIndices = [];
-
-    // Create oscillators for each harmonic
-    BOWL_HARMONICS.forEach((harmonic, index) => {
-      const freq = f0 * harmonic.ratio;
-
-      // Skip if frequency is too high
-      if (freq > 8000) return;
-
-      // Main oscillator
-      const osc = ctx.createOscillator();
-      osc.type = 'sine';
-      osc.frequency.setValueAtTime(freq, ctx.currentTime);
-
-      // Slight detuning oscillator for beating effect (characteristic of singing bowls)
-      const osc2 = ctx.createOscillator();
-      osc2.type = 'sine';
-      osc2.frequency.setValueAtTime(freq + (Math.random() * 2 - 1), ctx.currentTime); // ±1 Hz beating
-
-      // Individual gain node for this harmonic
-      const gain = ctx.createGain();
-      const gain2 = ctx.createGain();
-
-      // Envelope: quick attack, long decay (singing bowl characteristic)
-      const attackTime = 0.01;
-      const decayTime = 8 + index * 2; // Higher harmonics decay faster
-      const peakGain = harmonic.gain;
-
-      // Attack
-      gain.gain.setValueAtTime(0, ctx.currentTime);
-      gain.gain.linearRampToValueAtTime(peakGain, ctx.currentTime + attackTime);
-      // Decay
-      gain.gain.exponentialRampToValueAtTime(0.001, ctx.currentTime + decayTime);
-
-      // Same for beating oscillator but slightly quieter
-      gain2.gain.setValueAtTime(0, ctx.currentTime);
-      gain2.gain.linearRampToValueAtTime(peakGain * 0.5, ctx.currentTime + attackTime);
-      gain2.gain.exponentialRampToValueAtTime(0.001, ctx.currentTime + decayTime);
-
-      // Connect
-      osc.connect(gain);
-      osc2.connect(gain2);
-      gain.connect(masterGain);
-      gain2.connect(masterGain);
-
-      // Start
-      osc.start(ctx.currentTime);
-      osc2.start(ctx.currentTime);
-
-      // Schedule stop
-      osc.stop(ctx.currentTime + decayTime + 0.1);
-      osc2.stop(ctx.currentTime + decayTime + 0.1);
-
-      newOscillators.push(osc, osc2);
-      newGainNodes.push(gain, gain2);
-      activeHarmonicIndices.push(index);
-    });
+    voicesRef.current.forEach(voice => voice.stop({ release: 0.02 }));
 
-    oscillatorsRef.current = newOscillators;
-    gainNodesRef.current = newGainNodes;
-    setActiveHarmonics(activeHarmonicIndices);
+    const struck = modelBowl(bowl, { excitation: 'strike', tuneTo: tuneToSa ? f0 : null });
+    const { voices, harmonics } = strikeVoices(busRef.current, struck);
+    voicesRef.current = voices;
+    setActiveHarmonics(harmonics);
+    setExcitation('strike');
     setIsPlaying(true);
 
     // Visual strike effect
@@ -268,106 +308,67 @@ export default function TibetanBowl({
       startTime: Date.now(),
     }]);
 
-    // Auto-stop after decay
-    setTimeout(() => {
+    // Visuals follow the fundamental's ring-out, up to a limit
+    clearTimeout(ringTimerRef.current);
+    ringTimerRef.current = setTimeout(() => {
       setIsPlaying(false);
       setActiveHarmonics([]);
-    }, 10000);
+    }, Math.min(struck.modes[0].t60, MAX_VISUAL_RING) * 1000);
 
-  }, [f0]);
+  }, [f0, bowl, tuneToSa, initAudio, busRef]);
 
   // Singing/rubbing the bowl - continuous tone
-  const [isRubbing, setIsRubbing] = useState(false);
-
   const startRubbing = useCallback(async () => {
     if (isRubbing) return;
 
-    unlockAudioSync();
-    const ctx = await getAudioContext();
-    if (!ctx) return;
-
-    audioContextRef.current = ctx;
+    unlockAudioEngine();
+    const engine = await initAudio();
+    if (!engine) return;
 
     // Stop any existing
-    oscillatorsRef.current.forEach(osc => {
-      try { osc.stop(); } catch (e) {}
-    });
-    oscillatorsRef.current = [];
-    gainNodesRef.current = [];
-
-    const masterGain = ctx.createGain();
-    masterGain.gain.setValueAtTime(0, ctx.currentTime);
-    masterGain.gain.linearRampToValueAtTime(0.3, ctx.currentTime + 2); // Slow build-up
-    masterGain.connect(ctx.destination);
-    masterGainRef.current = masterGain;
-
-    const newOscillators = [];
-    const newGainNodes = [];
-    const activeHarmonicIndices = [];
-
-    BOWL_HARMONICS.forEach((harmonic, index) => {
-      const freq = f0 * harmonic.ratio;
-      if (freq > 8000) return;
-
-      // Main oscillator
-      const osc = ctx.createOscillator();
-      osc.type = 'sine';
-      osc.frequency.setValueAtTime(freq, ctx.currentTime);
-
-      // Beating oscillator
-      const osc2 = ctx.createOscillator();
-      osc2.type = 'sine';
-      // Slow wobble for rubbing effect
-      osc2.frequency.setValueAtTime(freq + 0.5, ctx.currentTime);
-
-      const gain = ctx.createGain();
-      const gain2 = ctx.createGain();
-
-      gain.gain.setValueAtTime(harmonic.gain, ctx.currentTime);
-      gain2.gain.setValueAtTime(harmonic.gain * 0.4, ctx.currentTime);
-
-      osc.connect(gain);
-      osc2.connect(gain2);
-      gain.connect(masterGain);
-      gain2.connect(masterGain);
-
-      osc.start(ctx.currentTime);
-      osc2.start(ctx.currentTime);
-
-      newOscillators.push(osc, osc2);
-      newGainNodes.push(gain, gain2);
-      activeHarmonicIndices.push(index);
-    });
-
-    oscillatorsRef.current = newOscillators;
-    gainNodesRef.current = newGainNodes;
-    setActiveHarmonics(activeHarmonicIndices);
+    voicesRef.current.forEach(voice => voice.stop({ release: 0.02 }));
+    clearTimeout(ringTimerRef.current);
+
+    const rubbed = modelBowl(bowl, { excitation: 'rub', tuneTo: tuneToSa ? f0 : null });
+    const { voices, harmonics } = rubVoices(busRef.current, rubbed);
+    voicesRef.current = voices;
+    setActiveHarmonics(harmonics);
+    setExcitation('rub');
     setIsPlaying(true);
     setIsRubbing(true);
 
-  }, [f0, isRubbing]);
+  }, [f0, bowl, tuneToSa, isRubbing, initAudio, busRef]);
 
   const stopRubbing = useCallback(() => {
     if (!isRubbing) return;
 
-    const ctx = audioContextRef.current;
-    if (ctx && masterGainRef.current) {
-      // Fade out
-      masterGainRef.current.gain.linearRampToValueAtTime(0, ctx.currentTime + 1);
-
-      setTimeout(() => {
-        oscillatorsRef.current.forEach(osc => {
-          try { osc.stop(); } catch (e) {}
-        });
-        oscillatorsRef.current = [];
-        gainNodesRef.current = [];
-        setIsPlaying(false);
-        setActiveHarmonics([]);
-        setIsRubbing(false);
-      }, 1100);
-    }
+    // Fade out on the audio clock; the UI follows when the tail is done
+    voicesRef.current.forEach(voice => voice.stop({ release: 1 }));
+    voicesRef.current = [];
+
+    setTimeout(() => {
+      setIsPlaying(false);
+      setActiveHarmonics([]);
+      setIsRubbing(false);
+    }, 1100);
   }, [isRubbing]);
 
+  // Rebuild the bowl offline: a sustained rub while rubbing, otherwise a
+  // strike every STRIKE_INTERVAL seconds with the live strike envelope
+  const buildRenderPatch = (engine, duration) => {
+    const bus = engine.createBus('bowl');
+
+    if (isRubbing) {
+      rubVoices(bus, modelFor('rub'), { when: 0, duration, attack: 0 });
+      return;
+    }
+
+    const struck = modelFor('strike');
+    for (let t = 0; t < duration; t += STRIKE_INTERVAL) {
+      strikeVoices(bus, struck, t);
+    }
+  };
+
   // Create ripple effect when playing
   useEffect(() => {
     if (!isPlaying) return;
@@ -401,15 +402,39 @@ export default function TibetanBowl({
     return () => clearInterval(cleanup);
   }, []);
 
-  // Cleanup on unmount
+  // Cleanup on unmount (the hook releases the bus)
   useEffect(() => {
-    return () => {
-      oscillatorsRef.current.forEach(osc => {
-        try { osc.stop(); } catch (e) {}
-      });
-    };
+    return () => clearTimeout(ringTimerRef.current);
   }, []);
 
+  const chip = (isSelected) => `px-2.5 py-1 rounded-lg text-[10px] transition-all ${
+    isSelected
+      ? 'bg-signal-orange text-white'
+      : 'bg-carbon-800 text-carbon-400 hover:text-carbon-200 border border-carbon-700'
+  }`;
+
+  const slider = (label, value, onChange, { min, max, step, format }) => (
+    <div className="flex items-center gap-2">
+      <span className="text-[9px] text-carbon-500 uppercase tracking-wider w-14">{label}</span>
+      <input
+        type="range"
+        min={min}
+        max={max}
+        step={step}
+        value={value}
+        onChange={(e) => onChange(parseFloat(e.target.value))}
+        className="flex-1 h-1.5 bg-carbon-700 rounded-full appearance-none cursor-pointer
+          [&::-webkit-slider-thumb]:appearance-none
+          [&::-webkit-slider-thumb]:w-3
+          [&::-webkit-slider-thumb]:h-3
+          [&::-webkit-slider-thumb]:rounded-full
+          [&::-webkit-slider-thumb]:bg-signal-orange
+          [&::-webkit-slider-thumb]:cursor-pointer"
+      />
+      <span className="text-[9px] text-carbon-400 w-12 text-right">{format(value)}</span>
+    </div>
+  );
+
   return (
     <div className="flex flex-col items-center">
       {/* Interactive Bowl SVG */}
@@ -670,7 +695,7 @@ export default function TibetanBowl({
               fontSize="12"
               fontWeight="bold"
             >
-              {isPlaying ? Math.round(f0) : '▶'}
+              {isPlaying ? Math.round(model.fundamental) : '▶'}
             </text>
             {isPlaying && (
               <text y={12} textAnchor="middle" fill="#fdba74" fontSize="8">
@@ -727,6 +752,69 @@ export default function TibetanBowl({
         </button>
       </div>
 
+      <div className="w-full max-w-sm">
+        <RenderToWav
+          buildPatch={buildRenderPatch}
+          filename={`vocal-prism-bowl-${bowl.id}-${isRubbing ? 'rubbed' : 'struck'}-${Math.round(model.fundamental)}hz`}
+          defaultMinutes={10}
+        />
+      </div>
+
+      {/* Bowl model */}
+      <div className="mt-4 w-full max-w-sm space-y-2 bg-carbon-900/60 rounded-lg p-3 border border-carbon-700">
+        <div className="text-[10px] uppercase tracking-wider text-carbon-400 text-center">
+          Bowl
+        </div>
+        <div className="flex flex-wrap gap-1.5 justify-center">
+          {presets.map(preset => (
+            <button
+              key={preset.id}
+              onClick={() => setBowl(presetBowl(preset))}
+              className={chip(bowl.id === preset.id)}
+              title={preset.description}
+            >
+              {preset.name}
+            </button>
+          ))}
+          {bowl.id === 'custom' && <span className={chip(true)}>Custom</span>}
+        </div>
+
+        {slider('Diameter', bowl.diameter, (v) => setDimension('diameter', v), { ...BOWL_LIMITS.diameter, format: (v) => `${v} cm` })}
+        {slider('Wall', bowl.thickness, (v) => setDimension('thickness', v), { ...BOWL_LIMITS.thickness, format: (v) => `${v.toFixed(1)} mm` })}
+
+        <div className="flex flex-wrap gap-1.5 justify-center">
+          {Object.entries(BOWL_ALLOYS).map(([id, metal]) => (
+            <button
+              key={id}
+              onClick={() => setDimension('alloy', id)}
+              className={chip(bowl.alloy === id)}
+              title={metal.description}
+            >
+              {metal.name}
+            </button>
+          ))}
+        </div>
+
+        <label className="flex items-center justify-center gap-2 text-[10px] text-carbon-400 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={tuneToSa}
+            onChange={(e) => setTuneToSa(e.target.checked)}
+            className="accent-signal-orange"
+          />
+          Retune the fundamental to your Sa ({formatHz(f0)} Hz)
+        </label>
+
+        <p className="text-[10px] text-carbon-500 text-center leading-relaxed">
+          By itself this bowl sounds {formatHz(model.naturalFundamental)} Hz ({freqToNoteName(model.naturalFundamental, a4)}).
+          {tuneToSa && ` With this wall and metal it would need to be about ${Math.round(bowlDiameterFor(f0, bowl))} cm across to sound your Sa.`}
+          {' '}{alloy.description}
+        </p>
+        <p className="text-[10px] text-carbon-500 text-center italic">
+          {BOWL_EXCITATIONS[excitation].name}: {BOWL_EXCITATIONS[excitation].description}
+        </p>
+      </div>
+
       {/* Sacred Geometry Pattern Selector */}
       <div className="mt-4">
         <div className="text-[10px] uppercase tracking-wider text-carbon-400 text-center mb-2">
@@ -754,11 +842,10 @@ export default function TibetanBowl({
         </div>
       </div>
 
-      {/* Harmonic indicators - now interactive */}
+      {/* Mode indicators - now interactive */}
       <div className="mt-4 flex flex-wrap gap-2 justify-center">
-        {BOWL_HARMONICS.map((harmonic, index) => {
+        {model.modes.map((mode, index) => {
           const isActive = activeHarmonics.includes(index);
-          const hz = f0 * harmonic.ratio;
           return (
             <motion.div
               key={index}
@@ -771,9 +858,15 @@ export default function TibetanBowl({
               animate={isActive && isPlaying ? { scale: [1, 1.05, 1] } : {}}
               transition={{ duration: 0.5, repeat: Infinity }}
             >
-              <div className="text-[10px] font-medium">{harmonic.name}</div>
-              <div className="text-xs font-mono">{hz.toFixed(0)} Hz</div>
-              <div className="text-[9px] text-carbon-500">×{harmonic.ratio}</div>
+              <div className="text-[10px] font-medium">{mode.name}</div>
+              <div className="text-xs font-mono">{mode.hz.toFixed(0)} Hz</div>
+              <div className="text-[9px] text-carbon-500">×{mode.ratio.toFixed(2)}</div>
+              <div className="text-[9px] text-carbon-500" title="Beating of the mode's degenerate pair">
+                ~{mode.beatHz.toFixed(1)} Hz beat
+              </div>
+              <div className="text-[9px] text-carbon-500" title="Time to fall 60 dB after a strike">
+                {Math.round(mode.t60)} s ring
+              </div>
             </motion.div>
           );
         })}
@@ -2,6 +2,10 @@
  * TuningSelector Component
  * Allows users to compare their frequency across different tuning standards
  * Educational tool showing how note names shift with reference pitch
+ *
+ * The selected standard is the app's reference pitch: choosing one here
+ * renames every note on the page. Below it, the temperament lab compares
+ * how the intervals on the user's root are tuned.
  */
 
 import { useState, useMemo } from 'react';
@@ -13,14 +17,21 @@ import {
   centsBetween,
   nearestETFreq
 } from '../engine/tuning';
+import TemperamentLab from './TemperamentLab';
 
-export default function TuningSelector({ f0 = 165 }) {
-  const [selectedTuning, setSelectedTuning] = useState('A440');
+export default function TuningSelector({ f0 = 165, reference, onChange }) {
+  const selectedTuning = reference.id;
   const [showAll, setShowAll] = useState(false);
+  const [showLab, setShowLab] = useState(false);
 
-  // Calculate how this frequency appears in each tuning standard
+  // Calculate how this frequency appears in each tuning standard, and in a
+  // custom reference when one is chosen
   const tuningComparisons = useMemo(() => {
-    return Object.entries(TUNING_STANDARDS).map(([id, tuning]) => {
+    const standards = Object.entries(TUNING_STANDARDS);
+    if (reference.custom) {
+      standards.push(['custom', { name: reference.name, a4: reference.a4, description: reference.description }]);
+    }
+    return standards.map(([id, tuning]) => {
       const noteName = freqToNoteName(f0, tuning.a4);
       const nearestHz = nearestETFreq(f0, tuning.a4);
       const cents = Math.round(centsBetween(f0, nearestHz));
@@ -35,7 +46,7 @@ export default function TuningSelector({ f0 = 165 }) {
         centsFormatted
       };
     });
-  }, [f0]);
+  }, [f0, reference]);
 
   const currentTuning = tuningComparisons.find(t => t.id === selectedTuning);
 
@@ -56,7 +67,7 @@ export default function TuningSelector({ f0 = 165 }) {
         {tuningComparisons.map(tuning => (
           <button
             key={tuning.id}
-            onClick={() => setSelectedTuning(tuning.id)}
+            onClick={() => onChange(tuning.id === 'custom' ? tuning.a4 : tuning.id)}
             className={`
               px-2.5 py-1.5 text-[10px] rounded border transition-all
               ${selectedTuning === tuning.id
@@ -143,10 +154,34 @@ export default function TuningSelector({ f0 = 165 }) {
         )}
       </AnimatePresence>
 
+      {/* Temperament lab */}
+      <div className="mt-3">
+        <button
+          onClick={() => setShowLab(!showLab)}
+          className="text-xs text-carbon-400 hover:text-carbon-200 mb-3"
+        >
+          {showLab ? '▼ Hide Temperament Lab' : '▶ Compare Temperaments'}
+        </button>
+
+        <AnimatePresence>
+          {showLab && (
+            <motion.div
+              initial={{ opacity: 0, height: 0 }}
+              animate={{ opacity: 1, height: 'auto' }}
+              exit={{ opacity: 0, height: 0 }}
+            >
+              <TemperamentLab f0={f0} reference={reference} />
+            </motion.div>
+          )}
+        </AnimatePresence>
+      </div>
+
       {/* Footer insight */}
       <div className="mt-3 pt-3 border-t border-carbon-700">
         <p className="text-[9px] text-carbon-500 leading-relaxed">
-          Vocal Prism uses A=440 by default (international standard since 1939).
+          Vocal Prism uses A=440 by default (international standard since 1939); the
+          reference chosen here names every note on this page. A reference pitch
+          says where A sits; a temperament says how the other intervals are shared out.
           Note names are labels, not prescriptions — your voice is already perfect.
         </p>
       </div>
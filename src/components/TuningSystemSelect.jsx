@@ -0,0 +1,37 @@
+/**
+ * TuningSystemSelect Component
+ * Pill selector over the tuning-system registry
+ */
+
+import { listTuningSystems } from '../engine/tuningSystems';
+
+export default function TuningSystemSelect({ value, onChange }) {
+  const systems = listTuningSystems();
+  const selected = systems.find(s => s.id === value);
+
+  return (
+    <div>
+      <div className="flex flex-wrap gap-1 bg-carbon-100 rounded-lg p-0.5">
+        {systems.map(system => (
+          <button
+            key={system.id}
+            onClick={() => onChange(system.id)}
+            title={system.name}
+            className={`px-2 py-1 text-[10px] sm:text-xs font-medium rounded-md transition-colors ${
+              value === system.id
+                ? 'bg-white text-carbon-800 shadow-sm'
+                : 'text-carbon-500 hover:text-carbon-700'
+            }`}
+          >
+            {system.short}
+          </button>
+        ))}
+      </div>
+      {selected && (
+        <p className="text-[10px] sm:text-xs text-carbon-400 mt-1.5">
+          <span className="font-medium text-carbon-600">{selected.name}</span> — {selected.description}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,326 @@
+/**
+ * VocalRangeCapture Component
+ * Guided exercises that measure a vocal profile from the microphone:
+ * a hum at speaking pitch, a slow glide down to the lowest comfortable
+ * note and a siren up to the highest
+ *
+ * Each exercise runs YIN on every animation frame, as VoiceCapture does.
+ * The hum is summarized by its median; the glides by summarizeGlide, which
+ * keeps the extremes the voice actually held.
+ */
+
+import { useState, useRef, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import { detectPitch, summarizePitchTrack, summarizeGlide } from '../engine/pitchDetection';
+import { freqToNoteName, formatHz, DEFAULT_A4 } from '../engine/pitchUtils';
+import { createVocalProfile } from '../engine/vocalProfile';
+import { openMicrophone, isMicrophoneSupported } from '../utils/microphone';
+
+// Trace display range (log scale)
+const TRACE_MIN_HZ = 50;
+const TRACE_MAX_HZ = 1200;
+
+// Below this share of voiced frames we don't trust an exercise
+const MIN_VOICED_RATIO = 0.2;
+
+const STEPS = [
+  {
+    id: 'speak',
+    label: 'Speaking pitch',
+    prompt: 'Hum a relaxed "mmm" at the pitch you speak at.',
+    duration: 4
+  },
+  {
+    id: 'low',
+    label: 'Lowest note',
+    prompt: 'Start mid-range and slide slowly down on "ooo" to the lowest note you can sing comfortably.',
+    duration: 6
+  },
+  {
+    id: 'high',
+    label: 'Highest note',
+    prompt: 'Slide slowly up on "eee", like a siren, to the highest note you can sing without straining.',
+    duration: 6
+  }
+];
+
+/**
+ * Map a frequency to a 0..1 position on the log-scaled trace
+ */
+function traceY(hz) {
+  const clamped = Math.min(TRACE_MAX_HZ, Math.max(TRACE_MIN_HZ, hz));
+  return Math.log2(clamped / TRACE_MIN_HZ) / Math.log2(TRACE_MAX_HZ / TRACE_MIN_HZ);
+}
+
+/**
+ * The value an exercise measures from its pitch track
+ */
+function summarizeStep(stepId, track) {
+  if (stepId === 'speak') {
+    const summary = summarizePitchTrack(track);
+    return { hz: summary.f0, voicedRatio: summary.voicedRatio };
+  }
+  const glide = summarizeGlide(track);
+  return { hz: stepId === 'low' ? glide.low : glide.high, voicedRatio: glide.voicedRatio };
+}
+
+export default function VocalRangeCapture({ onComplete, a4 = DEFAULT_A4 }) {
+  const micRef = useRef(null);
+  const rafRef = useRef(null);
+  const trackRef = useRef([]);
+  const startTimeRef = useRef(0);
+  const sessionRef = useRef(0); // bumped by every teardown
+
+  const [stepIndex, setStepIndex] = useState(0);
+  const [status, setStatus] = useState('idle'); // idle | requesting | recording | error
+  const [error, setError] = useState(null);
+  const [trace, setTrace] = useState([]);
+  const [currentHz, setCurrentHz] = useState(null);
+  const [elapsed, setElapsed] = useState(0);
+  const [results, setResults] = useState({}); // step id -> Hz
+
+  const step = STEPS[stepIndex] || null;
+
+  // Release mic and stop the frame loop
+  const teardown = useCallback(() => {
+    // An exercise still waiting for the mic sees this and closes it
+    sessionRef.current++;
+    if (rafRef.current) {
+      cancelAnimationFrame(rafRef.current);
+      rafRef.current = null;
+    }
+    if (micRef.current) {
+      micRef.current.close();
+      micRef.current = null;
+    }
+  }, []);
+
+  const finishStep = useCallback((index) => {
+    teardown();
+
+    const { id } = STEPS[index];
+    const { hz, voicedRatio } = summarizeStep(id, trackRef.current.map(p => p.f0));
+    if (!hz || voicedRatio < MIN_VOICED_RATIO) {
+      setStatus('error');
+      setError("Couldn't follow your voice. Try again a little closer to the mic.");
+      return;
+    }
+
+    // On to the next exercise not yet done, or to the summary
+    const next = STEPS.findIndex((s, i) => i > index && !results[s.id]);
+    setResults(prev => ({ ...prev, [id]: hz }));
+    setStatus('idle');
+    setStepIndex(next >= 0 ? next : STEPS.length);
+  }, [teardown, results]);
+
+  const startStep = useCallback(async (index) => {
+    teardown();
+    const session = sessionRef.current;
+    setError(null);
+    setTrace([]);
+    setCurrentHz(null);
+    setElapsed(0);
+    setStepIndex(index);
+    trackRef.current = [];
+    setStatus('requesting');
+
+    let opened;
+    try {
+      opened = await openMicrophone();
+    } catch (e) {
+      if (session !== sessionRef.current) return;
+      console.warn('Microphone error:', e);
+      setStatus('error');
+      setError(e.name === 'NotAllowedError'
+        ? 'Microphone access was blocked. Allow it in your browser settings to measure your voice.'
+        : e.message);
+      return;
+    }
+
+    // Cancelled or unmounted while the permission prompt was up
+    if (session !== sessionRef.current) {
+      opened.close();
+      return;
+    }
+    micRef.current = opened;
+
+    startTimeRef.current = performance.now();
+    setStatus('recording');
+    const { duration } = STEPS[index];
+
+    // Frame loop: one pitch estimate per animation frame
+    const tick = () => {
+      const mic = micRef.current;
+      if (!mic) return;
+
+      const t = (performance.now() - startTimeRef.current) / 1000;
+      const { f0 } = detectPitch(mic.readFrame(), mic.sampleRate);
+
+      trackRef.current.push({ t, f0 });
+      setTrace([...trackRef.current]);
+      setCurrentHz(f0);
+      setElapsed(t);
+
+      if (t >= duration) {
+        finishStep(index);
+        return;
+      }
+      rafRef.current = requestAnimationFrame(tick);
+    };
+    rafRef.current = requestAnimationFrame(tick);
+  }, [finishStep, teardown]);
+
+  const cancelStep = useCallback(() => {
+    teardown();
+    setStatus('idle');
+  }, [teardown]);
+
+  // Release the mic on unmount
+  useEffect(() => teardown, [teardown]);
+
+  if (!isMicrophoneSupported()) {
+    return null;
+  }
+
+  const isRecording = status === 'recording';
+  const duration = step?.duration || 1;
+  const remaining = Math.max(0, Math.ceil(duration - elapsed));
+
+  // The profile once every exercise is done (null while it can't be built)
+  let profile = null;
+  let profileError = null;
+  if (STEPS.every(s => results[s.id])) {
+    try {
+      profile = createVocalProfile({ f0: results.speak, low: results.low, high: results.high, source: 'measured', a4 });
+    } catch (e) {
+      profileError = e.message;
+    }
+  }
+
+  // Build the SVG polyline, breaking it at unvoiced frames
+  const segments = [];
+  let current = [];
+  trace.forEach(({ t, f0 }) => {
+    if (f0) {
+      current.push(`${(t / duration) * 300},${80 - traceY(f0) * 80}`);
+    } else if (current.length) {
+      segments.push(current);
+      current = [];
+    }
+  });
+  if (current.length) segments.push(current);
+
+  return (
+    <div className="bg-cream-50 border border-carbon-200 rounded-xl p-6 text-left">
+      <div className="flex items-center justify-between mb-3">
+        <label className="block text-sm font-medium text-carbon-600">
+          Measure your sung range
+        </label>
+        <span className={`led ${isRecording ? 'led-on' : 'led-off'}`} />
+      </div>
+
+      {/* Exercises: click one to (re)do it */}
+      <div className="grid grid-cols-3 gap-2 mb-3">
+        {STEPS.map((s, i) => (
+          <button
+            key={s.id}
+            onClick={() => !isRecording && setStepIndex(i)}
+            disabled={isRecording}
+            className={`px-2 py-1.5 rounded-lg border text-left transition-colors
+              ${i === stepIndex
+                ? 'border-signal-orange bg-white'
+                : 'border-carbon-200 hover:border-carbon-300'}`}
+          >
+            <div className="text-[10px] uppercase tracking-wider text-carbon-400">{i + 1}. {s.label}</div>
+            <div className="font-mono text-xs text-carbon-700">
+              {results[s.id] ? `${freqToNoteName(results[s.id], a4)} · ${formatHz(results[s.id])} Hz` : '—'}
+            </div>
+          </button>
+        ))}
+      </div>
+
+      {/* Live pitch trace */}
+      <div className="relative bg-white border border-carbon-100 rounded-lg overflow-hidden mb-3">
+        <svg viewBox="0 0 300 80" preserveAspectRatio="none" className="w-full h-20">
+          {[100, 200, 400, 800].map(hz => (
+            <line
+              key={hz}
+              x1="0" x2="300"
+              y1={80 - traceY(hz) * 80} y2={80 - traceY(hz) * 80}
+              stroke="#E5E5E5" strokeWidth="0.5"
+            />
+          ))}
+          {STEPS.filter(s => results[s.id]).map(s => (
+            <line
+              key={s.id}
+              x1="0" x2="300"
+              y1={80 - traceY(results[s.id]) * 80} y2={80 - traceY(results[s.id]) * 80}
+              stroke="#1A1A1A" strokeWidth="1" strokeDasharray={s.id === 'speak' ? '4 3' : '1 2'}
+              vectorEffect="non-scaling-stroke"
+            />
+          ))}
+          {segments.map((points, i) => (
+            <polyline
+              key={i}
+              points={points.join(' ')}
+              fill="none"
+              stroke="#FF6B35"
+              strokeWidth="1.5"
+              strokeLinejoin="round"
+              vectorEffect="non-scaling-stroke"
+            />
+          ))}
+        </svg>
+        <div className="absolute top-1 right-2 font-mono text-xs text-carbon-500">
+          {isRecording && (currentHz ? `${formatHz(currentHz)} Hz · ${freqToNoteName(currentHz, a4)}` : '—')}
+        </div>
+      </div>
+
+      {step && (
+        <p className="text-xs text-carbon-500 mb-3">{step.prompt}</p>
+      )}
+
+      {(error || profileError) && (
+        <p className="text-xs text-signal-orange mb-3">{error || profileError}</p>
+      )}
+
+      {profile && (
+        <p className="text-xs text-carbon-600 mb-3">
+          {profile.voiceType.type} range {profile.low.note}–{profile.high.note} ({profile.span} semitones),
+          tessitura {profile.tessitura.low.note}–{profile.tessitura.high.note}.
+        </p>
+      )}
+
+      {isRecording ? (
+        <button
+          onClick={cancelStep}
+          className="w-full py-3 bg-carbon-800 text-white font-semibold rounded-lg hover:bg-carbon-700 transition-colors"
+        >
+          <motion.span
+            animate={{ opacity: [1, 0.5, 1] }}
+            transition={{ repeat: Infinity, duration: 1 }}
+          >
+            {step.label}… {remaining}s
+          </motion.span>
+        </button>
+      ) : step && (
+        <button
+          onClick={() => startStep(stepIndex)}
+          disabled={status === 'requesting'}
+          className="w-full py-3 bg-carbon-800 text-white font-semibold rounded-lg hover:bg-carbon-700 transition-colors disabled:opacity-50"
+        >
+          {status === 'requesting' ? 'Opening microphone…' : `🎤 ${step.label} (${step.duration} seconds)`}
+        </button>
+      )}
+
+      {profile && !isRecording && (
+        <button
+          onClick={() => onComplete?.({ f0: results.speak, low: results.low, high: results.high })}
+          className="w-full mt-2 py-3 bg-signal-orange text-white font-semibold rounded-lg hover:bg-signal-orange/90 transition-colors"
+        >
+          Explore my range
+        </button>
+      )}
+    </div>
+  );
+}
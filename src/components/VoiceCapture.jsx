@@ -0,0 +1,235 @@
+/**
+ * VoiceCapture Component
+ * "Hum for 5 seconds" — measures f0 from the microphone
+ *
+ * Runs the YIN estimator from engine/pitchDetection on every animation
+ * frame, draws a live pitch trace, then reports the median voiced f0.
+ */
+
+import { useState, useRef, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import { detectPitch, summarizePitchTrack } from '../engine/pitchDetection';
+import { freqToNoteName, formatHz, DEFAULT_A4 } from '../engine/pitchUtils';
+import { openMicrophone, isMicrophoneSupported } from '../utils/microphone';
+
+// Trace display range (log scale)
+const TRACE_MIN_HZ = 60;
+const TRACE_MAX_HZ = 600;
+
+// Below this share of voiced frames we don't trust the median
+const MIN_VOICED_RATIO = 0.2;
+
+/**
+ * Map a frequency to a 0..1 position on the log-scaled trace
+ */
+function traceY(hz) {
+  const clamped = Math.min(TRACE_MAX_HZ, Math.max(TRACE_MIN_HZ, hz));
+  return Math.log2(clamped / TRACE_MIN_HZ) / Math.log2(TRACE_MAX_HZ / TRACE_MIN_HZ);
+}
+
+export default function VoiceCapture({ duration = 5, onComplete, a4 = DEFAULT_A4 }) {
+  const micRef = useRef(null);
+  const rafRef = useRef(null);
+  const trackRef = useRef([]);
+  const startTimeRef = useRef(0);
+  const sessionRef = useRef(0); // bumped by every teardown
+
+  const [status, setStatus] = useState('idle'); // idle | requesting | recording | done | error
+  const [error, setError] = useState(null);
+  const [trace, setTrace] = useState([]);
+  const [currentHz, setCurrentHz] = useState(null);
+  const [elapsed, setElapsed] = useState(0);
+  const [result, setResult] = useState(null);
+
+  // Release mic and stop the frame loop
+  const teardown = useCallback(() => {
+    // A capture still waiting for the mic sees this and closes it
+    sessionRef.current++;
+    if (rafRef.current) {
+      cancelAnimationFrame(rafRef.current);
+      rafRef.current = null;
+    }
+    if (micRef.current) {
+      micRef.current.close();
+      micRef.current = null;
+    }
+  }, []);
+
+  const finish = useCallback(() => {
+    teardown();
+
+    const summary = summarizePitchTrack(trackRef.current.map(p => p.f0));
+    if (!summary.f0 || summary.voicedRatio < MIN_VOICED_RATIO) {
+      setStatus('error');
+      setError("Couldn't hear a steady hum. Try again a little closer to the mic.");
+      return;
+    }
+
+    setResult(summary);
+    setStatus('done');
+    if (onComplete) onComplete(summary.f0, summary);
+  }, [teardown, onComplete]);
+
+  const startCapture = useCallback(async () => {
+    teardown();
+    const session = sessionRef.current;
+    setError(null);
+    setResult(null);
+    setTrace([]);
+    setCurrentHz(null);
+    setElapsed(0);
+    trackRef.current = [];
+    setStatus('requesting');
+
+    let opened;
+    try {
+      opened = await openMicrophone();
+    } catch (e) {
+      if (session !== sessionRef.current) return;
+      console.warn('Microphone error:', e);
+      setStatus('error');
+      setError(e.name === 'NotAllowedError'
+        ? 'Microphone access was blocked. Allow it in your browser settings to measure your voice.'
+        : e.message);
+      return;
+    }
+
+    // Cancelled or unmounted while the permission prompt was up: a late
+    // finish() would otherwise still report a result
+    if (session !== sessionRef.current) {
+      opened.close();
+      return;
+    }
+    micRef.current = opened;
+
+    startTimeRef.current = performance.now();
+    setStatus('recording');
+
+    // Frame loop: one pitch estimate per animation frame
+    const tick = () => {
+      const mic = micRef.current;
+      if (!mic) return;
+
+      const t = (performance.now() - startTimeRef.current) / 1000;
+      const { f0 } = detectPitch(mic.readFrame(), mic.sampleRate);
+
+      trackRef.current.push({ t, f0 });
+      setTrace([...trackRef.current]);
+      setCurrentHz(f0);
+      setElapsed(t);
+
+      if (t >= duration) {
+        finish();
+        return;
+      }
+      rafRef.current = requestAnimationFrame(tick);
+    };
+    rafRef.current = requestAnimationFrame(tick);
+  }, [duration, finish, teardown]);
+
+  const cancelCapture = useCallback(() => {
+    teardown();
+    setStatus('idle');
+  }, [teardown]);
+
+  // Release the mic on unmount
+  useEffect(() => teardown, [teardown]);
+
+  if (!isMicrophoneSupported()) {
+    return null;
+  }
+
+  const isRecording = status === 'recording';
+  const remaining = Math.max(0, Math.ceil(duration - elapsed));
+
+  // Build the SVG polyline, breaking it at unvoiced frames
+  const segments = [];
+  let current = [];
+  trace.forEach(({ t, f0 }) => {
+    if (f0) {
+      current.push(`${(t / duration) * 300},${80 - traceY(f0) * 80}`);
+    } else if (current.length) {
+      segments.push(current);
+      current = [];
+    }
+  });
+  if (current.length) segments.push(current);
+
+  return (
+    <div className="bg-cream-50 border border-carbon-200 rounded-xl p-6">
+      <div className="flex items-center justify-between mb-3">
+        <label className="block text-sm font-medium text-carbon-600">
+          Measure your fundamental
+        </label>
+        <span className={`led ${isRecording ? 'led-on' : 'led-off'}`} />
+      </div>
+
+      {/* Live pitch trace */}
+      <div className="relative bg-white border border-carbon-100 rounded-lg overflow-hidden mb-4">
+        <svg viewBox="0 0 300 80" preserveAspectRatio="none" className="w-full h-20">
+          {[100, 200, 400].map(hz => (
+            <line
+              key={hz}
+              x1="0" x2="300"
+              y1={80 - traceY(hz) * 80} y2={80 - traceY(hz) * 80}
+              stroke="#E5E5E5" strokeWidth="0.5"
+            />
+          ))}
+          {segments.map((points, i) => (
+            <polyline
+              key={i}
+              points={points.join(' ')}
+              fill="none"
+              stroke="#FF6B35"
+              strokeWidth="1.5"
+              strokeLinejoin="round"
+              vectorEffect="non-scaling-stroke"
+            />
+          ))}
+          {result && (
+            <line
+              x1="0" x2="300"
+              y1={80 - traceY(result.f0) * 80} y2={80 - traceY(result.f0) * 80}
+              stroke="#1A1A1A" strokeWidth="1" strokeDasharray="4 3"
+              vectorEffect="non-scaling-stroke"
+            />
+          )}
+        </svg>
+        <div className="absolute top-1 right-2 font-mono text-xs text-carbon-500">
+          {isRecording && (currentHz ? `${formatHz(currentHz)} Hz · ${freqToNoteName(currentHz, a4)}` : '—')}
+          {status === 'done' && result && `${formatHz(result.f0)} Hz · ${freqToNoteName(result.f0, a4)}`}
+        </div>
+      </div>
+
+      {error && (
+        <p className="text-xs text-signal-orange mb-3">{error}</p>
+      )}
+
+      {isRecording ? (
+        <button
+          onClick={cancelCapture}
+          className="w-full py-3 bg-carbon-800 text-white font-semibold rounded-lg hover:bg-carbon-700 transition-colors"
+        >
+          <motion.span
+            animate={{ opacity: [1, 0.5, 1] }}
+            transition={{ repeat: Infinity, duration: 1 }}
+          >
+            Humming… {remaining}s
+          </motion.span>
+        </button>
+      ) : (
+        <button
+          onClick={startCapture}
+          disabled={status === 'requesting'}
+          className="w-full py-3 bg-carbon-800 text-white font-semibold rounded-lg hover:bg-carbon-700 transition-colors disabled:opacity-50"
+        >
+          {status === 'requesting' ? 'Opening microphone…' : `🎤 Hum for ${duration} seconds`}
+        </button>
+      )}
+
+      <p className="text-xs text-carbon-400 mt-3">
+        Hum a relaxed, comfortable "mmm" — we take the median of every voiced frame.
+      </p>
+    </div>
+  );
+}
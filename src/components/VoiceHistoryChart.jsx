@@ -0,0 +1,110 @@
+/**
+ * VoiceHistoryChart Component
+ * A singer's measured sessions over time: speaking f0 as a line, and the
+ * sung range of each session as a bar from its lowest to highest note
+ *
+ * Time runs left to right by date, pitch bottom to top on a log scale with
+ * the C of each octave marked.
+ */
+
+import { freqToNoteName, formatHz, noteNameToFreq, DEFAULT_A4 } from '../engine/pitchUtils';
+
+const WIDTH = 300;
+const HEIGHT = 120;
+const PAD = { left: 24, right: 6, top: 6, bottom: 14 };
+
+const formatDate = (iso) => new Date(iso).toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: '2-digit' });
+
+export default function VoiceHistoryChart({ sessions = [], selectedId = null, onSelect, a4 = DEFAULT_A4 }) {
+  if (!sessions.length) {
+    return (
+      <div className="h-24 flex items-center justify-center text-xs text-carbon-400 bg-white border border-carbon-100 rounded-lg">
+        No sessions yet — measure your voice to start the history.
+      </div>
+    );
+  }
+
+  // Pitch domain: every f0 and range end, with a little room
+  const pitches = sessions.flatMap(s => [s.f0, s.low, s.high].filter(Boolean));
+  const minHz = Math.min(...pitches) / 1.1;
+  const maxHz = Math.max(...pitches) * 1.1;
+  const y = (hz) => PAD.top + (1 - Math.log2(hz / minHz) / Math.log2(maxHz / minHz)) * (HEIGHT - PAD.top - PAD.bottom);
+
+  // Time domain; a single session sits in the middle
+  const times = sessions.map(s => new Date(s.recordedAt).getTime());
+  const first = Math.min(...times);
+  const last = Math.max(...times);
+  const x = (t) => (last === first
+    ? (PAD.left + WIDTH - PAD.right) / 2
+    : PAD.left + ((t - first) / (last - first)) * (WIDTH - PAD.left - PAD.right));
+
+  // The C of each octave in view
+  const gridNotes = [1, 2, 3, 4, 5, 6]
+    .map(octave => ({ note: `C${octave}`, hz: noteNameToFreq(`C${octave}`, a4) }))
+    .filter(({ hz }) => hz > minHz && hz < maxHz);
+
+  const f0Points = sessions.map((s, i) => `${x(times[i])},${y(s.f0)}`).join(' ');
+
+  return (
+    <div className="bg-white border border-carbon-100 rounded-lg p-2">
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-36">
+        {gridNotes.map(({ note, hz }) => (
+          <g key={note}>
+            <line x1={PAD.left} x2={WIDTH - PAD.right} y1={y(hz)} y2={y(hz)} stroke="#E5E5E5" strokeWidth="0.5" />
+            <text x={PAD.left - 3} y={y(hz) + 2} textAnchor="end" className="fill-carbon-400" fontSize="6" fontFamily="monospace">
+              {note}
+            </text>
+          </g>
+        ))}
+
+        {/* Sung range per session */}
+        {sessions.map((s, i) => s.low && s.high && (
+          <rect
+            key={`range-${s.id}`}
+            x={x(times[i]) - 2}
+            y={y(s.high)}
+            width="4"
+            height={y(s.low) - y(s.high)}
+            rx="2"
+            fill={s.id === selectedId ? '#FF6B35' : '#D4D4D4'}
+            opacity="0.6"
+          />
+        ))}
+
+        {/* Speaking f0 */}
+        {sessions.length > 1 && (
+          <polyline points={f0Points} fill="none" stroke="#1A1A1A" strokeWidth="1" strokeLinejoin="round" />
+        )}
+        {sessions.map((s, i) => (
+          <circle
+            key={s.id}
+            cx={x(times[i])}
+            cy={y(s.f0)}
+            r={s.id === selectedId ? 3 : 2}
+            fill={s.id === selectedId ? '#FF6B35' : '#1A1A1A'}
+            className={onSelect ? 'cursor-pointer' : ''}
+            onClick={() => onSelect?.(s)}
+          >
+            <title>
+              {`${formatDate(s.recordedAt)} — f0 ${formatHz(s.f0)} Hz (${freqToNoteName(s.f0, a4)})`}
+              {s.low && s.high ? `, range ${freqToNoteName(s.low, a4)}–${freqToNoteName(s.high, a4)}` : ''}
+            </title>
+          </circle>
+        ))}
+
+        <text x={PAD.left} y={HEIGHT - 3} className="fill-carbon-400" fontSize="6" fontFamily="monospace">
+          {formatDate(sessions[0].recordedAt)}
+        </text>
+        {sessions.length > 1 && (
+          <text x={WIDTH - PAD.right} y={HEIGHT - 3} textAnchor="end" className="fill-carbon-400" fontSize="6" fontFamily="monospace">
+            {formatDate(sessions[sessions.length - 1].recordedAt)}
+          </text>
+        )}
+      </svg>
+      <div className="flex gap-4 justify-center text-[10px] text-carbon-500">
+        <span><span className="inline-block w-2 h-2 rounded-full bg-carbon-900 mr-1" />speaking f0</span>
+        <span><span className="inline-block w-1.5 h-3 rounded-full bg-carbon-300 mr-1 align-middle" />sung range</span>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,242 @@
+/**
+ * VoiceProfiles Component
+ * Local profiles for each singer: pick who is singing, see their history
+ * of measured sessions, and move profiles between machines as JSON
+ *
+ * Profiles live in IndexedDB (utils/profileStorage). Measurements taken
+ * while a profile is active are added to it as sessions.
+ */
+
+import { useRef, useState } from 'react';
+import useProfiles from '../hooks/useProfiles';
+import {
+  createProfile,
+  renameProfile,
+  deleteProfile,
+  setActiveProfile,
+  removeSession,
+  serializeProfiles,
+  importProfiles
+} from '../utils/profileStorage';
+import { downloadFile, readFileAsText } from '../utils/download';
+import { freqToNoteName, formatHz, DEFAULT_A4 } from '../engine/pitchUtils';
+import VoiceHistoryChart from './VoiceHistoryChart';
+
+// Sessions listed before "show all"
+const RECENT_SESSIONS = 5;
+
+const slugify = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'profile';
+
+export default function VoiceProfiles({ onOpenSession, a4 = DEFAULT_A4 }) {
+  const { loaded, error, profiles, active } = useProfiles();
+  const inputRef = useRef(null);
+
+  const [newName, setNewName] = useState('');
+  const [renaming, setRenaming] = useState(null); // name being typed
+  const [confirmDelete, setConfirmDelete] = useState(false);
+  const [showAll, setShowAll] = useState(false);
+  const [message, setMessage] = useState(null); // { text, isError }
+
+  const report = (promise, success) => promise
+    .then(result => success && setMessage({ text: success(result), isError: false }))
+    .catch(e => setMessage({ text: e.message, isError: true }));
+
+  const addProfile = (e) => {
+    e.preventDefault();
+    if (!newName.trim()) return;
+    report(createProfile(newName));
+    setNewName('');
+  };
+
+  const select = (id) => {
+    setActiveProfile(id);
+    setRenaming(null);
+    setConfirmDelete(false);
+    setShowAll(false);
+  };
+
+  const saveName = (e) => {
+    e.preventDefault();
+    report(renameProfile(active.id, renaming));
+    setRenaming(null);
+  };
+
+  const remove = () => {
+    if (!confirmDelete) {
+      setConfirmDelete(true);
+      return;
+    }
+    report(deleteProfile(active.id), () => `Deleted ${active.name}`);
+    setConfirmDelete(false);
+  };
+
+  const exportProfiles = (list, filename) => {
+    downloadFile(filename, serializeProfiles(list), 'application/json');
+  };
+
+  const importFile = (file) => {
+    if (!file) return;
+    report(
+      readFileAsText(file).then(importProfiles),
+      ({ added, merged }) => `Imported ${added} new profile${added === 1 ? '' : 's'}${merged ? `, merged ${merged}` : ''}`
+    );
+  };
+
+  if (error) {
+    return (
+      <div className="bg-cream-50 border border-carbon-200 rounded-xl p-4 text-xs text-carbon-500">
+        Profiles are unavailable: {error}
+      </div>
+    );
+  }
+
+  const sessions = active?.sessions || [];
+  const listed = [...sessions].reverse().slice(0, showAll ? undefined : RECENT_SESSIONS);
+
+  const chip = (isActive) => `px-2.5 py-1 text-xs rounded-full border transition-colors
+    ${isActive
+      ? 'bg-carbon-800 border-carbon-800 text-white'
+      : 'bg-white border-carbon-200 text-carbon-600 hover:border-carbon-400'}`;
+  const smallButton = 'px-2 py-1 text-[10px] sm:text-xs font-medium rounded-md border border-carbon-200 bg-white text-carbon-600 hover:border-carbon-400 transition-colors';
+
+  return (
+    <div className="bg-cream-50 border border-carbon-200 rounded-xl p-6 text-left space-y-4">
+      <div className="flex items-center justify-between">
+        <label className="block text-sm font-medium text-carbon-600">Who's singing?</label>
+        <div className="flex gap-1.5">
+          <button onClick={() => inputRef.current?.click()} className={smallButton}>
+            Import
+          </button>
+          <button
+            onClick={() => exportProfiles(profiles, 'vocal-prism-profiles.json')}
+            disabled={!profiles.length}
+            className={`${smallButton} disabled:opacity-40`}
+          >
+            ⤓ All
+          </button>
+          <input
+            ref={inputRef}
+            type="file"
+            accept=".json,application/json"
+            className="hidden"
+            onChange={(e) => {
+              importFile(e.target.files[0]);
+              e.target.value = '';
+            }}
+          />
+        </div>
+      </div>
+
+      {/* Profiles */}
+      <div className="flex flex-wrap items-center gap-1.5">
+        {loaded && (
+          <button onClick={() => select(null)} className={chip(!active)}>
+            Guest
+          </button>
+        )}
+        {profiles.map(profile => (
+          <button key={profile.id} onClick={() => select(profile.id)} className={chip(active?.id === profile.id)}>
+            {profile.name}
+            <span className="ml-1 opacity-60">{profile.sessions.length}</span>
+          </button>
+        ))}
+        <form onSubmit={addProfile} className="flex items-center gap-1">
+          <input
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            placeholder="New singer"
+            className="w-28 px-2 py-1 text-xs border border-carbon-200 rounded-full focus:outline-none focus:ring-2 focus:ring-signal-orange/50"
+          />
+          <button type="submit" disabled={!newName.trim()} className={`${smallButton} disabled:opacity-40`}>
+            + Add
+          </button>
+        </form>
+      </div>
+
+      {message && (
+        <p className={`text-xs ${message.isError ? 'text-signal-orange' : 'text-carbon-500'}`}>{message.text}</p>
+      )}
+
+      {!active ? (
+        <p className="text-xs text-carbon-400">
+          As a guest nothing is saved. Add a singer to keep their measurements, tuning, raga, mode and mixer presets.
+        </p>
+      ) : (
+        <>
+          {/* Active profile */}
+          <div className="flex flex-wrap items-center gap-1.5">
+            {renaming !== null ? (
+              <form onSubmit={saveName} className="flex items-center gap-1">
+                <input
+                  value={renaming}
+                  onChange={(e) => setRenaming(e.target.value)}
+                  autoFocus
+                  className="w-36 px-2 py-1 text-sm border border-carbon-300 rounded-md focus:outline-none focus:ring-2 focus:ring-signal-orange/50"
+                />
+                <button type="submit" className={smallButton}>Save</button>
+                <button type="button" onClick={() => setRenaming(null)} className={smallButton}>Cancel</button>
+              </form>
+            ) : (
+              <>
+                <span className="text-sm font-semibold text-carbon-800 mr-1">{active.name}</span>
+                <button onClick={() => setRenaming(active.name)} className={smallButton}>Rename</button>
+                <button onClick={() => exportProfiles([active], `vocal-prism-${slugify(active.name)}.json`)} className={smallButton}>
+                  ⤓ Export
+                </button>
+                <button
+                  onClick={remove}
+                  onBlur={() => setConfirmDelete(false)}
+                  className={`${smallButton} ${confirmDelete ? 'border-signal-orange text-signal-orange' : ''}`}
+                >
+                  {confirmDelete ? `Delete ${active.name} and ${sessions.length} sessions?` : 'Delete'}
+                </button>
+              </>
+            )}
+          </div>
+
+          <VoiceHistoryChart sessions={sessions} onSelect={onOpenSession} a4={a4} />
+
+          {/* Sessions, newest first */}
+          {listed.length > 0 && (
+            <div className="divide-y divide-carbon-100 border border-carbon-100 rounded-lg bg-white">
+              {listed.map(session => (
+                <div key={session.id} className="flex items-center gap-2 px-3 py-1.5 text-xs">
+                  <span className="text-carbon-400 w-24 shrink-0">
+                    {new Date(session.recordedAt).toLocaleDateString()}
+                  </span>
+                  <span className="font-mono text-carbon-700">
+                    {formatHz(session.f0)} Hz · {freqToNoteName(session.f0, a4)}
+                  </span>
+                  {session.low && session.high && (
+                    <span className="font-mono text-carbon-500">
+                      {freqToNoteName(session.low, a4)}–{freqToNoteName(session.high, a4)}
+                    </span>
+                  )}
+                  <span className="flex-1" />
+                  <button onClick={() => onOpenSession?.(session)} className="text-carbon-500 hover:text-carbon-800">
+                    Open →
+                  </button>
+                  <button
+                    onClick={() => report(removeSession(active.id, session.id))}
+                    title="Delete this session"
+                    className="text-carbon-300 hover:text-signal-orange"
+                  >
+                    ×
+                  </button>
+                </div>
+              ))}
+              {sessions.length > RECENT_SESSIONS && (
+                <button
+                  onClick={() => setShowAll(!showAll)}
+                  className="w-full px-3 py-1.5 text-[10px] text-carbon-500 hover:text-carbon-800"
+                >
+                  {showAll ? 'Show recent' : `Show all ${sessions.length} sessions`}
+                </button>
+              )}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
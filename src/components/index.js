@@ -7,13 +7,36 @@ export { default as VoiceCardMini } from './VoiceCardMini';
 export { default as FrameworkCard, DataRow, IntervalRow, ConceptBox } from './FrameworkCard';
 export { default as ScaleTable } from './ScaleTable';
 export { default as OvertoneChart } from './OvertoneChart';
+export { default as SampleAnalyzer } from './SampleAnalyzer';
+export { default as OvertoneTrainer } from './OvertoneTrainer';
 export { default as BrainwaveMap } from './BrainwaveMap';
 export { default as PianoKeyboard } from './PianoKeyboard';
-export { default as StaffNotation, ChordNotation } from './StaffNotation';
+export { default as StaffNotation, ChordNotation, ChantNotation } from './StaffNotation';
 export { default as DroneMixer, HISTORICAL_CONTEXTS } from './DroneMixer';
 export { default as MathVerification } from './MathVerification';
 export { default as TuningSelector } from './TuningSelector';
+export { default as TemperamentLab } from './TemperamentLab';
 export { default as ShrutiScale } from './ShrutiScale';
 export { default as ShrutiMixer } from './ShrutiMixer';
 export { default as BinauralBeatMixer } from './BinauralBeatMixer';
+export { default as SessionProgrammer } from './SessionProgrammer';
+export { default as EntrainmentPreview } from './EntrainmentPreview';
+export { default as VoiceCapture } from './VoiceCapture';
+export { default as VocalRangeCapture } from './VocalRangeCapture';
+export { default as VoiceProfiles } from './VoiceProfiles';
+export { default as VoiceHistoryChart } from './VoiceHistoryChart';
+export { default as MixerPresets } from './MixerPresets';
+export { default as IntonationMeter } from './IntonationMeter';
+export { default as BeatBiofeedback } from './BeatBiofeedback';
+export { default as TuningSystemSelect } from './TuningSystemSelect';
+export { default as ReferencePitchSelect } from './ReferencePitchSelect';
+export { default as ScalaFiles } from './ScalaFiles';
+export { default as MidiExportButton } from './MidiExportButton';
+export { default as RenderToWav } from './RenderToWav';
+export { default as ProgressionEditor } from './ProgressionEditor';
+export { default as RagaPlayer } from './RagaPlayer';
+export { default as GamakaPlayer } from './GamakaPlayer';
+export { default as ChurchModes } from './ChurchModes';
+export { default as PsalmToneGenerator } from './PsalmToneGenerator';
+export { default as StopAllButton } from './StopAllButton';
 export * from './Icons';
@@ -0,0 +1,235 @@
+/**
+ * Chant
+ * Sets a line of text to a psalm tone, with optional parallel organum
+ *
+ * A psalm verse is pointed in two halves at an asterisk, as in the chant
+ * books: "Dixit Dóminus Dómino meo: * Sede a dextris meis." The first half
+ * is the intonation, recitation on the tenor and the mediant cadence; the
+ * second half is recitation and the termination. Cadences are fitted to the
+ * words: a formula's accented note falls on the last stressed syllable, its
+ * preparatory notes on the syllables before, and the notes after the accent
+ * are stretched over extra syllables or gathered onto the last one.
+ *
+ * Stress is marked with an acute accent (Dómino); unmarked words take the
+ * first syllable when they have two and the antepenult when they have more.
+ */
+
+const VOWELS = 'aeiouyáéíóúýæœ';
+const ACUTE = 'áéíóúý';
+
+// Consonant pairs that start a syllable (pa-tris, lu-cis, ec-cle-si-a)
+const ONSETS = new Set([
+  'bl', 'br', 'cl', 'cr', 'dr', 'fl', 'fr', 'gl', 'gr', 'pl', 'pr', 'tr',
+  'ch', 'ph', 'th', 'sh', 'wh', 'qu', 'gu'
+]);
+
+// Latin vowel pairs sung as one syllable; others are two (me-o, Fí-li-o)
+const LATIN_DIPHTHONGS = new Set(['ae', 'oe', 'au']);
+
+// English monosyllables that are not stressed
+const ENGLISH_UNSTRESSED = new Set([
+  'a', 'an', 'the', 'and', 'or', 'but', 'of', 'to', 'in', 'on', 'at', 'by', 'for', 'from', 'with', 'as',
+  'is', 'are', 'was', 'be', 'he', 'she', 'it', 'we', 'you', 'they', 'his', 'her', 'its', 'our', 'their',
+  'my', 'me', 'thy', 'thee', 'unto', 'o', 'that', 'who', 'which', 'shall', 'hath'
+]);
+
+export const CHANT_LANGUAGES = {
+  latin: { name: 'Latin', silentE: false, joinVowels: (pair) => LATIN_DIPHTHONGS.has(pair), unstressed: new Set() },
+  english: { name: 'English', silentE: true, joinVowels: () => true, unstressed: ENGLISH_UNSTRESSED }
+};
+
+// Parallel organum: the vox organalis a fourth or fifth below the chant
+export const ORGANUM_INTERVALS = {
+  fourth: { name: 'Fourth below', ratio: 3 / 4 },
+  fifth: { name: 'Fifth below', ratio: 2 / 3 }
+};
+
+const isVowel = (ch) => VOWELS.includes(ch);
+
+/**
+ * Split a word into syllables
+ * Each vowel is a nucleus, joined with the next where the language sings
+ * them as one (Latin ae, au; English vowel runs); consonants between nuclei
+ * go to the next syllable, except that only a single consonant or a known
+ * onset pair may start one. Latin monosyllables are unstressed, English
+ * ones unless they are function words.
+ * @returns {Array<{text: string, stressed: boolean}>}
+ */
+export function syllabifyWord(word, { language = 'latin' } = {}) {
+  const lang = CHANT_LANGUAGES[language] || CHANT_LANGUAGES.latin;
+  const lower = word.toLowerCase();
+
+  // Nuclei as [start, end) ranges; "qu"/"gu" + vowel keep the u as a consonant
+  const nuclei = [];
+  for (let i = 0; i < lower.length; i++) {
+    if (!isVowel(lower[i])) continue;
+    if (lower[i] === 'u' && (lower[i - 1] === 'q' || lower[i - 1] === 'g') && isVowel(lower[i + 1] || '')) continue;
+    const start = i;
+    while (i + 1 < lower.length && isVowel(lower[i + 1]) && lang.joinVowels(lower[i] + lower[i + 1])) i++;
+    nuclei.push([start, i + 1]);
+  }
+
+  // English silent final e (praise, grace) joins the syllable before
+  if (lang.silentE && nuclei.length > 1) {
+    const [start] = nuclei[nuclei.length - 1];
+    if (start === lower.length - 1 && lower[start] === 'e' && !isVowel(lower[start - 1])) nuclei.pop();
+  }
+
+  if (nuclei.length < 2) {
+    const content = language === 'english' && !lang.unstressed.has(lower);
+    return [{ text: word, stressed: content || /[áéíóúý]/.test(lower) }];
+  }
+
+  // Syllable boundaries in the consonant runs between nuclei
+  const cuts = [];
+  for (let n = 1; n < nuclei.length; n++) {
+    const from = nuclei[n - 1][1];
+    const to = nuclei[n][0];
+    const cluster = lower.slice(from, to);
+    if (cluster.length <= 1) cuts.push(cluster === 'x' ? to : from);
+    else if (ONSETS.has(cluster.slice(-2))) cuts.push(to - 2);
+    else cuts.push(to - 1);
+  }
+
+  const bounds = [0, ...cuts, word.length];
+  const syllables = bounds.slice(0, -1).map((start, i) => ({
+    text: word.slice(start, bounds[i + 1]),
+    stressed: false
+  }));
+
+  // Marked stress, else first of two, else the antepenult
+  const marked = syllables.findIndex(s => [...s.text.toLowerCase()].some(ch => ACUTE.includes(ch)));
+  const stress = marked >= 0 ? marked : syllables.length === 2 ? 0 : syllables.length - 3;
+  syllables[stress].stressed = true;
+  return syllables;
+}
+
+/**
+ * Split a verse into its two halves of syllables
+ * The halves divide at "*", or at the word nearest the middle without one.
+ * @returns {Array<Array<{text, stressed, wordEnd}>>} [first half, second half]
+ */
+export function pointVerse(text, options = {}) {
+  const toSyllables = (part) => part
+    .split(/\s+/)
+    .filter(word => /[\p{L}]/u.test(word))
+    .flatMap(word => {
+      const syllables = syllabifyWord(word.replace(/[^\p{L}]+$/u, ''), options);
+      const trailing = word.match(/[^\p{L}]+$/u)?.[0] || '';
+      return syllables.map((s, i) => ({
+        ...s,
+        text: i === syllables.length - 1 ? s.text + trailing : s.text,
+        wordEnd: i === syllables.length - 1
+      }));
+    });
+
+  if (text.includes('*')) {
+    const [first, ...rest] = text.split('*');
+    return [toSyllables(first), toSyllables(rest.join(' '))];
+  }
+
+  const all = toSyllables(text);
+  const ends = all.map((s, i) => (s.wordEnd ? i + 1 : null)).filter(i => i !== null && i < all.length);
+  if (!ends.length) return [all, []];
+  const middle = ends.reduce((best, i) => (Math.abs(i - all.length / 2) < Math.abs(best - all.length / 2) ? i : best));
+  return [all.slice(0, middle), all.slice(middle)];
+}
+
+/**
+ * Fit a cadence formula to the end of a run of syllables
+ * @param {Array} syllables
+ * @param {Array} formula - Notes, one of them with accent: true
+ * @returns {{start: number, notes: Array<Array>}} Index of the first syllable
+ *   the cadence takes, and the notes of each syllable from there
+ */
+function fitCadence(syllables, formula) {
+  const count = syllables.length;
+  if (!count) return { start: 0, notes: [] };
+
+  const accentAt = Math.max(0, formula.findIndex(n => n.accent));
+  const pre = formula.slice(0, accentAt);
+  const post = formula.slice(accentAt + 1);
+
+  // The last stressed syllable with room for the preparatory notes before
+  // it; without one, the syllable that leaves one note each after it
+  let accent = -1;
+  for (let i = count - 1; i >= 0; i--) {
+    if (syllables[i].stressed && i >= Math.min(pre.length, count - 1)) {
+      accent = i;
+      break;
+    }
+  }
+  if (accent < 0) accent = Math.max(0, count - 1 - post.length);
+
+  const start = Math.max(0, accent - pre.length);
+  const notes = [];
+  pre.slice(pre.length - (accent - start)).forEach(n => notes.push([n]));
+  notes.push([formula[accentAt]]);
+
+  const after = count - 1 - accent;
+  if (!post.length) {
+    // Nothing after the accent: the rest of the syllables stay on it
+    for (let i = 0; i < after; i++) notes.push([formula[accentAt]]);
+  } else if (after === 0) {
+    notes[notes.length - 1].push(...post);
+  } else if (after >= post.length) {
+    // Extra syllables repeat the first note after the accent
+    for (let i = 0; i < after - post.length; i++) notes.push([post[0]]);
+    post.forEach(n => notes.push([n]));
+  } else {
+    post.slice(0, after - 1).forEach(n => notes.push([n]));
+    notes.push(post.slice(after - 1));
+  }
+
+  return { start, notes };
+}
+
+/**
+ * Set a half verse: optional intonation, recitation on the tenor, cadence
+ */
+function setHalf(syllables, { intonation = [], tenor, cadence, part }) {
+  const { start, notes } = fitCadence(syllables, cadence);
+  const intoned = Math.min(intonation.length, start);
+
+  return syllables.map((syllable, i) => {
+    if (i < intoned) return { ...syllable, part: 'intonation', notes: [intonation[i]] };
+    if (i < start) return { ...syllable, part: 'tenor', notes: [tenor] };
+    return { ...syllable, part, notes: notes[i - start] };
+  });
+}
+
+/**
+ * Set a verse to a psalm tone
+ * @param {string} text - The verse, halves divided by "*"
+ * @param {object} psalmTone - { intonation, tenor, mediant, termination }
+ *   with notes from placeMode (each { name, hz, accent })
+ * @param {object} options
+ * @param {string} options.language - Key of CHANT_LANGUAGES
+ * @param {boolean} options.intonation - Begin with the intonation (first verse)
+ * @param {string|null} options.organum - Key of ORGANUM_INTERVALS, or null
+ * @returns {Array<Array<{text, stressed, wordEnd, part, notes, organum}>>}
+ *   The two halves, one entry per syllable; organum holds the lower voice's
+ *   notes ({ hz }) when organum is on
+ */
+export function setPsalmTone(text, psalmTone, { language = 'latin', intonation = true, organum = null } = {}) {
+  const [first, second] = pointVerse(text, { language });
+  const interval = organum ? ORGANUM_INTERVALS[organum] : null;
+  if (organum && !interval) throw new Error(`Unknown organum interval "${organum}"`);
+
+  const halves = [
+    setHalf(first, {
+      intonation: intonation ? psalmTone.intonation : [],
+      tenor: psalmTone.tenor,
+      cadence: psalmTone.mediant,
+      part: 'mediant'
+    }),
+    setHalf(second, { tenor: psalmTone.tenor, cadence: psalmTone.termination, part: 'termination' })
+  ];
+
+  return halves.map(half => half.map(syllable => ({
+    ...syllable,
+    organum: interval ? syllable.notes.map(n => ({ hz: n.hz * interval.ratio })) : null
+  })));
+}
+
+export default setPsalmTone;
@@ -0,0 +1,157 @@
+/**
+ * Chord Tuning
+ * Tune a chord progression in 12-TET, fixed 5-limit JI, adaptive JI or
+ * Pythagorean intonation on the user's Sa
+ *
+ * Chords are given as { semitones, intervals }: the root's offset from Sa
+ * and the chord tones above the root, both in 12-TET semitones (as
+ * returned by parseChordSymbol). The tunings then differ in how
+ * they turn those semitone numbers into ratios:
+ *
+ *   et          — 2^(n/12) for everything
+ *   fixed       — every note taken from one 5-limit JI scale on Sa, so
+ *                 some chords get impure intervals (ii has a 40/27 wolf fifth)
+ *   adaptive    — each root reached from the previous root by a pure
+ *                 interval and each chord pure above its root; chords are
+ *                 sweet but the pitch drifts by commas
+ *   pythagorean — every note from a chain of pure fifths on Sa; fifths are
+ *                 pure, major thirds are a syntonic comma wide (81/64)
+ */
+
+import { ratioToCents, SYNTONIC_COMMA, PYTHAGOREAN_COMMA } from './tuning';
+
+export const CHORD_TUNINGS = [
+  { id: 'et', name: '12-TET', description: 'Equal temperament: every semitone 2^(1/12). Nothing pure but the octave, nothing drifts.' },
+  { id: 'fixed', name: 'Fixed JI', description: '5-limit just scale on your Sa. I, IV and V are pure; ii gets a 40/27 wolf fifth.' },
+  { id: 'adaptive', name: 'Adaptive JI', description: 'Every chord pure on its own root, roots linked by pure intervals. The tonic drifts by commas.' },
+  { id: 'pythagorean', name: 'Pythagorean', description: 'A chain of pure 3:2 fifths on Sa. Fifths ring; major thirds are 81/64, a comma wide.' }
+];
+
+export const DEFAULT_CHORD_TUNING = 'et';
+
+// Pitch classes of the fixed 5-limit scale on Sa (semitones 0–11)
+const JI_SCALE = [1, 16/15, 9/8, 6/5, 5/4, 4/3, 45/32, 3/2, 8/5, 5/3, 9/5, 15/8];
+
+// Pitch classes of a fifth chain from Sa (Db Ab Eb Bb F C G D A E B F#)
+const PYTHAGOREAN_SCALE = [1, 256/243, 9/8, 32/27, 81/64, 4/3, 729/512, 3/2, 128/81, 27/16, 16/9, 243/128];
+
+// Pure chord tones above a root (by pitch class). 6 is the diminished
+// fifth and 8 the augmented fifth, their most common uses in chords.
+const JI_CHORD_TONES = { 0: 1, 1: 16/15, 2: 9/8, 3: 6/5, 4: 5/4, 5: 4/3, 6: 64/45, 7: 3/2, 8: 25/16, 9: 5/3, 10: 9/5, 11: 15/8 };
+
+// Pure root movements for adaptive JI, up by 0–6 semitones (down = inverse)
+const JI_ROOT_STEPS = [1, 16/15, 9/8, 6/5, 5/4, 4/3, 45/32];
+
+/**
+ * Ratio of a semitone count (any octave) in a 12-entry pitch-class table
+ */
+function fromTable(table, semitones) {
+  const octave = Math.floor(semitones / 12);
+  const pc = ((semitones % 12) + 12) % 12;
+  return table[pc] * Math.pow(2, octave);
+}
+
+/**
+ * Ratio of a chord tone above its root in 5-limit JI
+ */
+function jiChordTone(interval) {
+  const octave = Math.floor(interval / 12);
+  return JI_CHORD_TONES[((interval % 12) + 12) % 12] * Math.pow(2, octave);
+}
+
+/**
+ * The pure interval for moving a root by `semitones` (shortest direction)
+ */
+function pureRootStep(semitones) {
+  let step = ((semitones % 12) + 12) % 12;
+  if (step > 6) step -= 12;
+  return step >= 0 ? JI_ROOT_STEPS[step] : 1 / JI_ROOT_STEPS[-step];
+}
+
+/**
+ * Move a ratio by octaves to the register of 2^(semitones/12)
+ */
+function toRegister(ratio, semitones) {
+  const octaves = Math.round((12 * Math.log2(2 ** (semitones / 12) / ratio)) / 12);
+  return ratio * Math.pow(2, octaves);
+}
+
+/**
+ * Tune one pass through a progression
+ * @param {number} f0 - Sa in Hz
+ * @param {Array<{semitones: number, intervals: number[]}>} chords
+ * @param {string} tuning - One of CHORD_TUNINGS ids
+ * @returns {object} {
+ *   chords: [{ rootRatio, frequencies, rootCents, driftCents, fifthErrorCents }],
+ *   returnDriftCents — adaptive only: how far the first root has moved when
+ *                      the progression comes back around (0 elsewhere),
+ *   returnDriftCommas — the same in syntonic commas
+ * }
+ */
+export function tuneProgression(f0, chords, tuning = DEFAULT_CHORD_TUNING) {
+  let previous = null;
+
+  const tuned = chords.map(({ semitones, intervals }) => {
+    let rootRatio;
+    let toneRatio;
+
+    switch (tuning) {
+      case 'fixed':
+        rootRatio = fromTable(JI_SCALE, semitones);
+        toneRatio = (interval) => fromTable(JI_SCALE, semitones + interval) / rootRatio;
+        break;
+      case 'pythagorean':
+        rootRatio = fromTable(PYTHAGOREAN_SCALE, semitones);
+        toneRatio = (interval) => fromTable(PYTHAGOREAN_SCALE, semitones + interval) / rootRatio;
+        break;
+      case 'adaptive':
+        rootRatio = previous
+          ? toRegister(previous.rootRatio * pureRootStep(semitones - previous.semitones), semitones)
+          : fromTable(JI_SCALE, semitones);
+        toneRatio = jiChordTone;
+        break;
+      default:
+        rootRatio = Math.pow(2, semitones / 12);
+        toneRatio = (interval) => Math.pow(2, interval / 12);
+    }
+
+    previous = { rootRatio, semitones };
+    const fifth = intervals.find(interval => ((interval % 12) + 12) % 12 === 7);
+
+    return {
+      rootRatio,
+      frequencies: intervals.map(interval => f0 * rootRatio * toneRatio(interval)),
+      rootCents: ratioToCents(rootRatio),
+      // How far this root sits from the same degree of the fixed JI scale
+      driftCents: ratioToCents(rootRatio / fromTable(JI_SCALE, semitones)),
+      // How far the chord's fifth (if any) is from a pure 3:2
+      fifthErrorCents: fifth !== undefined
+        ? ratioToCents(toneRatio(fifth) / ((3 / 2) * Math.pow(2, Math.floor(fifth / 12))))
+        : null
+    };
+  });
+
+  let returnDriftCents = 0;
+  if (tuning === 'adaptive' && chords.length > 1) {
+    const first = chords[0];
+    const last = previous;
+    const wrapped = toRegister(last.rootRatio * pureRootStep(first.semitones - last.semitones), first.semitones);
+    returnDriftCents = ratioToCents(wrapped / tuned[0].rootRatio);
+  }
+
+  return {
+    chords: tuned,
+    returnDriftCents,
+    returnDriftCommas: returnDriftCents / SYNTONIC_COMMA.cents
+  };
+}
+
+/**
+ * Comma reference values for the drift report
+ */
+export const COMMAS = {
+  syntonic: SYNTONIC_COMMA,
+  pythagorean: PYTHAGOREAN_COMMA
+};
+
+export default tuneProgression;
@@ -0,0 +1,184 @@
+/**
+ * Entrainment
+ * The three ways to put a beat into sound, and the shapes of their pulses
+ *
+ * - Binaural: a different tone in each ear. The beat exists only in the
+ *   brain, so it needs headphones.
+ * - Monaural: both tones summed in each ear. The beat is a real swell in
+ *   loudness at the difference frequency, so speakers work.
+ * - Isochronic: one carrier switched on and off at the beat rate. The most
+ *   pronounced of the three; the duty cycle and envelope shape set how
+ *   hard each pulse is.
+ */
+
+export const ENTRAINMENT_MODES = [
+  { id: 'binaural', label: 'Binaural', desc: 'One tone per ear', headphones: true },
+  { id: 'monaural', label: 'Monaural', desc: 'Both tones in each ear', headphones: false },
+  { id: 'isochronic', label: 'Isochronic', desc: 'Pulsed carrier', headphones: false }
+];
+
+export const PULSE_SHAPES = [
+  { id: 'square', label: 'Square', desc: 'Hard on/off gate' },
+  { id: 'smooth', label: 'Smooth', desc: 'Raised-cosine swell' },
+  { id: 'pluck', label: 'Pluck', desc: 'Sharp onset, fast decay' }
+];
+
+export const PULSE_DEFAULTS = {
+  duty: 0.5, // fraction of each period the pulse is sounding
+  shape: 'smooth'
+};
+
+export const DUTY_LIMITS = { min: 0.1, max: 0.9 };
+
+// Where a tone pair (or isochronic carrier) sits around f0, see beatFrequencies
+export const BEAT_PLACEMENTS = ['centered', 'above', 'below'];
+
+// Fourier terms for the pulse LFO: enough for crisp edges at gamma rates
+const PULSE_HARMONICS = 48;
+
+// Points the envelope is sampled at for its Fourier series
+const SERIES_POINTS = 2048;
+
+/**
+ * Get an entrainment mode by id
+ */
+export function getEntrainmentMode(id) {
+  return ENTRAINMENT_MODES.find(m => m.id === id) || ENTRAINMENT_MODES[0];
+}
+
+/**
+ * The two tones of a binaural or monaural beat
+ * @param {number} f0 - Hz
+ * @param {number} beat - Beat frequency (Hz)
+ * @param {string} placement - 'centered' (f0 ± beat/2), 'above' or 'below' f0
+ * @returns {{ left: number, right: number }}
+ */
+export function beatFrequencies(f0, beat, placement = 'centered') {
+  switch (placement) {
+    case 'centered':
+      return { left: f0 - beat / 2, right: f0 + beat / 2 };
+    case 'below':
+      return { left: f0 - beat, right: f0 };
+    case 'above':
+    default:
+      return { left: f0, right: f0 + beat };
+  }
+}
+
+/**
+ * The carrier of an isochronic beat, placed like a tone pair: where the
+ * pair would be centred (f0, or half a beat above or below it)
+ * @param {number} f0 - Hz
+ * @param {number} beat - Pulse rate (Hz)
+ * @param {string} placement - As for beatFrequencies
+ * @returns {number} Hz
+ */
+export function isochronicCarrier(f0, beat, placement = 'centered') {
+  const { left, right } = beatFrequencies(f0, beat, placement);
+  return (left + right) / 2;
+}
+
+/**
+ * Isochronic pulse level at a point in its period
+ * @param {number} phase - 0 … 1 through the period
+ * @param {object} options
+ * @param {number} options.duty - Sounding fraction of the period
+ * @param {string} options.shape - One of PULSE_SHAPES
+ * @returns {number} 0 … 1
+ */
+export function pulseEnvelope(phase, { duty = PULSE_DEFAULTS.duty, shape = PULSE_DEFAULTS.shape } = {}) {
+  const p = phase - Math.floor(phase);
+  if (p >= duty) return 0;
+
+  const x = p / duty;
+  switch (shape) {
+    case 'square':
+      return 1;
+    case 'pluck':
+      return (1 - x) * (1 - x);
+    case 'smooth':
+    default:
+      return 0.5 - 0.5 * Math.cos(2 * Math.PI * x);
+  }
+}
+
+/**
+ * Fourier series of one pulse period, for an LFO PeriodicWave
+ * The constant term is returned apart (PeriodicWave drops it). Lanczos
+ * sigma factors tame the ringing at the square pulse's edges.
+ * @param {object} options - { duty, shape } as for pulseEnvelope
+ * @param {number} harmonics
+ * @returns {{ mean: number, real: Float32Array, imag: Float32Array }}
+ */
+export function pulseSeries(options = {}, harmonics = PULSE_HARMONICS) {
+  const samples = Array.from({ length: SERIES_POINTS }, (_, k) => pulseEnvelope(k / SERIES_POINTS, options));
+  const mean = samples.reduce((sum, s) => sum + s, 0) / SERIES_POINTS;
+
+  const real = new Float32Array(harmonics + 1);
+  const imag = new Float32Array(harmonics + 1);
+  for (let n = 1; n <= harmonics; n++) {
+    let a = 0;
+    let b = 0;
+    samples.forEach((s, k) => {
+      const angle = (2 * Math.PI * n * k) / SERIES_POINTS;
+      a += s * Math.cos(angle);
+      b += s * Math.sin(angle);
+    });
+    const x = (Math.PI * n) / (harmonics + 1);
+    const sigma = Math.sin(x) / x;
+    real[n] = (2 * a / SERIES_POINTS) * sigma;
+    imag[n] = (2 * b / SERIES_POINTS) * sigma;
+  }
+
+  return { mean, real, imag };
+}
+
+/**
+ * Loudness envelope of each ear at time t, 0 … 1
+ * For binaural beats each ear is steady; `perceived` is the beat the
+ * brain builds from the two.
+ * @param {string} mode - One of ENTRAINMENT_MODES
+ * @param {number} t - Seconds
+ * @param {object} options - { beat, duty, shape }
+ * @returns {{ left: number, right: number, perceived: number }}
+ */
+export function entrainmentEnvelope(mode, t, { beat, duty, shape } = {}) {
+  const swell = Math.abs(Math.cos(Math.PI * beat * t));
+
+  switch (mode) {
+    case 'monaural':
+      return { left: swell, right: swell, perceived: swell };
+    case 'isochronic': {
+      const level = pulseEnvelope(beat * t, { duty, shape });
+      return { left: level, right: level, perceived: level };
+    }
+    case 'binaural':
+    default:
+      return { left: 1, right: 1, perceived: swell };
+  }
+}
+
+/**
+ * Signal in each ear at time t, peak 1
+ * @param {string} mode - One of ENTRAINMENT_MODES
+ * @param {number} t - Seconds
+ * @param {object} options - { left, right } tone Hz, carrier Hz, { beat, duty, shape }
+ * @returns {{ left: number, right: number }}
+ */
+export function entrainmentSignal(mode, t, { left, right, carrier, beat, duty, shape } = {}) {
+  const tone = (hz) => Math.sin(2 * Math.PI * hz * t);
+
+  switch (mode) {
+    case 'monaural': {
+      const sum = 0.5 * (tone(left) + tone(right));
+      return { left: sum, right: sum };
+    }
+    case 'isochronic': {
+      const pulsed = tone(carrier) * pulseEnvelope(beat * t, { duty, shape });
+      return { left: pulsed, right: pulsed };
+    }
+    case 'binaural':
+    default:
+      return { left: tone(left), right: tone(right) };
+  }
+}
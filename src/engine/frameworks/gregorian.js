@@ -1,54 +1,177 @@
 /**
  * Gregorian / Medieval Framework Analysis
  * 9th Century CE — Sacred sound in the West
+ *
+ * Chant pitch was relative: a choir sang a mode wherever it suited their
+ * voices. So the user's f0 is not matched to a letter name; each of the
+ * eight church modes is placed with its final on f0, in Pythagorean
+ * intonation, and its ambitus is compared with the voice's comfortable range.
  */
 
-import { freqToNoteNameOnly, formatHz } from '../pitchUtils';
-import { MODES } from '../ratios';
+import { freqToNoteName, formatHz } from '../pitchUtils';
+import { CHURCH_MODES } from '../ratios';
+import { estimateSungRange } from '../vocalProfile';
+
+// Guido's gamut, lowest to highest (Γ is the G below A)
+export const GAMUT = ['Γ', 'A', 'B', 'C', 'D', 'E', 'F', 'G', 'a', 'b', 'c', 'd', 'e', 'f', 'g', 'aa'];
+
+// Pythagorean ratios of the letters above C, plus b♭ (a fourth above F)
+const LETTER_RATIOS = { C: 1, D: 9 / 8, E: 81 / 64, F: 4 / 3, G: 3 / 2, A: 27 / 16, B: 243 / 128 };
+const B_FLAT_RATIO = 16 / 9;
+
+const ROMAN = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII', 'VIII'];
+
+const semitones = (hz, ref) => 12 * Math.log2(hz / ref);
+
+// Scores closer than this (in semitones) tie
+const TIE = 0.01;
+
+/**
+ * Parse a gamut note such as "D", "b♭" or "a'" (accented)
+ * @returns {{name: string, index: number, ratio: number, accent: boolean}}
+ *   ratio is from the grave C
+ */
+export function parseGamutNote(token) {
+  const match = /^(Γ|aa|[A-Ga-g])(♭)?(')?$/.exec(token);
+  const index = match ? GAMUT.indexOf(match[1]) : -1;
+  if (index < 0 || (match[2] && match[1] !== 'b')) {
+    throw new Error(`Unknown gamut note "${token}"`);
+  }
+
+  const fromC = index - GAMUT.indexOf('C');
+  const letter = 'CDEFGAB'[((fromC % 7) + 7) % 7];
+  const ratio = (match[2] ? B_FLAT_RATIO : LETTER_RATIOS[letter]) * Math.pow(2, Math.floor(fromC / 7));
+
+  return { name: match[1] + (match[2] || ''), index, ratio, accent: Boolean(match[3]) };
+}
+
+/**
+ * Comfortable range around f0, estimated when none is given
+ * @param {number} f0
+ * @param {{low: number, high: number}} range - Measured range in Hz (optional)
+ */
+export function getComfortableRange(f0, range = null) {
+  if (range?.low && range?.high) return { low: range.low, high: range.high, estimated: false };
+  return { ...estimateSungRange(f0), estimated: true };
+}
 
 /**
- * Get modal character based on nearest pitch
+ * A church mode with its final on f0
+ * @param {object} mode - Entry of CHURCH_MODES
+ * @param {number} f0 - Pitch of the final
+ * @param {{low: number, high: number}} range - Comfortable range in Hz
  */
-function getModalCharacter(noteName) {
-  const baseNote = noteName.replace(/[#b]/g, '');
-  return MODES[baseNote] || MODES['C'];
+export function placeMode(mode, f0, range) {
+  const final = parseGamutNote(mode.final);
+  const toNote = (token) => {
+    const note = parseGamutNote(token);
+    const ratio = note.ratio / final.ratio;
+    return { ...note, ratio, hz: f0 * ratio, hzFormatted: formatHz(f0 * ratio), semitones: 12 * Math.log2(ratio) };
+  };
+
+  const low = toNote(mode.ambitus[0]);
+  const high = toNote(mode.ambitus[1]);
+  const tenor = toNote(mode.tenor);
+
+  // Ambitus beyond the comfortable range, in semitones
+  const below = Math.max(0, semitones(range.low, low.hz));
+  const above = Math.max(0, semitones(high.hz, range.high));
+  const fits = below < 0.5 && above < 0.5;
+
+  return {
+    ...mode,
+    label: `Mode ${ROMAN[mode.number - 1]} (${mode.name})`,
+    final: toNote(mode.final),
+    tenor,
+    ambitus: { low, high },
+    scale: GAMUT.slice(low.index, high.index + 1).map(toNote),
+    psalmTone: {
+      intonation: mode.psalmTone.intonation.map(toNote),
+      tenor,
+      mediant: mode.psalmTone.mediant.map(toNote),
+      termination: mode.psalmTone.termination.map(toNote)
+    },
+    fit: {
+      below,
+      above,
+      fits,
+      summary: fits
+        ? 'Inside your comfortable range'
+        : [
+            below >= 0.5 && `${below.toFixed(1)} st below`,
+            above >= 0.5 && `${above.toFixed(1)} st above`
+          ].filter(Boolean).join(', ') + ' your comfortable range'
+    }
+  };
 }
 
 /**
  * Full Gregorian framework analysis
+ * @param {number} f0
+ * @param {object} options
+ * @param {{low: number, high: number}} options.range - Comfortable sung range in Hz
+ * @param {number} options.a4 - Reference pitch for the range's note names
  */
-export function analyzeGregorian(f0, nearestPitch) {
-  const noteName = freqToNoteNameOnly(f0);
-  const modal = getModalCharacter(noteName);
+export function analyzeGregorian(f0, options = {}) {
+  const { a4 } = options;
+  const range = getComfortableRange(f0, options.range);
+  const rangeCenter = (semitones(range.low, f0) + semitones(range.high, f0)) / 2;
+
+  // Rank by least ambitus outside the range, then the tenor (where a chant
+  // spends most of its time) nearest the middle of the range. With every
+  // final on f0, modes of one type whose tenors lie the same interval up
+  // (I, V and VII all recite a fifth up) sit identically: they tie, and
+  // are reported together rather than split by mode number.
+  const score = (mode) => [
+    mode.fit.below + mode.fit.above,
+    Math.abs(mode.tenor.semitones - rangeCenter)
+  ];
+  const byScore = (a, b) => (Math.abs(a[0] - b[0]) > TIE ? a[0] - b[0] : a[1] - b[1]);
+  const placed = CHURCH_MODES.map(mode => placeMode(mode, f0, range));
+  const top = placed.map(score).sort(byScore)[0];
+  const isBest = (mode) => score(mode).every((value, i) => Math.abs(value - top[i]) <= TIE);
+
+  // An estimated range is f0 moved by fixed steps, so it would give everyone
+  // the same answer: only a sung range picks a best fit
+  const modes = placed.map(mode => ({ ...mode, fit: { ...mode.fit, best: !range.estimated && isBest(mode) } }));
+  const bestFit = modes.filter(mode => mode.fit.best);
+  const shown = bestFit[0] || modes[0];
+  const others = bestFit.slice(1).map(mode => mode.label);
+
   const fifth = f0 * 3/2;
   const fourth = f0 * 4/3;
 
   return {
     mode: {
-      name: modal.mode,
-      character: modal.character,
-      affect: modal.affect,
-      use: modal.use,
+      name: shown.label,
+      number: shown.number,
+      character: shown.character,
+      affect: shown.affect,
+      use: shown.use,
+      bestFit: bestFit.map(mode => mode.label),
+      // Short form for cards: "Mode II (Hypodorian)", "Modes I, V, VII"
+      fitSummary: bestFit.length > 1
+        ? `Modes ${bestFit.map(mode => ROMAN[mode.number - 1]).join(', ')}`
+        : bestFit[0]?.label ?? null,
       // Contextual explanation
       context: {
-        what: "A mode is a specific pattern of whole and half steps. Unlike keys (which share the same pattern at different pitches), modes have different step patterns.",
+        what: "A church mode is defined by its final (the note its chants end on), its tenor (the reciting tone psalms are chanted on) and its ambitus (the octave its melodies move in). The eight modes are four finals—Protus on D, Deuterus on E, Tritus on F, Tetrardus on G—each in an authentic form that rises an octave from the final and a plagal form that lies a fourth lower.",
         why: "Medieval theorists believed each mode had ethical and emotional power—specific effects on the soul. This wasn't superstition; they were observing how different scale patterns create different feelings.",
-        how: "Your mode is determined by treating your f0 as the 'final' (home note) of the scale. The intervals above it create the modal character.",
-        example: modal.mode.includes('Ionian')
-          ? "Ionian (Major) is the 'default' mode we're most familiar with — bright, resolved, complete."
-          : modal.mode.includes('Dorian')
-          ? "Dorian has a minor third but major sixth — it's serious but not sad, often described as 'balanced.'"
-          : modal.mode.includes('Phrygian')
-          ? "Phrygian starts with a half step — this gives it an exotic, Spanish, or Middle Eastern quality."
-          : modal.mode.includes('Lydian')
-          ? "Lydian has a raised fourth — it sounds 'floating' or 'dreamy,' often used in film scores."
-          : modal.mode.includes('Mixolydian')
-          ? "Mixolydian is major with a flat seventh — it's the sound of rock, blues, and folk music."
-          : modal.mode.includes('Aeolian')
-          ? "Aeolian (Natural Minor) is the 'sad' mode — used for melancholic or contemplative expression."
-          : "Locrian is theoretical — its diminished fifth makes it unstable and rarely used."
+        how: range.estimated
+          ? `Chant pitch was relative, so each mode is placed with its final on your f0. Your range (${freqToNoteName(range.low, a4)}–${freqToNoteName(range.high, a4)}) is only estimated from your speaking pitch, so no mode is picked for you: ${shown.label}, ${shown.use.toLowerCase()}, is shown. Measure your sung range to see which modes sit best in it.`
+          : `Chant pitch was relative, so each mode is placed with its final on your f0 and compared with your sung range (${freqToNoteName(range.low, a4)}–${freqToNoteName(range.high, a4)}): the less of its ambitus outside your range, and the nearer its tenor to the middle, the better it fits. ${others.length ? `${[shown.label, ...others].join(', ')} fit equally well, as their ambitus and tenor lie in the same place.` : `${shown.label} fits best.`}`,
+        example: shown.type === 'authentic'
+          ? `${shown.label} is authentic: its melodies climb from the final to the octave above, reciting on ${shown.tenor.name}.`
+          : `${shown.label} is plagal: its melodies circle the final, a fourth below to a fifth above, reciting on ${shown.tenor.name}.`,
+        yourPosition: `Final ${formatHz(f0)} Hz, tenor ${shown.tenor.hzFormatted} Hz, ambitus ${shown.ambitus.low.hzFormatted}–${shown.ambitus.high.hzFormatted} Hz.`
       }
     },
+    modes,
+    range: {
+      ...range,
+      lowNote: freqToNoteName(range.low, a4),
+      highNote: freqToNoteName(range.high, a4)
+    },
     organum: {
       voxPrincipalis: {
         hz: f0,
@@ -8,16 +8,25 @@ import { formatHz } from '../pitchUtils';
 
 /**
  * Get brainwave state from beat frequency
+ * `band` is the BRAINWAVE_STATES key ('unison' when there is no beating)
  */
 export function getBrainwaveState(beatHz) {
   const absBeat = Math.abs(beatHz);
 
-  if (absBeat < 0.5) return { state: 'Unison', description: 'Perfect stillness, no beating', color: '#666666' };
-  if (absBeat < 4) return { ...BRAINWAVE_STATES.delta };
-  if (absBeat < 8) return { ...BRAINWAVE_STATES.theta };
-  if (absBeat < 12) return { ...BRAINWAVE_STATES.alpha };
-  if (absBeat < 30) return { ...BRAINWAVE_STATES.beta };
-  return { ...BRAINWAVE_STATES.gamma };
+  if (absBeat < 0.5) return { band: 'unison', state: 'Unison', description: 'Perfect stillness, no beating', color: '#666666' };
+  if (absBeat < 4) return { band: 'delta', ...BRAINWAVE_STATES.delta };
+  if (absBeat < 8) return { band: 'theta', ...BRAINWAVE_STATES.theta };
+  if (absBeat < 12) return { band: 'alpha', ...BRAINWAVE_STATES.alpha };
+  if (absBeat < 30) return { band: 'beta', ...BRAINWAVE_STATES.beta };
+  return { band: 'gamma', ...BRAINWAVE_STATES.gamma };
+}
+
+/**
+ * Beat frequency heard between a sung pitch and the drone
+ * Two tones beat at the absolute difference of their frequencies
+ */
+export function getBeatFrequency(sungHz, droneHz) {
+  return Math.abs(sungHz - droneHz);
 }
 
 /**
@@ -24,8 +24,8 @@ function getPythagoreanComma() {
 /**
  * Get position in circle of fifths
  */
-function getCircleOfFifthsPosition(f0) {
-  const noteName = freqToNoteNameOnly(f0);
+function getCircleOfFifthsPosition(f0, a4) {
+  const noteName = freqToNoteNameOnly(f0, a4);
 
   // Map enharmonics
   const noteMap = {
@@ -60,14 +60,18 @@ function getCircleOfFifthsPosition(f0) {
 
 /**
  * Full Pythagorean framework analysis
+ * @param {number} f0
+ * @param {object} options
+ * @param {number} options.a4 - Reference pitch naming f0's place on the circle
  */
-export function analyzePythagorean(f0) {
+export function analyzePythagorean(f0, options = {}) {
+  const { a4 } = options;
   const fifth = f0 * 3/2;
   const fourth = f0 * 4/3;
   const octave = f0 * 2;
 
   return {
-    circlePosition: getCircleOfFifthsPosition(f0),
+    circlePosition: getCircleOfFifthsPosition(f0, a4),
     comma: getPythagoreanComma(),
     intervals: {
       unison: { hz: f0, hzFormatted: formatHz(f0), ratio: "1:1", name: "Unison" },
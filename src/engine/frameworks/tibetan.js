@@ -4,51 +4,71 @@
  */
 
 import { freqToNoteName, formatHz } from '../pitchUtils';
+import { bowlDiameterFor } from '../singingBowl';
+
+// Size classes by fundamental, with a typical wall and metal for each
+const BOWL_SIZES = [
+  {
+    below: 150,
+    size: 'Large',
+    thickness: 4.5,
+    alloy: 'seven-metal',
+    weight: '800-1500g',
+    character: 'Deep, grounding, long sustain',
+    note: 'These larger bowls produce fundamental frequencies in the bass range with rich, complex overtones.'
+  },
+  {
+    below: 250,
+    size: 'Medium',
+    thickness: 4,
+    alloy: 'seven-metal',
+    weight: '400-800g',
+    character: 'Balanced, warm, versatile',
+    note: 'Medium bowls are the most common and versatile, suitable for most practices.'
+  },
+  {
+    below: 400,
+    size: 'Small',
+    thickness: 3,
+    alloy: 'bell-bronze',
+    weight: '200-400g',
+    character: 'Bright, clear, penetrating',
+    note: 'Smaller bowls have higher fundamentals with crisp, cutting overtones.'
+  },
+  {
+    below: Infinity,
+    size: 'Very Small',
+    thickness: 2.5,
+    alloy: 'bell-bronze',
+    weight: '<200g',
+    character: 'High, ethereal, delicate',
+    note: 'The smallest bowls produce bell-like tones in the upper registers.'
+  }
+];
 
 /**
- * Get singing bowl equivalent
+ * Get singing bowl equivalent: the size class for f0, and the diameter a
+ * bowl with that class's wall would need to sound it (see singingBowl)
  */
 function getBowlEquivalent(f0) {
-  if (f0 < 150) {
-    return {
-      size: 'Large',
-      diameter: '25-35cm',
-      weight: '800-1500g',
-      character: 'Deep, grounding, long sustain',
-      note: 'These larger bowls produce fundamental frequencies in the bass range with rich, complex overtones.'
-    };
-  } else if (f0 < 250) {
-    return {
-      size: 'Medium',
-      diameter: '15-25cm',
-      weight: '400-800g',
-      character: 'Balanced, warm, versatile',
-      note: 'Medium bowls are the most common and versatile, suitable for most practices.'
-    };
-  } else if (f0 < 400) {
-    return {
-      size: 'Small',
-      diameter: '10-15cm',
-      weight: '200-400g',
-      character: 'Bright, clear, penetrating',
-      note: 'Smaller bowls have higher fundamentals with crisp, cutting overtones.'
-    };
-  } else {
-    return {
-      size: 'Very Small',
-      diameter: '<10cm',
-      weight: '<200g',
-      character: 'High, ethereal, delicate',
-      note: 'The smallest bowls produce bell-like tones in the upper registers.'
-    };
-  }
+  const { size, thickness, alloy, weight, character, note } = BOWL_SIZES.find(s => f0 < s.below);
+  const diameter = Math.round(bowlDiameterFor(f0, { thickness, alloy }) * 2) / 2;
+
+  return {
+    size,
+    weight,
+    character,
+    note,
+    diameter: `~${diameter}cm (${thickness}mm wall)`,
+    model: { diameter, thickness, alloy }
+  };
 }
 
 /**
  * Generate overtone series
  * Extended to 16 harmonics for comprehensive overtone exploration
  */
-function getOvertones(f0, count = 16) {
+export function getOvertones(f0, count = 16, a4) {
   const overtones = [];
   // Extended interval names covering harmonics 1-16
   const intervalNames = [
@@ -78,7 +98,7 @@ function getOvertones(f0, count = 16) {
       harmonic: n,
       hz: freq,
       hzFormatted: formatHz(freq),
-      noteName: freqToNoteName(freq),
+      noteName: freqToNoteName(freq, a4),
       interval: info.name,
       intervalShort: info.interval,
       inFirstOctave: info.inOctave,
@@ -91,9 +111,12 @@ function getOvertones(f0, count = 16) {
 
 /**
  * Full Tibetan framework analysis
+ * @param {number} f0
+ * @param {object} options
+ * @param {number} options.a4 - Reference pitch for the overtones' note names
  */
-export function analyzeTibetan(f0) {
-  const overtones = getOvertones(f0);
+export function analyzeTibetan(f0, options = {}) {
+  const overtones = getOvertones(f0, 16, options.a4);
   const bowl = getBowlEquivalent(f0);
 
   return {
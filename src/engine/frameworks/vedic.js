@@ -3,8 +3,10 @@
  * c. 200 BCE — The voice-centered tradition
  */
 
-import { CHAKRAS, SAPTAKS, SHRUTIS, RAGA_SHRUTIS } from '../ratios';
-import { formatHz } from '../pitchUtils';
+import { CHAKRAS, SAPTAKS, SHRUTIS } from '../ratios';
+import { listRagas } from '../ragas';
+import { formatHz, freqToNoteName } from '../pitchUtils';
+import { getDegreeCents, getDegreeDecimal, formatDegreeRatio } from '../tuningSystems';
 
 /**
  * Determine saptak (octave position)
@@ -17,6 +19,39 @@ function getSaptak(f0) {
   };
 }
 
+// Svaras by semitone above Sa, and the saptaks by octave from Sa's
+const SEMITONE_SVARAS = ['Sa', 'komal Re', 'Re', 'komal Ga', 'Ga', 'Ma', 'tivra Ma', 'Pa', 'komal Dha', 'Dha', 'komal Ni', 'Ni'];
+const SAPTAK_PREFIXES = { '-2': 'ati-mandra', '-1': 'mandra', 0: 'madhya', 1: 'taar', 2: 'ati-taar' };
+
+/**
+ * Name a pitch as a svara in its saptak, relative to Sa
+ * e.g., a fourth below Sa → "mandra Pa"
+ */
+function svaraInSaptak(hz, sa) {
+  const st = Math.round(12 * Math.log2(hz / sa));
+  const octave = Math.max(-2, Math.min(2, Math.floor(st / 12)));
+  return `${SAPTAK_PREFIXES[octave]} ${SEMITONE_SVARAS[((st % 12) + 12) % 12]}`;
+}
+
+/**
+ * Determine the saptak from a sung range: Sa stays on f0, and the saptak is
+ * the one the middle of the tessitura falls in. The range is named from
+ * its lowest to its highest svara, and the Sa a singer with this range would
+ * choose puts the lowest note on mandra Pa.
+ */
+function getSaptakFromProfile(f0, profile, a4) {
+  const { low, high, tessitura } = profile;
+  const center = Math.sqrt(tessitura.low.hz * tessitura.high.hz);
+  const octave = Math.max(-1, Math.min(1, Math.floor(Math.log2(center / f0))));
+  const suggestedSa = low.hz * Math.pow(2, 5 / 12);
+
+  return {
+    ...SAPTAKS[octave + 1],
+    rangeFormatted: `${svaraInSaptak(low.hz, f0)} – ${svaraInSaptak(high.hz, f0)}`,
+    suggestedSa: { hz: Math.round(suggestedSa * 100) / 100, hzFormatted: formatHz(suggestedSa), note: freqToNoteName(suggestedSa, a4) }
+  };
+}
+
 /**
  * Get chakra association based on f0
  */
@@ -24,24 +59,68 @@ function getChakraAssociation(f0) {
   return CHAKRAS.find(c => f0 < c.max) || CHAKRAS[CHAKRAS.length - 1];
 }
 
+/**
+ * Pick the degree of an imported scale that stands in for each shruti:
+ * one-to-one for a 22-step scale, otherwise the nearest degree in cents
+ */
+function retuneShrutis(degrees) {
+  if (degrees.length === SHRUTIS.length) return degrees;
+
+  return SHRUTIS.map(shruti => degrees.reduce((best, degree) => (
+    Math.abs(getDegreeCents(degree) - shruti.cents) < Math.abs(getDegreeCents(best) - shruti.cents)
+      ? degree
+      : best
+  )));
+}
+
 /**
  * Generate 22 shruti scale from f0
+ * @param {number} f0
+ * @param {Array} importedDegrees - Degrees of an imported scale to retune the shrutis to
  */
-function generateShrutiScale(f0) {
-  return SHRUTIS.map(shruti => ({
-    ...shruti,
-    hz: f0 * shruti.decimal,
-    hzFormatted: formatHz(f0 * shruti.decimal)
-  }));
+function generateShrutiScale(f0, importedDegrees = null) {
+  const sources = importedDegrees ? retuneShrutis(importedDegrees) : null;
+
+  return SHRUTIS.map((shruti, i) => {
+    if (!sources) {
+      return {
+        ...shruti,
+        ratioLabel: formatDegreeRatio(shruti),
+        hz: f0 * shruti.decimal,
+        hzFormatted: formatHz(f0 * shruti.decimal)
+      };
+    }
+
+    const degree = sources[i];
+    const decimal = getDegreeDecimal(degree);
+    return {
+      ...shruti,
+      // Degrees written in cents have no ratio; the label shows their cents
+      ratio: Array.isArray(degree.ratio) ? degree.ratio : null,
+      ratioLabel: formatDegreeRatio(degree),
+      decimal,
+      cents: Math.round(getDegreeCents(degree)),
+      hz: f0 * decimal,
+      hzFormatted: formatHz(f0 * decimal)
+    };
+  });
 }
 
 /**
  * Full Vedic framework analysis
+ * @param {number} f0
+ * @param {Array} scale
+ * @param {object} options
+ * @param {Array} options.importedDegrees - Imported (e.g. Scala) degrees the shrutis play in
+ * @param {object} options.profile - Vocal profile (engine/vocalProfile); a
+ *   measured or entered range places the saptak within the singing voice
+ * @param {number} options.a4 - Reference pitch for the suggested Sa's note name
  */
-export function analyzeVedic(f0, scale) {
-  const saptak = getSaptak(f0);
+export function analyzeVedic(f0, scale, options = {}) {
+  const sung = options.profile && !options.profile.estimated;
+  const saptak = sung ? getSaptakFromProfile(f0, options.profile, options.a4) : getSaptak(f0);
   const chakra = getChakraAssociation(f0);
-  const shrutiScale = generateShrutiScale(f0);
+  const shrutiScale = generateShrutiScale(f0, options.importedDegrees);
 
   return {
     saptak: {
@@ -49,11 +128,14 @@ export function analyzeVedic(f0, scale) {
       description: saptak.description,
       quality: saptak.quality,
       range: saptak.rangeFormatted,
+      suggestedSa: saptak.suggestedSa || null,
       // Contextual explanation
       context: {
         what: "Saptak means 'containing seven' — it refers to the octave register your voice occupies.",
         why: "In Indian classical music, the register affects the emotional quality. Lower registers are grounding; higher registers are energizing.",
-        yourPosition: `Your ${f0} Hz falls within ${saptak.name} (${saptak.rangeFormatted}). This is the ${saptak.description.toLowerCase()}.`
+        yourPosition: sung
+          ? `With Sa on your ${f0} Hz, your sung range runs ${saptak.rangeFormatted} and your tessitura sits in ${saptak.name}, the ${saptak.description.toLowerCase()}. Singers often choose Sa so their lowest note is mandra Pa; for your range that is ${saptak.suggestedSa.note} (${saptak.suggestedSa.hzFormatted} Hz).`
+          : `Your ${f0} Hz falls within ${saptak.name} (${saptak.rangeFormatted}). This is the ${saptak.description.toLowerCase()}.`
       }
     },
     chakra: {
@@ -80,7 +162,7 @@ export function analyzeVedic(f0, scale) {
         note: "Each svara (note) has 2-4 shruti variants, allowing for subtle ornamental inflections (gamakas)."
       },
       scale: shrutiScale,
-      ragas: RAGA_SHRUTIS
+      ragas: listRagas()
     },
     insight: "The 432 Hz myth, debunked: 432 Hz is simply the minor 7th (Komal Ni, 9:5 ratio) when Sa is 240 Hz—a reference chosen because the math is clean. The tradition teaches that YOUR Sa is what matters, not some universal frequency."
   };
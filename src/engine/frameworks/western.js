@@ -3,9 +3,16 @@
  * 1600s–Present — The common practice tradition
  */
 
-import { freqToNoteNameOnly, freqToNoteName, formatHz, getNoteAtInterval } from '../pitchUtils';
+import { freqToNoteNameOnly, freqToNoteName, formatHz, getNoteAtInterval, freqToMidi, midiToFreq, DEFAULT_A4 } from '../pitchUtils';
 import { KEY_SIGNATURES, VOCAL_CATEGORIES } from '../ratios';
 
+// Key names by pitch class, spelled as KEY_SIGNATURES spells them
+const KEY_NAMES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+// Span of a typical song around its tonic, in semitones: from the dominant
+// below up to the sixth above
+const SONG_AMBITUS = { below: 5, above: 9 };
+
 /**
  * Get key signature information
  */
@@ -27,37 +34,116 @@ function getVocalCategory(f0) {
 }
 
 /**
- * Full Western framework analysis
+ * Keys whose songs sit inside the tessitura
+ * A song is taken to span SONG_AMBITUS around its tonic; each of the twelve
+ * tonics is tried in the octave nearest the middle of the tessitura, and
+ * ranked by how far the song would stray outside it, then by distance from
+ * the middle.
+ * @param {object} tessitura - { low, high } with hz, from the vocal profile
+ * @param {number} a4 - Reference pitch the keys are tuned to
+ * @param {number} count - How many keys to suggest
+ * @returns {Array<{key, tonic, tonicHz, lowest, highest, outside, distance, name}>}
+ *   outside and distance in semitones
+ */
+function suggestKeys(tessitura, a4, count = 3) {
+  const low = freqToMidi(tessitura.low.hz, a4);
+  const high = freqToMidi(tessitura.high.hz, a4);
+  const ideal = (low + high) / 2 - (SONG_AMBITUS.above - SONG_AMBITUS.below) / 2;
+
+  return KEY_NAMES
+    .map((name, pitchClass) => {
+      const tonic = pitchClass + 12 * Math.round((ideal - pitchClass) / 12);
+      const outside = Math.max(0, low - (tonic - SONG_AMBITUS.below)) + Math.max(0, tonic + SONG_AMBITUS.above - high);
+      const tonicHz = midiToFreq(tonic, a4);
+      return {
+        key: `${name} Major`,
+        tonic: freqToNoteName(tonicHz, a4),
+        tonicHz: Math.round(tonicHz * 100) / 100,
+        lowest: freqToNoteName(midiToFreq(tonic - SONG_AMBITUS.below, a4), a4),
+        highest: freqToNoteName(midiToFreq(tonic + SONG_AMBITUS.above, a4), a4),
+        outside,
+        distance: Math.abs(tonic - ideal),
+        name
+      };
+    })
+    .sort((a, b) => a.outside - b.outside || a.distance - b.distance)
+    .slice(0, count);
+}
+
+/**
+ * Voice classification from speaking f0 alone, when no sung range is known
  */
-export function analyzeWestern(f0, nearestPitch) {
-  const noteName = freqToNoteNameOnly(f0);
-  const keySig = getKeySignature(noteName);
+function getSpeakingCategory(f0) {
   const vocal = getVocalCategory(f0);
+  return {
+    category: vocal.category,
+    range: vocal.rangeFormatted,
+    rangeNote: vocal.rangeNote,
+    description: vocal.description,
+    positionInRange: vocal.positionInRange,
+    // Contextual explanation
+    context: {
+      what: "Vocal categories classify speaking and singing voices by their typical fundamental frequency range.",
+      why: "This is your *speaking* voice range, not your singing range. Singers typically have a range of 1.5-2 octaves beyond their speaking fundamental—measure yours to classify your singing voice.",
+      note: `Your ${f0} Hz is ${vocal.positionInRange}% through the ${vocal.category} range (${vocal.rangeFormatted}).`
+    }
+  };
+}
+
+/**
+ * Voice classification from a measured or entered sung range
+ */
+function getVoiceTypeCategory(f0, profile) {
+  const { voiceType, passaggio, tessitura, low, high } = profile;
+  return {
+    category: voiceType.type,
+    range: `${low.note}–${high.note} sung`,
+    rangeNote: voiceType.rangeNote,
+    description: voiceType.description,
+    positionInRange: profile.speakingPosition,
+    tessitura: `${tessitura.low.note}–${tessitura.high.note}`,
+    passaggio: `${passaggio.primo.note} / ${passaggio.secondo.note}`,
+    context: {
+      what: "Voice types classify singing voices by their comfortable range, where the registers hand over (the passaggi), and the tessitura—the part of the range a voice can sing in for long.",
+      why: "Speaking pitch alone says little about a singing voice, so this classification uses your sung range. The passaggi are estimates for your voice type, moved to follow your range.",
+      note: `Your range ${low.note}–${high.note} (${profile.span} semitones) is nearest the ${voiceType.type.toLowerCase()} range (${voiceType.rangeNote}). Tessitura ${tessitura.low.note}–${tessitura.high.note}; passaggi near ${passaggio.primo.note} and ${passaggio.secondo.note}. You speak ${profile.speakingPosition}% of the way up your range at ${f0} Hz.`
+    }
+  };
+}
+
+/**
+ * Full Western framework analysis
+ * @param {number} f0
+ * @param {string} nearestPitch
+ * @param {object} options
+ * @param {object} options.profile - Vocal profile (engine/vocalProfile); a
+ *   measured or entered range drives the voice type and key suggestions
+ * @param {number} options.a4 - Reference pitch every note is named against
+ */
+export function analyzeWestern(f0, nearestPitch, options = {}) {
+  const { profile = null, a4 = DEFAULT_A4 } = options;
+  const sung = profile && !profile.estimated;
+
+  // Without a sung range the key is the note of f0, as a speaking Sa
+  const suggestions = sung ? suggestKeys(profile.tessitura, a4) : null;
+  const noteName = freqToNoteNameOnly(f0, a4);
+  const keyName = sung ? suggestions[0].name : noteName;
+  const keySig = getKeySignature(keyName);
 
   const fourthHz = f0 * 4/3;
   const fifthHz = f0 * 3/2;
 
   return {
     keySignature: {
-      key: `${noteName} Major`,
+      key: `${keyName} Major`,
       sharps: keySig.sharps,
       flats: keySig.flats,
       signature: keySig.signature,
-      character: keySig.character
-    },
-    vocalCategory: {
-      category: vocal.category,
-      range: vocal.rangeFormatted,
-      rangeNote: vocal.rangeNote,
-      description: vocal.description,
-      positionInRange: vocal.positionInRange,
-      // Contextual explanation
-      context: {
-        what: "Vocal categories classify speaking and singing voices by their typical fundamental frequency range.",
-        why: "This is your *speaking* voice range, not your singing range. Singers typically have a range of 1.5-2 octaves beyond their speaking fundamental.",
-        note: `Your ${f0} Hz is ${vocal.positionInRange}% through the ${vocal.category} range (${vocal.rangeFormatted}).`
-      }
+      character: keySig.character,
+      basis: sung ? 'tessitura' : 'f0',
+      suggestions
     },
+    vocalCategory: sung ? getVoiceTypeCategory(f0, profile) : getSpeakingCategory(f0),
     I_IV_V: {
       I: {
         degree: "I",
@@ -69,27 +155,29 @@ export function analyzeWestern(f0, nearestPitch) {
       IV: {
         degree: "IV",
         role: "Subdominant",
-        note: freqToNoteNameOnly(fourthHz),
+        note: freqToNoteNameOnly(fourthHz, a4),
         hz: fourthHz,
         hzFormatted: formatHz(fourthHz)
       },
       V: {
         degree: "V",
         role: "Dominant",
-        note: freqToNoteNameOnly(fifthHz),
+        note: freqToNoteNameOnly(fifthHz, a4),
         hz: fifthHz,
         hzFormatted: formatHz(fifthHz)
       }
     },
     a440: {
       concept: "A=440 Hz Standard",
-      description: "In 1939, an international conference standardized A4 = 440 Hz for orchestral tuning. This was a bureaucratic compromise—there is nothing cosmically special about 440 Hz."
+      description: `In 1939, an international conference standardized A4 = 440 Hz for orchestral tuning. This was a bureaucratic compromise—there is nothing cosmically special about 440 Hz.${a4 === DEFAULT_A4
+        ? ''
+        : ` Here notes are named against A4 = ${a4} Hz instead, so your ${f0} Hz reads as ${nearestPitch}.`}`
     },
     equalTemperament: {
       concept: "Equal Temperament",
       description: "Equal temperament makes every key equally usable but equally imperfect. Fifths are 2 cents flat of pure; major thirds are 14 cents sharp."
     },
-    insight: `The I-IV-V progression is the harmonic foundation of blues, rock, folk, country, and most popular music. In your key: ${noteName} - ${freqToNoteNameOnly(fourthHz)} - ${freqToNoteNameOnly(fifthHz)}.`
+    insight: `The I-IV-V progression is the harmonic foundation of blues, rock, folk, country, and most popular music. ${sung ? 'On your f0' : 'In your key'}: ${noteName} - ${freqToNoteNameOnly(fourthHz, a4)} - ${freqToNoteNameOnly(fifthHz, a4)}.`
   };
 }
 
@@ -2,15 +2,198 @@
  * Prism Engine — Unified Export
  */
 
-export { calculatePrism, generateScale } from './prism';
+export { calculatePrism, generateScale, generateFullScale } from './prism';
 export * from './pitchUtils';
 export * from './ratios';
 export * from './tuning';
+export {
+  registerTuningSystem,
+  unregisterTuningSystem,
+  getTuningSystem,
+  listTuningSystems,
+  getDegreeDecimal,
+  getDegreeCents,
+  formatDegreeRatio,
+  DEFAULT_TUNING_SYSTEM
+} from './tuningSystems';
 
 // Framework analyzers
 export { analyzePythagorean } from './frameworks/pythagorean';
 export { analyzeVedic } from './frameworks/vedic';
-export { analyzeGregorian } from './frameworks/gregorian';
+export { analyzeGregorian, placeMode, parseGamutNote, getComfortableRange, GAMUT } from './frameworks/gregorian';
 export { analyzeWestern } from './frameworks/western';
-export { analyzeTibetan } from './frameworks/tibetan';
-export { analyzeNeuroscience, getBrainwaveState } from './frameworks/neuroscience';
+export { analyzeTibetan, getOvertones } from './frameworks/tibetan';
+export { analyzeNeuroscience, getBrainwaveState, getBeatFrequency } from './frameworks/neuroscience';
+
+// Vocal profile (sung range, passaggi, tessitura)
+export {
+  createVocalProfile,
+  estimateSungRange,
+  classifyVoiceType,
+  ESTIMATED_RANGE,
+  PROFILE_SOURCES
+} from './vocalProfile';
+
+// Ragas (aroha/avaroha, vadi/samvadi, pakad)
+export {
+  getRaga,
+  listRagas,
+  ragasForHour,
+  parsePhrase,
+  noteToHz,
+  RAGA_DEFINITIONS,
+  THAATS,
+  TIMES_OF_DAY,
+  SVARA_SHRUTIS
+} from './ragas';
+
+// Chant (psalm tones, organum)
+export { setPsalmTone, pointVerse, syllabifyWord, CHANT_LANGUAGES, ORGANUM_INTERVALS } from './chant';
+
+// Ornaments (meend, andolan, kan, gamakas)
+export {
+  ornamentContour,
+  neighbours,
+  ORNAMENTS,
+  ORNAMENT_DEFAULTS,
+  ORNAMENT_EXAMPLES,
+  MEEND_CURVES,
+  CONTOUR_STEP
+} from './ornaments';
+
+// Pitch detection (mic input)
+export {
+  detectPitch,
+  summarizePitchTrack,
+  summarizeGlide,
+  correctOctaveErrors,
+  median,
+  percentile,
+  getRms,
+  PITCH_DETECTION_DEFAULTS
+} from './pitchDetection';
+
+// Intonation (live tuner)
+export { snapToScale, getIntonationZone } from './intonation';
+
+// Scala (.scl / .kbm) files
+export {
+  parseScl,
+  serializeScl,
+  parseKbm,
+  serializeKbm,
+  createKbmForF0,
+  sclToTuningSystem,
+  tuningSystemToScl,
+  shrutisToScl,
+  ScalaParseError
+} from './scala';
+
+// MIDI export
+export {
+  createMidiFile,
+  buildNoteTrack,
+  freqToMidiBend,
+  scaleToMidi,
+  progressionToMidi,
+  droneToMidi,
+  MIDI_DEFAULTS
+} from './midi';
+
+// Chord tuning (progression looper)
+export { tuneProgression, CHORD_TUNINGS, DEFAULT_CHORD_TUNING, COMMAS } from './chordTuning';
+export { parseChordSymbol, parseProgression, serializeProgression, RomanNumeralError } from './romanNumerals';
+
+// WAV encoding (offline renders)
+export { audioBufferToWav, encodeWavParts, createWavHeader, estimateWavSize, WAV_BIT_DEPTHS } from './wav';
+
+// Temperaments (comparison lab)
+export {
+  compareTemperaments,
+  temperedTriad,
+  rootKey,
+  beatRate,
+  TEMPERAMENT_IDS,
+  TEMPERAMENT_KEYINGS,
+  PURE_INTERVALS,
+  TRIAD_QUALITIES,
+  REFERENCE_TEMPERAMENTS
+} from './temperaments';
+
+// Singing bowl (modal model)
+export {
+  modelBowl,
+  bowlFundamental,
+  bowlDiameterFor,
+  getBowlPreset,
+  BOWL_PRESETS,
+  BOWL_ALLOYS,
+  BOWL_EXCITATIONS,
+  BOWL_LIMITS,
+  DEFAULT_BOWL_PRESET
+} from './singingBowl';
+
+// Partials (sample analysis)
+export {
+  analyzeSample,
+  extractPartials,
+  findFundamental,
+  compareToHarmonics,
+  frameSpectrum,
+  fft,
+  PARTIAL_DEFAULTS
+} from './partials';
+
+// Overtone singing (live harmonic emphasis and exercises)
+export {
+  harmonicLevels,
+  prominence,
+  findEmphasizedHarmonic,
+  frameScore,
+  exerciseStepAt,
+  exerciseDuration,
+  summarizeExercise,
+  getOvertoneExercise,
+  OVERTONE_EXERCISES,
+  OVERTONE_DEFAULTS
+} from './overtoneSinging';
+
+// Entrainment (binaural, monaural and isochronic beats)
+export {
+  beatFrequencies,
+  isochronicCarrier,
+  pulseEnvelope,
+  pulseSeries,
+  entrainmentEnvelope,
+  entrainmentSignal,
+  getEntrainmentMode,
+  ENTRAINMENT_MODES,
+  PULSE_SHAPES,
+  PULSE_DEFAULTS,
+  DUTY_LIMITS,
+  BEAT_PLACEMENTS
+} from './entrainment';
+
+// Session programs (timed beat ramps)
+export {
+  normalizeProgram,
+  createSegment,
+  programTimeline,
+  programDuration,
+  programKeyframes,
+  interpolateKeyframes,
+  sessionStateAt,
+  describeSegment,
+  formatSessionTime,
+  SESSION_PRESETS,
+  SEGMENT_DEFAULTS,
+  SEGMENT_LIMITS,
+  SEGMENT_GLIDE,
+  PROGRAM_DEFAULTS,
+  VOLUME_CURVES,
+  BED_TYPES,
+  WAVE_TYPES
+} from './sessionProgram';
+
+// Noise (looping beds)
+export { generateNoise, NOISE_TYPES } from './noise';
@@ -0,0 +1,81 @@
+/**
+ * Intonation
+ * Snap a sung pitch to the nearest degree of a personalized scale
+ *
+ * Deviation is reported twice: against the just (ratio-based) target and
+ * against the nearest 12-TET pitch — the gap between the two is exactly
+ * what the scale table is trying to teach.
+ */
+
+import { centsDifference, freqToNearestStandard, freqToNoteName, ratioToCents, DEFAULT_A4 } from './pitchUtils';
+
+/**
+ * Ratio (as a decimal) of a scale entry
+ * Accepts entries from generateScale (ratioDecimal) or the shruti scale (decimal)
+ */
+function getTargetRatio(target) {
+  return target.ratioDecimal ?? target.decimal;
+}
+
+/**
+ * Find the scale degree nearest to a sung frequency, in any octave
+ * @param {number} hz - Detected frequency
+ * @param {number} f0 - The user's Sa
+ * @param {Array<object>} targets - Scale entries (generateScale or shruti scale)
+ * @param {number} a4 - Reference pitch of the 12-TET comparison
+ * @returns {object|null} Nearest target with just and 12-TET deviations
+ */
+export function snapToScale(hz, f0, targets, a4 = DEFAULT_A4) {
+  if (!hz || !f0 || !targets || targets.length === 0) return null;
+
+  const centsAboveSa = centsDifference(hz, f0);
+  const octave = Math.floor(centsAboveSa / 1200);
+  const withinOctave = centsAboveSa - octave * 1200;
+
+  let best = null;
+  for (const target of targets) {
+    const ratio = getTargetRatio(target);
+    const targetCents = ratioToCents(ratio);
+
+    // Consider the degree in the neighbouring octaves too, so a pitch
+    // just below Sa snaps up to Sa rather than down to Ni
+    for (const shift of [-1, 0, 1]) {
+      const distance = Math.abs(withinOctave - (targetCents + shift * 1200));
+      if (!best || distance < best.distance) {
+        best = { target, ratio, shift, distance };
+      }
+    }
+  }
+
+  const targetHz = f0 * best.ratio * Math.pow(2, octave + best.shift);
+  const etHz = freqToNearestStandard(hz, a4);
+  const targetEtHz = freqToNearestStandard(targetHz, a4);
+
+  return {
+    target: best.target,
+    targetHz,
+    octave: octave + best.shift,
+    centsFromJust: centsDifference(hz, targetHz),
+    etHz,
+    etNote: freqToNoteName(hz, a4),
+    centsFromET: centsDifference(hz, etHz),
+    // How far the just target itself sits from 12-TET, and from which note
+    // (the target's own, not the sung pitch's)
+    justVsET: centsDifference(targetHz, targetEtHz),
+    targetEtNote: freqToNoteName(targetEtHz, a4)
+  };
+}
+
+/**
+ * Classify an intonation deviation for display
+ * @param {number} cents - Absolute or signed deviation in cents
+ * @returns {'in-tune'|'close'|'off'}
+ */
+export function getIntonationZone(cents) {
+  const abs = Math.abs(cents);
+  if (abs <= 5) return 'in-tune';
+  if (abs <= 15) return 'close';
+  return 'off';
+}
+
+export default snapToScale;
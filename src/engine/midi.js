@@ -0,0 +1,295 @@
+/**
+ * MIDI Export
+ * Standard MIDI File (format 1) writer with exact-pitch playback
+ *
+ * MIDI keys are 12-TET at A4 = 440 Hz, so every note is written as the
+ * nearest key plus a pitch-bend on its channel. A monophonic line uses one
+ * channel and re-bends before each note. Overlapping notes can't share a
+ * bend, so polyphony switches to MPE-style rotation: channel 1 is the
+ * manager and each sounding note gets its own member channel (2–16).
+ */
+
+import { freqToMidi } from './pitchUtils';
+
+// MIDI files assume standard concert pitch regardless of the app's reference
+const MIDI_A4 = 440;
+
+export const MIDI_DEFAULTS = {
+  ppq: 480,            // Ticks per quarter note
+  bendRange: 2,        // Pitch-bend sensitivity in semitones (set via RPN 0)
+  velocity: 90
+};
+
+const PITCH_BEND_CENTER = 8192;
+const MPE_MEMBER_CHANNELS = 15;
+
+// Order of simultaneous events: release, then set up, then sound
+const EVENT_ORDER = { noteOff: 0, meta: 1, control: 2, pitchBend: 3, noteOn: 4 };
+
+/**
+ * Nearest MIDI key and the bend that corrects it to the exact frequency
+ * @param {number} hz
+ * @param {number} bendRange - Semitones either side of the key
+ * @returns {{ note: number, cents: number, bend: number }} bend is 0–16383
+ */
+export function freqToMidiBend(hz, bendRange = MIDI_DEFAULTS.bendRange) {
+  const exact = freqToMidi(hz, MIDI_A4);
+  const note = Math.max(0, Math.min(127, Math.round(exact)));
+  const cents = (exact - note) * 100;
+  const bend = Math.round(PITCH_BEND_CENTER + (cents / (bendRange * 100)) * PITCH_BEND_CENTER);
+
+  return {
+    note,
+    cents,
+    bend: Math.max(0, Math.min(16383, bend))
+  };
+}
+
+/**
+ * Variable-length quantity as used for delta times
+ */
+function writeVarLength(value) {
+  const bytes = [value & 0x7f];
+  let rest = value >> 7;
+  while (rest > 0) {
+    bytes.unshift((rest & 0x7f) | 0x80);
+    rest >>= 7;
+  }
+  return bytes;
+}
+
+function textBytes(text) {
+  return Array.from(new TextEncoder().encode(text));
+}
+
+/**
+ * Serialize one event (without its delta time)
+ */
+function eventBytes(event) {
+  switch (event.type) {
+    case 'noteOn':
+      return [0x90 | event.channel, event.note, event.velocity];
+    case 'noteOff':
+      return [0x80 | event.channel, event.note, 0x40];
+    case 'pitchBend':
+      return [0xe0 | event.channel, event.value & 0x7f, (event.value >> 7) & 0x7f];
+    case 'control':
+      return [0xb0 | event.channel, event.controller, event.value];
+    case 'meta': {
+      return [0xff, event.metaType, ...writeVarLength(event.data.length), ...event.data];
+    }
+    default:
+      throw new Error(`Unknown MIDI event type "${event.type}"`);
+  }
+}
+
+/**
+ * Serialize a track's events (absolute ticks) into an MTrk chunk
+ */
+function trackChunk(events) {
+  const sorted = events
+    .map((event, i) => ({ event, i }))
+    .sort((a, b) =>
+      a.event.tick - b.event.tick ||
+      EVENT_ORDER[a.event.type] - EVENT_ORDER[b.event.type] ||
+      a.i - b.i
+    )
+    .map(({ event }) => event);
+
+  const data = [];
+  let lastTick = 0;
+  sorted.forEach(event => {
+    data.push(...writeVarLength(event.tick - lastTick), ...eventBytes(event));
+    lastTick = event.tick;
+  });
+  data.push(0x00, 0xff, 0x2f, 0x00); // End of track
+
+  return [
+    0x4d, 0x54, 0x72, 0x6b, // MTrk
+    (data.length >>> 24) & 0xff, (data.length >>> 16) & 0xff, (data.length >>> 8) & 0xff, data.length & 0xff,
+    ...data
+  ];
+}
+
+/**
+ * Registered parameter (RPN) write on one channel, then null the RPN
+ */
+function rpnEvents(channel, tick, msb, lsb, value) {
+  return [
+    { tick, type: 'control', channel, controller: 101, value: msb },
+    { tick, type: 'control', channel, controller: 100, value: lsb },
+    { tick, type: 'control', channel, controller: 6, value },
+    { tick, type: 'control', channel, controller: 38, value: 0 },
+    { tick, type: 'control', channel, controller: 101, value: 127 },
+    { tick, type: 'control', channel, controller: 100, value: 127 }
+  ];
+}
+
+/**
+ * Whether any two notes sound at the same time
+ */
+function hasPolyphony(notes) {
+  const sorted = [...notes].sort((a, b) => a.start - b.start);
+  for (let i = 1; i < sorted.length; i++) {
+    const prev = sorted[i - 1];
+    if (sorted[i].start < prev.start + prev.duration - 1e-9) return true;
+  }
+  return false;
+}
+
+/**
+ * Build the events of one note track
+ * @param {Array<{hz: number, start: number, duration: number, velocity?: number}>} notes
+ *   start and duration in beats (quarter notes)
+ * @param {object} options - { name, ppq, bendRange }
+ */
+export function buildNoteTrack(notes, options = {}) {
+  const { name = 'Vocal Prism', ppq = MIDI_DEFAULTS.ppq, bendRange = MIDI_DEFAULTS.bendRange } = options;
+  const mpe = hasPolyphony(notes);
+  const events = [{ tick: 0, type: 'meta', metaType: 0x03, data: textBytes(name) }];
+
+  // One channel for a melody; manager channel 0 + members 1–15 for polyphony
+  const channels = mpe
+    ? Array.from({ length: MPE_MEMBER_CHANNELS }, (_, i) => i + 1)
+    : [0];
+
+  if (mpe) {
+    // MPE Configuration Message: lower zone with all 15 member channels
+    events.push(...rpnEvents(0, 0, 0, 6, MPE_MEMBER_CHANNELS));
+  }
+  channels.forEach(channel => {
+    events.push(...rpnEvents(channel, 0, 0, 0, bendRange));
+  });
+
+  // Rotate through member channels, preferring the one free the longest
+  const freeAt = new Map(channels.map(c => [c, 0]));
+  const lastUsed = new Map(channels.map(c => [c, -1]));
+
+  [...notes]
+    .sort((a, b) => a.start - b.start)
+    .forEach((note, index) => {
+      const onTick = Math.round(note.start * ppq);
+      const offTick = Math.max(onTick + 1, Math.round((note.start + note.duration) * ppq));
+      const { note: key, bend } = freqToMidiBend(note.hz, bendRange);
+
+      const available = channels.filter(c => freeAt.get(c) <= onTick);
+      const pool = available.length > 0 ? available : channels;
+      const channel = pool.reduce((best, c) => (lastUsed.get(c) < lastUsed.get(best) ? c : best));
+
+      freeAt.set(channel, offTick);
+      lastUsed.set(channel, index);
+
+      events.push(
+        { tick: onTick, type: 'pitchBend', channel, value: bend },
+        { tick: onTick, type: 'noteOn', channel, note: key, velocity: note.velocity ?? MIDI_DEFAULTS.velocity },
+        { tick: offTick, type: 'noteOff', channel, note: key }
+      );
+    });
+
+  return events;
+}
+
+/**
+ * Write a format-1 Standard MIDI File: a tempo track plus note tracks
+ * @param {object} options
+ * @param {Array<{name: string, notes: Array}>} options.tracks
+ * @param {number} options.bpm - Tempo in quarter notes per minute
+ * @param {string} options.title - Sequence name in the tempo track
+ * @returns {Uint8Array}
+ */
+export function createMidiFile({ tracks, bpm = 60, title = 'Vocal Prism', ppq = MIDI_DEFAULTS.ppq, bendRange }) {
+  const microsPerQuarter = Math.round(60000000 / bpm);
+  const tempoTrack = [
+    { tick: 0, type: 'meta', metaType: 0x03, data: textBytes(title) },
+    {
+      tick: 0,
+      type: 'meta',
+      metaType: 0x51,
+      data: [(microsPerQuarter >> 16) & 0xff, (microsPerQuarter >> 8) & 0xff, microsPerQuarter & 0xff]
+    },
+    { tick: 0, type: 'meta', metaType: 0x58, data: [4, 2, 24, 8] } // 4/4
+  ];
+
+  const chunks = [
+    trackChunk(tempoTrack),
+    ...tracks.map(track => trackChunk(buildNoteTrack(track.notes, { name: track.name, ppq, bendRange })))
+  ];
+
+  const header = [
+    0x4d, 0x54, 0x68, 0x64, // MThd
+    0, 0, 0, 6,
+    0, 1,                   // Format 1
+    (chunks.length >> 8) & 0xff, chunks.length & 0xff,
+    (ppq >> 8) & 0xff, ppq & 0xff
+  ];
+
+  return new Uint8Array([...header, ...chunks.flat()]);
+}
+
+// ============================================
+// APP-SPECIFIC EXPORTS
+// ============================================
+
+/**
+ * The personalized scale as an ascending line, one note per beat
+ * @param {Array} scale - Entries from generateScale (uses .hz and .svara)
+ */
+export function scaleToMidi(scale, { bpm = 60, noteBeats = 1 } = {}) {
+  const notes = scale.map((entry, i) => ({
+    hz: entry.hz,
+    start: i * noteBeats,
+    duration: noteBeats
+  }));
+
+  return createMidiFile({
+    title: `Vocal Prism scale — Sa ${scale[0]?.hz.toFixed(2)} Hz`,
+    bpm,
+    tracks: [{ name: 'Scale', notes }]
+  });
+}
+
+/**
+ * A chord progression, each chord held for its own `beats` or beatsPerChord
+ * @param {Array<{name: string, frequencies: number[], beats?: number}>} chords - As voiced by the looper
+ */
+export function progressionToMidi(chords, { bpm = 80, beatsPerChord = 4, repeats = 1, title = 'Progression' } = {}) {
+  const notes = [];
+  let start = 0;
+  for (let r = 0; r < repeats; r++) {
+    chords.forEach(chord => {
+      const duration = chord.beats ?? beatsPerChord;
+      chord.frequencies.forEach(hz => {
+        notes.push({ hz, start, duration });
+      });
+      start += duration;
+    });
+  }
+
+  return createMidiFile({
+    title,
+    bpm,
+    tracks: [{ name: chords.map(c => c.name).join(' – '), notes }]
+  });
+}
+
+/**
+ * Drone voices as sustained notes
+ * @param {Array<{hz: number, volume?: number, label?: string}>} voices
+ * @param {number} beats - How long to hold the drone
+ */
+export function droneToMidi(voices, { bpm = 60, beats = 32, title = 'Drone' } = {}) {
+  const notes = voices.map(voice => ({
+    hz: voice.hz,
+    start: 0,
+    duration: beats,
+    velocity: Math.max(1, Math.min(127, Math.round((voice.volume ?? 0.7) * 127)))
+  }));
+
+  return createMidiFile({
+    title,
+    bpm,
+    tracks: [{ name: voices.map(v => v.label).filter(Boolean).join(' + ') || 'Drone', notes }]
+  });
+}
+
+export default createMidiFile;
@@ -0,0 +1,79 @@
+/**
+ * Noise
+ * White, pink and brown noise as sample arrays, for looping beds
+ *
+ * - White: flat spectrum, bright hiss
+ * - Pink: −3 dB per octave (Paul Kellet's filter), rain-like
+ * - Brown: −6 dB per octave (leaky integrated white), a low rumble
+ *
+ * Each is peak-normalized; the loop point is crossfaded so a looping
+ * buffer has no click.
+ */
+
+export const NOISE_TYPES = ['white', 'pink', 'brown'];
+
+// Samples at each end blended into the other for a seamless loop
+const LOOP_FADE = 2048;
+
+function white() {
+  return Math.random() * 2 - 1;
+}
+
+function pinkSource() {
+  let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0;
+  return () => {
+    const w = white();
+    b0 = 0.99886 * b0 + w * 0.0555179;
+    b1 = 0.99332 * b1 + w * 0.0750759;
+    b2 = 0.96900 * b2 + w * 0.1538520;
+    b3 = 0.86650 * b3 + w * 0.3104856;
+    b4 = 0.55000 * b4 + w * 0.5329522;
+    b5 = -0.7616 * b5 - w * 0.0168980;
+    const out = b0 + b1 + b2 + b3 + b4 + b5 + b6 + w * 0.5362;
+    b6 = w * 0.115926;
+    return out;
+  };
+}
+
+function brownSource() {
+  let last = 0;
+  return () => {
+    last = (last + 0.02 * white()) / 1.02;
+    return last;
+  };
+}
+
+/**
+ * Generate noise
+ * @param {string} type - One of NOISE_TYPES
+ * @param {number} length - Samples
+ * @returns {Float32Array} Peak 1, loopable
+ */
+export function generateNoise(type, length) {
+  if (!NOISE_TYPES.includes(type)) throw new Error(`Unknown noise type "${type}"`);
+
+  const next = type === 'pink' ? pinkSource() : type === 'brown' ? brownSource() : white;
+  const fade = Math.min(LOOP_FADE, Math.floor(length / 4));
+  const raw = new Float32Array(length + fade);
+  for (let i = 0; i < raw.length; i++) raw[i] = next();
+
+  // Blend the overshoot into the start so the end flows into it
+  const samples = raw.slice(0, length);
+  for (let i = 0; i < fade; i++) {
+    const x = i / fade;
+    samples[i] = raw[length + i] * (1 - x) + raw[i] * x;
+  }
+
+  // Remove the DC brown noise drifts to, then normalize
+  const mean = samples.reduce((sum, s) => sum + s, 0) / length;
+  let peak = 0;
+  for (let i = 0; i < length; i++) {
+    samples[i] -= mean;
+    peak = Math.max(peak, Math.abs(samples[i]));
+  }
+  if (peak > 0) {
+    for (let i = 0; i < length; i++) samples[i] /= peak;
+  }
+
+  return samples;
+}
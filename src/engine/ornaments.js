@@ -0,0 +1,198 @@
+/**
+ * Ornaments
+ * Pitch contours for meend, andolan, kan and gamakas on a shruti scale
+ *
+ * Every ornament is a list of breakpoints { t, cents }: seconds from the
+ * start and pitch in cents above Sa. Played as straight lines between
+ * breakpoints (linear ramps on an oscillator's detune), smooth shapes are
+ * sampled every CONTOUR_STEP seconds and stepped figures get short glides
+ * between their notes, the way a voice or a sitar string moves.
+ *
+ * Pitches come in as cents so the same contour works on any Sa and on an
+ * imported scale; `upper` and `lower` are the neighbouring svaras of the
+ * raga, which the stepped gamakas turn around.
+ */
+
+// Seconds between samples of a smooth contour
+export const CONTOUR_STEP = 0.01;
+
+// Glide between the notes of stepped figures (seconds)
+const STEP_GLIDE = 0.018;
+
+export const MEEND_CURVES = {
+  linear: { name: 'Linear', shape: (x) => x },
+  ease: { name: 'Ease', shape: (x) => (1 - Math.cos(Math.PI * x)) / 2 },
+  late: { name: 'Late', shape: (x) => x * x * x },
+  early: { name: 'Early', shape: (x) => 1 - Math.pow(1 - x, 3) }
+};
+
+export const ORNAMENTS = {
+  meend: {
+    name: 'Meend',
+    description: 'A glide from one svara to another, passing through every pitch between',
+    needs: ['target']
+  },
+  andolan: {
+    name: 'Andolan',
+    description: 'A slow swing on one svara, dipping towards its lower neighbour and back',
+    needs: ['depth'],
+    rate: { min: 0.2, max: 2, default: 0.7 }
+  },
+  kan: {
+    name: 'Kan',
+    description: 'A grace note: the briefest touch of another svara before the main one',
+    needs: ['target']
+  },
+  kampita: {
+    name: 'Kampita',
+    description: 'A continuous shake between the svara and its upper neighbour',
+    needs: [],
+    rate: { min: 2, max: 8, default: 5 }
+  },
+  murki: {
+    name: 'Murki',
+    description: 'A light, fast turn: upper neighbour, svara, lower neighbour, svara',
+    needs: []
+  },
+  khatka: {
+    name: 'Khatka',
+    description: 'A forceful cluster around the svara, as in P D P M P',
+    needs: []
+  },
+  zamzama: {
+    name: 'Zamzama',
+    description: 'Rapid repeated alternation with the upper neighbour',
+    needs: []
+  }
+};
+
+export const ORNAMENT_DEFAULTS = {
+  duration: 2.5,
+  curve: 'ease',
+  depth: 30 // cents (andolan)
+};
+
+/**
+ * Sample a smooth function of time into breakpoints
+ */
+function sample(duration, fn) {
+  const points = [];
+  const steps = Math.max(1, Math.ceil(duration / CONTOUR_STEP));
+  for (let i = 0; i <= steps; i++) {
+    const t = (i / steps) * duration;
+    points.push({ t, cents: fn(t) });
+  }
+  return points;
+}
+
+/**
+ * Breakpoints for a figure of held notes joined by short glides; the last
+ * note is held to the end
+ */
+function stepped(notes, noteLength, duration) {
+  const points = [];
+  notes.forEach((cents, i) => {
+    const start = i * noteLength;
+    points.push({ t: i === 0 ? 0 : start + STEP_GLIDE, cents });
+    if (i < notes.length - 1) points.push({ t: start + noteLength, cents });
+  });
+  points.push({ t: Math.max(duration, notes.length * noteLength), cents: notes[notes.length - 1] });
+  return points;
+}
+
+/**
+ * Pitch contour of an ornament
+ * @param {string} type - Key of ORNAMENTS
+ * @param {object} params
+ * @param {number} params.cents - The svara the ornament is on (cents above Sa)
+ * @param {number} params.target - Meend: where to glide to; kan: the grace note
+ * @param {number} params.upper - Upper neighbour svara (cents)
+ * @param {number} params.lower - Lower neighbour svara (cents)
+ * @param {number} params.duration - Seconds
+ * @param {string} params.curve - Meend curve (key of MEEND_CURVES)
+ * @param {number} params.depth - Andolan depth in cents (how far it dips)
+ * @param {number} params.rate - Andolan / kampita swings per second (see ORNAMENTS[type].rate)
+ * @returns {Array<{t: number, cents: number}>}
+ */
+export function ornamentContour(type, params) {
+  const {
+    cents,
+    target = cents,
+    upper = cents + 200,
+    lower = cents - 200,
+    duration = ORNAMENT_DEFAULTS.duration,
+    curve = ORNAMENT_DEFAULTS.curve,
+    depth = ORNAMENT_DEFAULTS.depth
+  } = params;
+
+  switch (type) {
+    case 'meend': {
+      // Sit on the first svara, glide, then settle on the second
+      const hold = duration * 0.2;
+      const glide = duration * 0.55;
+      const shape = (MEEND_CURVES[curve] || MEEND_CURVES.ease).shape;
+      return sample(duration, (t) => {
+        const x = Math.min(1, Math.max(0, (t - hold) / glide));
+        return cents + (target - cents) * shape(x);
+      });
+    }
+
+    case 'andolan': {
+      // Swing down by `depth` and back, easing in over the first swing
+      const rate = params.rate ?? ORNAMENTS.andolan.rate.default;
+      return sample(duration, (t) => {
+        const swell = Math.min(1, t * rate);
+        return cents - depth * swell * (1 - Math.cos(2 * Math.PI * rate * t)) / 2;
+      });
+    }
+
+    case 'kan':
+      return stepped([target, cents], 0.07, duration);
+
+    case 'kampita': {
+      const rate = params.rate ?? ORNAMENTS.kampita.rate.default;
+      return sample(duration, (t) => cents + (upper - cents) * (1 - Math.cos(2 * Math.PI * rate * t)) / 2);
+    }
+
+    case 'murki':
+      return stepped([cents, upper, cents, lower, cents], 0.06, duration);
+
+    case 'khatka':
+      return stepped([upper, cents, upper, lower, cents], 0.1, duration);
+
+    case 'zamzama':
+      return stepped([cents, upper, cents, upper, cents, upper, cents], 0.075, duration);
+
+    default:
+      throw new Error(`Unknown ornament "${type}"`);
+  }
+}
+
+/**
+ * Nearest svaras above and below a pitch, from a set of scale pitches
+ * @param {number} cents - The svara
+ * @param {number[]} scaleCents - Pitches of the raga or scale within one octave (0–1200)
+ * @returns {{upper: number, lower: number}}
+ */
+export function neighbours(cents, scaleCents) {
+  const all = scaleCents.flatMap(c => [c - 1200, c, c + 1200]);
+  const above = all.filter(c => c > cents + 1).sort((a, b) => a - b);
+  const below = all.filter(c => c < cents - 1).sort((a, b) => b - a);
+  return { upper: above[0] ?? cents + 200, lower: below[0] ?? cents - 200 };
+}
+
+/**
+ * Auditions: ornaments as they are heard in particular ragas
+ * `on` and `to` are shruti numbers.
+ */
+export const ORNAMENT_EXAMPLES = [
+  { id: 'darbari-ga', name: 'Andolit komal Ga — Darbari', raga: 'darbari', type: 'andolan', on: 6, depth: 35, rate: 0.6, duration: 4 },
+  { id: 'darbari-dha', name: 'Andolit komal Dha — Darbari', raga: 'darbari', type: 'andolan', on: 15, depth: 35, rate: 0.6, duration: 4 },
+  { id: 'bhairav-re', name: 'Andolit komal Re — Bhairav', raga: 'bhairav', type: 'andolan', on: 3, depth: 20, rate: 0.8, duration: 3 },
+  { id: 'yaman-meend', name: 'Meend Ga to Re — Yaman', raga: 'yaman', type: 'meend', on: 8, to: 5, curve: 'ease', duration: 2 },
+  { id: 'malkauns-meend', name: 'Meend Ma to komal Ga — Malkauns', raga: 'malkauns', type: 'meend', on: 10, to: 7, curve: 'late', duration: 2.5 },
+  { id: 'bhupali-kan', name: 'Kan of Pa on Ga — Bhupali', raga: 'bhupali', type: 'kan', on: 8, to: 14, duration: 1.5 },
+  { id: 'kafi-murki', name: 'Murki on Pa — Kafi', raga: 'kafi', type: 'murki', on: 14, duration: 1.5 }
+];
+
+export default ornamentContour;
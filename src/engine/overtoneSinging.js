@@ -0,0 +1,158 @@
+/**
+ * Overtone Singing
+ * Which harmonic of the sung drone is the singer reinforcing, and how
+ * cleanly — plus guided exercises scored on it
+ *
+ * Levels are read from a dB spectrum (AnalyserNode.getFloatFrequencyData)
+ * at each multiple of the fundamental. A harmonic is emphasized when it
+ * stands above both neighbours; its prominence is the margin over the
+ * louder neighbour. Overtone singers shape the vocal tract so one
+ * formant sits on one harmonic, which is exactly this margin.
+ */
+
+export const OVERTONE_DEFAULTS = {
+  maxHarmonic: 16,
+  minProminence: 6, // dB over the louder neighbour to count as emphasized
+  fullProminence: 18 // dB that scores a frame as perfectly clean
+};
+
+// The lowest harmonic that counts as an overtone
+const FIRST_OVERTONE = 2;
+
+export const OVERTONE_EXERCISES = [
+  {
+    id: 'sweep-5-8-10',
+    name: 'Sweep H5 → H8 → H10',
+    description: 'Hold a steady drone and move the whistle from the 5th harmonic to the 8th, then the 10th.',
+    steps: [{ harmonic: 5, seconds: 5 }, { harmonic: 8, seconds: 5 }, { harmonic: 10, seconds: 5 }]
+  },
+  {
+    id: 'hold-8',
+    name: 'Hold H8',
+    description: 'Find the 8th harmonic (three octaves up) and keep it ringing.',
+    steps: [{ harmonic: 8, seconds: 12 }]
+  },
+  {
+    id: 'ladder',
+    name: 'Ladder H6 → H12',
+    description: 'Climb one harmonic at a time: the top of the series is a scale.',
+    steps: [6, 7, 8, 9, 10, 12].map(harmonic => ({ harmonic, seconds: 3 }))
+  },
+  {
+    id: 'pentatonic',
+    name: 'Pentatonic tune',
+    description: 'H8 H9 H10 H12 H10 H9 H8 — the melody Tuvan and Mongolian singers build from the upper harmonics.',
+    steps: [8, 9, 10, 12, 10, 9, 8].map(harmonic => ({ harmonic, seconds: 2.5 }))
+  }
+];
+
+/**
+ * Get an exercise by id
+ */
+export function getOvertoneExercise(id) {
+  return OVERTONE_EXERCISES.find(e => e.id === id) || null;
+}
+
+/**
+ * Level of each harmonic in a dB spectrum
+ * Searches ±a quarter of the harmonic spacing around n × fundamental.
+ * @param {Float32Array} spectrum - dB per bin, bins 0 … fftSize/2 − 1
+ * @param {number} sampleRate
+ * @param {number} fundamental - Hz
+ * @param {object} options
+ * @param {number} options.maxHarmonic
+ * @returns {Array<{ harmonic, hz, db }>} Harmonics below Nyquist
+ */
+export function harmonicLevels(spectrum, sampleRate, fundamental, { maxHarmonic = OVERTONE_DEFAULTS.maxHarmonic } = {}) {
+  const binHz = sampleRate / (2 * spectrum.length);
+  const reach = Math.max(1, Math.floor((fundamental / 4) / binHz));
+  const levels = [];
+
+  for (let n = 1; n <= maxHarmonic; n++) {
+    const center = Math.round((n * fundamental) / binHz);
+    if (center + reach >= spectrum.length) break;
+
+    let best = center;
+    for (let k = Math.max(0, center - reach); k <= center + reach; k++) {
+      if (spectrum[k] > spectrum[best]) best = k;
+    }
+    levels.push({ harmonic: n, hz: best * binHz, db: spectrum[best] });
+  }
+
+  return levels;
+}
+
+/**
+ * Margin of one harmonic over its louder neighbour (dB)
+ */
+export function prominence(levels, harmonic) {
+  const at = (n) => levels.find(l => l.harmonic === n)?.db ?? -Infinity;
+  return at(harmonic) - Math.max(at(harmonic - 1), at(harmonic + 1));
+}
+
+/**
+ * The overtone standing out most, if any stands out enough
+ * @returns {{ harmonic, hz, db, prominence }|null}
+ */
+export function findEmphasizedHarmonic(levels, { minProminence = OVERTONE_DEFAULTS.minProminence } = {}) {
+  let best = null;
+  levels.forEach(level => {
+    if (level.harmonic < FIRST_OVERTONE) return;
+    const margin = prominence(levels, level.harmonic);
+    if (margin >= minProminence && (!best || margin > best.prominence)) {
+      best = { ...level, prominence: margin };
+    }
+  });
+  return best;
+}
+
+/**
+ * How cleanly one frame sounds the target harmonic, 0 … 1
+ */
+export function frameScore(levels, target, { fullProminence = OVERTONE_DEFAULTS.fullProminence } = {}) {
+  const margin = prominence(levels, target);
+  if (!Number.isFinite(margin)) return 0;
+  return Math.min(1, Math.max(0, margin / fullProminence));
+}
+
+/**
+ * Where in an exercise `elapsed` seconds falls
+ * @returns {{ index, step, stepElapsed }|null} null once it is over
+ */
+export function exerciseStepAt(exercise, elapsed) {
+  let start = 0;
+  for (let index = 0; index < exercise.steps.length; index++) {
+    const step = exercise.steps[index];
+    if (elapsed < start + step.seconds) {
+      return { index, step, stepElapsed: elapsed - start };
+    }
+    start += step.seconds;
+  }
+  return null;
+}
+
+/**
+ * Total length of an exercise in seconds
+ */
+export function exerciseDuration(exercise) {
+  return exercise.steps.reduce((sum, step) => sum + step.seconds, 0);
+}
+
+/**
+ * Score an exercise from its per-step frame scores
+ * Silent or unvoiced frames count as 0, so the score rewards holding the
+ * partial for the whole step, not just touching it.
+ * @param {object} exercise
+ * @param {number[][]} stepFrames - Frame scores (0 … 1) for each step
+ * @returns {{ score: number, steps: Array<{ harmonic, score, frames }> }} scores 0 … 100
+ */
+export function summarizeExercise(exercise, stepFrames) {
+  const steps = exercise.steps.map((step, i) => {
+    const frames = stepFrames[i] || [];
+    const mean = frames.length ? frames.reduce((sum, s) => sum + s, 0) / frames.length : 0;
+    return { harmonic: step.harmonic, score: Math.round(mean * 100), frames: frames.length };
+  });
+
+  const score = Math.round(steps.reduce((sum, s) => sum + s.score, 0) / steps.length);
+  return { score, steps };
+}
@@ -0,0 +1,269 @@
+/**
+ * Partials
+ * Find the real partials of a recorded sound (a bowl, a gong, a sustained
+ * vowel): their frequencies, levels and decay rates, and how far each sits
+ * from the ideal harmonic series
+ *
+ * A short-time FFT (Hann window) runs over the sample. Peaks are picked in
+ * the loudest frame and refined by parabolic interpolation on the dB
+ * spectrum, then each is followed frame by frame to the end of the sample.
+ * A straight line through a partial's dB track after its peak gives its
+ * decay rate; a flat track is a sustained partial.
+ */
+
+export const PARTIAL_DEFAULTS = {
+  fftSize: 8192,
+  hop: 2048,
+  maxPartials: 16,
+  minHz: 40,
+  maxHz: 8000,
+  thresholdDb: -50, // below the loudest peak
+  maxSeconds: 30
+};
+
+// Slower decays than this (dB per second) count as sustained
+const SUSTAIN_SLOPE = -0.5;
+
+// How far a tracked partial may move between frames (fraction of its Hz)
+const TRACK_TOLERANCE = 0.006;
+
+// A partial that falls this far below its peak is no longer followed
+const TRACK_FLOOR_DB = 60;
+
+/**
+ * In-place radix-2 FFT
+ * @param {Float64Array} re - Real parts (length a power of two)
+ * @param {Float64Array} im - Imaginary parts
+ */
+export function fft(re, im) {
+  const n = re.length;
+  if (n & (n - 1)) throw new Error('FFT size must be a power of two');
+
+  // Bit-reversal permutation
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const step = (-2 * Math.PI) / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < size / 2; k++) {
+        const cos = Math.cos(step * k);
+        const sin = Math.sin(step * k);
+        const a = start + k;
+        const b = a + size / 2;
+        const tRe = re[b] * cos - im[b] * sin;
+        const tIm = re[b] * sin + im[b] * cos;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+      }
+    }
+  }
+}
+
+/**
+ * dB magnitude spectrum (bins 0 … size/2) of one Hann-windowed frame
+ * @param {Float32Array} samples
+ * @param {number} offset - First sample of the frame
+ * @param {number} size - FFT size
+ */
+export function frameSpectrum(samples, offset, size) {
+  const re = new Float64Array(size);
+  const im = new Float64Array(size);
+  for (let i = 0; i < size; i++) {
+    const window = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (size - 1));
+    re[i] = (samples[offset + i] || 0) * window;
+  }
+  fft(re, im);
+
+  const db = new Float64Array(size / 2 + 1);
+  for (let k = 0; k <= size / 2; k++) {
+    db[k] = 10 * Math.log10(re[k] * re[k] + im[k] * im[k] + 1e-20);
+  }
+  return db;
+}
+
+/**
+ * Peak at bin k refined by a parabola through its neighbours
+ * @returns {{ bin: number, db: number }}
+ */
+function interpolatePeak(db, k) {
+  const a = db[k - 1];
+  const b = db[k];
+  const c = db[k + 1];
+  const denominator = a - 2 * b + c;
+  const p = denominator === 0 ? 0 : (0.5 * (a - c)) / denominator;
+  return { bin: k + p, db: b - 0.25 * (a - c) * p };
+}
+
+/**
+ * Slope of a least-squares line through points
+ */
+function slope(points) {
+  const n = points.length;
+  if (n < 2) return 0;
+  const meanX = points.reduce((sum, p) => sum + p.t, 0) / n;
+  const meanY = points.reduce((sum, p) => sum + p.db, 0) / n;
+  let num = 0;
+  let den = 0;
+  points.forEach(p => {
+    num += (p.t - meanX) * (p.db - meanY);
+    den += (p.t - meanX) ** 2;
+  });
+  return den === 0 ? 0 : num / den;
+}
+
+/**
+ * Extract the partials of a mono sample
+ * @param {Float32Array} samples
+ * @param {number} sampleRate
+ * @param {object} options - Overrides for PARTIAL_DEFAULTS
+ * @returns {Array<{ hz, db, amplitude, decayDbPerSecond, t60, sustained }>}
+ *   sorted by frequency; db and amplitude are relative to the strongest
+ */
+export function extractPartials(samples, sampleRate, options = {}) {
+  const { fftSize, hop, maxPartials, minHz, maxHz, thresholdDb, maxSeconds } = { ...PARTIAL_DEFAULTS, ...options };
+
+  const length = Math.min(samples.length, Math.round(maxSeconds * sampleRate));
+  if (length < fftSize) {
+    throw new Error(`The sample is too short: at least ${(fftSize / sampleRate).toFixed(2)} s is needed`);
+  }
+
+  const binHz = sampleRate / fftSize;
+  const frameCount = Math.floor((length - fftSize) / hop) + 1;
+
+  // The loudest frame is where the partials are picked
+  let loudest = 0;
+  let loudestEnergy = -1;
+  for (let f = 0; f < frameCount; f++) {
+    let energy = 0;
+    for (let i = f * hop; i < f * hop + fftSize; i += 4) energy += samples[i] * samples[i];
+    if (energy > loudestEnergy) {
+      loudestEnergy = energy;
+      loudest = f;
+    }
+  }
+  if (loudestEnergy <= 0) throw new Error('The sample is silent');
+
+  const reference = frameSpectrum(samples, loudest * hop, fftSize);
+  const lowBin = Math.max(2, Math.ceil(minHz / binHz));
+  const highBin = Math.min(fftSize / 2 - 2, Math.floor(maxHz / binHz));
+
+  let peakDb = -Infinity;
+  for (let k = lowBin; k <= highBin; k++) peakDb = Math.max(peakDb, reference[k]);
+
+  // Local maxima over two bins each side, strongest first
+  const peaks = [];
+  for (let k = lowBin; k <= highBin; k++) {
+    const value = reference[k];
+    if (value < peakDb + thresholdDb) continue;
+    if (value > reference[k - 1] && value >= reference[k + 1] &&
+        value > reference[k - 2] && value >= reference[k + 2]) {
+      peaks.push(interpolatePeak(reference, k));
+    }
+  }
+  peaks.sort((a, b) => b.db - a.db);
+
+  // Follow every partial to the end of the sample, one spectrum per frame
+  const tracks = peaks.slice(0, maxPartials).map(peak => ({
+    peak,
+    bin: peak.bin,
+    active: true,
+    points: [{ t: loudest * hop / sampleRate, db: peak.db, bin: peak.bin }]
+  }));
+
+  for (let f = loudest + 1; f < frameCount && tracks.some(track => track.active); f++) {
+    const spectrum = frameSpectrum(samples, f * hop, fftSize);
+
+    tracks.filter(track => track.active).forEach(track => {
+      const reach = Math.max(2, Math.ceil(track.bin * TRACK_TOLERANCE));
+      const from = Math.max(1, Math.round(track.bin) - reach);
+      const to = Math.min(fftSize / 2 - 1, Math.round(track.bin) + reach);
+      let best = from;
+      for (let k = from + 1; k <= to; k++) {
+        if (spectrum[k] > spectrum[best]) best = k;
+      }
+
+      const next = interpolatePeak(spectrum, best);
+      if (next.db < track.peak.db - TRACK_FLOOR_DB) {
+        track.active = false;
+        return;
+      }
+      track.bin = next.bin;
+      track.points.push({ t: f * hop / sampleRate, db: next.db, bin: next.bin });
+    });
+  }
+
+  const partials = tracks.map(({ peak, points }) => {
+    // Frequency from the first, strongest frames; decay from the whole track
+    const early = points.slice(0, 8);
+    const hz = (early.reduce((sum, p) => sum + p.bin, 0) / early.length) * binHz;
+    const decayDbPerSecond = slope(points);
+    const sustained = points.length < 3 || decayDbPerSecond > SUSTAIN_SLOPE;
+
+    return {
+      hz,
+      db: peak.db - peakDb,
+      amplitude: Math.pow(10, (peak.db - peakDb) / 20),
+      decayDbPerSecond,
+      t60: sustained ? null : -60 / decayDbPerSecond,
+      sustained
+    };
+  });
+
+  return partials.sort((a, b) => a.hz - b.hz);
+}
+
+/**
+ * The fundamental: the lowest partial within 30 dB of the strongest
+ */
+export function findFundamental(partials) {
+  return partials.find(p => p.db > -30)?.hz ?? partials[0]?.hz ?? null;
+}
+
+/**
+ * Place partials against the harmonic series of a fundamental
+ * @returns {Array} Each partial plus { harmonic, ratio, cents } — the
+ *   nearest harmonic number and the deviation from it
+ */
+export function compareToHarmonics(partials, fundamental) {
+  return partials.map(partial => {
+    const ratio = partial.hz / fundamental;
+    const harmonic = Math.max(1, Math.round(ratio));
+    return {
+      ...partial,
+      harmonic,
+      ratio,
+      cents: 1200 * Math.log2(ratio / harmonic)
+    };
+  });
+}
+
+/**
+ * Analyse a sample: partials, fundamental and the comparison with its
+ * harmonic series
+ * @param {Float32Array} samples - Mono
+ * @param {number} sampleRate
+ * @param {object} options - Overrides for PARTIAL_DEFAULTS
+ * @returns {{ fundamental, partials, duration, sampleRate }}
+ */
+export function analyzeSample(samples, sampleRate, options = {}) {
+  const partials = extractPartials(samples, sampleRate, options);
+  if (!partials.length) throw new Error('No partials stood out of the noise');
+
+  const fundamental = findFundamental(partials);
+  return {
+    fundamental,
+    partials: compareToHarmonics(partials, fundamental),
+    duration: samples.length / sampleRate,
+    sampleRate
+  };
+}
@@ -0,0 +1,281 @@
+/**
+ * Pitch Detection
+ * YIN fundamental-frequency estimator with octave-error correction
+ *
+ * Pure functions over Float32Array frames — no Web Audio here, so the
+ * estimator can be exercised against synthetic buffers.
+ *
+ * Reference: de Cheveigné & Kawahara (2002), "YIN, a fundamental
+ * frequency estimator for speech and music"
+ */
+
+export const PITCH_DETECTION_DEFAULTS = {
+  minFrequency: 50,    // Hz — lowest f0 we accept (matches calculatePrism)
+  maxFrequency: 1000,  // Hz — highest f0 we accept
+  threshold: 0.15,     // YIN absolute threshold on the normalized difference
+  silenceRms: 0.01     // Frames quieter than this are treated as unvoiced
+};
+
+/**
+ * Root-mean-square level of a frame
+ */
+export function getRms(frame) {
+  let sum = 0;
+  for (let i = 0; i < frame.length; i++) {
+    sum += frame[i] * frame[i];
+  }
+  return Math.sqrt(sum / frame.length);
+}
+
+/**
+ * YIN step 2: difference function d(tau)
+ */
+function differenceFunction(frame, tauMax) {
+  const windowSize = frame.length - tauMax;
+  const diff = new Float32Array(tauMax + 1);
+
+  for (let tau = 1; tau <= tauMax; tau++) {
+    let sum = 0;
+    for (let i = 0; i < windowSize; i++) {
+      const delta = frame[i] - frame[i + tau];
+      sum += delta * delta;
+    }
+    diff[tau] = sum;
+  }
+
+  return diff;
+}
+
+/**
+ * YIN step 3: cumulative mean normalized difference d'(tau)
+ */
+function cumulativeMeanNormalized(diff) {
+  const cmnd = new Float32Array(diff.length);
+  cmnd[0] = 1;
+
+  let runningSum = 0;
+  for (let tau = 1; tau < diff.length; tau++) {
+    runningSum += diff[tau];
+    cmnd[tau] = runningSum === 0 ? 1 : diff[tau] * tau / runningSum;
+  }
+
+  return cmnd;
+}
+
+/**
+ * Walk forward from tau to the bottom of the dip it sits in
+ */
+function descendToLocalMin(cmnd, tau, tauMax) {
+  while (tau + 1 <= tauMax && cmnd[tau + 1] < cmnd[tau]) {
+    tau++;
+  }
+  return tau;
+}
+
+/**
+ * YIN step 5: parabolic interpolation around the chosen lag
+ */
+function parabolicInterpolation(cmnd, tau) {
+  if (tau <= 0 || tau >= cmnd.length - 1) return tau;
+
+  const s0 = cmnd[tau - 1];
+  const s1 = cmnd[tau];
+  const s2 = cmnd[tau + 1];
+  const denominator = s0 + s2 - 2 * s1;
+
+  if (denominator === 0) return tau;
+  return tau + (s0 - s2) / (2 * denominator);
+}
+
+/**
+ * Octave-error correction within a frame
+ * When no dip crosses the threshold, the global minimum is often a
+ * multiple of the true period (octave-too-low). Prefer the shortest
+ * sub-multiple whose dip is nearly as deep.
+ */
+function correctSubharmonic(cmnd, tau, tauMin, tauMax) {
+  for (let k = 4; k >= 2; k--) {
+    const candidate = Math.round(tau / k);
+    if (candidate < tauMin) continue;
+
+    const lo = Math.max(tauMin, candidate - 2);
+    const hi = Math.min(tauMax, candidate + 2);
+    let best = lo;
+    for (let t = lo + 1; t <= hi; t++) {
+      if (cmnd[t] < cmnd[best]) best = t;
+    }
+
+    if (cmnd[best] < cmnd[tau] + 0.1) {
+      return best;
+    }
+  }
+  return tau;
+}
+
+/**
+ * Estimate the fundamental frequency of a single frame
+ * @param {Float32Array} frame - Time-domain samples (-1..1)
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {object} options - See PITCH_DETECTION_DEFAULTS
+ * @returns {{ f0: number|null, clarity: number, rms: number }}
+ *   f0 is null for unvoiced or silent frames; clarity is 1 - d'(tau)
+ */
+export function detectPitch(frame, sampleRate, options = {}) {
+  const { minFrequency, maxFrequency, threshold, silenceRms } = {
+    ...PITCH_DETECTION_DEFAULTS,
+    ...options
+  };
+
+  const rms = getRms(frame);
+  if (rms < silenceRms) {
+    return { f0: null, clarity: 0, rms };
+  }
+
+  const tauMin = Math.max(2, Math.floor(sampleRate / maxFrequency));
+  const tauMax = Math.min(Math.floor(frame.length / 2), Math.ceil(sampleRate / minFrequency));
+  if (tauMax <= tauMin) {
+    return { f0: null, clarity: 0, rms };
+  }
+
+  const cmnd = cumulativeMeanNormalized(differenceFunction(frame, tauMax));
+
+  // YIN step 4: first dip below the absolute threshold
+  let tau = -1;
+  for (let t = tauMin; t <= tauMax; t++) {
+    if (cmnd[t] < threshold) {
+      tau = descendToLocalMin(cmnd, t, tauMax);
+      break;
+    }
+  }
+
+  // No dip crossed the threshold — fall back to the global minimum
+  if (tau === -1) {
+    tau = tauMin;
+    for (let t = tauMin + 1; t <= tauMax; t++) {
+      if (cmnd[t] < cmnd[tau]) tau = t;
+    }
+    tau = correctSubharmonic(cmnd, tau, tauMin, tauMax);
+
+    // Too aperiodic to call voiced
+    if (cmnd[tau] >= threshold * 2) {
+      return { f0: null, clarity: Math.max(0, 1 - cmnd[tau]), rms };
+    }
+  }
+
+  const refinedTau = parabolicInterpolation(cmnd, tau);
+  const f0 = sampleRate / refinedTau;
+
+  if (f0 < minFrequency || f0 > maxFrequency) {
+    return { f0: null, clarity: Math.max(0, 1 - cmnd[tau]), rms };
+  }
+
+  return { f0, clarity: Math.max(0, 1 - cmnd[tau]), rms };
+}
+
+/**
+ * Median of an array of numbers (ignores null / NaN)
+ */
+export function median(values) {
+  const sorted = values
+    .filter(v => typeof v === 'number' && !isNaN(v))
+    .sort((a, b) => a - b);
+
+  if (sorted.length === 0) return null;
+
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0
+    ? (sorted[mid - 1] + sorted[mid]) / 2
+    : sorted[mid];
+}
+
+/**
+ * Value below which a given share of the numbers fall (ignores null / NaN)
+ * @param {Array<number|null>} values
+ * @param {number} p - 0..1 (0.5 is the median)
+ */
+export function percentile(values, p) {
+  const sorted = values
+    .filter(v => typeof v === 'number' && !isNaN(v))
+    .sort((a, b) => a - b);
+
+  if (sorted.length === 0) return null;
+
+  const position = Math.min(1, Math.max(0, p)) * (sorted.length - 1);
+  const below = Math.floor(position);
+  const above = Math.ceil(position);
+  return sorted[below] + (sorted[above] - sorted[below]) * (position - below);
+}
+
+/**
+ * Octave-error correction across a pitch track
+ * Frames that landed an octave (or two) away from the track median are
+ * folded back. Tolerance is in cents around the exact octave.
+ * @param {Array<number|null>} track - Per-frame f0 values
+ * @param {number} toleranceCents - How close to an exact octave a jump must be
+ */
+export function correctOctaveErrors(track, toleranceCents = 80) {
+  const center = median(track);
+  if (!center) return [...track];
+
+  return track.map(f0 => {
+    if (!f0) return f0;
+
+    const octaves = Math.log2(f0 / center);
+    const nearestOctave = Math.round(octaves);
+    if (nearestOctave === 0) return f0;
+
+    const offsetCents = Math.abs(octaves - nearestOctave) * 1200;
+    return offsetCents <= toleranceCents
+      ? f0 / Math.pow(2, nearestOctave)
+      : f0;
+  });
+}
+
+/**
+ * Summarize a captured pitch track into a single f0
+ * @param {Array<number|null>} track - Per-frame f0 values (null = unvoiced)
+ * @returns {{ f0: number|null, voicedFrames: number, totalFrames: number, voicedRatio: number, track: Array }}
+ */
+export function summarizePitchTrack(track) {
+  const corrected = correctOctaveErrors(track);
+  const voiced = corrected.filter(Boolean);
+
+  return {
+    f0: median(voiced),
+    voicedFrames: voiced.length,
+    totalFrames: track.length,
+    voicedRatio: track.length ? voiced.length / track.length : 0,
+    track: corrected
+  };
+}
+
+/**
+ * Summarize a glide (a slow slide down or up through the range) into the
+ * lowest and highest pitches the voice held
+ * Octave correction would fold a real glide back on itself, so instead a
+ * frame must sit within maxJumpCents of a neighbouring frame to count, and
+ * the extremes are percentiles so a stray frame at either end is ignored.
+ * @param {Array<number|null>} track - Per-frame f0 values (null = unvoiced)
+ * @param {object} options
+ * @param {number} options.edge - Share of frames ignored at each end
+ * @param {number} options.maxJumpCents - Largest step between neighbouring frames
+ * @returns {{ low: number|null, high: number|null, voicedFrames: number, totalFrames: number, voicedRatio: number, track: Array }}
+ */
+export function summarizeGlide(track, { edge = 0.05, maxJumpCents = 150 } = {}) {
+  const near = (f0, other) => Boolean(other) && Math.abs(1200 * Math.log2(f0 / other)) <= maxJumpCents;
+  const steady = track.map((f0, i) => (
+    f0 && (near(f0, track[i - 1]) || near(f0, track[i + 1])) ? f0 : null
+  ));
+  const voiced = steady.filter(Boolean);
+
+  return {
+    low: percentile(voiced, edge),
+    high: percentile(voiced, 1 - edge),
+    voicedFrames: voiced.length,
+    totalFrames: track.length,
+    voicedRatio: track.length ? voiced.length / track.length : 0,
+    track: steady
+  };
+}
+
+export default detectPitch;
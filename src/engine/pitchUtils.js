@@ -1,64 +1,67 @@
 /**
  * Pitch Utilities
  * Core functions for Hz ↔ MIDI ↔ Note Name conversions
- * Supports configurable reference tuning (A=440, 432, etc.)
+ *
+ * Note names depend on the reference pitch (A=440, 432, etc.), which is
+ * passed in as `a4`; functions default to the modern standard.
  */
 
 import { TUNING_STANDARDS } from './tuning';
 
-// Default reference pitch
-let currentTuning = 'A440';
-let A4_FREQ = 440;
+export const DEFAULT_A4 = 440;
 const A4_MIDI = 69;
 const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
 
-/**
- * Set the reference tuning
- * @param {string} tuningId - One of: 'A440', 'A432', 'A415', etc.
- */
-export function setTuning(tuningId) {
-  if (TUNING_STANDARDS[tuningId]) {
-    currentTuning = tuningId;
-    A4_FREQ = TUNING_STANDARDS[tuningId].a4;
+// Custom references we accept (Hz): a little below Baroque to above High Baroque
+export const CUSTOM_A4_RANGE = { min: 400, max: 480 };
+
+/**
+ * Resolve a reference pitch
+ * A number that matches a standard resolves to that standard.
+ * @param {string|number} reference - Key of TUNING_STANDARDS, or A4 in Hz
+ * @returns {{id: string, a4: number, name: string, description: string, custom: boolean}}
+ * @throws {Error} For an unknown standard or an A4 outside CUSTOM_A4_RANGE
+ */
+export function getReferencePitch(reference = 'A440') {
+  if (typeof reference === 'number') {
+    const standard = Object.keys(TUNING_STANDARDS).find(id => TUNING_STANDARDS[id].a4 === reference);
+    if (standard) return getReferencePitch(standard);
+
+    if (!(reference >= CUSTOM_A4_RANGE.min && reference <= CUSTOM_A4_RANGE.max)) {
+      throw new Error(`A4 must be between ${CUSTOM_A4_RANGE.min} and ${CUSTOM_A4_RANGE.max} Hz`);
+    }
+    return {
+      id: 'custom',
+      a4: reference,
+      name: `Custom (A=${reference})`,
+      description: 'Your own reference pitch',
+      custom: true
+    };
   }
-}
-
-/**
- * Get current tuning info
- */
-export function getTuning() {
-  return {
-    id: currentTuning,
-    ...TUNING_STANDARDS[currentTuning]
-  };
-}
 
-/**
- * Get A4 frequency for a specific tuning
- */
-export function getA4(tuningId = null) {
-  if (tuningId && TUNING_STANDARDS[tuningId]) {
-    return TUNING_STANDARDS[tuningId].a4;
+  const standard = TUNING_STANDARDS[reference];
+  if (!standard) {
+    throw new Error(`Unknown reference pitch "${reference}"`);
   }
-  return A4_FREQ;
+  return { id: reference, a4: standard.a4, name: standard.name, description: standard.description, custom: false };
 }
 
 /**
  * Convert frequency to MIDI note number (continuous, not rounded)
- * A4 = MIDI 69 at the current reference pitch
+ * A4 = MIDI 69 at the reference pitch
  * @param {number} freq - Frequency in Hz
- * @param {number} a4 - Optional override for A4 reference
+ * @param {number} a4 - Reference pitch for A4
  */
-export function freqToMidi(freq, a4 = A4_FREQ) {
+export function freqToMidi(freq, a4 = DEFAULT_A4) {
   return A4_MIDI + 12 * Math.log2(freq / a4);
 }
 
 /**
  * Convert MIDI note number to frequency
  * @param {number} midi - MIDI note number
- * @param {number} a4 - Optional override for A4 reference
+ * @param {number} a4 - Reference pitch for A4
  */
-export function midiToFreq(midi, a4 = A4_FREQ) {
+export function midiToFreq(midi, a4 = DEFAULT_A4) {
   return a4 * Math.pow(2, (midi - A4_MIDI) / 12);
 }
 
@@ -66,9 +69,9 @@ export function midiToFreq(midi, a4 = A4_FREQ) {
  * Get note name with octave from frequency
  * e.g., 165 Hz → "E3" (at A=440)
  * @param {number} freq - Frequency in Hz
- * @param {number} a4 - Optional override for A4 reference
+ * @param {number} a4 - Reference pitch for A4
  */
-export function freqToNoteName(freq, a4 = A4_FREQ) {
+export function freqToNoteName(freq, a4 = DEFAULT_A4) {
   const midi = freqToMidi(freq, a4);
   const midiRounded = Math.round(midi);
   const noteIndex = ((midiRounded % 12) + 12) % 12;
@@ -80,19 +83,35 @@ export function freqToNoteName(freq, a4 = A4_FREQ) {
  * Get just the note name without octave
  * e.g., 165 Hz → "E"
  */
-export function freqToNoteNameOnly(freq, a4 = A4_FREQ) {
+export function freqToNoteNameOnly(freq, a4 = DEFAULT_A4) {
   const midi = freqToMidi(freq, a4);
   const midiRounded = Math.round(midi);
   const noteIndex = ((midiRounded % 12) + 12) % 12;
   return NOTE_NAMES[noteIndex];
 }
 
+/**
+ * Parse a note name with octave into a frequency
+ * e.g., "E3" → 164.81 Hz, "Bb2" or "B♭2" → 116.54 Hz (at A=440)
+ * @param {string} name - Note name with octave
+ * @param {number} a4 - Reference pitch for A4
+ * @returns {number|null} null when the name can't be read
+ */
+export function noteNameToFreq(name, a4 = DEFAULT_A4) {
+  const match = /^\s*([A-Ga-g])([#♯b♭]?)(-?\d)\s*$/.exec(name);
+  if (!match) return null;
+
+  const accidental = { '#': 1, '♯': 1, b: -1, '♭': -1 }[match[2]] || 0;
+  const noteIndex = NOTE_NAMES.indexOf(match[1].toUpperCase()) + accidental;
+  return midiToFreq((parseInt(match[3]) + 1) * 12 + noteIndex, a4);
+}
+
 /**
  * Get the nearest standard pitch frequency (equal temperament)
  * @param {number} freq - Input frequency
- * @param {number} a4 - Optional override for A4 reference
+ * @param {number} a4 - Reference pitch for A4
  */
-export function freqToNearestStandard(freq, a4 = A4_FREQ) {
+export function freqToNearestStandard(freq, a4 = DEFAULT_A4) {
   const midi = freqToMidi(freq, a4);
   const midiRounded = Math.round(midi);
   return midiToFreq(midiRounded, a4);
@@ -142,7 +161,7 @@ export function formatHz(hz) {
 /**
  * Get the note name for interval above f0
  */
-export function getNoteAtInterval(f0, ratio, a4 = A4_FREQ) {
+export function getNoteAtInterval(f0, ratio, a4 = DEFAULT_A4) {
   const hz = f0 * ratio;
   return freqToNoteName(hz, a4);
 }
@@ -8,10 +8,21 @@ import {
   freqToNearestStandard,
   centsDifference,
   formatCents,
-  formatHz
+  formatHz,
+  getReferencePitch,
+  DEFAULT_A4
 } from './pitchUtils';
 
-import { JUST_INTONATION, SOLFEGE, DEGREES } from './ratios';
+import { SOLFEGE, DEGREES } from './ratios';
+import {
+  getTuningSystem,
+  getDegreeDecimal,
+  getDegreeCents,
+  formatDegreeRatio,
+  DEFAULT_TUNING_SYSTEM
+} from './tuningSystems';
+
+import { createVocalProfile } from './vocalProfile';
 
 import { analyzePythagorean } from './frameworks/pythagorean';
 import { analyzeVedic } from './frameworks/vedic';
@@ -20,34 +31,65 @@ import { analyzeWestern } from './frameworks/western';
 import { analyzeTibetan } from './frameworks/tibetan';
 import { analyzeNeuroscience } from './frameworks/neuroscience';
 
+// Svara names for the eight degrees of the scale, Sa through Sa'
+const SCALE_SVARAS = Object.keys(DEGREES);
+
+/**
+ * Build one scale entry for a tuning-system degree
+ * Nearest pitch and cents are against 12-TET at the reference a4.
+ */
+function buildScaleEntry(f0, degree, svara, systemId, a4) {
+  const decimal = getDegreeDecimal(degree);
+  const hz = f0 * decimal;
+  const nearestStd = freqToNearestStandard(hz, a4);
+  const cents = centsDifference(hz, nearestStd);
+
+  return {
+    degree: DEGREES[svara],
+    svara,
+    solfege: SOLFEGE[svara],
+    hz: Math.round(hz * 100) / 100,
+    hzFormatted: formatHz(hz),
+    ratio: formatDegreeRatio(degree),
+    ratioDecimal: decimal,
+    centsFromSa: Math.round(getDegreeCents(degree) * 100) / 100,
+    intervalName: degree.name,
+    nearestPitch: freqToNoteName(hz, a4),
+    nearestPitchHz: Math.round(nearestStd * 100) / 100,
+    cents: Math.round(cents),
+    centsFormatted: formatCents(cents),
+    tuningSystem: systemId
+  };
+}
+
 /**
  * Generate the complete personalized scale from f0
+ * @param {number} f0 - The user's Sa
+ * @param {string} systemId - Tuning system from the registry (default 5-limit JI)
+ * @param {number} a4 - Reference pitch for note names
  */
-function generateScale(f0) {
-  const scale = [];
-
-  for (const [svara, data] of Object.entries(JUST_INTONATION)) {
-    const hz = f0 * data.decimal;
-    const nearestStd = freqToNearestStandard(hz);
-    const cents = centsDifference(hz, nearestStd);
-
-    scale.push({
-      degree: DEGREES[svara],
-      svara,
-      solfege: SOLFEGE[svara],
-      hz: Math.round(hz * 100) / 100,
-      hzFormatted: formatHz(hz),
-      ratio: Array.isArray(data.ratio) ? `${data.ratio[0]}:${data.ratio[1]}` : "1:1",
-      ratioDecimal: data.decimal,
-      intervalName: data.name,
-      nearestPitch: freqToNoteName(hz),
-      nearestPitchHz: Math.round(nearestStd * 100) / 100,
-      cents: Math.round(cents),
-      centsFormatted: formatCents(cents)
-    });
-  }
-
-  return scale;
+function generateScale(f0, systemId = DEFAULT_TUNING_SYSTEM, a4 = DEFAULT_A4) {
+  const system = getTuningSystem(systemId);
+
+  return system.majorScale.map((index, i) =>
+    buildScaleEntry(f0, system.degrees[index], SCALE_SVARAS[i], systemId, a4)
+  );
+}
+
+/**
+ * Generate every degree of a tuning system from f0 (chromatic / shruti)
+ * Entries carry the degree's own svara and interval names.
+ */
+function generateFullScale(f0, systemId = DEFAULT_TUNING_SYSTEM, a4 = DEFAULT_A4) {
+  const system = getTuningSystem(systemId);
+
+  return system.degrees.map((degree, index) => ({
+    ...buildScaleEntry(f0, degree, null, systemId, a4),
+    degree: index,
+    svara: degree.svara,
+    solfege: null,
+    short: degree.short
+  }));
 }
 
 /**
@@ -57,46 +99,74 @@ function generateNarrative(input, frameworks) {
   const { f0, nearestPitch, centsFormatted } = input;
   const { vedic, gregorian, western } = frameworks;
 
-  const short = `${western.vocalCategory.category} voice at ${f0} Hz (${nearestPitch}), ${gregorian.mode.name} mode.`;
+  // Best-fit church modes, only when a sung range was measured (ties listed together)
+  const { bestFit } = gregorian.mode;
+  const bestModes = bestFit.length > 1 ? `${bestFit.slice(0, -1).join(', ')} or ${bestFit[bestFit.length - 1]}` : bestFit[0];
+  const modeSentence = !bestFit.length
+    ? 'Measure your sung range to see which of the eight church modes sits best in it.'
+    : bestFit.length > 1
+      ? `Of the eight church modes, ${bestModes} sit equally well in your range with their final on your f0.`
+      : `Of the eight church modes, ${bestModes} sits best in your range with its final on your f0: ${gregorian.mode.character.toLowerCase()}.`;
 
-  const medium = `At ${f0} Hz, your fundamental frequency aligns nearest to ${nearestPitch} (${centsFormatted} from standard). In the Vedic tradition, this is your Sa—your home note—sitting in ${vedic.saptak.name}. The Gregorian monks would have called this ${gregorian.mode.name}: ${gregorian.mode.character.toLowerCase()}. Your natural key is ${western.keySignature.key}.`;
+  const short = `${western.vocalCategory.category} voice at ${f0} Hz (${nearestPitch})${gregorian.mode.fitSummary ? `, ${gregorian.mode.fitSummary}` : ''}.`;
+
+  const medium = `At ${f0} Hz, your fundamental frequency aligns nearest to ${nearestPitch} (${centsFormatted} from ${input.reference === DEFAULT_A4 ? 'standard' : `A=${input.reference}`}). In the Vedic tradition, this is your Sa—your home note—sitting in ${vedic.saptak.name}. ${modeSentence} ${western.keySignature.basis === 'tessitura'
+    ? `The key that sits best in your tessitura is ${western.keySignature.key}.`
+    : `Your natural key is ${western.keySignature.key}.`}`;
 
   return { short, medium };
 }
 
 /**
- * Main prism calculation - takes f0, returns complete analysis
+ * Main prism calculation - takes a voice, returns complete analysis
+ * @param {number|object} voice - Speaking f0 in Hz, or a vocal profile input
+ *   { f0, low, high, source } (see createVocalProfile); a bare f0 gets a
+ *   range estimated from it
+ * @param {object} options
+ * @param {string} options.tuningSystem - Registry id used for the scale
+ * @param {string|number} options.reference - Reference pitch that names
+ *   every note: a TUNING_STANDARDS id or A4 in Hz (see getReferencePitch)
  */
-export function calculatePrism(f0) {
-  // Validate input
-  if (typeof f0 !== 'number' || f0 < 50 || f0 > 1000) {
-    throw new Error('f0 must be a number between 50 and 1000 Hz');
-  }
+export function calculatePrism(voice, options = {}) {
+  const { tuningSystem = DEFAULT_TUNING_SYSTEM, reference = 'A440' } = options;
+  const referencePitch = getReferencePitch(reference);
+  const { a4 } = referencePitch;
+
+  // Validates f0 (50–1000 Hz) and the sung range
+  const profile = createVocalProfile({ ...(typeof voice === 'number' ? { f0: voice } : voice), a4 });
+  const { f0 } = profile;
+  const sungRange = profile.estimated ? null : { low: profile.low.hz, high: profile.high.hz };
 
   // Basic pitch info
-  const nearestPitch = freqToNoteName(f0);
-  const nearestPitchHz = freqToNearestStandard(f0);
+  const nearestPitch = freqToNoteName(f0, a4);
+  const nearestPitchHz = freqToNearestStandard(f0, a4);
   const cents = centsDifference(f0, nearestPitchHz);
 
   const input = {
     f0,
     f0Formatted: formatHz(f0),
+    reference: a4,
     nearestPitch,
     nearestPitchHz: Math.round(nearestPitchHz * 100) / 100,
     cents: Math.round(cents),
     centsFormatted: formatCents(cents)
   };
 
-  // Generate scale
-  const scale = generateScale(f0);
+  // Generate scale in the selected tuning system
+  const system = getTuningSystem(tuningSystem);
+  const scale = generateScale(f0, tuningSystem, a4);
 
   // Calculate all frameworks
   const frameworks = {
-    pythagorean: analyzePythagorean(f0),
-    vedic: analyzeVedic(f0, scale),
-    gregorian: analyzeGregorian(f0, nearestPitch),
-    western: analyzeWestern(f0, nearestPitch),
-    tibetan: analyzeTibetan(f0),
+    pythagorean: analyzePythagorean(f0, { a4 }),
+    vedic: analyzeVedic(f0, scale, {
+      importedDegrees: system.source === 'scala' ? system.degrees : null,
+      profile,
+      a4
+    }),
+    gregorian: analyzeGregorian(f0, { range: sungRange, a4 }),
+    western: analyzeWestern(f0, nearestPitch, { profile, a4 }),
+    tibetan: analyzeTibetan(f0, { a4 }),
     neuroscience: analyzeNeuroscience(f0)
   };
 
@@ -105,6 +175,9 @@ export function calculatePrism(f0) {
 
   return {
     input,
+    profile,
+    reference: referencePitch,
+    tuningSystem: { id: system.id, name: system.name, description: system.description },
     scale,
     frameworks,
     narrative,
@@ -112,5 +185,5 @@ export function calculatePrism(f0) {
   };
 }
 
-export { generateScale };
+export { generateScale, generateFullScale };
 export default calculatePrism;
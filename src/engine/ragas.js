@@ -0,0 +1,334 @@
+/**
+ * Ragas
+ * Raga data model: aroha/avaroha, vadi/samvadi, varjit svaras, pakad and
+ * time of day, played on the 22-shruti scale of the user's Sa
+ *
+ * Phrases are written in sargam (Bhatkhande style):
+ *
+ *   S R G m P D N   shuddha svaras
+ *   r g d n         komal Re, Ga, Dha, Ni
+ *   M               tivra Ma
+ *   .N  N'          lower (mandra) / upper (taar) octave
+ *   ,               a breath between phrases
+ *
+ * Each raga names the shruti it uses for each of its svaras, so the same
+ * written komal Ga can sit on different shrutis (Darbari's is lower than
+ * Kafi's). Varjit svaras are derived from the aroha and avaroha rather than
+ * stored, so they can never disagree with them.
+ */
+
+import { SHRUTIS } from './ratios';
+
+// Svara letter → shruti number, when a raga doesn't say otherwise
+export const SVARA_SHRUTIS = {
+  S: 1, r: 3, R: 5, g: 7, G: 8, m: 10, M: 12, P: 14, d: 16, D: 17, n: 20, N: 21
+};
+
+// The seven svara slots and the letters that can fill them
+const SVARA_SLOTS = [
+  { name: 'Sa', letters: ['S'] },
+  { name: 'Re', letters: ['r', 'R'] },
+  { name: 'Ga', letters: ['g', 'G'] },
+  { name: 'Ma', letters: ['m', 'M'] },
+  { name: 'Pa', letters: ['P'] },
+  { name: 'Dha', letters: ['d', 'D'] },
+  { name: 'Ni', letters: ['n', 'N'] }
+];
+
+const SVARA_NAMES = {
+  S: 'Sa', r: 'Komal Re', R: 'Re', g: 'Komal Ga', G: 'Ga', m: 'Ma', M: 'Tivra Ma',
+  P: 'Pa', d: 'Komal Dha', D: 'Dha', n: 'Komal Ni', N: 'Ni'
+};
+
+// The eight prahars (three-hour watches), from sunrise
+export const TIMES_OF_DAY = [
+  { id: 'dawn', name: 'Dawn', hours: [4, 7], description: 'Sandhi prakash — the meeting of night and day' },
+  { id: 'morning', name: 'Morning', hours: [7, 10], description: 'First prahar of the day' },
+  { id: 'late-morning', name: 'Late morning', hours: [10, 13], description: 'Second prahar of the day' },
+  { id: 'afternoon', name: 'Afternoon', hours: [13, 16], description: 'Third prahar of the day' },
+  { id: 'sunset', name: 'Sunset', hours: [16, 19], description: 'Sandhi prakash — the meeting of day and night' },
+  { id: 'evening', name: 'Evening', hours: [19, 22], description: 'First prahar of the night' },
+  { id: 'night', name: 'Night', hours: [22, 1], description: 'Second prahar of the night' },
+  { id: 'late-night', name: 'Late night', hours: [1, 4], description: 'Third prahar of the night' }
+];
+
+// Bhatkhande's ten thaats (parent scales)
+export const THAATS = {
+  bilawal: { name: 'Bilawal', svaras: 'S R G m P D N', western: 'Ionian (major)' },
+  kalyan: { name: 'Kalyan', svaras: 'S R G M P D N', western: 'Lydian' },
+  khamaj: { name: 'Khamaj', svaras: 'S R G m P D n', western: 'Mixolydian' },
+  bhairav: { name: 'Bhairav', svaras: 'S r G m P d N', western: 'Double harmonic' },
+  poorvi: { name: 'Poorvi', svaras: 'S r G M P d N', western: 'No Western equivalent' },
+  marwa: { name: 'Marwa', svaras: 'S r G M P D N', western: 'No Western equivalent' },
+  kafi: { name: 'Kafi', svaras: 'S R g m P D n', western: 'Dorian' },
+  asavari: { name: 'Asavari', svaras: 'S R g m P d n', western: 'Aeolian (natural minor)' },
+  bhairavi: { name: 'Bhairavi', svaras: 'S r g m P d n', western: 'Phrygian' },
+  todi: { name: 'Todi', svaras: 'S r g M P d N', western: 'No Western equivalent' }
+};
+
+/**
+ * Raga definitions. `shrutis` overrides SVARA_SHRUTIS for this raga only.
+ * The first ten are the ashraya (namesake) ragas of the ten thaats.
+ */
+export const RAGA_DEFINITIONS = {
+  bilawal: {
+    name: 'Bilawal', thaat: 'bilawal', time: 'late-morning',
+    aroha: "S R G m P D N S'", avaroha: "S' N D P m G R S",
+    vadi: 'D', samvadi: 'G',
+    pakad: "G R G P, D N S'",
+    description: 'The major scale of Hindustani music, bright and open'
+  },
+  yaman: {
+    name: 'Yaman', thaat: 'kalyan', time: 'evening',
+    aroha: ".N R G M D N S'", avaroha: "S' N D P M G R S",
+    vadi: 'G', samvadi: 'N',
+    pakad: '.N R G R, .N R S, P M G R S',
+    description: 'Evening raga with tivra Ma; Pa is skipped going up'
+  },
+  khamaj: {
+    name: 'Khamaj', thaat: 'khamaj', time: 'night',
+    aroha: "S G m P D N S'", avaroha: "S' n D P m G R S",
+    vadi: 'G', samvadi: 'N',
+    pakad: 'n D m P D, m G',
+    description: 'Light, romantic; shuddha Ni going up, komal Ni coming down'
+  },
+  bhairav: {
+    name: 'Bhairav', thaat: 'bhairav', time: 'dawn',
+    aroha: "S r G m P d N S'", avaroha: "S' N d P m G r S",
+    vadi: 'd', samvadi: 'r',
+    pakad: 'S G m P d P, G m r S',
+    description: 'Dawn raga with komal Re and Dha, solemn and devotional'
+  },
+  poorvi: {
+    name: 'Poorvi', thaat: 'poorvi', time: 'sunset',
+    aroha: ".N r G M P d N S'", avaroha: "S' N d P M G r S",
+    vadi: 'G', samvadi: 'N',
+    pakad: '.N S r G, M G, r G r S',
+    description: 'Sunset raga, komal Re and Dha with tivra Ma'
+  },
+  marwa: {
+    name: 'Marwa', thaat: 'marwa', time: 'sunset',
+    aroha: ".N r G M D N D S'", avaroha: "S' N D M G r S",
+    vadi: 'r', samvadi: 'D',
+    pakad: 'D M G r, G M G r S',
+    description: 'Restless sunset raga without Pa; Sa is rarely rested on'
+  },
+  kafi: {
+    name: 'Kafi', thaat: 'kafi', time: 'night',
+    aroha: "S R g m P D n S'", avaroha: "S' n D P m g R S",
+    vadi: 'P', samvadi: 'S',
+    pakad: 'S R g R, m P, m g R S',
+    description: 'Dorian colour, folk-like and playful'
+  },
+  asavari: {
+    name: 'Asavari', thaat: 'asavari', time: 'late-morning',
+    aroha: "S R m P d S'", avaroha: "S' n d P m g R S",
+    vadi: 'd', samvadi: 'g',
+    pakad: 'R m P, n d P, m P g R S',
+    description: 'Ga and Ni are skipped going up; pensive late-morning raga'
+  },
+  bhairavi: {
+    name: 'Bhairavi', thaat: 'bhairavi', time: 'morning',
+    aroha: "S r g m P d n S'", avaroha: "S' n d P m g r S",
+    vadi: 'm', samvadi: 'S',
+    pakad: 'm g r g, S r S, .d .n S',
+    description: 'All komal svaras; traditionally closes a concert'
+  },
+  todi: {
+    name: 'Todi', thaat: 'todi', time: 'late-morning',
+    aroha: "S r g M P d N S'", avaroha: "S' N d P M g r S",
+    vadi: 'd', samvadi: 'g',
+    pakad: '.d .N S r g r S, M g r g r S',
+    description: 'Komal Re, Ga and Dha with tivra Ma; intense and yearning'
+  },
+  bhupali: {
+    name: 'Bhupali', thaat: 'kalyan', time: 'evening',
+    aroha: "S R G P D S'", avaroha: "S' D P G R S",
+    vadi: 'G', samvadi: 'D',
+    pakad: 'G R S .D, S R G, P G, D P G R S',
+    description: 'Major pentatonic, serene evening raga'
+  },
+  durga: {
+    name: 'Durga', thaat: 'bilawal', time: 'night',
+    aroha: "S R m P D S'", avaroha: "S' D P m R S",
+    vadi: 'm', samvadi: 'S',
+    pakad: 'm P D, m R, .D S',
+    description: 'Pentatonic without Ga and Ni'
+  },
+  hamsadhwani: {
+    name: 'Hamsadhwani', thaat: 'bilawal', time: 'evening',
+    aroha: "S R G P N S'", avaroha: "S' N P G R S",
+    vadi: 'S', samvadi: 'P',
+    pakad: "P N S' N P G R S",
+    description: 'Auspicious pentatonic borrowed from Carnatic music'
+  },
+  desh: {
+    name: 'Desh', thaat: 'khamaj', time: 'night',
+    aroha: "S R m P N S'", avaroha: "S' n D P m G R G .N S",
+    vadi: 'R', samvadi: 'P',
+    pakad: "R m P N S', n D P, D m G R",
+    description: 'Monsoon raga; Ga and Dha only on the way down'
+  },
+  bhimpalasi: {
+    name: 'Bhimpalasi', thaat: 'kafi', time: 'afternoon',
+    aroha: ".n S g m P n S'", avaroha: "S' n D P m g R S",
+    vadi: 'm', samvadi: 'S',
+    pakad: '.n S m, m g P m, g m g R S',
+    description: 'Afternoon raga; Re and Dha only on the way down'
+  },
+  bageshri: {
+    name: 'Bageshri', thaat: 'kafi', time: 'night',
+    aroha: "S g m D n S'", avaroha: "S' n D m P D m g R S",
+    vadi: 'm', samvadi: 'S',
+    pakad: 'S .n .D S, m D n D, m g R S',
+    description: 'Late-night longing; Pa touched only in the vakra descent'
+  },
+  malkauns: {
+    name: 'Malkauns', thaat: 'bhairavi', time: 'late-night',
+    aroha: "S g m d n S'", avaroha: "S' n d m g S",
+    vadi: 'm', samvadi: 'S',
+    pakad: 'm g m d n d m, g m g S',
+    description: 'Deep pentatonic without Re or Pa'
+  },
+  darbari: {
+    name: 'Darbari Kanada', thaat: 'asavari', time: 'night',
+    aroha: ".n S R g R S m P d n S'", avaroha: "S' d n P m P g m R S",
+    vadi: 'R', samvadi: 'P',
+    pakad: 'g m R S, .d .n .P, .m .P .n S R S',
+    // Ati-komal (extra-flat) Ga and Dha
+    shrutis: { g: 6, d: 15 },
+    description: 'Grave midnight raga with andolit (oscillating) ati-komal Ga and Dha'
+  },
+  puriyaDhanashri: {
+    name: 'Puriya Dhanashri', thaat: 'poorvi', time: 'sunset',
+    aroha: ".N r G M d P, M d N S'", avaroha: "S' N d P M G M r G r S",
+    vadi: 'P', samvadi: 'r',
+    pakad: '.N r G, M P, d P, M G M r G r S',
+    description: 'Sunset raga of the Poorvi family, vakra in both directions'
+  }
+};
+
+/**
+ * Parse a phrase in sargam
+ * @param {string} text - e.g. ".N R G M D N S'"
+ * @param {object} shrutiMap - Svara letter → shruti number
+ * @returns {Array<{svara: string, shruti: number, octave: number, label: string, breath: boolean}>}
+ *   octave is -1 (mandra), 0 (madhya) or 1 (taar); breath marks a note
+ *   that ends a phrase
+ */
+export function parsePhrase(text, shrutiMap = SVARA_SHRUTIS) {
+  const notes = [];
+  const tokens = text.match(/,|\.?[SrRgGmMPdDnN]'?/g) || [];
+
+  tokens.forEach(token => {
+    if (token === ',') {
+      if (notes.length) notes[notes.length - 1].breath = true;
+      return;
+    }
+    const octave = token.startsWith('.') ? -1 : token.endsWith("'") ? 1 : 0;
+    const svara = token.replace(/[.']/g, '');
+    notes.push({
+      svara,
+      shruti: shrutiMap[svara] ?? SVARA_SHRUTIS[svara],
+      octave,
+      label: token,
+      breath: false
+    });
+  });
+
+  return notes;
+}
+
+/**
+ * Whether a phrase leaves the scale order anywhere (vakra)
+ */
+function isVakra(notes, direction) {
+  const position = (n) => n.octave * 1200 + SHRUTIS[n.shruti - 1].cents;
+  return notes.some((n, i) => i > 0 && Math.sign(position(n) - position(notes[i - 1])) === -direction);
+}
+
+/**
+ * Svara slots missing from a list of letters
+ */
+function missingSlots(letters) {
+  return SVARA_SLOTS
+    .filter(slot => !slot.letters.some(l => letters.includes(l)))
+    .map(slot => slot.name);
+}
+
+/**
+ * Full raga model from a definition
+ * @param {string} id - Key of RAGA_DEFINITIONS
+ * @returns {object|null} Definition plus parsed aroha/avaroha/pakad, varjit
+ *   (per direction), vakra flags, the shruti set, vadi/samvadi names,
+ *   time of day and the tanpura's first string
+ */
+export function getRaga(id) {
+  const def = RAGA_DEFINITIONS[id];
+  if (!def) return null;
+
+  const shrutiMap = { ...SVARA_SHRUTIS, ...def.shrutis };
+  const aroha = parsePhrase(def.aroha, shrutiMap);
+  const avaroha = parsePhrase(def.avaroha, shrutiMap);
+  const pakad = parsePhrase(def.pakad, shrutiMap);
+
+  const arohaLetters = aroha.map(n => n.svara);
+  const avarohaLetters = avaroha.map(n => n.svara);
+  const letters = [...new Set([...arohaLetters, ...avarohaLetters, ...pakad.map(n => n.svara)])];
+  const shrutis = [...new Set(letters.map(l => shrutiMap[l]))].sort((a, b) => a - b);
+
+  // Pa if the raga has it, else Ma, else Ni (as in Marwa)
+  const tanpuraString = letters.includes('P') ? 'P' : letters.includes('m') ? 'm' : 'N';
+
+  return {
+    id,
+    ...def,
+    thaat: THAATS[def.thaat],
+    time: TIMES_OF_DAY.find(t => t.id === def.time),
+    vadi: { svara: def.vadi, name: SVARA_NAMES[def.vadi], shruti: shrutiMap[def.vadi] },
+    samvadi: { svara: def.samvadi, name: SVARA_NAMES[def.samvadi], shruti: shrutiMap[def.samvadi] },
+    aroha,
+    avaroha,
+    pakad,
+    varjit: {
+      aroha: missingSlots(arohaLetters),
+      avaroha: missingSlots(avarohaLetters)
+    },
+    vakra: {
+      aroha: isVakra(aroha, 1),
+      avaroha: isVakra(avaroha, -1)
+    },
+    // Shruti numbers in use, with Sa' for the octave
+    shrutis: [...shrutis, SHRUTIS.length],
+    tanpuraString
+  };
+}
+
+/**
+ * Every raga, as full models keyed by id
+ */
+export function listRagas() {
+  return Object.fromEntries(Object.keys(RAGA_DEFINITIONS).map(id => [id, getRaga(id)]));
+}
+
+/**
+ * Ragas whose prahar contains an hour of the day (0–23)
+ */
+export function ragasForHour(hour) {
+  const time = TIMES_OF_DAY.find(({ hours: [from, to] }) => (
+    from < to ? hour >= from && hour < to : hour >= from || hour < to
+  ));
+  return Object.keys(RAGA_DEFINITIONS).filter(id => RAGA_DEFINITIONS[id].time === time?.id);
+}
+
+/**
+ * Frequency of a parsed note on a shruti scale
+ * @param {object} note - From parsePhrase
+ * @param {Array} scale - Shruti scale with { shruti, hz } (from analyzeVedic)
+ */
+export function noteToHz(note, scale) {
+  const shruti = scale.find(s => s.shruti === note.shruti);
+  return shruti ? shruti.hz * Math.pow(2, note.octave) : null;
+}
+
+export default listRagas;
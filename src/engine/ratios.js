@@ -74,16 +74,62 @@ export const KEY_SIGNATURES = {
   'Gb': { sharps: 0, flats: 6, signature: '6 flats', character: 'Mellow, mysterious' }
 };
 
-// Gregorian modes
-export const MODES = {
-  'C': { mode: 'Ionian (Major)', character: 'Simple, direct', affect: 'Clarity, innocence', use: 'Straightforward texts' },
-  'D': { mode: 'Dorian', character: 'Serious, balanced', affect: 'Can express any emotion', use: 'Versatile, commonly used' },
-  'E': { mode: 'Phrygian', character: 'Mystic, introspective', affect: 'Incites to tears, penitential', use: 'Lenten, penitential chants' },
-  'F': { mode: 'Lydian', character: 'Bright, joyful', affect: 'Happiness, modesty', use: 'Celebratory, gentle' },
-  'G': { mode: 'Mixolydian', character: 'Uniting, moderate', affect: 'Brings extremes together', use: 'Balanced expression' },
-  'A': { mode: 'Aeolian (Natural Minor)', character: 'Melancholic, serious', affect: 'Sadness, contemplation', use: 'Somber texts' },
-  'B': { mode: 'Locrian (Theoretical)', character: 'Unstable, tense', affect: 'Rarely used due to diminished fifth', use: 'Theoretical only' }
-};
+// The eight church modes, in Guido's gamut (Γ A B C D E F G a b c d e f g aa;
+// lowercase is the octave above). Psalm tones mark accented notes with '.
+// Characters follow the medieval verse "Omnibus est primus, sed et alter
+// tristibus aptus, tertius iratus, quartus dicitur fieri blandus, quintum
+// da laetis, sextum pietate probatis, septimus est iuvenum, sed postremus
+// sapientum".
+export const CHURCH_MODES = [
+  {
+    number: 1, id: 'dorian', name: 'Dorian', maneria: 'Protus', type: 'authentic',
+    final: 'D', tenor: 'a', ambitus: ['D', 'd'],
+    character: 'Serious, balanced', affect: 'Fit for every feeling', use: 'The most common mode of chant',
+    psalmTone: { intonation: ['F', 'G', 'a'], mediant: ["b♭'", 'a', 'G', 'a'], termination: ['G', 'F', "G'", 'E', 'D'] }
+  },
+  {
+    number: 2, id: 'hypodorian', name: 'Hypodorian', maneria: 'Protus', type: 'plagal',
+    final: 'D', tenor: 'F', ambitus: ['A', 'a'],
+    character: 'Sad, sombre', affect: 'Apt for sorrow', use: 'Laments and penitential texts',
+    psalmTone: { intonation: ['C', 'D', 'F'], mediant: ["G'", 'F'], termination: ["E'", 'C', 'D'] }
+  },
+  {
+    number: 3, id: 'phrygian', name: 'Phrygian', maneria: 'Deuterus', type: 'authentic',
+    final: 'E', tenor: 'c', ambitus: ['E', 'e'],
+    character: 'Mystic, vehement', affect: 'Stirring, even angry', use: 'Fervent, dramatic texts',
+    psalmTone: { intonation: ['G', 'a', 'c'], mediant: ["d'", 'c', 'b', 'c'], termination: ["d'", 'c', 'b', 'a'] }
+  },
+  {
+    number: 4, id: 'hypophrygian', name: 'Hypophrygian', maneria: 'Deuterus', type: 'plagal',
+    final: 'E', tenor: 'a', ambitus: ['B', 'b'],
+    character: 'Harmonious, tender', affect: 'Gentle, coaxing', use: 'Intimate, intercessory texts',
+    psalmTone: { intonation: ['a', 'G', 'a'], mediant: ['G', 'a', "b'", 'a'], termination: ['G', "a'", 'G', 'E'] }
+  },
+  {
+    number: 5, id: 'lydian', name: 'Lydian', maneria: 'Tritus', type: 'authentic',
+    final: 'F', tenor: 'c', ambitus: ['F', 'f'],
+    character: 'Bright, joyful', affect: 'Given to the glad', use: 'Celebratory chants',
+    psalmTone: { intonation: ['F', 'a'], mediant: ["d'", 'c'], termination: ["d'", 'b', 'c', 'a'] }
+  },
+  {
+    number: 6, id: 'hypolydian', name: 'Hypolydian', maneria: 'Tritus', type: 'plagal',
+    final: 'F', tenor: 'a', ambitus: ['C', 'c'],
+    character: 'Devout, pious', affect: 'Proven by devotion', use: 'Devotional, tender texts',
+    psalmTone: { intonation: ['F', 'G', 'a'], mediant: ["G'", 'a'], termination: ['G', 'F', "G'", 'F'] }
+  },
+  {
+    number: 7, id: 'mixolydian', name: 'Mixolydian', maneria: 'Tetrardus', type: 'authentic',
+    final: 'G', tenor: 'd', ambitus: ['G', 'g'],
+    character: 'Angelic, exuberant', affect: 'The mode of the young', use: 'Jubilant, festal texts',
+    psalmTone: { intonation: ['c', 'b', 'c'], mediant: ["f'", 'e', 'd', 'e'], termination: ["f'", 'e', 'd', 'c'] }
+  },
+  {
+    number: 8, id: 'hypomixolydian', name: 'Hypomixolydian', maneria: 'Tetrardus', type: 'plagal',
+    final: 'G', tenor: 'c', ambitus: ['D', 'd'],
+    character: 'Perfect, settled', affect: 'The mode of the wise', use: 'Contemplative texts',
+    psalmTone: { intonation: ['G', 'a'], mediant: ["d'", 'c'], termination: ['b', 'c', "a'", 'G'] }
+  }
+];
 
 // Chakra associations
 export const CHAKRAS = [
@@ -107,6 +153,18 @@ export const VOCAL_CATEGORIES = [
   { min: 280, max: 400, category: 'High Soprano', range: '280-400 Hz (C#4-G4)', rangeNote: 'C#4-G4', description: 'Highest female speaking voice' }
 ];
 
+// Singing voice types by comfortable sung range (choral ranges, not the
+// extremes), with the passaggi usually taught for each: primo where chest
+// voice begins to hand over, secondo where the upper register takes over
+export const VOICE_TYPES = [
+  { type: 'Bass', low: 'E2', high: 'E4', primo: 'G#3', secondo: 'C#4', description: 'Lowest singing voice, dark and resonant' },
+  { type: 'Baritone', low: 'A2', high: 'F4', primo: 'B3', secondo: 'E4', description: 'Most common male singing voice' },
+  { type: 'Tenor', low: 'C3', high: 'A4', primo: 'D4', secondo: 'G4', description: 'Highest common male singing voice' },
+  { type: 'Contralto', low: 'F3', high: 'D5', primo: 'G4', secondo: 'D5', description: 'Lowest female singing voice, rich chest register' },
+  { type: 'Mezzo-soprano', low: 'A3', high: 'F5', primo: 'E4', secondo: 'E5', description: 'Middle female singing voice' },
+  { type: 'Soprano', low: 'C4', high: 'A5', primo: 'D#4', secondo: 'F#5', description: 'Highest common singing voice' }
+];
+
 // Saptak (octave positions in Indian classical)
 // Based on C as the reference, but applied relative to any Sa
 export const SAPTAKS = [
@@ -159,15 +217,6 @@ export const SHRUTIS = [
   { shruti: 23, ratio: [2, 1],      decimal: 2.0,       svara: "Sa'",        name: "Octave", cents: 1200 }
 ];
 
-// Common raga patterns using shruti positions
-export const RAGA_SHRUTIS = {
-  bilawal: { name: "Bilawal", shrutis: [1, 5, 8, 10, 14, 17, 21, 23], description: "Major scale equivalent" },
-  kafi: { name: "Kafi", shrutis: [1, 5, 7, 10, 14, 17, 20, 23], description: "Dorian-like scale" },
-  bhairav: { name: "Bhairav", shrutis: [1, 3, 8, 10, 14, 16, 21, 23], description: "Morning raga with flat 2nd and 6th" },
-  yaman: { name: "Yaman", shrutis: [1, 5, 8, 12, 14, 17, 21, 23], description: "Evening raga with sharp 4th" },
-  todi: { name: "Todi", shrutis: [1, 3, 7, 12, 14, 16, 21, 23], description: "Complex raga with multiple komal notes" }
-};
-
 // Brainwave states
 export const BRAINWAVE_STATES = {
   delta: { range: [0.5, 4], state: 'Delta (δ)', description: 'Deep rest, restoration, unconscious processing', color: '#2D3A4A' },
@@ -0,0 +1,297 @@
+/**
+ * Roman Numeral Chords
+ * Parser for chord symbols like "ii7", "V65", "bVImaj7", "V7/ii", "IV/5"
+ *
+ *   [accidentals] numeral [quality] [extension] [modifiers] [figures] [/target…] [/bass]
+ *
+ *   accidentals  b ♭ # ♯            — shift the root (bVI, #iv)
+ *   numeral      I–VII / i–vii       — upper case major, lower case minor
+ *   quality      ° o dim, ø, + aug   — diminished, half-diminished (implies 7), augmented
+ *   extension    7 9 11 13, maj7 M7 Δ maj9 M9 maj13, 5 (power chord)
+ *   modifiers    sus sus2 sus4, add2 add6 add9 add11, b5 #5 b9 #9 #11 b13
+ *   figures      6 64 (triad inversions), 65 43 42 2 (seventh-chord inversions)
+ *   /numeral     secondary function, relative to that numeral (V/V, vii°/ii, V7/V/V)
+ *   /degree      slash bass as a scale degree of the key (I/3, IV/5, bVII/b3)
+ *
+ * Intervals are 12-TET semitones (root offset from the tonic, chord tones
+ * above the root); the looper's chord tuning turns them into ratios.
+ * A progression is a list of symbols separated by spaces, commas, bars or
+ * dashes; "V7:2" holds that chord for 2 beats.
+ */
+
+// Semitones of each numeral above the tonic (major scale)
+const NUMERAL_DEGREES = { I: 0, II: 2, III: 4, IV: 5, V: 7, VI: 9, VII: 11 };
+
+// Semitones of slash-bass scale degrees 1–7 (major scale)
+const BASS_DEGREES = [0, 2, 4, 5, 7, 9, 11];
+
+const TRIADS = {
+  major: [0, 4, 7],
+  minor: [0, 3, 7],
+  diminished: [0, 3, 6],
+  'half-diminished': [0, 3, 6],
+  augmented: [0, 4, 8]
+};
+
+// Ordered so longer tokens win ("maj13" before "maj", "64" before "6")
+const NUMERAL_PATTERN = /^(VII|VI|V|IV|III|II|I|vii|vi|v|iv|iii|ii|i)/;
+const QUALITY_PATTERN = /^(°|o|dim|ø|\+|aug)/;
+const EXTENSION_PATTERN = /^(maj13|maj9|maj7|M13|M9|M7|Δ7|Δ|13|11|9|7|5)/;
+const MODIFIER_PATTERN = /^(sus4|sus2|sus|add11|add9|add6|add2|b13|#11|#9|b9|#5|b5)/;
+const FIGURE_PATTERN = /^(64|65|43|42|6|2)/;
+const BASS_PATTERN = /^([b♭#♯]?)([1-7])$/;
+
+const QUALITY_NAMES = { '°': 'diminished', o: 'diminished', dim: 'diminished', 'ø': 'half-diminished', '+': 'augmented', aug: 'augmented' };
+const FIGURE_INVERSIONS = { 6: 1, 64: 2, 65: 1, 43: 2, 42: 3, 2: 3 };
+
+/**
+ * Parse error naming the chord it refers to
+ */
+export class RomanNumeralError extends Error {
+  constructor(message, { symbol, index } = {}) {
+    const where = index !== undefined ? `Chord ${index + 1} "${symbol}": ` : symbol ? `"${symbol}": ` : '';
+    super(`${where}${message}`);
+    this.name = 'RomanNumeralError';
+    this.symbol = symbol;
+    this.index = index;
+  }
+}
+
+const mod12 = (n) => ((n % 12) + 12) % 12;
+
+function accidentalOffset(text) {
+  let offset = 0;
+  for (const ch of text) offset += (ch === '#' || ch === '♯') ? 1 : -1;
+  return offset;
+}
+
+/**
+ * Accidentals + numeral at the start of `text`
+ * @returns {object|null} { root, isUpper, length }
+ */
+function readNumeral(text) {
+  const accidentals = text.match(/^[b♭#♯]*/)[0];
+  const numeral = text.slice(accidentals.length).match(NUMERAL_PATTERN);
+  if (!numeral) return null;
+  return {
+    root: mod12(NUMERAL_DEGREES[numeral[1].toUpperCase()] + accidentalOffset(accidentals)),
+    isUpper: numeral[1] === numeral[1].toUpperCase(),
+    length: accidentals.length + numeral[1].length
+  };
+}
+
+/**
+ * Parse one chord symbol
+ * @param {string} symbol
+ * @returns {object} { symbol, semitones, intervals, bass, quality, inversion, secondary }
+ *   semitones — root above the tonic (0–11)
+ *   intervals — chord tones above the root, lowest (the bass) first; a slash
+ *               bass outside the chord appears as a negative interval
+ *   bass      — bass pitch class above the tonic
+ */
+export function parseChordSymbol(symbol) {
+  const text = symbol.trim();
+  if (!text) throw new RomanNumeralError('Empty chord symbol', { symbol });
+
+  const [head, ...slashes] = text.split('/');
+
+  const numeral = readNumeral(head);
+  if (!numeral) {
+    throw new RomanNumeralError(`Expected a Roman numeral (I–VII or i–vii), found "${head || '/'}"`, { symbol });
+  }
+
+  let rest = head.slice(numeral.length);
+  const take = (pattern) => {
+    const match = rest.match(pattern);
+    if (!match) return null;
+    rest = rest.slice(match[1].length);
+    return match[1];
+  };
+
+  const qualityToken = take(QUALITY_PATTERN);
+  const extension = take(EXTENSION_PATTERN);
+  const modifiers = [];
+  let modifier;
+  while ((modifier = take(MODIFIER_PATTERN))) modifiers.push(modifier);
+  const figure = take(FIGURE_PATTERN);
+
+  if (rest) {
+    throw new RomanNumeralError(`Unknown "${rest}" after "${head.slice(0, head.length - rest.length)}"`, { symbol });
+  }
+
+  // Quality and triad
+  const quality = qualityToken ? QUALITY_NAMES[qualityToken] : (numeral.isUpper ? 'major' : 'minor');
+  let tones = [...TRIADS[quality]];
+
+  // Seventh implied by the quality or the figures
+  const defaultSeventh = quality === 'diminished' ? 9 : 10;
+  const needsSeventh = quality === 'half-diminished' || ['65', '43', '42', '2'].includes(figure);
+
+  switch (extension) {
+    case '5':
+      tones = [0, 7];
+      break;
+    case '7':
+      tones.push(defaultSeventh);
+      break;
+    case 'maj7': case 'M7': case 'Δ': case 'Δ7':
+      tones.push(11);
+      break;
+    case '9':
+      tones.push(defaultSeventh, 14);
+      break;
+    case 'maj9': case 'M9':
+      tones.push(11, 14);
+      break;
+    case '11':
+      tones.push(defaultSeventh, 14, 17);
+      break;
+    case '13':
+      tones.push(defaultSeventh, 14, 21);
+      break;
+    case 'maj13': case 'M13':
+      tones.push(11, 14, 21);
+      break;
+    default:
+      if (needsSeventh) tones.push(defaultSeventh);
+  }
+
+  const replace = (from, to) => {
+    tones = tones.map(t => (from.includes(t) ? to : t));
+  };
+  const add = (t) => {
+    if (!tones.includes(t)) tones.push(t);
+  };
+
+  modifiers.forEach(m => {
+    switch (m) {
+      case 'sus': case 'sus4': replace([3, 4], 5); break;
+      case 'sus2': replace([3, 4], 2); break;
+      case 'add2': add(2); break;
+      case 'add6': add(9); break;
+      case 'add9': add(14); break;
+      case 'add11': add(17); break;
+      case 'b5': replace([7], 6); break;
+      case '#5': replace([7], 8); break;
+      case 'b9': tones = tones.filter(t => t !== 14); add(13); break;
+      case '#9': tones = tones.filter(t => t !== 14); add(15); break;
+      case '#11': tones = tones.filter(t => t !== 17); add(18); break;
+      case 'b13': tones = tones.filter(t => t !== 21); add(20); break;
+      default: break;
+    }
+  });
+
+  tones = [...new Set(tones)].sort((a, b) => a - b);
+
+  // Secondary targets (right to left: V/V/V is V of (V of V)) and slash bass
+  let offset = 0;
+  let bassDegree = null;
+  const targets = [...slashes];
+
+  const last = targets[targets.length - 1];
+  if (last !== undefined && BASS_PATTERN.test(last)) {
+    const [, accidental, degree] = last.match(BASS_PATTERN);
+    bassDegree = mod12(BASS_DEGREES[Number(degree) - 1] + accidentalOffset(accidental));
+    targets.pop();
+  }
+
+  for (let i = targets.length - 1; i >= 0; i--) {
+    const target = targets[i];
+    const parsed = target ? readNumeral(target) : null;
+    if (!parsed) {
+      throw new RomanNumeralError(
+        `"/${target}" is neither a Roman numeral (secondary function) nor a bass degree 1–7`,
+        { symbol }
+      );
+    }
+    // Quality marks on a target (V/ii°) don't change its root
+    if (target.slice(parsed.length) && !/^(°|o|dim|ø|\+|aug)?$/.test(target.slice(parsed.length))) {
+      throw new RomanNumeralError(`Unknown "${target.slice(parsed.length)}" in target "/${target}"`, { symbol });
+    }
+    offset = mod12(offset + parsed.root);
+  }
+
+  const root = mod12(offset + numeral.root);
+
+  // Inversion from figures, or from a slash bass that is a chord tone
+  let inversion = figure ? FIGURE_INVERSIONS[figure] : 0;
+  let intervals = tones;
+  let bass = root;
+
+  if (bassDegree !== null) {
+    const bassInterval = mod12(bassDegree - root);
+    const index = tones.findIndex(t => mod12(t) === bassInterval);
+    if (index >= 0) {
+      inversion = index;
+    } else {
+      // Bass outside the chord sounds below the root
+      intervals = [bassInterval - 12, ...tones];
+      inversion = 0;
+    }
+    bass = bassDegree;
+  }
+
+  if (inversion > 0) {
+    if (inversion >= tones.length) {
+      throw new RomanNumeralError(`Inversion ${inversion} needs at least ${inversion + 1} chord tones`, { symbol });
+    }
+    intervals = tones.map((t, i) => (i < inversion ? t + 12 : t)).sort((a, b) => a - b);
+    bass = mod12(root + tones[inversion]);
+  }
+
+  return {
+    symbol: text,
+    semitones: root,
+    intervals,
+    bass,
+    quality,
+    inversion,
+    secondary: targets.length ? targets.join('/') : null
+  };
+}
+
+/**
+ * Parse a whole progression
+ * @param {string} text - e.g. "ii7 – V7/ii – bVImaj7:2 – V7sus4"
+ * @returns {Array<{symbol: string, beats: number|null, chord: object}>}
+ * @throws {RomanNumeralError} naming the first bad chord
+ */
+export function parseProgression(text) {
+  const tokens = text.split(/[\s,|–—-]+/).filter(Boolean);
+  if (tokens.length === 0) {
+    throw new RomanNumeralError('Enter at least one chord');
+  }
+
+  return tokens.map((token, index) => {
+    const [symbol, beatsText, extra] = token.split(':');
+    if (extra !== undefined) {
+      throw new RomanNumeralError('Use one ":" per chord, e.g. V7:2', { symbol: token, index });
+    }
+
+    let beats = null;
+    if (beatsText !== undefined) {
+      beats = Number(beatsText);
+      if (!Number.isInteger(beats) || beats < 1 || beats > 32) {
+        throw new RomanNumeralError(`":${beatsText}" is not a whole number of beats from 1 to 32`, { symbol: token, index });
+      }
+    }
+
+    try {
+      return { symbol, beats, chord: parseChordSymbol(symbol) };
+    } catch (err) {
+      if (err instanceof RomanNumeralError) {
+        throw new RomanNumeralError(err.message.replace(/^"[^"]*": /, ''), { symbol, index });
+      }
+      throw err;
+    }
+  });
+}
+
+/**
+ * Write a parsed progression back as text
+ */
+export function serializeProgression(entries) {
+  return entries.map(({ symbol, beats }) => (beats ? `${symbol}:${beats}` : symbol)).join(' – ');
+}
+
+export default parseProgression;
@@ -0,0 +1,362 @@
+/**
+ * Scala Files
+ * Parser and serializer for .scl scales and .kbm keyboard mappings
+ *
+ * Format reference: https://www.huygens-fokker.org/scala/scl_format.html
+ *
+ * .scl — description line, note count, then one pitch per line: a value
+ * containing a '.' is cents, anything else is a ratio ("5/4" or "2").
+ * The unison is implied; the last pitch is the period (usually 2/1).
+ *
+ * .kbm — map size, first/last MIDI note, middle note, reference note,
+ * reference frequency, formal octave degree, then map-size entries
+ * (scale degree or 'x' for unmapped keys).
+ */
+
+import { getDegreeCents, formatDegreeRatio } from './tuningSystems';
+
+/**
+ * Parse error carrying the 1-based line number it refers to
+ */
+export class ScalaParseError extends Error {
+  constructor(message, line) {
+    super(line ? `Line ${line}: ${message}` : message);
+    this.name = 'ScalaParseError';
+    this.line = line;
+  }
+}
+
+/**
+ * Split a file into { text, line } entries, dropping '!' comment lines
+ */
+function meaningfulLines(text) {
+  return text
+    .split(/\r?\n/)
+    .map((raw, i) => ({ text: raw, line: i + 1 }))
+    .filter(({ text: t }) => !t.startsWith('!'));
+}
+
+/**
+ * Parse one .scl pitch value (text after it on the line is ignored)
+ */
+function parsePitch(raw, line) {
+  const token = raw.trim().split(/\s+/)[0];
+  if (!token) {
+    throw new ScalaParseError('Expected a pitch value, found an empty line', line);
+  }
+
+  if (token.includes('.')) {
+    const cents = Number(token);
+    if (!Number.isFinite(cents)) {
+      throw new ScalaParseError(`"${token}" is not a valid cents value`, line);
+    }
+    return { cents };
+  }
+
+  const match = token.match(/^(\d+)(?:\/(\d+))?$/);
+  if (!match) {
+    throw new ScalaParseError(`"${token}" is not a valid ratio or cents value`, line);
+  }
+
+  const numerator = parseInt(match[1], 10);
+  const denominator = match[2] !== undefined ? parseInt(match[2], 10) : 1;
+  if (numerator === 0 || denominator === 0) {
+    throw new ScalaParseError(`Ratio "${token}" must have a non-zero numerator and denominator`, line);
+  }
+
+  return { ratio: [numerator, denominator] };
+}
+
+/**
+ * Parse the text of a .scl file
+ * @param {string} text - File contents
+ * @returns {{ description: string, degrees: Array<{ratio?: number[], cents?: number}> }}
+ *   degrees exclude the implied unison and end with the period
+ * @throws {ScalaParseError}
+ */
+export function parseScl(text) {
+  const lines = meaningfulLines(text);
+
+  if (lines.length === 0) {
+    throw new ScalaParseError('File is empty — expected a description line');
+  }
+
+  const description = lines[0].text.trim();
+
+  const countLine = lines[1];
+  if (!countLine) {
+    throw new ScalaParseError('Missing note count after the description', lines[0].line + 1);
+  }
+  const countToken = countLine.text.trim().split(/\s+/)[0];
+  if (!/^\d+$/.test(countToken)) {
+    throw new ScalaParseError(`Note count "${countToken}" is not a whole number`, countLine.line);
+  }
+  const count = parseInt(countToken, 10);
+
+  const pitchLines = lines.slice(2).filter(l => l.text.trim() !== '').slice(0, count);
+  const degrees = pitchLines.map(l => parsePitch(l.text, l.line));
+
+  if (degrees.length < count) {
+    const lastLine = pitchLines.length ? pitchLines[pitchLines.length - 1].line : countLine.line;
+    throw new ScalaParseError(
+      `Note count says ${count} pitches but only ${degrees.length} found`,
+      lastLine + 1
+    );
+  }
+
+  return { description, degrees };
+}
+
+/**
+ * Format a cents value the way Scala writes it (always with a '.')
+ */
+function formatCentsValue(cents) {
+  return cents.toFixed(6);
+}
+
+/**
+ * Serialize a scale to .scl text
+ * @param {object} scale
+ * @param {string} scale.description - First line of the file
+ * @param {Array} scale.degrees - Degrees above the unison, ending with the period
+ * @param {string} filename - Used in the header comment
+ */
+export function serializeScl({ description, degrees }, filename = 'scale.scl') {
+  const lines = [
+    `! ${filename}`,
+    '!',
+    description || '',
+    ` ${degrees.length}`,
+    '!'
+  ];
+
+  degrees.forEach(degree => {
+    const value = Array.isArray(degree.ratio)
+      ? `${degree.ratio[0]}/${degree.ratio[1]}`
+      : formatCentsValue(degree.cents);
+    const label = degree.name ? ` ! ${degree.name}` : '';
+    lines.push(` ${value}${label}`);
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Parse one whole-number .kbm header field
+ */
+function parseKbmInt(entry, label) {
+  const token = entry.text.trim().split(/\s+/)[0];
+  if (!/^-?\d+$/.test(token)) {
+    throw new ScalaParseError(`${label} "${token}" is not a whole number`, entry.line);
+  }
+  return parseInt(token, 10);
+}
+
+/**
+ * Parse the text of a .kbm keyboard mapping
+ * @returns {{ mapSize, firstNote, lastNote, middleNote, referenceNote,
+ *             referenceFrequency, octaveDegree, mapping: Array<number|null> }}
+ * @throws {ScalaParseError}
+ */
+export function parseKbm(text) {
+  const lines = meaningfulLines(text).filter(l => l.text.trim() !== '');
+  const headerLabels = [
+    'Map size', 'First MIDI note', 'Last MIDI note', 'Middle note',
+    'Reference note', 'Reference frequency', 'Formal octave degree'
+  ];
+
+  if (lines.length < headerLabels.length) {
+    const nextLine = lines.length ? lines[lines.length - 1].line + 1 : 1;
+    throw new ScalaParseError(
+      `Missing ${headerLabels[lines.length].toLowerCase()} — a .kbm header has 7 fields`,
+      nextLine
+    );
+  }
+
+  const mapSize = parseKbmInt(lines[0], headerLabels[0]);
+  const firstNote = parseKbmInt(lines[1], headerLabels[1]);
+  const lastNote = parseKbmInt(lines[2], headerLabels[2]);
+  const middleNote = parseKbmInt(lines[3], headerLabels[3]);
+  const referenceNote = parseKbmInt(lines[4], headerLabels[4]);
+
+  const freqToken = lines[5].text.trim().split(/\s+/)[0];
+  const referenceFrequency = Number(freqToken);
+  if (!Number.isFinite(referenceFrequency) || referenceFrequency <= 0) {
+    throw new ScalaParseError(`Reference frequency "${freqToken}" must be a positive number`, lines[5].line);
+  }
+
+  const octaveDegree = parseKbmInt(lines[6], headerLabels[6]);
+
+  for (const [value, index] of [[firstNote, 1], [lastNote, 2], [middleNote, 3], [referenceNote, 4]]) {
+    if (value < 0 || value > 127) {
+      throw new ScalaParseError(`${headerLabels[index]} ${value} is outside MIDI range 0–127`, lines[index].line);
+    }
+  }
+
+  const mappingLines = lines.slice(7);
+  if (mappingLines.length < mapSize) {
+    const lastLine = mappingLines.length ? mappingLines[mappingLines.length - 1].line : lines[6].line;
+    throw new ScalaParseError(
+      `Map size says ${mapSize} entries but only ${mappingLines.length} found`,
+      lastLine + 1
+    );
+  }
+
+  const mapping = mappingLines.slice(0, mapSize).map(entry => {
+    const token = entry.text.trim().split(/\s+/)[0];
+    if (token === 'x') return null;
+    if (!/^\d+$/.test(token)) {
+      throw new ScalaParseError(`Mapping entry "${token}" must be a scale degree or "x"`, entry.line);
+    }
+    return parseInt(token, 10);
+  });
+
+  return {
+    mapSize,
+    firstNote,
+    lastNote,
+    middleNote,
+    referenceNote,
+    referenceFrequency,
+    octaveDegree,
+    mapping
+  };
+}
+
+/**
+ * Serialize a keyboard mapping to .kbm text
+ */
+export function serializeKbm(kbm, filename = 'mapping.kbm') {
+  const lines = [
+    `! ${filename}`,
+    '!',
+    '! Size of map:',
+    String(kbm.mapSize),
+    '! First MIDI note number to retune:',
+    String(kbm.firstNote),
+    '! Last MIDI note number to retune:',
+    String(kbm.lastNote),
+    '! Middle note where the first entry of the mapping is mapped to:',
+    String(kbm.middleNote),
+    '! Reference note for which frequency is given:',
+    String(kbm.referenceNote),
+    '! Frequency to tune the above note to:',
+    kbm.referenceFrequency.toFixed(6),
+    '! Scale degree to consider as formal octave:',
+    String(kbm.octaveDegree),
+    '! Mapping.'
+  ];
+
+  kbm.mapping.forEach(entry => {
+    lines.push(entry === null ? 'x' : String(entry));
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Linear keyboard mapping that puts Sa (degree 0) at the MIDI key nearest f0
+ * and tunes that key to exactly f0
+ * @param {number} f0 - The user's Sa in Hz
+ * @param {number} scaleSize - Number of degrees per period (excluding unison)
+ */
+export function createKbmForF0(f0, scaleSize) {
+  const middleNote = Math.max(0, Math.min(127, Math.round(69 + 12 * Math.log2(f0 / 440))));
+
+  return {
+    mapSize: scaleSize,
+    firstNote: 0,
+    lastNote: 127,
+    middleNote,
+    referenceNote: middleNote,
+    referenceFrequency: f0,
+    octaveDegree: scaleSize,
+    mapping: Array.from({ length: scaleSize }, (_, i) => i)
+  };
+}
+
+// Just major scale used to pick Sa … Sa' from an arbitrary scale
+const MAJOR_TARGET_CENTS = [0, 203.91, 386.31, 498.04, 701.96, 884.36, 1088.27, 1200];
+
+/**
+ * Nearest degree index (into a unison-first list) for each major-scale step
+ */
+function nearestMajorDegrees(centsList) {
+  return MAJOR_TARGET_CENTS.map(target => {
+    let best = 0;
+    centsList.forEach((c, i) => {
+      if (Math.abs(c - target) < Math.abs(centsList[best] - target)) best = i;
+    });
+    return best;
+  });
+}
+
+/**
+ * Turn a parsed .scl (and optional .kbm) into a tuning-system definition
+ * ready for registerTuningSystem
+ *
+ * With a 12-key .kbm, the mapped degrees on keys 0,2,4,5,7,9,11 become the
+ * major scale; otherwise the degrees nearest the just major scale are used.
+ */
+export function sclToTuningSystem(scl, { id, name, kbm = null } = {}) {
+  const degrees = [
+    { short: 'P1', name: 'Unison', svara: 'Sa', ratio: [1, 1] },
+    ...scl.degrees.map((degree, i) => ({
+      short: `${i + 1}`,
+      name: Array.isArray(degree.ratio) ? formatDegreeRatio(degree) : `${degree.cents.toFixed(2)}¢`,
+      ...degree
+    }))
+  ];
+  const centsList = degrees.map(getDegreeCents);
+
+  let majorScale = nearestMajorDegrees(centsList);
+  if (kbm && kbm.mapSize === 12 && kbm.mapping.length === 12) {
+    const keys = [0, 2, 4, 5, 7, 9, 11];
+    const mapped = keys.map(k => kbm.mapping[k]);
+    if (mapped.every(d => d !== null && d < degrees.length)) {
+      majorScale = [...mapped, degrees.length - 1];
+    }
+  }
+
+  return {
+    id: id || `scala-${Date.now()}`,
+    name: name || scl.description || 'Imported Scala scale',
+    short: (name || scl.description || 'Scala').slice(0, 12),
+    description: scl.description || `${scl.degrees.length}-note scale imported from Scala`,
+    source: 'scala',
+    degrees,
+    majorScale
+  };
+}
+
+/**
+ * Turn a tuning system back into .scl data
+ * The leading unison is dropped; the octave stays as the period.
+ */
+export function tuningSystemToScl(system) {
+  return {
+    description: system.description ? `${system.name} — ${system.description}` : system.name,
+    degrees: system.degrees.slice(1).map(d => ({
+      name: d.svara ? `${d.svara} (${d.name})` : d.name,
+      ...(Array.isArray(d.ratio) ? { ratio: d.ratio } : { cents: d.cents })
+    }))
+  };
+}
+
+/**
+ * Turn a chosen set of shrutis (Sa … Sa', e.g. from the mixer's fine-tuning)
+ * into .scl data, so tuned svara choices survive the trip into a synth
+ * @param {Array} shrutis - Shruti scale entries in ascending order, Sa first
+ * @param {string} description
+ */
+export function shrutisToScl(shrutis, description) {
+  const [, ...rest] = shrutis;
+
+  return {
+    description,
+    degrees: rest.map(s => ({
+      name: `${s.svara} — ${s.name}`,
+      ...(Array.isArray(s.ratio) ? { ratio: s.ratio } : { cents: 1200 * Math.log2(s.decimal) })
+    }))
+  };
+}
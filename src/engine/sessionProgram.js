@@ -0,0 +1,317 @@
+/**
+ * Session Programs
+ * Timed entrainment sessions: a list of segments, each ramping the beat
+ * from one rate to another while setting the carrier, the volume curve
+ * and an optional drone or noise bed
+ *
+ *   "5 min ramp 18 → 10 Hz, 15 min hold 6 Hz, 3 min return to 12 Hz"
+ *
+ * A program becomes a list of keyframes; every value ramps from one
+ * keyframe to the next. The player schedules those ramps on the audio
+ * clock and the timeline reads its position from the same keyframes, so
+ * what is drawn is what plays. Each segment after the first opens with a
+ * short glide from where the last one ended, so a jump in beat, carrier
+ * or bed never clicks.
+ */
+
+import { getBrainwaveState } from './frameworks/neuroscience';
+import { ENTRAINMENT_MODES, PULSE_SHAPES, PULSE_DEFAULTS, DUTY_LIMITS, BEAT_PLACEMENTS } from './entrainment';
+
+// Glide into each segment after the first (seconds, at most a quarter of the segment)
+export const SEGMENT_GLIDE = 3;
+
+export const SEGMENT_LIMITS = {
+  minMinutes: 0.5,
+  maxMinutes: 90,
+  minBeat: 0.5,
+  maxBeat: 50,
+  minCarrier: 40,
+  maxCarrier: 1000
+};
+
+export const WAVE_TYPES = ['sine', 'triangle', 'square', 'sawtooth'];
+
+export const VOLUME_CURVES = [
+  { id: 'linear', label: 'Linear' },
+  { id: 'exponential', label: 'Exponential' }
+];
+
+// Beds under the beat. The drone sits an octave below the carrier with
+// Pa under it, so it supports the beat without beating against it.
+export const BED_TYPES = [
+  { id: 'none', label: 'None' },
+  { id: 'drone', label: 'Drone' },
+  { id: 'pink', label: 'Pink noise' },
+  { id: 'brown', label: 'Brown noise' },
+  { id: 'white', label: 'White noise' }
+];
+
+const BED_IDS = BED_TYPES.filter(b => b.id !== 'none').map(b => b.id);
+
+// Exponential volume ramps can't start or end on silence
+const MIN_VOLUME = 0.001;
+
+export const SEGMENT_DEFAULTS = {
+  minutes: 5,
+  beatFrom: 10,
+  beatTo: 10,
+  carrier: null, // Hz; null = the singer's Sa
+  volumeFrom: 0.6,
+  volumeTo: 0.6,
+  volumeCurve: 'linear',
+  bed: 'none',
+  bedLevel: 0.3
+};
+
+export const PROGRAM_DEFAULTS = {
+  name: 'Untitled session',
+  mode: 'binaural',
+  placement: 'centered',
+  waveType: 'sine',
+  duty: PULSE_DEFAULTS.duty,
+  shape: PULSE_DEFAULTS.shape
+};
+
+const segment = (fields) => ({ ...SEGMENT_DEFAULTS, ...fields });
+
+export const SESSION_PRESETS = [
+  {
+    id: 'wind-down',
+    name: 'Wind down',
+    mode: 'binaural',
+    segments: [
+      segment({ minutes: 5, beatFrom: 18, beatTo: 10, volumeFrom: 0.2, volumeTo: 0.6 }),
+      segment({ minutes: 15, beatFrom: 6, beatTo: 6, bed: 'pink', bedLevel: 0.25 }),
+      segment({ minutes: 3, beatFrom: 6, beatTo: 12, volumeTo: 0.3, volumeCurve: 'exponential' })
+    ]
+  },
+  {
+    id: 'sleep',
+    name: 'Into sleep',
+    mode: 'monaural',
+    segments: [
+      segment({ minutes: 5, beatFrom: 10, beatTo: 6, bed: 'brown', bedLevel: 0.3 }),
+      segment({ minutes: 10, beatFrom: 6, beatTo: 3, bed: 'brown', bedLevel: 0.35 }),
+      segment({ minutes: 15, beatFrom: 2, beatTo: 2, volumeFrom: 0.5, volumeTo: 0.05, volumeCurve: 'exponential', bed: 'brown', bedLevel: 0.3 })
+    ]
+  },
+  {
+    id: 'focus',
+    name: 'Focus block',
+    mode: 'isochronic',
+    segments: [
+      segment({ minutes: 3, beatFrom: 10, beatTo: 14, volumeFrom: 0.3, volumeTo: 0.5 }),
+      segment({ minutes: 20, beatFrom: 16, beatTo: 16, volumeFrom: 0.5, volumeTo: 0.5, bed: 'drone', bedLevel: 0.25 }),
+      segment({ minutes: 2, beatFrom: 16, beatTo: 10, volumeFrom: 0.5, volumeTo: 0.2 })
+    ]
+  },
+  {
+    id: 'meditation',
+    name: 'Theta meditation',
+    mode: 'binaural',
+    segments: [
+      segment({ minutes: 4, beatFrom: 10, beatTo: 7, bed: 'drone', bedLevel: 0.3 }),
+      segment({ minutes: 20, beatFrom: 6, beatTo: 5, bed: 'drone', bedLevel: 0.3 }),
+      segment({ minutes: 4, beatFrom: 5, beatTo: 10, bed: 'drone', bedLevel: 0.2, volumeTo: 0.3 })
+    ]
+  }
+];
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// A known id, or the default
+const pick = (value, ids, fallback) => (ids.includes(value) ? value : fallback);
+
+function normalizeSegment(fields) {
+  const s = { ...SEGMENT_DEFAULTS, ...fields };
+  const { minMinutes, maxMinutes, minBeat, maxBeat, minCarrier, maxCarrier } = SEGMENT_LIMITS;
+  return {
+    ...s,
+    minutes: clamp(s.minutes, minMinutes, maxMinutes),
+    beatFrom: clamp(s.beatFrom, minBeat, maxBeat),
+    beatTo: clamp(s.beatTo, minBeat, maxBeat),
+    carrier: s.carrier === null ? null : clamp(s.carrier, minCarrier, maxCarrier),
+    volumeFrom: clamp(s.volumeFrom, 0, 1),
+    volumeTo: clamp(s.volumeTo, 0, 1),
+    volumeCurve: pick(s.volumeCurve, VOLUME_CURVES.map(c => c.id), SEGMENT_DEFAULTS.volumeCurve),
+    bed: pick(s.bed, BED_TYPES.map(b => b.id), SEGMENT_DEFAULTS.bed),
+    bedLevel: clamp(s.bedLevel, 0, 1)
+  };
+}
+
+/**
+ * Fill in missing fields of a stored or imported program, with unknown
+ * choices set back to their defaults and numbers clamped to SEGMENT_LIMITS
+ * (fields must already be of the right type, see utils/programStorage)
+ */
+export function normalizeProgram(program) {
+  const p = { ...PROGRAM_DEFAULTS, ...program };
+  return {
+    ...p,
+    mode: pick(p.mode, ENTRAINMENT_MODES.map(m => m.id), PROGRAM_DEFAULTS.mode),
+    placement: pick(p.placement, BEAT_PLACEMENTS, PROGRAM_DEFAULTS.placement),
+    waveType: pick(p.waveType, WAVE_TYPES, PROGRAM_DEFAULTS.waveType),
+    duty: clamp(p.duty, DUTY_LIMITS.min, DUTY_LIMITS.max),
+    shape: pick(p.shape, PULSE_SHAPES.map(s => s.id), PROGRAM_DEFAULTS.shape),
+    segments: (program.segments || []).map(normalizeSegment)
+  };
+}
+
+/**
+ * A new segment carrying on from the last one of a program
+ */
+export function createSegment(previous = null) {
+  if (!previous) return { ...SEGMENT_DEFAULTS };
+  return {
+    ...SEGMENT_DEFAULTS,
+    beatFrom: previous.beatTo,
+    beatTo: previous.beatTo,
+    carrier: previous.carrier,
+    volumeFrom: previous.volumeTo,
+    volumeTo: previous.volumeTo,
+    bed: previous.bed,
+    bedLevel: previous.bedLevel
+  };
+}
+
+/**
+ * Segments with their start and end times
+ * @returns {Array<{ segment, index, start, end, duration, glide }>} seconds
+ */
+export function programTimeline(program) {
+  let start = 0;
+  return program.segments.map((segment, index) => {
+    const duration = segment.minutes * 60;
+    const glide = index === 0 ? 0 : Math.min(SEGMENT_GLIDE, duration / 4);
+    const entry = { segment, index, start, end: start + duration, duration, glide };
+    start += duration;
+    return entry;
+  });
+}
+
+/**
+ * Total length of a program in seconds
+ */
+export function programDuration(program) {
+  return program.segments.reduce((sum, s) => sum + s.minutes * 60, 0);
+}
+
+function bedLevels(segment) {
+  return Object.fromEntries(BED_IDS.map(id => [id, segment.bed === id ? segment.bedLevel : 0]));
+}
+
+function volumeFor(value, curve) {
+  return curve === 'exponential' ? Math.max(value, MIN_VOLUME) : value;
+}
+
+/**
+ * Keyframes of a program: every value ramps from one to the next
+ * @param {object} program
+ * @param {object} options
+ * @param {number} options.f0 - Carrier for segments without one (Hz)
+ * @returns {Array<{ time, beat, carrier, volume, curve, beds }>} `curve` is
+ *   the volume curve used to reach the keyframe; `beds` maps each bed type
+ *   to its level
+ */
+export function programKeyframes(program, { f0 }) {
+  const keyframes = [];
+
+  programTimeline(program).forEach(({ segment, start, end, glide }, index) => {
+    const carrier = segment.carrier ?? f0;
+    const opening = {
+      beat: segment.beatFrom,
+      carrier,
+      volume: volumeFor(segment.volumeFrom, segment.volumeCurve),
+      beds: bedLevels(segment)
+    };
+
+    if (index === 0) {
+      keyframes.push({ time: start, curve: 'linear', ...opening });
+    } else if (glide > 0) {
+      keyframes.push({ time: start + glide, curve: 'linear', ...opening });
+    }
+
+    keyframes.push({
+      time: end,
+      beat: segment.beatTo,
+      carrier,
+      volume: volumeFor(segment.volumeTo, segment.volumeCurve),
+      curve: segment.volumeCurve,
+      beds: bedLevels(segment)
+    });
+  });
+
+  return keyframes;
+}
+
+/**
+ * Values between two keyframes, `x` of the way from a to b
+ */
+export function interpolateKeyframes(a, b, x) {
+  const lerp = (from, to) => from + (to - from) * x;
+  const volume = b.curve === 'exponential' && a.volume > 0
+    ? a.volume * Math.pow(b.volume / a.volume, x)
+    : lerp(a.volume, b.volume);
+
+  return {
+    beat: lerp(a.beat, b.beat),
+    carrier: lerp(a.carrier, b.carrier),
+    volume,
+    beds: Object.fromEntries(BED_IDS.map(id => [id, lerp(a.beds[id], b.beds[id])]))
+  };
+}
+
+/**
+ * Where a session is `elapsed` seconds in
+ * @returns {{ index, segmentElapsed, beat, carrier, volume, beds, band, done }|null}
+ *   null for an empty program; `band` is the brainwave band of the beat
+ */
+export function sessionStateAt(program, elapsed, { f0 }) {
+  const keyframes = programKeyframes(program, { f0 });
+  if (!keyframes.length) return null;
+
+  const timeline = programTimeline(program);
+  const total = timeline[timeline.length - 1].end;
+  const t = Math.min(Math.max(elapsed, 0), total);
+
+  const next = keyframes.findIndex(k => k.time >= t);
+  const b = keyframes[Math.max(next, 0)];
+  const a = keyframes[Math.max(next - 1, 0)];
+  const x = b.time > a.time ? (t - a.time) / (b.time - a.time) : 1;
+  const values = interpolateKeyframes(a, b, x);
+
+  const entry = timeline.find(e => t < e.end) || timeline[timeline.length - 1];
+  return {
+    index: entry.index,
+    segmentElapsed: t - entry.start,
+    ...values,
+    band: getBrainwaveState(values.beat).band,
+    done: elapsed >= total
+  };
+}
+
+/**
+ * One-line summary: "5 min ramp 18 → 10 Hz (beta → alpha)"
+ */
+export function describeSegment(segment) {
+  const minutes = `${Number(segment.minutes.toFixed(1))} min`;
+  const from = getBrainwaveState(segment.beatFrom).band;
+  const to = getBrainwaveState(segment.beatTo).band;
+
+  if (segment.beatFrom === segment.beatTo) {
+    return `${minutes} hold ${segment.beatFrom} Hz (${from})`;
+  }
+  const bands = from === to ? from : `${from} → ${to}`;
+  return `${minutes} ramp ${segment.beatFrom} → ${segment.beatTo} Hz (${bands})`;
+}
+
+/**
+ * Seconds as m:ss (or h:mm:ss)
+ */
+export function formatSessionTime(seconds) {
+  const s = Math.max(0, Math.floor(seconds));
+  const h = Math.floor(s / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  const pad = (n) => String(n).padStart(2, '0');
+  return h ? `${h}:${pad(m)}:${pad(s % 60)}` : `${m}:${pad(s % 60)}`;
+}
@@ -0,0 +1,225 @@
+/**
+ * Singing Bowl
+ * A modal model of a singing bowl from its diameter, wall thickness and
+ * alloy: the frequency of each (n,0) bending mode, the beating of its
+ * degenerate pair, and how long it rings
+ *
+ * The rim of a bowl bends like a thin ring in n = 2, 3, 4 … lobes
+ * (Rayleigh): f_n = (h / (2π R² √12)) · √(E/ρ) · n(n² − 1) / √(n² + 1).
+ * The shell below the rim stiffens every mode by about the same amount,
+ * folded into SHELL_STIFFENING. Each mode is really two modes at right
+ * angles; any asymmetry in the hammered wall pulls them apart by a few
+ * tenths of a hertz, which is the slow wah-wah of a bowl. Each mode decays
+ * with the alloy's loss factor η: the amplitude falls by 1/e in 1/(π f η) s.
+ *
+ * Presets carry mode ratios in the ranges reported for measured antique
+ * bowls (Inácio, Henrique & Antunes, 2006); the ring formula fills in the
+ * rest and drives the custom bowl.
+ */
+
+// Ring-to-shell correction, fitted so typical bowls land at their usual pitch
+const SHELL_STIFFENING = 1.8;
+
+// Lobes of the modes modelled: (2,0) is the fundamental
+const MODE_ORDERS = [2, 3, 4, 5, 6];
+
+// Longest ring-out modelled (seconds to -60 dB)
+const MAX_T60 = 90;
+
+export const BOWL_LIMITS = {
+  diameter: { min: 8, max: 40, step: 0.5 }, // cm
+  thickness: { min: 1.5, max: 8, step: 0.1 } // mm
+};
+
+export const BOWL_ALLOYS = {
+  'bell-bronze': {
+    name: 'Bell bronze',
+    description: 'Copper with about 22% tin, hammered. The classic bowl metal: bright and very long ringing.',
+    youngsModulus: 104e9,
+    density: 8700,
+    lossFactor: 1.1e-4
+  },
+  'seven-metal': {
+    name: 'Seven-metal',
+    description: 'Traditional mixed alloy with iron, lead and traces of others. Darker, with more inner noise.',
+    youngsModulus: 95e9,
+    density: 8800,
+    lossFactor: 2e-4
+  },
+  brass: {
+    name: 'Brass',
+    description: 'Copper and zinc, usually machine-spun. Cheaper, softer and shorter ringing.',
+    youngsModulus: 100e9,
+    density: 8500,
+    lossFactor: 4e-4
+  }
+};
+
+export const BOWL_EXCITATIONS = {
+  strike: {
+    name: 'Strike',
+    description: 'A mallet excites every mode at once; the upper modes fade first.'
+  },
+  rub: {
+    name: 'Rim rub',
+    description: 'A stick drawn round the rim locks onto the fundamental and sustains it, with a little of the upper modes.'
+  }
+};
+
+export const BOWL_PRESETS = [
+  {
+    id: 'thadobati',
+    name: 'Thadobati',
+    description: 'Large antique bowl with straight walls and a flat base',
+    diameter: 30,
+    thickness: 4.5,
+    alloy: 'seven-metal',
+    asymmetry: 0.004,
+    ratios: [1, 2.78, 5.26, 8.43, 12.2]
+  },
+  {
+    id: 'jambati',
+    name: 'Jambati',
+    description: 'Heavy, wide antique bowl with a deep, long-sustaining voice',
+    diameter: 24,
+    thickness: 4,
+    alloy: 'seven-metal',
+    asymmetry: 0.003,
+    ratios: [1, 2.76, 5.19, 8.27, 11.9]
+  },
+  {
+    id: 'manipuri',
+    name: 'Manipuri',
+    description: 'Small, thin-walled antique bowl with a flared rim, bright and quick to speak',
+    diameter: 15,
+    thickness: 2.5,
+    alloy: 'bell-bronze',
+    asymmetry: 0.002,
+    ratios: [1, 2.84, 5.38, 8.68, 12.6]
+  },
+  {
+    id: 'cast-bronze',
+    name: 'Cast bronze',
+    description: 'Modern cast and lathe-turned bowl, very even walls and slow beating',
+    diameter: 20,
+    thickness: 5,
+    alloy: 'bell-bronze',
+    asymmetry: 0.0008,
+    ratios: [1, 2.71, 5.0, 7.8, 11.4]
+  },
+  {
+    id: 'machine-brass',
+    name: 'Machine-spun brass',
+    description: 'Inexpensive spun bowl: thin, even and short-lived',
+    diameter: 14,
+    thickness: 1.8,
+    alloy: 'brass',
+    asymmetry: 0.0015
+  }
+];
+
+export const DEFAULT_BOWL_PRESET = 'jambati';
+
+// Asymmetry of a hand-made bowl without a preset (fraction of the fundamental)
+const DEFAULT_ASYMMETRY = 0.003;
+
+/**
+ * Ring-bending frequency factor n(n² − 1) / √(n² + 1)
+ */
+function ringFactor(n) {
+  return (n * (n * n - 1)) / Math.sqrt(n * n + 1);
+}
+
+/**
+ * Get a bowl preset by id
+ */
+export function getBowlPreset(id) {
+  return BOWL_PRESETS.find(p => p.id === id) || null;
+}
+
+/**
+ * Frequency of the (2,0) mode for a bowl's dimensions
+ * @param {object} bowl
+ * @param {number} bowl.diameter - cm
+ * @param {number} bowl.thickness - Wall thickness in mm
+ * @param {string} bowl.alloy - Key of BOWL_ALLOYS
+ * @returns {number} Hz
+ */
+export function bowlFundamental({ diameter, thickness, alloy }) {
+  const metal = BOWL_ALLOYS[alloy];
+  if (!metal) throw new Error(`Unknown bowl alloy "${alloy}"`);
+
+  const radius = diameter / 200;
+  const wall = thickness / 1000;
+  const speed = Math.sqrt(metal.youngsModulus / metal.density);
+  return SHELL_STIFFENING * (wall / (2 * Math.PI * radius * radius * Math.sqrt(12))) * speed * ringFactor(2);
+}
+
+/**
+ * Diameter of a bowl of the given wall and alloy whose fundamental is `hz`
+ * (the fundamental scales as 1 / diameter²)
+ * @returns {number} cm
+ */
+export function bowlDiameterFor(hz, { thickness, alloy }) {
+  const at10cm = bowlFundamental({ diameter: 10, thickness, alloy });
+  return 10 * Math.sqrt(at10cm / hz);
+}
+
+/**
+ * Model a bowl's modes
+ * @param {object} bowl
+ * @param {number} bowl.diameter - cm
+ * @param {number} bowl.thickness - mm
+ * @param {string} bowl.alloy - Key of BOWL_ALLOYS
+ * @param {number} bowl.asymmetry - Split of the fundamental's degenerate pair, as a fraction of it
+ * @param {number[]} bowl.ratios - Measured mode ratios (fundamental first), overriding the ring model
+ * @param {object} options
+ * @param {string} options.excitation - Key of BOWL_EXCITATIONS
+ * @param {number} options.tuneTo - Retune the fundamental to this Hz, keeping the ratios
+ * @returns {object} {
+ *   fundamental — Hz of the (2,0) mode as sounding,
+ *   naturalFundamental — Hz the dimensions give,
+ *   modes — [{ n, name, hz, ratio, modelRatio, beatHz, low, high, t60, decay, gain }]
+ * }
+ */
+export function modelBowl(bowl, { excitation = 'strike', tuneTo = null } = {}) {
+  const { alloy, asymmetry = DEFAULT_ASYMMETRY, ratios } = bowl;
+  if (!BOWL_EXCITATIONS[excitation]) throw new Error(`Unknown excitation "${excitation}"`);
+
+  const naturalFundamental = bowlFundamental(bowl);
+  const fundamental = tuneTo || naturalFundamental;
+  const { lossFactor } = BOWL_ALLOYS[alloy];
+
+  const modes = MODE_ORDERS.map((n, i) => {
+    const modelRatio = ringFactor(n) / ringFactor(2);
+    const ratio = ratios?.[i] ?? modelRatio;
+    const hz = fundamental * ratio;
+
+    // The split grows slowly with the lobe count, not with frequency
+    const beatHz = fundamental * asymmetry * (1 + 0.5 * i);
+
+    // Ring-out, capped; decay is the 1/e time of the amplitude
+    const decay = Math.min(1 / (Math.PI * hz * lossFactor), MAX_T60 / 6.91);
+
+    // A mallet favours the low modes; a rub feeds the fundamental
+    const gain = excitation === 'rub'
+      ? (i === 0 ? 1 : 0.2 / (i * i))
+      : 1 / Math.pow(i + 1, 1.3);
+
+    return {
+      n,
+      name: `(${n},0)`,
+      hz,
+      ratio,
+      modelRatio,
+      beatHz,
+      low: hz - beatHz / 2,
+      high: hz + beatHz / 2,
+      decay,
+      t60: decay * 6.91,
+      gain
+    };
+  });
+
+  return { fundamental, naturalFundamental, modes };
+}
@@ -0,0 +1,193 @@
+/**
+ * Temperaments
+ * Compare historical keyboard temperaments interval by interval on the
+ * user's root: size in cents, distance from pure and from 12-TET, and how
+ * fast each consonance beats
+ *
+ * The temperaments are the 12-note systems of the tuning registry, whose
+ * tables start on their home key C. Two ways to lay one on the root:
+ *
+ *   root     — the table is built on the root itself, as the scale tables
+ *              do. Every temperament sounds as it does in C.
+ *   keyboard — the keyboard is tuned from C as historical tuners did and
+ *              the root is played on whichever key it is (E for 165 Hz).
+ *              Well temperaments then show their key colour, meantone and
+ *              JI their wolves.
+ *
+ * Beat rates use the coinciding partials of the pure ratio p:q: the
+ * upper note's q-th partial against the lower note's p-th.
+ */
+
+import { getTuningSystem, getDegreeCents } from './tuningSystems';
+import { ratioToCents } from './tuning';
+import { freqToMidi, NOTE_NAMES, DEFAULT_A4 } from './pitchUtils';
+
+// Registry systems compared in the lab, tempered first
+export const TEMPERAMENT_IDS = [
+  '12-tet',
+  'meantone-quarter',
+  'werckmeister-3',
+  'kirnberger-3',
+  'pythagorean',
+  'just-5-limit'
+];
+
+export const TEMPERAMENT_KEYINGS = [
+  { id: 'root', name: 'On your root', description: 'Each table built on your root, so every temperament sounds as it does in C.' },
+  { id: 'keyboard', name: 'Keyboard from C', description: 'Tuned from C like a period keyboard; your root plays on its own key, with that key\'s colour.' }
+];
+
+// The pure interval each of the 12 steps above the root is heard against.
+// Only the consonances have partials low enough for audible beats.
+export const PURE_INTERVALS = [
+  { semitones: 1, short: 'm2', name: 'Minor 2nd', ratio: [16, 15], beats: false },
+  { semitones: 2, short: 'M2', name: 'Major 2nd', ratio: [9, 8], beats: false },
+  { semitones: 3, short: 'm3', name: 'Minor 3rd', ratio: [6, 5], beats: true },
+  { semitones: 4, short: 'M3', name: 'Major 3rd', ratio: [5, 4], beats: true },
+  { semitones: 5, short: 'P4', name: 'Perfect 4th', ratio: [4, 3], beats: true },
+  { semitones: 6, short: 'A4', name: 'Augmented 4th', ratio: [45, 32], beats: false },
+  { semitones: 7, short: 'P5', name: 'Perfect 5th', ratio: [3, 2], beats: true },
+  { semitones: 8, short: 'm6', name: 'Minor 6th', ratio: [8, 5], beats: true },
+  { semitones: 9, short: 'M6', name: 'Major 6th', ratio: [5, 3], beats: true },
+  { semitones: 10, short: 'm7', name: 'Minor 7th', ratio: [9, 5], beats: false },
+  { semitones: 11, short: 'M7', name: 'Major 7th', ratio: [15, 8], beats: false },
+  { semitones: 12, short: 'P8', name: 'Octave', ratio: [2, 1], beats: true }
+];
+
+export const TRIAD_QUALITIES = {
+  major: { name: 'Major', semitones: [0, 4, 7] },
+  minor: { name: 'Minor', semitones: [0, 3, 7] }
+};
+
+// What players at each reference pitch would have tuned their keyboards to
+export const REFERENCE_TEMPERAMENTS = {
+  A415: {
+    suggested: ['werckmeister-3', 'meantone-quarter'],
+    note: 'Baroque pitch: period keyboards at A=415 were set in meantone or a well temperament such as Werckmeister III, rarely equal.'
+  },
+  A466: {
+    suggested: ['meantone-quarter', 'werckmeister-3'],
+    note: 'North German organs at Chorton were mostly in meantone until well temperaments arrived around 1700.'
+  },
+  A435: {
+    suggested: ['12-tet', 'kirnberger-3'],
+    note: 'By the 1859 diapason equal temperament was usual, though some tuners kept a gentle well temperament.'
+  },
+  A432: {
+    suggested: ['12-tet', 'just-5-limit'],
+    note: 'A=432 is a reference pitch, not a temperament; it is usually played in equal temperament.'
+  },
+  A444: {
+    suggested: ['12-tet', 'just-5-limit'],
+    note: 'Scientific pitch sets C to a power of two; the intervals are still equal-tempered unless tuned otherwise.'
+  }
+};
+
+/**
+ * Size of the interval `semitones` above key `keyIndex` (0 = C) in a
+ * 13-degree system, in cents
+ */
+function intervalCents(system, keyIndex, semitones) {
+  const at = (index) => {
+    const octave = Math.floor(index / 12);
+    return getDegreeCents(system.degrees[index % 12]) + 1200 * octave;
+  };
+  return at(keyIndex + semitones) - at(keyIndex);
+}
+
+/**
+ * Look up a comparable (12-note) temperament
+ * @param {string} id - Registry id
+ */
+function getTemperament(id) {
+  const system = getTuningSystem(id);
+  if (!system || system.degrees.length !== 13) {
+    throw new Error(`"${id}" is not a 12-note temperament`);
+  }
+  return system;
+}
+
+/**
+ * The key the root plays on, for a keyboard tuned from C
+ * @param {number} root - Hz
+ * @param {number} a4 - Reference pitch
+ * @returns {{ index: number, name: string }}
+ */
+export function rootKey(root, a4 = DEFAULT_A4) {
+  const index = ((Math.round(freqToMidi(root, a4)) % 12) + 12) % 12;
+  return { index, name: NOTE_NAMES[index] };
+}
+
+/**
+ * Beat rate between two sounding notes near the pure ratio p:q
+ * @param {number} lower - Hz
+ * @param {number} upper - Hz
+ * @param {number[]} ratio - [p, q], p > q
+ * @returns {number} Beats per second
+ */
+export function beatRate(lower, upper, [p, q]) {
+  return Math.abs(q * upper - p * lower);
+}
+
+/**
+ * Compare temperaments on a root
+ * @param {number} root - Hz
+ * @param {object} options
+ * @param {number} options.a4 - Reference pitch (names the key for 'keyboard')
+ * @param {string} options.keying - One of TEMPERAMENT_KEYINGS ids
+ * @param {string[]} options.temperaments - Registry ids (default TEMPERAMENT_IDS)
+ * @returns {object} {
+ *   key — { index, name } the root plays on (C for 'root'),
+ *   temperaments — [{ id, name, short, description }],
+ *   intervals — [{ semitones, short, name, ratio, pureCents, beats,
+ *                  tunings: [{ id, cents, fromPure, fromET, beatHz }] }]
+ * }
+ */
+export function compareTemperaments(root, { a4 = DEFAULT_A4, keying = 'root', temperaments = TEMPERAMENT_IDS } = {}) {
+  const systems = temperaments.map(getTemperament);
+  const key = keying === 'keyboard' ? rootKey(root, a4) : { index: 0, name: 'C' };
+
+  const intervals = PURE_INTERVALS.map(interval => {
+    const pureCents = ratioToCents(interval.ratio[0] / interval.ratio[1]);
+
+    const tunings = systems.map(system => {
+      const cents = intervalCents(system, key.index, interval.semitones);
+      return {
+        id: system.id,
+        cents,
+        fromPure: cents - pureCents,
+        fromET: cents - interval.semitones * 100,
+        beatHz: interval.beats
+          ? beatRate(root, root * Math.pow(2, cents / 1200), interval.ratio)
+          : null
+      };
+    });
+
+    return { ...interval, pureCents, tunings };
+  });
+
+  return {
+    key,
+    temperaments: systems.map(({ id, name, short, description }) => ({ id, name, short, description })),
+    intervals
+  };
+}
+
+/**
+ * Frequencies of a triad on the root in one temperament
+ * @param {number} root - Hz
+ * @param {string} temperament - Registry id
+ * @param {object} options
+ * @param {string} options.quality - Key of TRIAD_QUALITIES
+ * @param {number} options.keyIndex - Key the root plays on (0 = C)
+ * @returns {number[]} Hz, root first
+ */
+export function temperedTriad(root, temperament, { quality = 'major', keyIndex = 0 } = {}) {
+  const system = getTemperament(temperament);
+  const triad = TRIAD_QUALITIES[quality];
+  if (!triad) throw new Error(`Unknown triad quality "${quality}"`);
+
+  return triad.semitones.map(semitones =>
+    root * Math.pow(2, intervalCents(system, keyIndex, semitones) / 1200)
+  );
+}
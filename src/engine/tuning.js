@@ -118,6 +118,13 @@ export const PYTHAGOREAN_COMMA = {
   cents: 23.46 // The gap that drove 2000 years of tuning debates
 };
 
+// The syntonic comma: Pythagorean ditone (81/64) vs just major third (5/4)
+export const SYNTONIC_COMMA = {
+  ratio: [81, 80],
+  decimal: 81 / 80, // = 1.0125
+  cents: 21.51 // What a chain of pure JI chords drifts by
+};
+
 // ============================================
 // EQUAL TEMPERAMENT
 // ============================================
@@ -338,6 +345,7 @@ export default {
   EQUAL_TEMPERAMENT,
   TUNING_COMPARISON,
   PYTHAGOREAN_COMMA,
+  SYNTONIC_COMMA,
   freqToMidi,
   midiToFreq,
   centsBetween,
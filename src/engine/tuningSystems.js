@@ -0,0 +1,233 @@
+/**
+ * Tuning System Registry
+ * Named tuning systems as lists of ratios or cents above the tonic
+ *
+ * Each system lists its degrees from the unison up to and including the
+ * octave. A degree carries either an exact `ratio: [n, d]` or a `cents`
+ * value (for tempered systems), plus interval and svara names.
+ * `majorScale` picks the eight degrees (Sa … Sa') that generateScale
+ * uses, so every component that takes `scale` works with any system.
+ */
+
+import { JUST_INTONATION_RATIOS, EQUAL_TEMPERAMENT } from './tuning';
+import { SHRUTIS } from './ratios';
+
+// ============================================
+// SHARED NAMING FOR 12-NOTE SYSTEMS
+// ============================================
+
+const CHROMATIC_NAMES = [
+  { short: 'P1', name: 'Unison', svara: 'Sa' },
+  { short: 'm2', name: 'Minor 2nd', svara: 'Komal Re' },
+  { short: 'M2', name: 'Major 2nd', svara: 'Re' },
+  { short: 'm3', name: 'Minor 3rd', svara: 'Komal Ga' },
+  { short: 'M3', name: 'Major 3rd', svara: 'Ga' },
+  { short: 'P4', name: 'Perfect 4th', svara: 'Ma' },
+  { short: 'A4', name: 'Augmented 4th', svara: 'Tivra Ma' },
+  { short: 'P5', name: 'Perfect 5th', svara: 'Pa' },
+  { short: 'm6', name: 'Minor 6th', svara: 'Komal Dha' },
+  { short: 'M6', name: 'Major 6th', svara: 'Dha' },
+  { short: 'm7', name: 'Minor 7th', svara: 'Komal Ni' },
+  { short: 'M7', name: 'Major 7th', svara: 'Ni' },
+  { short: 'P8', name: 'Octave', svara: "Sa'" }
+];
+
+// Sa Re Ga Ma Pa Dha Ni Sa' as indices into a 13-entry chromatic list
+const CHROMATIC_MAJOR = [0, 2, 4, 5, 7, 9, 11, 12];
+
+/**
+ * Attach chromatic names to 13 ratio/cents values (unison … octave)
+ */
+function chromaticDegrees(values) {
+  return values.map((value, i) => ({
+    ...CHROMATIC_NAMES[i],
+    ...(Array.isArray(value) ? { ratio: value } : { cents: value })
+  }));
+}
+
+/**
+ * Twelve pitches from a chain of fifths, folded into one octave
+ * @param {number} fifthCents - Size of the generating fifth
+ * @param {number} flats - How many fifths to take below the tonic
+ */
+function chainOfFifthsCents(fifthCents, flats) {
+  const cents = [];
+  for (let i = -flats; i < 12 - flats; i++) {
+    cents.push(((i * fifthCents) % 1200 + 1200) % 1200);
+  }
+  cents.sort((a, b) => a - b);
+  return [...cents, 1200];
+}
+
+// Quarter-comma meantone: fifths narrowed by ¼ syntonic comma (pure 5:4 thirds)
+const QUARTER_COMMA_FIFTH = 1200 * Math.log2(Math.pow(5, 1 / 4));
+
+// ============================================
+// THE REGISTRY
+// ============================================
+
+const registry = new Map();
+
+/**
+ * Add (or replace) a tuning system
+ * @param {object} system - { id, name, description, degrees, majorScale }
+ */
+export function registerTuningSystem(system) {
+  if (!system || !system.id) {
+    throw new Error('Tuning system needs an id');
+  }
+  if (!Array.isArray(system.degrees) || system.degrees.length < 2) {
+    throw new Error(`Tuning system "${system.id}" needs at least two degrees`);
+  }
+  if (!Array.isArray(system.majorScale) || system.majorScale.length !== 8) {
+    throw new Error(`Tuning system "${system.id}" needs an eight-degree majorScale`);
+  }
+  registry.set(system.id, system);
+  return system;
+}
+
+/**
+ * Remove a tuning system (e.g. an imported one replaced by a re-import)
+ * @returns {boolean} Whether it was registered
+ */
+export function unregisterTuningSystem(id) {
+  return registry.delete(id);
+}
+
+/**
+ * Look up a tuning system by id
+ */
+export function getTuningSystem(id) {
+  const system = registry.get(id);
+  if (!system) {
+    throw new Error(`Unknown tuning system "${id}"`);
+  }
+  return system;
+}
+
+/**
+ * All registered systems, in registration order
+ */
+export function listTuningSystems() {
+  return [...registry.values()];
+}
+
+/**
+ * Decimal ratio of a degree (from its ratio or its cents)
+ */
+export function getDegreeDecimal(degree) {
+  if (Array.isArray(degree.ratio)) return degree.ratio[0] / degree.ratio[1];
+  return Math.pow(2, degree.cents / 1200);
+}
+
+/**
+ * Cents above the tonic of a degree
+ */
+export function getDegreeCents(degree) {
+  if (typeof degree.cents === 'number') return degree.cents;
+  return 1200 * Math.log2(degree.ratio[0] / degree.ratio[1]);
+}
+
+/**
+ * Human-readable ratio label ("5:4", or "696.6¢" for tempered degrees)
+ */
+export function formatDegreeRatio(degree) {
+  if (Array.isArray(degree.ratio)) return `${degree.ratio[0]}:${degree.ratio[1]}`;
+  return `${degree.cents.toFixed(1)}¢`;
+}
+
+export const DEFAULT_TUNING_SYSTEM = 'just-5-limit';
+
+// 5-limit JI: reuse the canonical ratio table, dropping the d5 alias
+registerTuningSystem({
+  id: 'just-5-limit',
+  name: '5-Limit Just Intonation',
+  short: 'JI',
+  description: 'Ptolemaic ratios built from 2, 3 and 5 — pure fifths and pure thirds.',
+  degrees: ['P1', 'm2', 'M2', 'm3', 'M3', 'P4', 'A4', 'P5', 'm6', 'M6', 'm7', 'M7', 'P8']
+    .map((key, i) => ({ ...CHROMATIC_NAMES[i], ratio: JUST_INTONATION_RATIOS[key].ratio })),
+  majorScale: CHROMATIC_MAJOR
+});
+
+registerTuningSystem({
+  id: 'pythagorean',
+  name: 'Pythagorean',
+  short: 'Pyth',
+  description: 'Stacked pure 3:2 fifths. Pure fifths and fourths, wide (81:64) thirds.',
+  degrees: chromaticDegrees([
+    [1, 1], [256, 243], [9, 8], [32, 27], [81, 64], [4, 3],
+    [729, 512], [3, 2], [128, 81], [27, 16], [16, 9], [243, 128], [2, 1]
+  ]),
+  majorScale: CHROMATIC_MAJOR
+});
+
+registerTuningSystem({
+  id: '12-tet',
+  name: '12-Tone Equal Temperament',
+  short: '12-TET',
+  description: 'Every semitone exactly 100¢. Every key equally usable, every interval but the octave slightly impure.',
+  degrees: chromaticDegrees(Object.values(EQUAL_TEMPERAMENT).map(e => e.cents)),
+  majorScale: CHROMATIC_MAJOR
+});
+
+registerTuningSystem({
+  id: 'meantone-quarter',
+  name: 'Quarter-Comma Meantone',
+  short: '¼-comma',
+  description: 'Fifths narrowed by ¼ syntonic comma so major thirds are pure 5:4. Renaissance keyboard standard.',
+  degrees: chromaticDegrees(chainOfFifthsCents(QUARTER_COMMA_FIFTH, 3)),
+  majorScale: CHROMATIC_MAJOR
+});
+
+registerTuningSystem({
+  id: 'werckmeister-3',
+  name: 'Werckmeister III',
+  short: 'Werck. III',
+  description: 'Well temperament (1691): four fifths narrowed by ¼ Pythagorean comma. Every key playable, each with its own color.',
+  degrees: chromaticDegrees([
+    0, 90.225, 192.18, 294.135, 390.225, 498.045,
+    588.27, 696.09, 792.18, 888.27, 996.09, 1092.18, 1200
+  ]),
+  majorScale: CHROMATIC_MAJOR
+});
+
+registerTuningSystem({
+  id: 'kirnberger-3',
+  name: 'Kirnberger III',
+  short: 'Kirnb. III',
+  description: 'Well temperament (1779) with a pure C–E third; the syntonic comma is spread over C–G–D–A–E.',
+  degrees: chromaticDegrees([
+    0, 90.225, 193.157, 294.135, 386.314, 498.045,
+    590.224, 696.578, 792.18, 889.735, 996.09, 1088.269, 1200
+  ]),
+  majorScale: CHROMATIC_MAJOR
+});
+
+registerTuningSystem({
+  id: 'just-7-limit',
+  name: '7-Limit Just Intonation',
+  short: '7-limit',
+  description: 'Adds the 7th harmonic: septimal minor third (7:6), tritone (7:5) and harmonic seventh (7:4).',
+  degrees: chromaticDegrees([
+    [1, 1], [15, 14], [9, 8], [7, 6], [5, 4], [4, 3],
+    [7, 5], [3, 2], [14, 9], [5, 3], [7, 4], [15, 8], [2, 1]
+  ]),
+  majorScale: CHROMATIC_MAJOR
+});
+
+// 22 shrutis: reuse the SHRUTIS table; the major scale is Bilawal thaat
+registerTuningSystem({
+  id: 'shruti-22',
+  name: '22 Shruti',
+  short: 'Shruti',
+  description: 'The Indian classical division of the octave into 22 microtonal positions.',
+  degrees: SHRUTIS.map(s => ({
+    short: `S${s.shruti}`,
+    name: s.name,
+    svara: s.svara,
+    ratio: s.ratio
+  })),
+  majorScale: [0, 4, 7, 9, 13, 16, 20, 22]
+});
+
+export default getTuningSystem;
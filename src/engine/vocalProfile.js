@@ -0,0 +1,162 @@
+/**
+ * Vocal Profile
+ * A voice described by its range rather than one number: speaking f0, the
+ * lowest and highest comfortable sung notes, the passaggi and the tessitura
+ *
+ * A profile is measured (guided glides on the microphone), entered by hand,
+ * or estimated from speaking f0 alone. Measured and entered ranges are
+ * matched against the choral range of each voice type; the type's passaggi
+ * move with the voice, by as much as two semitones, and the tessitura — the
+ * part of the range a song can sit in for long — runs from a major third
+ * above the lowest note up to the upper passaggio.
+ *
+ * Voice types are ranges of the body, not of a tuning, so their notes are
+ * always read at A=440; only the names the profile reports follow `a4`.
+ */
+
+import { freqToNoteName, formatHz, noteNameToFreq, DEFAULT_A4 } from './pitchUtils';
+import { VOICE_TYPES } from './ratios';
+
+// Sung range assumed from speaking f0 until one is measured
+// (semitones below and above f0)
+export const ESTIMATED_RANGE = { below: 4, above: 12 };
+
+export const PROFILE_SOURCES = {
+  measured: 'Measured',
+  manual: 'Entered',
+  estimated: 'Estimated from speaking pitch'
+};
+
+// Sung notes we accept (Hz), and the narrowest range worth classifying
+// (semitones, a fourth)
+const RANGE_LIMITS = { min: 40, max: 1600 };
+const MIN_SPAN = 5;
+
+// How far the passaggi may follow the voice away from its type
+const MAX_PASSAGGIO_SHIFT = 2;
+
+const semitones = (hz, ref) => 12 * Math.log2(hz / ref);
+const transpose = (hz, st) => hz * Math.pow(2, st / 12);
+
+/**
+ * A pitch as the profile reports it
+ */
+function describe(hz, a4) {
+  return { hz: Math.round(hz * 100) / 100, hzFormatted: formatHz(hz), note: freqToNoteName(hz, a4) };
+}
+
+/**
+ * Sung range assumed from speaking f0
+ * @param {number} f0 - Speaking pitch in Hz
+ * @returns {{low: number, high: number}}
+ */
+export function estimateSungRange(f0) {
+  return {
+    low: transpose(f0, -ESTIMATED_RANGE.below),
+    high: transpose(f0, ESTIMATED_RANGE.above)
+  };
+}
+
+/**
+ * Voice type whose choral range is nearest a sung range
+ * Distance is the squared semitone error at both ends.
+ * @param {number} low - Lowest comfortable sung note (Hz)
+ * @param {number} high - Highest comfortable sung note (Hz)
+ * @returns {object} Entry of VOICE_TYPES with lowHz / highHz
+ */
+export function classifyVoiceType(low, high) {
+  const types = VOICE_TYPES.map(type => ({
+    ...type,
+    lowHz: noteNameToFreq(type.low, DEFAULT_A4),
+    highHz: noteNameToFreq(type.high, DEFAULT_A4)
+  }));
+  const distance = (type) => semitones(low, type.lowHz) ** 2 + semitones(high, type.highHz) ** 2;
+
+  return types.reduce((best, type) => (distance(type) < distance(best) ? type : best));
+}
+
+/**
+ * Tessitura: a major third above the lowest note up to the upper passaggio
+ * (no closer than a tone to the top); the middle half of the range when
+ * that leaves less than a fourth
+ */
+function getTessitura(low, high, secondo) {
+  const from = transpose(low, 4);
+  const to = Math.min(secondo ?? high, transpose(high, -2));
+  if (semitones(to, from) >= MIN_SPAN) return { low: from, high: to };
+
+  const span = semitones(high, low);
+  return { low: transpose(low, span / 4), high: transpose(high, -span / 4) };
+}
+
+/**
+ * Build a vocal profile
+ * @param {object} input
+ * @param {number} input.f0 - Speaking pitch in Hz
+ * @param {number} input.low - Lowest comfortable sung note in Hz (optional)
+ * @param {number} input.high - Highest comfortable sung note in Hz (optional)
+ * @param {string} input.source - Key of PROFILE_SOURCES; 'manual' by default
+ *   when a range is given, and always 'estimated' without one
+ * @param {number} input.a4 - Reference pitch for the note names
+ * @returns {object} Profile with speaking, low, high, span, voiceType,
+ *   passaggio, tessitura and speakingPosition
+ */
+export function createVocalProfile({ f0, low = null, high = null, source = 'manual', a4 = DEFAULT_A4 } = {}) {
+  if (typeof f0 !== 'number' || f0 < 50 || f0 > 1000) {
+    throw new Error('f0 must be a number between 50 and 1000 Hz');
+  }
+
+  const estimated = low == null || high == null;
+  if (!estimated) {
+    if (![low, high].every(hz => typeof hz === 'number' && hz >= RANGE_LIMITS.min && hz <= RANGE_LIMITS.max)) {
+      throw new Error(`Sung notes must be between ${RANGE_LIMITS.min} and ${RANGE_LIMITS.max} Hz`);
+    }
+    if (semitones(high, low) < MIN_SPAN) {
+      throw new Error('The sung range must span at least a fourth');
+    }
+    if (!PROFILE_SOURCES[source]) {
+      throw new Error(`Unknown profile source "${source}"`);
+    }
+  }
+
+  const range = estimated ? estimateSungRange(f0) : { low, high };
+
+  // An estimated range is only f0 moved by fixed steps: no type or passaggi
+  let voiceType = null;
+  let passaggio = null;
+  if (!estimated) {
+    const type = classifyVoiceType(range.low, range.high);
+    const offset = (semitones(range.low, type.lowHz) + semitones(range.high, type.highHz)) / 2;
+    const shift = Math.max(-MAX_PASSAGGIO_SHIFT, Math.min(MAX_PASSAGGIO_SHIFT, offset));
+
+    voiceType = {
+      type: type.type,
+      description: type.description,
+      rangeNote: `${type.low}–${type.high}`
+    };
+    passaggio = {
+      primo: describe(transpose(noteNameToFreq(type.primo, DEFAULT_A4), shift), a4),
+      secondo: describe(transpose(noteNameToFreq(type.secondo, DEFAULT_A4), shift), a4)
+    };
+  }
+
+  const tessitura = getTessitura(range.low, range.high, passaggio?.secondo.hz);
+  const span = semitones(range.high, range.low);
+
+  return {
+    f0,
+    source: estimated ? 'estimated' : source,
+    estimated,
+    speaking: describe(f0, a4),
+    low: describe(range.low, a4),
+    high: describe(range.high, a4),
+    span: Math.round(span * 10) / 10,
+    voiceType,
+    passaggio,
+    tessitura: { low: describe(tessitura.low, a4), high: describe(tessitura.high, a4) },
+    // How far up the sung range the speaking voice sits
+    speakingPosition: Math.round(Math.min(1, Math.max(0, semitones(f0, range.low) / span)) * 100)
+  };
+}
+
+export default createVocalProfile;
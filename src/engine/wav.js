@@ -0,0 +1,119 @@
+/**
+ * WAV Encoding
+ * Interleaved PCM WAV (RIFF) writer for rendered audio
+ *
+ * Long renders (a 20-minute drone is ~50 million frames) are encoded in
+ * fixed-size blocks that the Blob constructor stitches together, so the
+ * encoder never needs one contiguous buffer the size of the file. The
+ * rendered AudioBuffer itself is still whole in memory, which is what
+ * limits render length (see utils/offlineRender).
+ */
+
+export const WAV_BIT_DEPTHS = [16, 24];
+
+// Frames encoded per block
+const BLOCK_FRAMES = 65536;
+
+function writeString(view, offset, text) {
+  for (let i = 0; i < text.length; i++) {
+    view.setUint8(offset + i, text.charCodeAt(i));
+  }
+}
+
+/**
+ * The 44-byte RIFF/WAVE header for a PCM file
+ */
+export function createWavHeader({ sampleRate, numChannels, bitDepth, numFrames }) {
+  const bytesPerSample = bitDepth / 8;
+  const blockAlign = numChannels * bytesPerSample;
+  const dataSize = numFrames * blockAlign;
+
+  const header = new ArrayBuffer(44);
+  const view = new DataView(header);
+
+  writeString(view, 0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeString(view, 8, 'WAVE');
+  writeString(view, 12, 'fmt ');
+  view.setUint32(16, 16, true);           // fmt chunk size
+  view.setUint16(20, 1, true);            // PCM
+  view.setUint16(22, numChannels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bitDepth, true);
+  writeString(view, 36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  return new Uint8Array(header);
+}
+
+/**
+ * Interleave and quantize one block of frames
+ */
+function encodeBlock(channels, start, end, bitDepth) {
+  const numChannels = channels.length;
+  const bytesPerSample = bitDepth / 8;
+  const out = new Uint8Array((end - start) * numChannels * bytesPerSample);
+  const view = new DataView(out.buffer);
+  const max = bitDepth === 16 ? 0x7fff : 0x7fffff;
+
+  let offset = 0;
+  for (let frame = start; frame < end; frame++) {
+    for (let ch = 0; ch < numChannels; ch++) {
+      const sample = Math.max(-1, Math.min(1, channels[ch][frame]));
+      const value = Math.round(sample * max);
+
+      if (bitDepth === 16) {
+        view.setInt16(offset, value, true);
+      } else {
+        view.setUint8(offset, value & 0xff);
+        view.setUint8(offset + 1, (value >> 8) & 0xff);
+        view.setUint8(offset + 2, (value >> 16) & 0xff);
+      }
+      offset += bytesPerSample;
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Encode channel data as WAV byte blocks (header first)
+ * @param {object} audio - { channels: Float32Array[], sampleRate }
+ * @param {number} bitDepth - 16 or 24
+ * @returns {Uint8Array[]}
+ */
+export function encodeWavParts({ channels, sampleRate }, bitDepth = 16) {
+  if (!WAV_BIT_DEPTHS.includes(bitDepth)) {
+    throw new Error(`Unsupported WAV bit depth ${bitDepth} — use 16 or 24`);
+  }
+
+  const numFrames = channels[0]?.length || 0;
+  const parts = [createWavHeader({ sampleRate, numChannels: channels.length, bitDepth, numFrames })];
+
+  for (let start = 0; start < numFrames; start += BLOCK_FRAMES) {
+    parts.push(encodeBlock(channels, start, Math.min(numFrames, start + BLOCK_FRAMES), bitDepth));
+  }
+
+  return parts;
+}
+
+/**
+ * Encode an AudioBuffer as a WAV Blob
+ * @param {AudioBuffer} buffer
+ * @param {number} bitDepth - 16 or 24
+ */
+export function audioBufferToWav(buffer, bitDepth = 16) {
+  const channels = Array.from({ length: buffer.numberOfChannels }, (_, i) => buffer.getChannelData(i));
+  return new Blob(encodeWavParts({ channels, sampleRate: buffer.sampleRate }, bitDepth), { type: 'audio/wav' });
+}
+
+/**
+ * File size in bytes of a PCM WAV
+ */
+export function estimateWavSize({ seconds, sampleRate = 44100, numChannels = 2, bitDepth = 16 }) {
+  return 44 + Math.round(seconds * sampleRate) * numChannels * (bitDepth / 8);
+}
+
+export default audioBufferToWav;
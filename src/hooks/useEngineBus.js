@@ -0,0 +1,63 @@
+/**
+ * useEngineBus Hook
+ * A component's own bus on the shared audio engine (utils/audioEngine)
+ *
+ * The bus is created by the first initAudio() and again whenever
+ * mobileAudio has replaced the context, and so the engine; it follows
+ * `volume` and is disposed on unmount. onStopAll runs after the global
+ * "stop all", so the component can reset its play state.
+ */
+
+import { useRef, useEffect, useCallback } from 'react';
+import { getAudioEngine, subscribeToStopAll } from '../utils/audioEngine';
+
+/**
+ * @param {string} name - Bus name
+ * @param {object} options
+ * @param {number} options.volume - Bus volume
+ * @param {function} options.onStopAll - Called after the global stop-all
+ * @param {function} options.onNewBus - Called with each new bus; voices
+ *   kept from an earlier engine are gone
+ * @returns {{busRef: object, initAudio: function}} initAudio resolves to
+ *   the running engine, or null without Web Audio or before the context runs
+ */
+export default function useEngineBus(name, { volume = 1, onStopAll, onNewBus } = {}) {
+  const busRef = useRef(null);
+  const volumeRef = useRef(volume);
+  const onStopAllRef = useRef(onStopAll);
+  const onNewBusRef = useRef(onNewBus);
+
+  // Keep the latest callbacks without resubscribing
+  useEffect(() => {
+    onStopAllRef.current = onStopAll;
+    onNewBusRef.current = onNewBus;
+  }, [onStopAll, onNewBus]);
+
+  useEffect(() => {
+    volumeRef.current = volume;
+    busRef.current?.setVolume(volume);
+  }, [volume]);
+
+  const initAudio = useCallback(async () => {
+    const engine = await getAudioEngine();
+    if (!engine || engine.ctx.state !== 'running') return null;
+
+    if (!busRef.current || busRef.current.engine !== engine) {
+      busRef.current = engine.createBus(name, { volume: volumeRef.current });
+      onNewBusRef.current?.(busRef.current);
+    }
+    return engine;
+  }, [name]);
+
+  // Global "stop all" silences the engine; let the component reflect it
+  useEffect(() => {
+    return subscribeToStopAll(() => onStopAllRef.current?.());
+  }, []);
+
+  // Release the bus (the shared engine stays up for other components)
+  useEffect(() => {
+    return () => busRef.current?.dispose();
+  }, []);
+
+  return { busRef, initAudio };
+}
@@ -0,0 +1,111 @@
+/**
+ * usePitchTracker
+ * Live microphone pitch tracking for practice tools
+ *
+ * Opens the mic through utils/microphone, runs detectPitch once per
+ * animation frame and exposes a lightly smoothed pitch. Raw frames are
+ * handed to onFrame for components that keep their own history, with the
+ * dB spectrum as well when a spectrumSize is given.
+ */
+
+import { useState, useRef, useEffect, useCallback } from 'react';
+import { detectPitch, median } from '../engine/pitchDetection';
+import { openMicrophone } from '../utils/microphone';
+
+export default function usePitchTracker({ onFrame, smoothing = 5, detectOptions, spectrumSize = null } = {}) {
+  const micRef = useRef(null);
+  const rafRef = useRef(null);
+  const recentRef = useRef([]);
+  const sessionRef = useRef(0); // bumped by every start and stop
+  const onFrameRef = useRef(onFrame);
+
+  const [isListening, setIsListening] = useState(false);
+  const [pitch, setPitch] = useState(null);
+  const [clarity, setClarity] = useState(0);
+  const [error, setError] = useState(null);
+
+  // Keep the latest callback without restarting the loop
+  useEffect(() => {
+    onFrameRef.current = onFrame;
+  }, [onFrame]);
+
+  const stop = useCallback(() => {
+    // A start still waiting for the mic sees this and closes it
+    sessionRef.current++;
+    if (rafRef.current) {
+      cancelAnimationFrame(rafRef.current);
+      rafRef.current = null;
+    }
+    if (micRef.current) {
+      micRef.current.close();
+      micRef.current = null;
+    }
+    recentRef.current = [];
+    setIsListening(false);
+    setPitch(null);
+    setClarity(0);
+  }, []);
+
+  const start = useCallback(async () => {
+    // Starting again replaces the mic already open
+    stop();
+    const session = sessionRef.current;
+    setError(null);
+
+    let opened;
+    try {
+      opened = await openMicrophone({ spectrumSize });
+    } catch (e) {
+      if (session !== sessionRef.current) return false;
+      console.warn('Microphone error:', e);
+      setError(e.name === 'NotAllowedError'
+        ? 'Microphone access was blocked. Allow it in your browser settings.'
+        : e.message);
+      return false;
+    }
+
+    // Stopped or unmounted while the permission prompt was up
+    if (session !== sessionRef.current) {
+      opened.close();
+      return false;
+    }
+
+    micRef.current = opened;
+    setIsListening(true);
+
+    const tick = () => {
+      const mic = micRef.current;
+      if (!mic) return;
+
+      const result = detectPitch(mic.readFrame(), mic.sampleRate, detectOptions);
+
+      // Median of the last few voiced frames hides single-frame glitches
+      const recent = recentRef.current;
+      recent.push(result.f0);
+      if (recent.length > smoothing) recent.shift();
+      const smoothed = result.f0 ? median(recent) : null;
+
+      setPitch(smoothed);
+      setClarity(result.clarity);
+
+      if (onFrameRef.current) {
+        onFrameRef.current({
+          ...result,
+          smoothed,
+          time: mic.ctx.currentTime,
+          spectrum: mic.readSpectrum(),
+          sampleRate: mic.sampleRate
+        });
+      }
+
+      rafRef.current = requestAnimationFrame(tick);
+    };
+    rafRef.current = requestAnimationFrame(tick);
+    return true;
+  }, [stop, smoothing, detectOptions, spectrumSize]);
+
+  // Release the mic on unmount
+  useEffect(() => stop, [stop]);
+
+  return { isListening, pitch, clarity, error, start, stop };
+}
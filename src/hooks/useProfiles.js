@@ -0,0 +1,24 @@
+/**
+ * useProfiles Hook
+ * The stored voice profiles and the active one, kept current by
+ * utils/profileStorage (loads them on first use)
+ */
+
+import { useEffect, useSyncExternalStore } from 'react';
+import { getProfilesSnapshot, subscribeToProfiles, loadProfiles } from '../utils/profileStorage';
+
+/**
+ * @returns {{loaded: boolean, error: string|null, profiles: Array, activeId: string|null, active: object|null}}
+ */
+export default function useProfiles() {
+  const snapshot = useSyncExternalStore(subscribeToProfiles, getProfilesSnapshot);
+
+  useEffect(() => {
+    loadProfiles();
+  }, []);
+
+  return {
+    ...snapshot,
+    active: snapshot.profiles.find(p => p.id === snapshot.activeId) || null
+  };
+}
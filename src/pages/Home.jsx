@@ -1,41 +1,122 @@
 /**
  * Home Page
  * Landing with example gallery — the entry point
- * Now with manual frequency input!
+ * Now with manual frequency input and live mic capture!
  */
 
 import { useState } from 'react';
 import { motion } from 'framer-motion';
 import { Link, useNavigate } from 'react-router-dom';
 import VoiceCardMini from '../components/VoiceCardMini';
+import VoiceCapture from '../components/VoiceCapture';
+import VocalRangeCapture from '../components/VocalRangeCapture';
+import VoiceProfiles from '../components/VoiceProfiles';
+import ReferencePitchSelect from '../components/ReferencePitchSelect';
 import { Prism, Waveform } from '../components/Icons';
 import { EXAMPLES } from '../data/examples';
+import { createVocalProfile } from '../engine/vocalProfile';
+import { noteNameToFreq, freqToNoteName } from '../engine/pitchUtils';
+import useProfiles from '../hooks/useProfiles';
+import { addSession } from '../utils/profileStorage';
 
-export default function Home() {
+// Shown until a profile has a session
+const DEFAULT_FREQ = 165;
+
+// Measured values keep one decimal (underscore form for the path)
+const round1 = (hz) => Math.round(hz * 10) / 10;
+
+/**
+ * Prism URL for a voice: f0 in the path, sung range in the query
+ */
+function prismPath({ f0, low, high, source }) {
+  const path = `/prism/${String(round1(f0)).replace('.', '_')}`;
+  if (!low || !high) return path;
+  return `${path}?${new URLSearchParams({ low: round1(low), high: round1(high), source })}`;
+}
+
+/**
+ * Read a sung note typed as a name ("E2", "Bb4", named at a4) or in Hz
+ * @returns {number|null} Hz, or null when empty or unreadable
+ */
+function parseSungNote(value, a4) {
+  if (!value.trim()) return null;
+  return noteNameToFreq(value, a4) ?? (parseFloat(value) || null);
+}
+
+export default function Home({ reference, onReferenceChange }) {
+  const { a4 } = reference;
   const navigate = useNavigate();
-  const [customFreq, setCustomFreq] = useState(165);
-  const [inputValue, setInputValue] = useState('165');
+  const { activeId, active } = useProfiles();
+  const [captureMode, setCaptureMode] = useState('hum'); // hum | range
+
+  // The form starts from the active profile's latest session; what the
+  // user types overrides it until they switch profile
+  const [freqOverride, setFreqOverride] = useState(null);
+  const [inputOverride, setInputOverride] = useState(null);
+  const [lowOverride, setLowOverride] = useState(null);
+  const [highOverride, setHighOverride] = useState(null);
+  const [overridesFor, setOverridesFor] = useState(activeId);
+  if (overridesFor !== activeId) {
+    setOverridesFor(activeId);
+    setFreqOverride(null);
+    setInputOverride(null);
+    setLowOverride(null);
+    setHighOverride(null);
+  }
+
+  const latest = active?.sessions.at(-1);
+  const customFreq = freqOverride ?? (latest ? Math.min(500, Math.max(50, Math.round(latest.f0))) : DEFAULT_FREQ);
+  const inputValue = inputOverride ?? String(customFreq);
+  const lowInput = lowOverride ?? (latest?.low ? freqToNoteName(latest.low, a4) : '');
+  const highInput = highOverride ?? (latest?.high ? freqToNoteName(latest.high, a4) : '');
 
   const handleFreqChange = (value) => {
     const num = parseFloat(value);
     if (!isNaN(num) && num >= 50 && num <= 500) {
-      setCustomFreq(num);
+      setFreqOverride(num);
     }
-    setInputValue(value);
+    setInputOverride(value);
+  };
+
+  // Measurements are kept in the active profile's history
+  const saveMeasurement = (voice) => {
+    if (!active) return;
+    addSession(active.id, { ...voice, source: 'measured' })
+      .catch(e => console.warn('Could not save the session:', e));
   };
 
+  // Optional sung range typed by hand: both ends or neither
+  const low = parseSungNote(lowInput, a4);
+  const high = parseSungNote(highInput, a4);
+  const rangeTyped = Boolean(lowInput.trim() || highInput.trim());
+  let rangeError = null;
+  if (rangeTyped) {
+    try {
+      if (!low || !high) throw new Error('Enter both ends of your range as notes (E2) or Hz');
+      createVocalProfile({ f0: Math.round(customFreq), low, high });
+    } catch (e) {
+      rangeError = e.message;
+    }
+  }
+
   const handleExplore = () => {
-    navigate(`/prism/${Math.round(customFreq)}`);
+    navigate(rangeTyped
+      ? prismPath({ f0: Math.round(customFreq), low, high, source: 'manual' })
+      : `/prism/${Math.round(customFreq)}`);
   };
 
-  // Get note name for frequency
-  const getNoteForFreq = (freq) => {
-    const noteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-    const a4 = 440;
-    const semitones = 12 * Math.log2(freq / a4);
-    const noteIndex = Math.round(semitones + 9) % 12;
-    const octave = Math.floor((semitones + 9 + 48) / 12);
-    return `${noteNames[(noteIndex + 12) % 12]}${octave}`;
+  const handleCaptured = (f0) => {
+    saveMeasurement({ f0 });
+    navigate(prismPath({ f0 }));
+  };
+
+  const handleRangeCaptured = ({ f0, low, high }) => {
+    saveMeasurement({ f0, low, high });
+    navigate(prismPath({ f0, low, high, source: 'measured' }));
+  };
+
+  const handleOpenSession = (session) => {
+    navigate(prismPath(session));
   };
 
   return (
@@ -100,16 +181,46 @@ export default function Home() {
             </div>
           </motion.div>
 
-          {/* Manual Frequency Input */}
+          {/* Voice Profiles */}
           <motion.div
             className="mt-12 max-w-md mx-auto"
             initial={{ opacity: 0, y: 20 }}
             animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: 0.5, duration: 0.5 }}
+          >
+            <VoiceProfiles onOpenSession={handleOpenSession} a4={a4} />
+          </motion.div>
+
+          {/* Live Mic Capture */}
+          <motion.div
+            className="mt-4 max-w-md mx-auto"
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
             transition={{ delay: 0.6, duration: 0.5 }}
+          >
+            {captureMode === 'hum'
+              ? <VoiceCapture duration={5} onComplete={handleCaptured} a4={a4} />
+              : <VocalRangeCapture onComplete={handleRangeCaptured} a4={a4} />}
+            <button
+              onClick={() => setCaptureMode(captureMode === 'hum' ? 'range' : 'hum')}
+              className="mt-2 text-xs text-carbon-500 underline hover:text-carbon-800 transition-colors"
+            >
+              {captureMode === 'hum'
+                ? 'Sing? Measure your full range instead'
+                : 'Just hum for your speaking pitch'}
+            </button>
+          </motion.div>
+
+          {/* Manual Frequency Input */}
+          <motion.div
+            className="mt-4 max-w-md mx-auto"
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: 0.7, duration: 0.5 }}
           >
             <div className="bg-cream-50 border border-carbon-200 rounded-xl p-6">
               <label className="block text-sm font-medium text-carbon-600 mb-3">
-                Enter your fundamental frequency
+                Or enter your fundamental frequency
               </label>
 
               <div className="flex items-center gap-4 mb-4">
@@ -117,7 +228,7 @@ export default function Home() {
                   type="number"
                   value={inputValue}
                   onChange={(e) => handleFreqChange(e.target.value)}
-                  onBlur={() => setInputValue(String(customFreq))}
+                  onBlur={() => setInputOverride(null)}
                   min="50"
                   max="500"
                   step="1"
@@ -126,7 +237,7 @@ export default function Home() {
                 <span className="text-carbon-500">Hz</span>
                 <span className="text-carbon-400">≈</span>
                 <span className="font-mono text-signal-orange font-semibold">
-                  {getNoteForFreq(customFreq)}
+                  {freqToNoteName(customFreq, a4)}
                 </span>
               </div>
 
@@ -145,9 +256,41 @@ export default function Home() {
                 <span>500 Hz (soprano)</span>
               </div>
 
+              <label className="block text-xs font-medium text-carbon-500 mb-2 text-left">
+                Name notes against
+              </label>
+              <div className="mb-4 text-left">
+                <ReferencePitchSelect reference={reference} onChange={onReferenceChange} />
+              </div>
+
+              <label className="block text-xs font-medium text-carbon-500 mb-2 text-left">
+                Sung range (optional) — lowest and highest comfortable notes
+              </label>
+              <div className="flex items-center gap-2 mb-1">
+                <input
+                  type="text"
+                  value={lowInput}
+                  onChange={(e) => setLowOverride(e.target.value)}
+                  placeholder="G2 or 98"
+                  className="flex-1 min-w-0 px-3 py-2 border border-carbon-300 rounded-lg font-mono text-sm text-center focus:outline-none focus:ring-2 focus:ring-signal-orange/50"
+                />
+                <span className="text-carbon-400">to</span>
+                <input
+                  type="text"
+                  value={highInput}
+                  onChange={(e) => setHighOverride(e.target.value)}
+                  placeholder="G4 or 392"
+                  className="flex-1 min-w-0 px-3 py-2 border border-carbon-300 rounded-lg font-mono text-sm text-center focus:outline-none focus:ring-2 focus:ring-signal-orange/50"
+                />
+              </div>
+              <p className={`text-xs mb-4 text-left ${rangeError ? 'text-signal-orange' : 'text-carbon-400'}`}>
+                {rangeError || 'Leave empty to estimate your range from your speaking pitch.'}
+              </p>
+
               <button
                 onClick={handleExplore}
-                className="w-full py-3 bg-signal-orange text-white font-semibold rounded-lg hover:bg-signal-orange/90 transition-colors"
+                disabled={Boolean(rangeError)}
+                className="w-full py-3 bg-signal-orange text-white font-semibold rounded-lg hover:bg-signal-orange/90 transition-colors disabled:opacity-50"
               >
                 Explore {Math.round(customFreq)} Hz
               </button>
@@ -1,14 +1,16 @@
 /**
  * Prism Page
- * Full analysis view for a given f0
+ * Full analysis view for a given f0, and a sung range when one is known
  */
 
-import { useParams, Link } from 'react-router-dom';
+import { useParams, useSearchParams, Link } from 'react-router-dom';
 import { useMemo, useState } from 'react';
 import { motion } from 'framer-motion';
 
-import { calculatePrism } from '../engine';
+import { calculatePrism, listTuningSystems, getOvertones, DEFAULT_TUNING_SYSTEM } from '../engine';
 import { FRAMEWORK_INFO } from '../data/examples';
+import useProfiles from '../hooks/useProfiles';
+import { addSession, savePreferences } from '../utils/profileStorage';
 
 import VoiceCard from '../components/VoiceCard';
 import FrameworkCard, { DataRow, IntervalRow, ConceptBox } from '../components/FrameworkCard';
@@ -21,11 +23,21 @@ import DroneMixer from '../components/DroneMixer';
 import MathVerification from '../components/MathVerification';
 import TuningSelector from '../components/TuningSelector';
 import ShrutiScale from '../components/ShrutiScale';
+import ChurchModes from '../components/ChurchModes';
+import PsalmToneGenerator from '../components/PsalmToneGenerator';
 import ShrutiMixer from '../components/ShrutiMixer';
 import BinauralBeatMixer from '../components/BinauralBeatMixer';
+import SessionProgrammer from '../components/SessionProgrammer';
 import CircleOfFifths from '../components/CircleOfFifths';
 import TibetanBowl from '../components/TibetanBowl';
+import SampleAnalyzer from '../components/SampleAnalyzer';
+import OvertoneTrainer from '../components/OvertoneTrainer';
 import ChordProgressionLooper from '../components/ChordProgressionLooper';
+import IntonationMeter from '../components/IntonationMeter';
+import TuningSystemSelect from '../components/TuningSystemSelect';
+import ReferencePitchSelect from '../components/ReferencePitchSelect';
+import ScalaFiles from '../components/ScalaFiles';
+import BeatBiofeedback from '../components/BeatBiofeedback';
 import { ArrowLeft, Prism as PrismIcon } from '../components/Icons';
 
 // Contextual explanation component
@@ -55,30 +67,70 @@ function parseF0(param) {
   return parseFloat(normalized);
 }
 
-export default function PrismPage() {
+// Sung range from the query string (?low=98&high=392&source=measured);
+// both ends or neither
+function parseRange(searchParams) {
+  const low = parseFloat(searchParams.get('low'));
+  const high = parseFloat(searchParams.get('high'));
+  if (isNaN(low) || isNaN(high)) return {};
+  return { low, high, source: searchParams.get('source') || 'manual' };
+}
+
+// Same measurement, to the tenth of a hertz URLs keep
+const sameHz = (a, b) => (a == null && b == null) || (a != null && b != null && Math.abs(a - b) < 0.05);
+
+export default function PrismPage({ reference, onReferenceChange }) {
   const { f0: f0Param } = useParams();
   const f0 = parseF0(f0Param);
+  const [searchParams] = useSearchParams();
+  const { low, high, source } = parseRange(searchParams);
+
+  // The active profile's preferences apply until changed here; changes
+  // are saved back to the profile
+  const { active } = useProfiles();
+  const preferences = active?.preferences;
+  const savePreference = (patch) => {
+    if (!active) return;
+    savePreferences(active.id, patch).catch(e => console.warn('Could not save the preference:', e));
+  };
+
+  // Tuning system used for the personalized scale (an imported Scala
+  // system is gone after a reload, so the preference may not exist)
+  const [tuningSystemOverride, setTuningSystemOverride] = useState(null);
+  const preferredSystem = listTuningSystems().some(system => system.id === preferences?.tuningSystem)
+    ? preferences.tuningSystem
+    : null;
+  const tuningSystemId = tuningSystemOverride ?? preferredSystem ?? DEFAULT_TUNING_SYSTEM;
+  const setTuningSystemId = (id) => {
+    setTuningSystemOverride(id);
+    savePreference({ tuningSystem: id });
+  };
 
   // Calculate prism data
   const prismData = useMemo(() => {
     if (isNaN(f0) || f0 < 50 || f0 > 1000) return null;
     try {
-      return calculatePrism(f0);
+      return calculatePrism({ f0, low, high, source }, { tuningSystem: tuningSystemId, reference: reference.a4 });
     } catch (e) {
       console.error('Prism calculation error:', e);
       return null;
     }
-  }, [f0]);
+  }, [f0, low, high, source, tuningSystemId, reference.a4]);
 
   // State for staff notation label type
   const [notationLabelType, setNotationLabelType] = useState('svara');
 
+  // Partials of an imported bowl or voice sample, shown on the overtone chart
+  const [sample, setSample] = useState(null);
+
   if (!prismData) {
     return (
       <div className="min-h-screen bg-cream-100 flex items-center justify-center">
         <div className="text-center">
           <h1 className="text-2xl font-bold text-carbon-800 mb-2">Invalid Frequency</h1>
-          <p className="text-carbon-500 mb-4">Please enter a frequency between 50 and 1000 Hz.</p>
+          <p className="text-carbon-500 mb-4">
+            Please enter a frequency between 50 and 1000 Hz{low !== undefined && ', and a sung range of at least a fourth'}.
+          </p>
           <Link to="/" className="btn btn-primary">
             Back to Home
           </Link>
@@ -87,7 +139,24 @@ export default function PrismPage() {
     );
   }
 
-  const { input, scale, frameworks, narrative } = prismData;
+  const { input, profile, scale, frameworks, narrative } = prismData;
+
+  // Whether this voice is already in the active profile's history
+  const isSaved = active?.sessions.some(s => sameHz(s.f0, f0) && sameHz(s.low, low) && sameHz(s.high, high));
+  const handleSaveSession = () => {
+    addSession(active.id, { f0, low, high, source: source || 'manual' })
+      .catch(e => console.warn('Could not save the session:', e));
+  };
+
+  // Remount the preference-driven components when the profile arrives
+  const profileKey = active?.id || 'guest';
+
+  // Keyboard octaves: every scale note and the whole sung range
+  const keyboardOctaves = [
+    ...scale.map(n => n.nearestPitch),
+    profile.low.note,
+    profile.high.note
+  ].map(note => parseInt(note.match(/-?\d+$/)?.[0] || 4));
 
   return (
     <div className="min-h-screen bg-cream-100">
@@ -102,6 +171,19 @@ export default function PrismPage() {
             <span className="text-xs sm:text-sm">Back</span>
           </Link>
           <div className="flex items-center gap-1.5 sm:gap-2">
+            {active && (
+              <>
+                <span className="text-xs sm:text-sm text-carbon-500">{active.name}</span>
+                <button
+                  onClick={handleSaveSession}
+                  disabled={isSaved}
+                  className="px-2 py-0.5 text-[10px] sm:text-xs font-medium rounded-md border border-carbon-200 text-carbon-600 hover:border-carbon-400 transition-colors disabled:opacity-50 disabled:hover:border-carbon-200"
+                >
+                  {isSaved ? 'Saved ✓' : 'Save session'}
+                </button>
+                <span className="text-carbon-200">|</span>
+              </>
+            )}
             <PrismIcon className="w-4 h-4 sm:w-5 sm:h-5 text-carbon-400" />
             <span className="font-mono text-xs sm:text-sm text-carbon-600">{input.f0Formatted} Hz</span>
           </div>
@@ -119,7 +201,7 @@ export default function PrismPage() {
             f0={input.f0}
             nearestPitch={input.nearestPitch}
             centsFormatted={input.centsFormatted}
-            mode={frameworks.gregorian.mode.name}
+            mode={frameworks.gregorian.mode.fitSummary ?? 'Measure your range'}
             saptak={frameworks.vedic.saptak.name}
             keySignature={frameworks.western.keySignature.key}
             vocalCategory={frameworks.western.vocalCategory.category}
@@ -149,11 +231,29 @@ export default function PrismPage() {
             <span className="font-mono text-[10px] sm:text-xs text-carbon-300">00</span>
             Your Personalized Scale
           </h2>
+          <div className="mb-3">
+            <div className="mb-2">
+              <ReferencePitchSelect reference={prismData.reference} onChange={onReferenceChange} />
+            </div>
+            <TuningSystemSelect value={tuningSystemId} onChange={setTuningSystemId} />
+            <ScalaFiles f0={input.f0} scale={scale} tuningSystemId={tuningSystemId} onImport={setTuningSystemId} />
+          </div>
           <div className="module">
             <div className="module-body">
               <ScaleTable scale={scale} highlightDegrees={[1, 4, 5]} />
             </div>
           </div>
+
+          {/* Live tuner against the scale */}
+          <div className="mt-4">
+            <IntonationMeter
+              f0={input.f0}
+              scale={scale}
+              scaleLabel={prismData.tuningSystem.name}
+              shrutiScale={frameworks.vedic.shruti?.scale}
+              a4={input.reference}
+            />
+          </div>
         </motion.section>
 
         {/* Piano Keyboard */}
@@ -171,17 +271,18 @@ export default function PrismPage() {
             <div className="module-body min-w-[500px] sm:min-w-0">
               <PianoKeyboard
                 scale={scale}
-                startOctave={(() => {
-                  // Get the lowest octave from actual scale notes
-                  const octaves = scale.map(n => parseInt(n.nearestPitch.match(/\d+/)?.[0] || 4));
-                  return Math.min(...octaves);
-                })()}
-                numOctaves={(() => {
-                  // Calculate how many octaves needed to show all notes
-                  const octaves = scale.map(n => parseInt(n.nearestPitch.match(/\d+/)?.[0] || 4));
-                  return Math.max(...octaves) - Math.min(...octaves) + 1;
-                })()}
+                startOctave={Math.min(...keyboardOctaves)}
+                numOctaves={Math.max(...keyboardOctaves) - Math.min(...keyboardOctaves) + 1}
+                profile={profile}
+                a4={input.reference}
               />
+              {profile.estimated && (
+                <p className="text-[10px] text-carbon-400 text-center mt-2">
+                  Range estimated from your speaking pitch —{' '}
+                  <Link to="/" className="underline hover:text-carbon-600">measure your sung range</Link>
+                  {' '}for voice type, tessitura and key suggestions.
+                </p>
+              )}
             </div>
           </div>
         </motion.section>
@@ -303,6 +404,11 @@ export default function PrismPage() {
                     <div className="font-medium text-carbon-800">{frameworks.vedic.saptak.name}</div>
                     <div className="text-xs text-carbon-500 mt-1">{frameworks.vedic.saptak.quality}</div>
                     <div className="text-[10px] text-carbon-400 mt-1">Range: {frameworks.vedic.saptak.range}</div>
+                    {frameworks.vedic.saptak.suggestedSa && (
+                      <div className="text-[10px] text-carbon-400 mt-0.5">
+                        Suggested Sa: {frameworks.vedic.saptak.suggestedSa.note} ({frameworks.vedic.saptak.suggestedSa.hzFormatted} Hz)
+                      </div>
+                    )}
                   </div>
                   <div className="bg-cream-50 rounded p-3 border border-carbon-100">
                     <div className="text-xs uppercase tracking-wider text-carbon-400 font-medium mb-1">Chakra</div>
@@ -324,8 +430,11 @@ export default function PrismPage() {
                 {frameworks.vedic.shruti && (
                   <div className="mt-4">
                     <ShrutiScale
+                      key={profileKey}
                       shrutiData={frameworks.vedic.shruti}
                       f0={input.f0}
+                      initialRaga={frameworks.vedic.shruti.ragas[preferences?.raga] ? preferences.raga : null}
+                      onRagaChange={(raga) => savePreference({ raga })}
                     />
                   </div>
                 )}
@@ -366,6 +475,18 @@ export default function PrismPage() {
                   <ContextBox context={frameworks.gregorian.mode.context} />
                 )}
 
+                {/* Eight church modes */}
+                <ChurchModes
+                  key={profileKey}
+                  gregorian={frameworks.gregorian}
+                  f0={input.f0}
+                  initialMode={preferences?.churchMode}
+                  onModeChange={(churchMode) => savePreference({ churchMode })}
+                />
+
+                {/* Psalm tone and organum from text */}
+                <PsalmToneGenerator gregorian={frameworks.gregorian} a4={input.reference} />
+
                 <div>
                   <h4 className="text-xs uppercase tracking-wider text-carbon-400 font-medium mb-2">
                     Organum Intervals
@@ -406,6 +527,16 @@ export default function PrismPage() {
                     <div className="text-xs uppercase tracking-wider text-carbon-400 font-medium mb-1">Key Signature</div>
                     <div className="font-medium text-carbon-800">{frameworks.western.keySignature.key}</div>
                     <div className="text-xs text-carbon-500 mt-1">{frameworks.western.keySignature.signature}</div>
+                    {frameworks.western.keySignature.suggestions && (
+                      <div className="mt-2 space-y-0.5">
+                        <div className="text-[9px] uppercase tracking-wider text-carbon-400">Keys for your tessitura</div>
+                        {frameworks.western.keySignature.suggestions.map(key => (
+                          <div key={key.key} className="text-[10px] text-carbon-500">
+                            <span className="font-medium text-carbon-700">{key.key}</span> — songs from {key.lowest} to {key.highest}
+                          </div>
+                        ))}
+                      </div>
+                    )}
                   </div>
                   <div className="bg-cream-50 rounded p-3 border border-carbon-100">
                     <div className="text-xs uppercase tracking-wider text-carbon-400 font-medium mb-1">Vocal Range</div>
@@ -420,10 +551,18 @@ export default function PrismPage() {
                           />
                         </div>
                         <div className="text-[9px] text-carbon-400 mt-0.5">
-                          {frameworks.western.vocalCategory.positionInRange}% through range
+                          {frameworks.western.vocalCategory.tessitura
+                            ? `You speak ${frameworks.western.vocalCategory.positionInRange}% up your range`
+                            : `${frameworks.western.vocalCategory.positionInRange}% through range`}
                         </div>
                       </div>
                     )}
+                    {frameworks.western.vocalCategory.tessitura && (
+                      <div className="text-[10px] text-carbon-500 mt-2 space-y-0.5">
+                        <div>Tessitura: {frameworks.western.vocalCategory.tessitura}</div>
+                        <div>Passaggi: {frameworks.western.vocalCategory.passaggio}</div>
+                      </div>
+                    )}
                   </div>
                 </div>
 
@@ -472,6 +611,8 @@ export default function PrismPage() {
                   <TibetanBowl
                     f0={input.f0}
                     size={280}
+                    equivalent={frameworks.tibetan.bowlEquivalent.model}
+                    a4={input.reference}
                   />
                 </div>
 
@@ -481,15 +622,26 @@ export default function PrismPage() {
                   <div className="text-xs text-carbon-500 mt-1">
                     {frameworks.tibetan.bowlEquivalent.diameter} • {frameworks.tibetan.bowlEquivalent.character}
                   </div>
+                  <div className="text-[10px] text-carbon-400 mt-1">
+                    Choose "Your size" on the bowl above to hear it.
+                  </div>
                 </div>
 
                 <div>
                   <h4 className="text-xs uppercase tracking-wider text-carbon-400 font-medium mb-3">
-                    Overtone Series
+                    Overtone Series{sample && ' of Your Sample'}
                   </h4>
-                  <OvertoneChart overtones={frameworks.tibetan.overtones} />
+                  <OvertoneChart
+                    overtones={sample ? getOvertones(sample.fundamental, 16, input.reference) : frameworks.tibetan.overtones}
+                    measured={sample?.partials}
+                  />
                 </div>
 
+                <SampleAnalyzer onAnalyzed={setSample} a4={input.reference} />
+
+                {/* Live overtone singing against the same series */}
+                <OvertoneTrainer f0={input.f0} />
+
                 <ConceptBox title="On Bowl Tuning Claims">
                   {frameworks.tibetan.bowlCaveat.description}
                 </ConceptBox>
@@ -509,6 +661,14 @@ export default function PrismPage() {
                   brainwaveMap={frameworks.neuroscience.brainwaveMap}
                 />
 
+                {/* Live beat biofeedback against the Sa drone */}
+                <div className="mt-4">
+                  <h4 className="text-xs uppercase tracking-wider text-carbon-400 font-medium mb-3">
+                    Sing the Beat
+                  </h4>
+                  <BeatBiofeedback f0={input.f0} />
+                </div>
+
                 {/* Binaural Beat Mixer */}
                 <div className="mt-4">
                   <h4 className="text-xs uppercase tracking-wider text-carbon-400 font-medium mb-3">
@@ -517,6 +677,14 @@ export default function PrismPage() {
                   <BinauralBeatMixer f0={input.f0} />
                 </div>
 
+                {/* Timed sessions of beat ramps */}
+                <div className="mt-4">
+                  <h4 className="text-xs uppercase tracking-wider text-carbon-400 font-medium mb-3">
+                    Program a Session
+                  </h4>
+                  <SessionProgrammer f0={input.f0} />
+                </div>
+
                 <ConceptBox title="On Entrainment">
                   {frameworks.neuroscience.entrainment.description}
                 </ConceptBox>
@@ -552,9 +720,9 @@ export default function PrismPage() {
         >
           <h2 className="text-base sm:text-lg font-semibold text-carbon-800 mb-3 sm:mb-4 flex items-center gap-2">
             <span className="font-mono text-[10px] sm:text-xs text-carbon-300">06</span>
-            Compare Tuning Standards
+            Tuning Standards and Temperaments
           </h2>
-          <TuningSelector f0={input.f0} />
+          <TuningSelector f0={input.f0} reference={prismData.reference} onChange={onReferenceChange} />
         </motion.section>
 
         {/* Math Verification */}
@@ -0,0 +1,476 @@
+/**
+ * Audio Engine
+ * One shared Web Audio graph for every sound in the app
+ *
+ *   voice (oscillator → gain → [panner]) → bus (gain) → master (gain → limiter) → destination
+ *
+ * Components create a bus for themselves (hooks/useEngineBus) and start
+ * voices on it instead of wiring oscillators straight to ctx.destination.
+ * Because everything meets at one limiter, two mixers playing at once can't
+ * clip, and stopAll() reaches every voice. Fades are scheduled on the audio
+ * clock (no setTimeout), so they are sample-accurate and also work offline.
+ *
+ * createAudioEngine() takes any AudioContext-like object, so the same code
+ * drives the live context, an OfflineAudioContext, or a mock in tests.
+ */
+
+import { getAudioContext, unlockAudioSync } from './mobileAudio';
+
+// Brick-wall-ish limiter settings for the master bus
+export const LIMITER_DEFAULTS = {
+  threshold: -6,   // dB
+  knee: 0,
+  ratio: 20,
+  attack: 0.003,   // seconds
+  release: 0.25
+};
+
+const MIN_GAIN = 0.0001;
+
+/**
+ * Schedule a parameter change on the audio clock
+ * Holds the current value at `at`, then ramps (or jumps) to `value`.
+ * @param {BaseAudioContext} ctx
+ * @param {AudioParam} param
+ * @param {number} value - Target value
+ * @param {object} options
+ * @param {number} options.at - Start time (defaults to now)
+ * @param {number} options.ramp - Ramp length in seconds (0 = jump)
+ * @param {string} options.curve - 'linear' or 'exponential'
+ * @param {number} options.from - Value held at `at` where cancelAndHoldAtTime
+ *   is missing (Firefox). A tracked param (see trackParam) works it out
+ *   itself; otherwise param.value is only right for changes scheduled now.
+ * @returns {number} Time at which the target is reached
+ */
+export function rampParam(ctx, param, value, { at, ramp = 0, curve = 'linear', from } = {}) {
+  const start = Math.max(at ?? ctx.currentTime, ctx.currentTime);
+
+  if (typeof param.cancelAndHoldAtTime === 'function') {
+    param.cancelAndHoldAtTime(start);
+  } else {
+    const held = from ?? (param.valueAt ? param.valueAt(start) : param.value);
+    param.cancelScheduledValues(start);
+    param.setValueAtTime(held, start);
+  }
+
+  if (ramp <= 0) {
+    param.setValueAtTime(value, start);
+    return start;
+  }
+
+  if (curve === 'exponential') {
+    param.exponentialRampToValueAtTime(Math.max(value, MIN_GAIN), start + ramp);
+  } else {
+    param.linearRampToValueAtTime(value, start + ramp);
+  }
+  return start + ramp;
+}
+
+/**
+ * Wrap an AudioParam so it remembers the automation scheduled on it
+ * The wrapper forwards every call and adds valueAt(time): the value the
+ * param will have then. That is what rampParam holds where
+ * cancelAndHoldAtTime is missing, so a stop scheduled into an envelope's
+ * decay or a still-rising attack starts from where the gain really is.
+ * @param {AudioParam} param
+ * @returns {object} AudioParam-like, plus valueAt(time)
+ */
+export function trackParam(param) {
+  let events = []; // { type: 'set'|'linear'|'exponential'|'target', value, time, timeConstant }
+
+  const add = (event) => {
+    events = [...events.filter(e => e.time <= event.time), event, ...events.filter(e => e.time > event.time)];
+  };
+
+  const approach = (target, time) =>
+    target.value + (target.from - target.value) * Math.exp(-(time - target.time) / target.timeConstant);
+
+  const valueAt = (time) => {
+    let value = param.defaultValue ?? param.value;
+    let previous = { time: 0, value };
+    let target = null; // a setTargetAtTime still approaching
+
+    for (const e of events) {
+      if (target) value = approach(target, e.time);
+      if (e.time > time) {
+        if (target) return approach(target, time);
+        const x = (time - previous.time) / (e.time - previous.time);
+        if (e.type === 'linear') return previous.value + (e.value - previous.value) * x;
+        if (e.type === 'exponential' && previous.value * e.value > 0) {
+          return previous.value * Math.pow(e.value / previous.value, x);
+        }
+        return previous.value;
+      }
+      target = e.type === 'target' ? { ...e, from: value } : null;
+      if (!target) value = e.value;
+      previous = { time: e.time, value };
+    }
+    return target ? approach(target, time) : value;
+  };
+
+  const tracked = {
+    get value() {
+      return param.value;
+    },
+    set value(v) {
+      param.value = v;
+    },
+    valueAt,
+    setValueAtTime(value, time) {
+      add({ type: 'set', value, time });
+      param.setValueAtTime(value, time);
+      return tracked;
+    },
+    linearRampToValueAtTime(value, time) {
+      add({ type: 'linear', value, time });
+      param.linearRampToValueAtTime(value, time);
+      return tracked;
+    },
+    exponentialRampToValueAtTime(value, time) {
+      add({ type: 'exponential', value, time });
+      param.exponentialRampToValueAtTime(value, time);
+      return tracked;
+    },
+    setTargetAtTime(value, time, timeConstant) {
+      add({ type: 'target', value, time, timeConstant });
+      param.setTargetAtTime(value, time, timeConstant);
+      return tracked;
+    },
+    cancelScheduledValues(time) {
+      events = events.filter(e => e.time < time);
+      param.cancelScheduledValues(time);
+      return tracked;
+    }
+  };
+
+  if (typeof param.cancelAndHoldAtTime === 'function') {
+    tracked.cancelAndHoldAtTime = (time) => {
+      const held = valueAt(time);
+      events = events.filter(e => e.time < time);
+      add({ type: 'set', value: held, time });
+      param.cancelAndHoldAtTime(time);
+      return tracked;
+    };
+  }
+
+  return tracked;
+}
+
+/**
+ * Start an oscillator voice on a bus
+ * @param {object} bus
+ * @param {object} options
+ * @param {number} options.frequency - Hz
+ * @param {string} options.type - Oscillator type
+ * @param {PeriodicWave} options.periodicWave - Custom waveform (overrides type)
+ * @param {number} options.volume - Peak gain
+ * @param {number} options.pan - -1 … 1 (omit for no panner)
+ * @param {number} options.attack - Linear fade-in seconds
+ * @param {function} options.envelope - (gainParam, startTime) => void, replaces the attack
+ * @param {number} options.when - Start time (defaults to now)
+ * @param {number} options.duration - If set, schedule the release to end here
+ * @param {number} options.release - Fade-out seconds for a scheduled or manual stop
+ */
+function startVoice(bus, options) {
+  const { ctx } = bus.engine;
+  const {
+    frequency,
+    type = 'sine',
+    periodicWave = null,
+    volume = 0.3,
+    pan = null,
+    attack = 0.02,
+    envelope = null,
+    when,
+    duration = null,
+    release = 0.08
+  } = options;
+
+  const start = Math.max(when ?? ctx.currentTime, ctx.currentTime);
+
+  const osc = ctx.createOscillator();
+  if (periodicWave) {
+    osc.setPeriodicWave(periodicWave);
+  } else {
+    osc.type = type;
+  }
+  osc.frequency.setValueAtTime(frequency, start);
+
+  const gain = ctx.createGain();
+  const level = trackParam(gain.gain);
+  if (envelope) {
+    envelope(level, start);
+  } else if (attack > 0) {
+    level.setValueAtTime(0, start);
+    level.linearRampToValueAtTime(volume, start + attack);
+  } else {
+    level.setValueAtTime(volume, start);
+  }
+
+  osc.connect(gain);
+  let output = gain;
+  let panner = null;
+  if (pan !== null && typeof ctx.createStereoPanner === 'function') {
+    panner = ctx.createStereoPanner();
+    panner.pan.setValueAtTime(pan, start);
+    gain.connect(panner);
+    output = panner;
+  }
+  output.connect(bus.input);
+  osc.start(start);
+
+  let stopped = false;
+  let stopEnd = Infinity;
+
+  const voice = {
+    osc,
+    gain,
+    panner,
+    bus,
+    startTime: start,
+
+    get isStopped() {
+      return stopped;
+    },
+
+    setFrequency(hz, opts) {
+      return rampParam(ctx, osc.frequency, hz, opts);
+    },
+
+    setVolume(value, opts) {
+      return rampParam(ctx, level, value, opts);
+    },
+
+    setPan(value, opts) {
+      if (panner) rampParam(ctx, panner.pan, value, opts);
+    },
+
+    setType(nextType) {
+      if (!periodicWave) osc.type = nextType;
+    },
+
+    /**
+     * Fade out and stop on the audio clock
+     * A voice already scheduled to stop later (e.g. by a lookahead
+     * scheduler) can be stopped again sooner, never later.
+     * @returns {number} Time the oscillator stops
+     */
+    stop({ release: fade = release, at } = {}) {
+      const start = Math.max(at ?? ctx.currentTime, ctx.currentTime);
+      if (stopped && start + fade >= stopEnd) return stopEnd;
+      stopped = true;
+      stopEnd = rampParam(ctx, level, 0, { at: start, ramp: fade });
+      osc.stop(stopEnd + 0.01);
+      return stopEnd;
+    }
+  };
+
+  osc.onended = () => {
+    osc.disconnect();
+    gain.disconnect();
+    if (panner) panner.disconnect();
+    bus.voices.delete(voice);
+    bus.engine.onVoicesChange();
+  };
+
+  bus.voices.add(voice);
+  bus.engine.onVoicesChange();
+
+  if (duration !== null) {
+    voice.stop({ at: Math.max(start, start + duration - release), release });
+  }
+
+  return voice;
+}
+
+/**
+ * Create an audio engine on a context
+ * @param {BaseAudioContext} ctx
+ * @param {object} options
+ * @param {AudioNode} options.destination - Where the limiter feeds (defaults to ctx.destination)
+ * @param {number} options.masterVolume - Master gain before the limiter
+ * @param {object} options.limiter - Overrides for LIMITER_DEFAULTS
+ * @param {function} options.onVoicesChange - Called whenever a voice starts or ends
+ */
+export function createAudioEngine(ctx, options = {}) {
+  const {
+    destination = ctx.destination,
+    masterVolume = 0.9,
+    limiter: limiterOptions = {},
+    onVoicesChange = () => {}
+  } = options;
+
+  const masterGain = ctx.createGain();
+  masterGain.gain.value = masterVolume;
+
+  const limiter = ctx.createDynamicsCompressor();
+  const settings = { ...LIMITER_DEFAULTS, ...limiterOptions };
+  limiter.threshold.value = settings.threshold;
+  limiter.knee.value = settings.knee;
+  limiter.ratio.value = settings.ratio;
+  limiter.attack.value = settings.attack;
+  limiter.release.value = settings.release;
+
+  masterGain.connect(limiter);
+  limiter.connect(destination);
+
+  const buses = new Set();
+
+  const engine = {
+    ctx,
+    master: { input: masterGain, limiter },
+    buses,
+    onVoicesChange,
+
+    now() {
+      return ctx.currentTime;
+    },
+
+    /**
+     * A gain stage feeding the master; one per component instance
+     * @param {string} name
+     * @param {object} options
+     * @param {number} options.volume
+     * @param {AudioNode} options.destination - Feed another bus's input instead
+     *   (e.g. a player's buses inside its component's bus)
+     */
+    createBus(name, { volume = 1, destination = masterGain } = {}) {
+      const input = ctx.createGain();
+      input.gain.value = volume;
+      input.connect(destination);
+
+      const bus = {
+        name,
+        engine,
+        input,
+        voices: new Set(),
+
+        createVoice(voiceOptions) {
+          return startVoice(bus, voiceOptions);
+        },
+
+        setVolume(value, opts = { ramp: 0.05 }) {
+          return rampParam(ctx, input.gain, value, opts);
+        },
+
+        stopAll(opts) {
+          bus.voices.forEach(voice => voice.stop(opts));
+        },
+
+        dispose() {
+          bus.stopAll({ release: 0.05 });
+          buses.delete(bus);
+          // Unmount cleanup only: let the short release tail finish first
+          setTimeout(() => input.disconnect(), 100);
+        }
+      };
+
+      buses.add(bus);
+      return bus;
+    },
+
+    ramp(param, value, opts) {
+      return rampParam(ctx, param, value, opts);
+    },
+
+    stopAll(opts = { release: 0.1 }) {
+      buses.forEach(bus => bus.stopAll(opts));
+    },
+
+    setMasterVolume(value, opts = { ramp: 0.05 }) {
+      return rampParam(ctx, masterGain.gain, value, opts);
+    }
+  };
+
+  return engine;
+}
+
+// ============================================
+// THE SHARED (LIVE) ENGINE
+// ============================================
+
+let sharedEngine = null;
+const stopAllListeners = new Set();
+const activityListeners = new Set();
+let wasActive = false;
+
+// Tell activity subscribers when the engine goes silent or starts sounding
+function notifyActivity() {
+  const active = hasActiveVoices();
+  if (active === wasActive) return;
+  wasActive = active;
+  activityListeners.forEach(cb => cb(active));
+}
+
+/**
+ * Engine for a context, rebuilt if mobileAudio replaced the context
+ */
+function engineFor(ctx) {
+  if (!ctx) return null;
+  if (!sharedEngine || sharedEngine.ctx !== ctx) {
+    sharedEngine = createAudioEngine(ctx, { onVoicesChange: notifyActivity });
+    notifyActivity();
+  }
+  return sharedEngine;
+}
+
+/**
+ * Get the shared engine (resumes the context like getAudioContext)
+ * @returns {Promise<object|null>}
+ */
+export async function getAudioEngine() {
+  return engineFor(await getAudioContext());
+}
+
+/**
+ * Synchronous unlock + engine, for the first line of a click handler
+ * (see unlockAudioSync for why this must not follow an await)
+ */
+export function unlockAudioEngine() {
+  return engineFor(unlockAudioSync());
+}
+
+/**
+ * Stop every voice on every bus and tell components to reset their UI
+ */
+export function stopAllAudio(opts) {
+  if (sharedEngine) sharedEngine.stopAll(opts);
+  stopAllListeners.forEach(cb => {
+    try {
+      cb();
+    } catch (e) {
+      console.warn('Stop-all listener error:', e);
+    }
+  });
+}
+
+/**
+ * Subscribe to global stop-all (returns an unsubscribe function)
+ */
+export function subscribeToStopAll(callback) {
+  stopAllListeners.add(callback);
+  return () => stopAllListeners.delete(callback);
+}
+
+/**
+ * Whether any voice is currently sounding on the shared engine
+ */
+export function hasActiveVoices() {
+  if (!sharedEngine) return false;
+  for (const bus of sharedEngine.buses) {
+    if (bus.voices.size > 0) return true;
+  }
+  return false;
+}
+
+/**
+ * Subscribe to sounding/silent changes (returns an unsubscribe function)
+ * @param {function} callback - (isActive: boolean) => void
+ */
+export function subscribeToAudioActivity(callback) {
+  activityListeners.add(callback);
+  callback(hasActiveVoices());
+  return () => activityListeners.delete(callback);
+}
+
+export default getAudioEngine;
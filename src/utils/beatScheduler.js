@@ -0,0 +1,137 @@
+/**
+ * Beat Scheduler
+ * Lookahead scheduling on the audio clock ("a tale of two clocks")
+ *
+ * A coarse JS timer wakes up every `interval` ms and schedules every beat
+ * that falls inside the next `lookahead` seconds at its exact
+ * AudioContext time. Timer jitter only changes *when* we schedule, never
+ * *where* the sound lands. Background tabs throttle timers to ~1 s, so
+ * the lookahead widens while the page is hidden.
+ *
+ * Tempo and bar length are read once per bar, so changes take effect on
+ * the next bar line without restarting. A requestAnimationFrame loop
+ * replays the scheduled beats to the UI when the audio clock reaches them.
+ */
+
+export const SCHEDULER_DEFAULTS = {
+  interval: 25,             // ms between scheduler wake-ups
+  lookahead: 0.1,           // seconds scheduled ahead while visible
+  backgroundLookahead: 1.5, // seconds scheduled ahead while hidden
+  startDelay: 0.05          // seconds between start() and the first beat
+};
+
+/**
+ * Create a bar/beat scheduler on an audio context
+ * @param {BaseAudioContext} ctx
+ * @param {object} options
+ * @param {function} options.getTempo - () => BPM, read at each bar line
+ * @param {function} options.getBeatsPerBar - (bar) => beats, read at each bar line
+ * @param {function} options.onBar - (bar, time, { beatsPerBar, secondsPerBeat }) => void
+ * @param {function} options.onBeat - (beat, time, bar) => void, audio scheduling per beat
+ * @param {function} options.onVisualBeat - ({ bar, beat, beatsPerBar, time }) => void, on the UI thread when the beat sounds
+ */
+export function createBeatScheduler(ctx, options = {}) {
+  const {
+    getTempo,
+    getBeatsPerBar,
+    onBar = () => {},
+    onBeat = () => {},
+    onVisualBeat = null,
+    interval = SCHEDULER_DEFAULTS.interval,
+    lookahead = SCHEDULER_DEFAULTS.lookahead,
+    backgroundLookahead = SCHEDULER_DEFAULTS.backgroundLookahead,
+    startDelay = SCHEDULER_DEFAULTS.startDelay
+  } = options;
+
+  let timerId = null;
+  let frameId = null;
+  let running = false;
+
+  // Position of the next beat to schedule
+  let bar = 0;
+  let beat = 0;
+  let nextTime = 0;
+  let beatsPerBar = 4;
+  let secondsPerBeat = 0.5;
+
+  // Beats scheduled but not yet shown
+  const visualQueue = [];
+
+  const currentLookahead = () =>
+    (typeof document !== 'undefined' && document.hidden) ? backgroundLookahead : lookahead;
+
+  const scheduleAhead = () => {
+    const horizon = ctx.currentTime + currentLookahead();
+
+    while (nextTime < horizon) {
+      if (beat === 0) {
+        beatsPerBar = Math.max(1, getBeatsPerBar(bar));
+        secondsPerBeat = 60 / getTempo();
+        onBar(bar, nextTime, { beatsPerBar, secondsPerBeat });
+      }
+
+      onBeat(beat, nextTime, bar);
+      if (onVisualBeat) visualQueue.push({ bar, beat, beatsPerBar, time: nextTime });
+
+      nextTime += secondsPerBeat;
+      beat++;
+      if (beat >= beatsPerBar) {
+        beat = 0;
+        bar++;
+      }
+    }
+  };
+
+  const drawLoop = () => {
+    if (!running) return;
+    let latest = null;
+    while (visualQueue.length && visualQueue[0].time <= ctx.currentTime) {
+      latest = visualQueue.shift();
+    }
+    if (latest) onVisualBeat(latest);
+    frameId = requestAnimationFrame(drawLoop);
+  };
+
+  return {
+    get isRunning() {
+      return running;
+    },
+
+    /**
+     * Start at bar 0 (optionally at a given audio time)
+     * @returns {number} Audio time of the first beat
+     */
+    start(when) {
+      if (running) return nextTime;
+      running = true;
+      bar = 0;
+      beat = 0;
+      nextTime = Math.max(when ?? 0, ctx.currentTime + startDelay);
+      visualQueue.length = 0;
+
+      const firstBeat = nextTime;
+      scheduleAhead();
+      timerId = setInterval(scheduleAhead, interval);
+      if (onVisualBeat && typeof requestAnimationFrame === 'function') {
+        frameId = requestAnimationFrame(drawLoop);
+      }
+      return firstBeat;
+    },
+
+    /**
+     * Stop scheduling; already-queued audio is the caller's to release
+     * @returns {number} Audio time of the first beat that was not scheduled
+     */
+    stop() {
+      running = false;
+      if (timerId !== null) clearInterval(timerId);
+      if (frameId !== null && typeof cancelAnimationFrame === 'function') cancelAnimationFrame(frameId);
+      timerId = null;
+      frameId = null;
+      visualQueue.length = 0;
+      return nextTime;
+    }
+  };
+}
+
+export default createBeatScheduler;
@@ -0,0 +1,43 @@
+/**
+ * File download utility
+ * Save generated text or binary data through a temporary object URL
+ */
+
+/**
+ * Trigger a browser download
+ * @param {string} filename - Suggested file name
+ * @param {string|Blob|ArrayBuffer|Uint8Array} data - File contents
+ * @param {string} mimeType - Used when data is not already a Blob
+ */
+export function downloadFile(filename, data, mimeType = 'text/plain') {
+  const blob = data instanceof Blob ? data : new Blob([data], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Read a user-selected File as text
+ * @param {File} file
+ * @returns {Promise<string>}
+ */
+export function readFileAsText(file) {
+  if (typeof file.text === 'function') return file.text();
+
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+}
+
+export default downloadFile;
@@ -0,0 +1,161 @@
+/**
+ * Entrainment Voices
+ * Start a binaural, monaural or isochronic beat on a bus and steer it
+ *
+ *   binaural:   left tone (pan −1), right tone (pan +1)
+ *   monaural:   both tones, centred, at half level each
+ *   isochronic: carrier → gate → voice gain, the gate driven by an LFO
+ *
+ * The isochronic gate is a gain set to the pulse's mean level plus an LFO
+ * playing the rest of its Fourier series (see pulseSeries), so the pulse
+ * rate glides like any frequency and duty or shape can change without a
+ * click. The gate sits before the voice gain, so a voice stop (including
+ * a global stop-all) fades the pulses out rather than the gate's offset.
+ *
+ * Works on the live engine and on offline engines for WAV rendering.
+ */
+
+import { beatFrequencies, isochronicCarrier, pulseSeries, PULSE_DEFAULTS } from '../engine/entrainment';
+
+/**
+ * Frequencies a set of settings asks for
+ * @returns {{ left: number, right: number, carrier: number }}
+ */
+export function entrainmentFrequencies({ f0, beat, placement }) {
+  return { ...beatFrequencies(f0, beat, placement), carrier: isochronicCarrier(f0, beat, placement) };
+}
+
+function pulseWave(ctx, options) {
+  const { mean, real, imag } = pulseSeries(options);
+  return { mean, wave: ctx.createPeriodicWave(real, imag, { disableNormalization: true }) };
+}
+
+/**
+ * Carrier voice gated by an isochronic pulse LFO
+ */
+function startGatedVoice(bus, { frequency, type, rate, duty, shape, when, attack }) {
+  const { ctx } = bus.engine;
+  const voice = bus.createVoice({ frequency, type, volume: 1, when, attack });
+  const start = voice.startTime;
+
+  const { mean, wave } = pulseWave(ctx, { duty, shape });
+  const gate = ctx.createGain();
+  gate.gain.setValueAtTime(mean, start);
+
+  const lfo = ctx.createOscillator();
+  lfo.setPeriodicWave(wave);
+  lfo.frequency.setValueAtTime(rate, start);
+  lfo.connect(gate.gain);
+
+  voice.osc.disconnect();
+  voice.osc.connect(gate);
+  gate.connect(voice.gain);
+  lfo.start(start);
+
+  voice.osc.addEventListener('ended', () => {
+    lfo.stop();
+    lfo.disconnect();
+    gate.disconnect();
+  });
+
+  return { voice, lfo, gate };
+}
+
+/**
+ * Start an entrainment beat
+ * @param {object} bus - From engine.createBus
+ * @param {object} settings
+ * @param {string} settings.mode - 'binaural' | 'monaural' | 'isochronic'
+ * @param {number} settings.f0 - The singer's Sa the tones are placed around (Hz)
+ * @param {number} settings.beat - Beat or pulse rate (Hz)
+ * @param {string} settings.placement - Tone pair or carrier placement, see
+ *   beatFrequencies and isochronicCarrier
+ * @param {string} settings.waveType - Oscillator type
+ * @param {number} settings.duty - Isochronic duty cycle
+ * @param {string} settings.shape - Isochronic pulse shape
+ * @param {object} options
+ * @param {number} options.when - Start time (defaults to now)
+ * @param {number} options.attack - Fade-in seconds
+ * @returns {{ mode, update(settings, opts), rampTo(settings, time), stop(opts) }}
+ *   update() follows changes to everything but the mode, opts as for
+ *   rampParam ({ at, ramp }). rampTo() glides beat and f0 to arrive at
+ *   `time` from the last value scheduled, so calls chain into a timeline.
+ */
+export function startEntrainment(bus, settings, { when, attack = 0.02 } = {}) {
+  const { mode, waveType = 'sine' } = settings;
+  const { engine } = bus;
+  let current = { duty: PULSE_DEFAULTS.duty, shape: PULSE_DEFAULTS.shape, ...settings, waveType };
+
+  if (mode === 'isochronic') {
+    const { carrier } = entrainmentFrequencies(current);
+    const gated = startGatedVoice(bus, {
+      frequency: carrier,
+      type: waveType,
+      rate: current.beat,
+      duty: current.duty,
+      shape: current.shape,
+      when,
+      attack
+    });
+
+    return {
+      mode,
+      update(next, opts = {}) {
+        const previous = current;
+        current = { ...current, ...next };
+        gated.voice.setFrequency(entrainmentFrequencies(current).carrier, opts);
+        gated.voice.setType(current.waveType);
+        engine.ramp(gated.lfo.frequency, current.beat, opts);
+
+        if (current.duty !== previous.duty || current.shape !== previous.shape) {
+          const { mean, wave } = pulseWave(engine.ctx, current);
+          gated.lfo.setPeriodicWave(wave);
+          engine.ramp(gated.gate.gain, mean, opts);
+        }
+      },
+      rampTo(next, time) {
+        current = { ...current, ...next };
+        gated.voice.osc.frequency.linearRampToValueAtTime(entrainmentFrequencies(current).carrier, time);
+        gated.lfo.frequency.linearRampToValueAtTime(current.beat, time);
+      },
+      stop(opts) {
+        return gated.voice.stop(opts);
+      }
+    };
+  }
+
+  // Two tones: hard-panned for binaural, summed in both ears for monaural
+  const { left, right } = entrainmentFrequencies(current);
+  const level = mode === 'monaural' ? 0.5 : 1;
+  const pans = mode === 'monaural' ? [null, null] : [-1, 1];
+  const voices = [left, right].map((frequency, i) => bus.createVoice({
+    frequency,
+    type: waveType,
+    volume: level,
+    pan: pans[i],
+    when,
+    attack
+  }));
+
+  return {
+    mode,
+    update(next, opts = {}) {
+      current = { ...current, ...next };
+      const hz = entrainmentFrequencies(current);
+      voices[0].setFrequency(hz.left, opts);
+      voices[1].setFrequency(hz.right, opts);
+      voices.forEach(v => v.setType(current.waveType));
+    },
+    rampTo(next, time) {
+      current = { ...current, ...next };
+      const hz = entrainmentFrequencies(current);
+      voices[0].osc.frequency.linearRampToValueAtTime(hz.left, time);
+      voices[1].osc.frequency.linearRampToValueAtTime(hz.right, time);
+    },
+    stop(opts) {
+      return Math.max(...voices.map(v => v.stop(opts)));
+    }
+  };
+}
+
+export default startEntrainment;
@@ -0,0 +1,112 @@
+/**
+ * Microphone Input
+ * Opens the mic through the shared AudioContext from mobileAudio
+ *
+ * The returned handle exposes an AnalyserNode for pulling time-domain
+ * frames, plus a close() that releases the stream without touching the
+ * shared context (other mixers may still be using it). A second, larger
+ * analyser can be asked for when a finer spectrum is needed than the
+ * pitch frame gives.
+ */
+
+import { getAudioContext, unlockAudioSync } from './mobileAudio';
+
+/**
+ * Check whether the browser can capture audio at all
+ */
+export function isMicrophoneSupported() {
+  return !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+}
+
+/**
+ * Open the microphone and wire it to an analyser
+ *
+ * CRITICAL: Call from a click/touch handler — this runs unlockAudioSync()
+ * before any await so Safari keeps the gesture chain.
+ *
+ * @param {object} options
+ * @param {number} options.fftSize - Analyser frame size (power of two)
+ * @param {number} options.spectrumSize - FFT size of a spectrum analyser (none if omitted)
+ * @returns {Promise<{ctx, stream, source, analyser, readFrame, readSpectrum, close}>}
+ */
+export async function openMicrophone({ fftSize = 2048, spectrumSize = null } = {}) {
+  // CRITICAL: Sync unlock first for Safari
+  unlockAudioSync();
+
+  if (!isMicrophoneSupported()) {
+    throw new Error('Microphone capture is not supported in this browser');
+  }
+
+  const stream = await navigator.mediaDevices.getUserMedia({
+    audio: {
+      // Processing designed for speech calls smears pitch — turn it off
+      echoCancellation: false,
+      noiseSuppression: false,
+      autoGainControl: false
+    }
+  });
+
+  const ctx = await getAudioContext();
+  if (!ctx) {
+    stream.getTracks().forEach(track => track.stop());
+    throw new Error('Web Audio API not supported');
+  }
+
+  const source = ctx.createMediaStreamSource(stream);
+  const analyser = ctx.createAnalyser();
+  analyser.fftSize = fftSize;
+  analyser.smoothingTimeConstant = 0;
+  source.connect(analyser);
+
+  const buffer = new Float32Array(analyser.fftSize);
+
+  let spectrumAnalyser = null;
+  let spectrum = null;
+  if (spectrumSize) {
+    spectrumAnalyser = ctx.createAnalyser();
+    spectrumAnalyser.fftSize = spectrumSize;
+    spectrumAnalyser.smoothingTimeConstant = 0.3;
+    source.connect(spectrumAnalyser);
+    spectrum = new Float32Array(spectrumAnalyser.frequencyBinCount);
+  }
+
+  return {
+    ctx,
+    stream,
+    source,
+    analyser,
+    sampleRate: ctx.sampleRate,
+
+    /**
+     * Copy the latest time-domain frame into a reused buffer
+     */
+    readFrame() {
+      analyser.getFloatTimeDomainData(buffer);
+      return buffer;
+    },
+
+    /**
+     * Copy the latest dB spectrum (bins 0 … spectrumSize/2 − 1) into a
+     * reused buffer; null without a spectrum analyser
+     */
+    readSpectrum() {
+      if (!spectrumAnalyser) return null;
+      spectrumAnalyser.getFloatFrequencyData(spectrum);
+      return spectrum;
+    },
+
+    /**
+     * Release the mic (leaves the shared AudioContext running)
+     */
+    close() {
+      try {
+        source.disconnect();
+        analyser.disconnect();
+        spectrumAnalyser?.disconnect();
+      } catch {
+        // Already disconnected
+      }
+      stream.getTracks().forEach(track => track.stop());
+    }
+  };
+}
@@ -0,0 +1,90 @@
+/**
+ * Offline Rendering
+ * Rebuild a patch in an OfflineAudioContext and render it faster than realtime
+ *
+ * A patch is a function (engine, duration) that creates a bus and schedules
+ * voices exactly as the live mixer does on the shared engine. Here the
+ * engine runs on an OfflineAudioContext and feeds a master fade envelope.
+ */
+
+import { createAudioEngine } from './audioEngine';
+
+export const RENDER_SAMPLE_RATE = 44100;
+
+// Longest render offered. The whole render sits in memory as 32-bit float
+// before it is encoded (20 minutes of stereo is ~420 MB), so much longer
+// renders fail or freeze the tab.
+export const MAX_RENDER_MINUTES = 20;
+
+/**
+ * Check whether offline rendering is available
+ */
+export function isOfflineRenderSupported() {
+  return typeof window !== 'undefined' &&
+    !!(window.OfflineAudioContext || window.webkitOfflineAudioContext);
+}
+
+/**
+ * Render a patch to a stereo AudioBuffer
+ * @param {function} buildPatch - (engine, duration) => void
+ * @param {object} options
+ * @param {number} options.duration - Seconds to render
+ * @param {number} options.fadeIn - Fade-in seconds
+ * @param {number} options.fadeOut - Fade-out seconds
+ * @param {function} options.onProgress - Called with 0–1 while rendering
+ * @returns {Promise<AudioBuffer>}
+ */
+export async function renderPatch(buildPatch, options = {}) {
+  const {
+    duration,
+    fadeIn = 3,
+    fadeOut = 5,
+    sampleRate = RENDER_SAMPLE_RATE,
+    onProgress
+  } = options;
+
+  const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  if (!OfflineContext) {
+    throw new Error('Offline rendering is not supported in this browser');
+  }
+  if (duration > MAX_RENDER_MINUTES * 60) {
+    throw new Error(`Renders are limited to ${MAX_RENDER_MINUTES} minutes`);
+  }
+
+  const length = Math.ceil(duration * sampleRate);
+  const ctx = new OfflineContext(2, length, sampleRate);
+
+  // Master fade envelope: every patch passes through it
+  const fade = ctx.createGain();
+  const inEnd = Math.min(fadeIn, duration / 2);
+  const outStart = Math.max(inEnd, duration - fadeOut);
+  fade.gain.setValueAtTime(fadeIn > 0 ? 0 : 1, 0);
+  if (fadeIn > 0) fade.gain.linearRampToValueAtTime(1, inEnd);
+  fade.gain.setValueAtTime(1, outStart);
+  fade.gain.linearRampToValueAtTime(0, duration);
+  fade.connect(ctx.destination);
+
+  buildPatch(createAudioEngine(ctx, { destination: fade }), duration);
+
+  // Progress via scheduled suspends where the browser supports them
+  if (onProgress && typeof ctx.suspend === 'function') {
+    const steps = 20;
+    for (let i = 1; i < steps; i++) {
+      const time = (duration * i) / steps;
+      try {
+        ctx.suspend(time).then(() => {
+          onProgress(i / steps);
+          ctx.resume();
+        }).catch(() => {});
+      } catch {
+        break;
+      }
+    }
+  }
+
+  const rendered = await ctx.startRendering();
+  if (onProgress) onProgress(1);
+  return rendered;
+}
+
+export default renderPatch;
@@ -1,12 +1,26 @@
 /**
  * Simple tone playback utility
  * For quick audio feedback throughout the app
+ *
+ * Tones play on a shared 'ui' bus of the audio engine, so they pass the
+ * master limiter and are silenced by stop-all like everything else.
+ * Sequences are scheduled on the audio clock, not with timers.
  */
 
-import { unlockAudioSync } from './mobileAudio';
+import { unlockAudioEngine } from './audioEngine';
 
-// Active oscillators for cleanup
-const activeOscillators = new Map();
+// The bus for one-shot tones (rebuilt if the engine was replaced)
+let uiBus = null;
+
+function getUiBus() {
+  // Synchronous unlock: tones are played straight from click handlers
+  const engine = unlockAudioEngine();
+  if (!engine) return null;
+  if (!uiBus || uiBus.engine !== engine) {
+    uiBus = engine.createBus('ui');
+  }
+  return uiBus;
+}
 
 /**
  * Play a single tone at a given frequency
@@ -20,44 +34,28 @@ export function playTone(frequency, options = {}) {
     volume = 0.3,
     attack = 0.02,
     release = 0.3,
+    when,
   } = options;
 
-  // Get context synchronously (unlockAudioSync creates and returns it)
-  const ctx = unlockAudioSync();
-  if (!ctx) return null;
-
-  // Create nodes
-  const osc = ctx.createOscillator();
-  const gain = ctx.createGain();
-
-  osc.type = type;
-  osc.frequency.value = frequency;
-
-  // Envelope
-  const now = ctx.currentTime;
-  gain.gain.setValueAtTime(0, now);
-  gain.gain.linearRampToValueAtTime(volume, now + attack);
-  gain.gain.setValueAtTime(volume, now + duration - release);
-  gain.gain.exponentialRampToValueAtTime(0.001, now + duration);
-
-  // Connect
-  osc.connect(gain);
-  gain.connect(ctx.destination);
-
-  // Play
-  osc.start(now);
-  osc.stop(now + duration);
-
-  // Track for cleanup
-  const id = `${frequency}-${Date.now()}`;
-  activeOscillators.set(id, { osc, gain });
-  osc.onended = () => {
-    activeOscillators.delete(id);
-    osc.disconnect();
-    gain.disconnect();
-  };
-
-  return { osc, gain, id };
+  const bus = getUiBus();
+  if (!bus) return null;
+
+  const start = when ?? bus.engine.now();
+
+  // Envelope: linear attack, hold, exponential release to the end
+  return bus.createVoice({
+    frequency,
+    type,
+    when: start,
+    envelope: (g, t) => {
+      g.setValueAtTime(0, t);
+      g.linearRampToValueAtTime(volume, t + attack);
+      g.setValueAtTime(volume, t + Math.max(attack, duration - release));
+      g.exponentialRampToValueAtTime(0.001, t + duration);
+    },
+    duration,
+    release: 0.01,
+  });
 }
 
 /**
@@ -83,14 +81,14 @@ export function playChord(frequencies, options = {}) {
 export function playSequence(notes, options = {}) {
   const { tempo = 120, ...rest } = options;
   const beatDuration = 60 / tempo;
+  const bus = getUiBus();
+  if (!bus) return;
 
-  let delay = 0;
+  let time = bus.engine.now();
   notes.forEach(note => {
     const noteDuration = note.duration || beatDuration;
-    setTimeout(() => {
-      playTone(note.freq, { duration: noteDuration * 0.9, ...rest });
-    }, delay * 1000);
-    delay += noteDuration;
+    playTone(note.freq, { duration: noteDuration * 0.9, ...rest, when: time });
+    time += noteDuration;
   });
 }
 
@@ -104,10 +102,8 @@ export function playInterval(baseFreq, ratio, options = {}) {
   const { sequential = false, delay = 0.3, ...rest } = options;
 
   if (sequential) {
-    playTone(baseFreq, rest);
-    setTimeout(() => {
-      playTone(baseFreq * ratio, rest);
-    }, delay * 1000);
+    const voice = playTone(baseFreq, rest);
+    if (voice) playTone(baseFreq * ratio, { ...rest, when: voice.startTime + delay });
   } else {
     playChord([baseFreq, baseFreq * ratio], rest);
   }
@@ -139,14 +135,5 @@ export function playHarmonicSeries(fundamental, harmonics = 8, options = {}) {
  * Stop all currently playing tones
  */
 export function stopAllTones() {
-  activeOscillators.forEach(({ osc, gain }) => {
-    try {
-      const ctx = osc.context;
-      gain.gain.exponentialRampToValueAtTime(0.001, ctx.currentTime + 0.1);
-      osc.stop(ctx.currentTime + 0.1);
-    } catch (e) {
-      // Already stopped
-    }
-  });
-  activeOscillators.clear();
+  if (uiBus) uiBus.stopAll({ release: 0.1 });
 }
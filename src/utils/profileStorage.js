@@ -0,0 +1,474 @@
+/**
+ * Voice profile storage
+ * Named profiles (one per singer) kept in IndexedDB, with their measured
+ * sessions, preferences and mixer presets
+ *
+ * A profile is
+ *   { id, name, createdAt, updatedAt,
+ *     sessions: [{ id, recordedAt, f0, low, high, source }],
+ *     preferences: { tuningStandard, tuningSystem, raga, churchMode },
+ *     mixerPresets: [{ id, mixer, name, settings, createdAt }] }
+ * with ISO timestamps; low and high are null for an f0-only session.
+ *
+ * Every profile is held in memory as an immutable snapshot, refreshed
+ * after each write, so components can read it synchronously
+ * (useSyncExternalStore) and subscribe to changes. The active profile's id
+ * lives in localStorage, like the looper's progressions.
+ */
+
+import { TANPURA_FIRST_STRINGS } from './tanpura';
+import { CUSTOM_A4_RANGE } from '../engine/pitchUtils';
+import { ENTRAINMENT_MODES, PULSE_SHAPES, DUTY_LIMITS } from '../engine/entrainment';
+
+const DB_NAME = 'vocal-prism';
+const DB_VERSION = 1;
+const STORE = 'profiles';
+const ACTIVE_KEY = 'vocal-prism:active-profile';
+
+// Exported files
+export const PROFILE_FILE_FORMAT = 'vocal-prism-profiles';
+export const PROFILE_FILE_VERSION = 1;
+
+export const DEFAULT_PREFERENCES = {
+  tuningStandard: 'A440',
+  tuningSystem: null,
+  raga: null,
+  churchMode: null
+};
+
+/**
+ * Thrown for a profile file that can't be imported
+ */
+export class ProfileImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ProfileImportError';
+  }
+}
+
+let snapshot = {
+  loaded: false,
+  error: null,
+  profiles: [],
+  activeId: readActiveId()
+};
+const listeners = new Set();
+let dbPromise = null;
+let loadPromise = null;
+
+function readActiveId() {
+  try {
+    return localStorage.getItem(ACTIVE_KEY);
+  } catch {
+    return null;
+  }
+}
+
+function setSnapshot(patch) {
+  snapshot = { ...snapshot, ...patch };
+  listeners.forEach(listener => listener());
+}
+
+const createId = (prefix) => `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+
+// IndexedDB requests as promises
+const request = (req) => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('This browser has no IndexedDB; profiles cannot be saved'));
+        return;
+      }
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        if (!req.result.objectStoreNames.contains(STORE)) {
+          req.result.createObjectStore(STORE, { keyPath: 'id' });
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+}
+
+async function withStore(mode, fn) {
+  const db = await openDb();
+  const tx = db.transaction(STORE, mode);
+  const done = new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+  const [result] = await Promise.all([fn(tx.objectStore(STORE)), done]);
+  return result;
+}
+
+/**
+ * Fill in missing fields of a stored or imported profile
+ */
+export function normalizeProfile(profile) {
+  return {
+    ...profile,
+    sessions: [...(profile.sessions || [])].sort((a, b) => a.recordedAt.localeCompare(b.recordedAt)),
+    preferences: { ...DEFAULT_PREFERENCES, ...profile.preferences },
+    mixerPresets: profile.mixerPresets || []
+  };
+}
+
+/**
+ * Read every profile into the snapshot
+ */
+async function refresh() {
+  try {
+    const stored = await withStore('readonly', store => request(store.getAll()));
+    const profiles = stored.map(normalizeProfile).sort((a, b) => a.name.localeCompare(b.name));
+    const activeId = profiles.some(p => p.id === snapshot.activeId) ? snapshot.activeId : null;
+    setSnapshot({ loaded: true, error: null, profiles, activeId });
+  } catch (e) {
+    console.warn('Could not read profiles:', e);
+    setSnapshot({ loaded: true, error: e.message });
+  }
+}
+
+/**
+ * Load the profiles once (later calls share the first load)
+ */
+export function loadProfiles() {
+  if (!loadPromise) loadPromise = refresh();
+  return loadPromise;
+}
+
+/**
+ * Current profiles: { loaded, error, profiles, activeId }
+ * The same object until something changes.
+ */
+export function getProfilesSnapshot() {
+  return snapshot;
+}
+
+/**
+ * Be told whenever the profiles or the active profile change
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeToProfiles(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Make a profile the active one (null for none)
+ */
+export function setActiveProfile(id) {
+  try {
+    if (id) localStorage.setItem(ACTIVE_KEY, id);
+    else localStorage.removeItem(ACTIVE_KEY);
+  } catch (e) {
+    console.warn('Could not remember the active profile:', e);
+  }
+  setSnapshot({ activeId: id });
+}
+
+async function putProfiles(profiles) {
+  await withStore('readwrite', store => Promise.all(profiles.map(p => request(store.put(p)))));
+  await refresh();
+}
+
+/**
+ * Apply a change to one stored profile
+ * @param {string} id
+ * @param {Function} change - profile => updated profile
+ * @returns {Promise<object>} The updated profile
+ */
+export async function updateProfile(id, change) {
+  // Read and write in one transaction, so quick successive changes each
+  // see the one before
+  const updated = await withStore('readwrite', async store => {
+    const current = await request(store.get(id));
+    if (!current) throw new Error(`No profile "${id}"`);
+
+    const next = { ...change(normalizeProfile(current)), id, updatedAt: new Date().toISOString() };
+    await request(store.put(next));
+    return next;
+  });
+  await refresh();
+  return updated;
+}
+
+/**
+ * Create a profile and make it active
+ * @returns {Promise<object>}
+ */
+export async function createProfile(name) {
+  const now = new Date().toISOString();
+  const profile = normalizeProfile({
+    id: createId('profile'),
+    name: name.trim() || 'Untitled',
+    createdAt: now,
+    updatedAt: now
+  });
+  await putProfiles([profile]);
+  setActiveProfile(profile.id);
+  return profile;
+}
+
+export function renameProfile(id, name) {
+  return updateProfile(id, profile => ({ ...profile, name: name.trim() || profile.name }));
+}
+
+export async function deleteProfile(id) {
+  await withStore('readwrite', store => request(store.delete(id)));
+  if (snapshot.activeId === id) setActiveProfile(null);
+  await refresh();
+}
+
+/**
+ * Record a measured session
+ * @param {string} id - Profile id
+ * @param {{f0: number, low: number, high: number, source: string}} voice
+ */
+export function addSession(id, { f0, low = null, high = null, source = 'measured' }) {
+  const session = { id: createId('session'), recordedAt: new Date().toISOString(), f0, low, high, source };
+  return updateProfile(id, profile => ({ ...profile, sessions: [...profile.sessions, session] }));
+}
+
+export function removeSession(id, sessionId) {
+  return updateProfile(id, profile => ({
+    ...profile,
+    sessions: profile.sessions.filter(s => s.id !== sessionId)
+  }));
+}
+
+/**
+ * Change some preferences (keys of DEFAULT_PREFERENCES)
+ */
+export function savePreferences(id, preferences) {
+  return updateProfile(id, profile => ({
+    ...profile,
+    preferences: { ...profile.preferences, ...preferences }
+  }));
+}
+
+/**
+ * Save a mixer's settings under a name; an existing preset of the same
+ * mixer and name is replaced
+ * @param {string} id - Profile id
+ * @param {{mixer: string, name: string, settings: object}} preset
+ */
+export function saveMixerPreset(id, { mixer, name, settings }) {
+  return updateProfile(id, profile => ({
+    ...profile,
+    mixerPresets: [
+      ...profile.mixerPresets.filter(p => !(p.mixer === mixer && p.name === name)),
+      { id: createId('preset'), mixer, name, settings, createdAt: new Date().toISOString() }
+    ]
+  }));
+}
+
+export function removeMixerPreset(id, presetId) {
+  return updateProfile(id, profile => ({
+    ...profile,
+    mixerPresets: profile.mixerPresets.filter(p => p.id !== presetId)
+  }));
+}
+
+/**
+ * Profiles as an export file
+ * @param {Array} profiles
+ * @returns {string} JSON
+ */
+export function serializeProfiles(profiles) {
+  return JSON.stringify({
+    format: PROFILE_FILE_FORMAT,
+    version: PROFILE_FILE_VERSION,
+    exportedAt: new Date().toISOString(),
+    profiles
+  }, null, 2);
+}
+
+// Checks for imported fields
+const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+const isBetween = (min, max) => (v) => isNumber(v) && v >= min && v <= max;
+const isFraction = isBetween(0, 1);
+const isPositive = (v) => isNumber(v) && v > 0;
+const isIntBetween = (min, max) => (v) => Number.isInteger(v) && v >= min && v <= max;
+const isString = (v) => typeof v === 'string';
+const isBoolean = (v) => typeof v === 'boolean';
+const isOneOf = (values) => (v) => values.includes(v);
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+const isListOf = (check) => (v) => Array.isArray(v) && v.every(check);
+const optional = (check) => (v) => v === undefined || check(v);
+const orNull = (check) => (v) => v === null || check(v);
+const hasFields = (fields) => (v) => isObject(v) && Object.entries(fields).every(([key, check]) => check(v[key]));
+const hasKeys = (keys, check) => (v) => isObject(v) && keys.every(key => check(v[key]));
+const keysBetween = (min, max) => Array.from({ length: max - min + 1 }, (_, i) => String(min + i));
+
+const isWaveType = isOneOf(['sine', 'triangle', 'square', 'sawtooth']);
+
+// Shrutis each tunable svara of the shruti mixer can take
+const TUNABLE_SHRUTIS = { Re: [2, 5], Ga: [6, 9], Ma: [10, 13], Dha: [15, 18], Ni: [19, 22] };
+
+// The settings each mixer saves in a preset (its presetSettings)
+const MIXER_SETTINGS = {
+  drone: hasFields({
+    mode: isOneOf(['scale', 'chromatic']),
+    waveType: isWaveType,
+    masterVolume: isFraction,
+    scaleVoices: isListOf(isIntBetween(1, 8)),
+    scaleVolumes: hasKeys(keysBetween(1, 8), isFraction),
+    chromVoices: isListOf(isIntBetween(0, 12)),
+    chromVolumes: hasKeys(keysBetween(0, 12), isFraction),
+    tanpuraOn: isBoolean,
+    tanpura: hasFields({
+      firstString: (v) => isString(v) && Object.hasOwn(TANPURA_FIRST_STRINGS, v),
+      cycleSeconds: isBetween(2.5, 8),
+      jawari: isFraction,
+      detune: isBetween(0, 8)
+    })
+  }),
+  shruti: hasFields({
+    activeShrutis: isListOf(isIntBetween(1, 22)),
+    tunedShrutis: (v) => isObject(v) && Object.entries(TUNABLE_SHRUTIS).every(([svara, [min, max]]) =>
+      hasFields({ shruti: isIntBetween(min, max), enabled: isBoolean })(v[svara])
+    ),
+    waveType: isWaveType,
+    masterVolume: isFraction
+  }),
+  binaural: hasFields({
+    selectedState: isOneOf(['delta', 'theta', 'alpha', 'beta', 'gamma']),
+    beatFrequency: isBetween(0.5, 50),
+    beatMode: isOneOf(['centered', 'above', 'below']),
+    volume: isFraction,
+    waveType: isWaveType,
+    // Presets saved before isochronic and monaural beats have none of these
+    entrainment: optional(isOneOf(ENTRAINMENT_MODES.map(m => m.id))),
+    dutyCycle: optional(isBetween(DUTY_LIMITS.min, DUTY_LIMITS.max)),
+    pulseShape: optional(isOneOf(PULSE_SHAPES.map(s => s.id)))
+  })
+};
+
+const isSession = hasFields({
+  id: isString,
+  recordedAt: isString,
+  f0: isPositive,
+  low: optional(orNull(isPositive)),
+  high: optional(orNull(isPositive)),
+  source: optional(isString)
+});
+
+// A named standard ('A440'), or the A4 of a custom reference
+const isA4 = isBetween(CUSTOM_A4_RANGE.min, CUSTOM_A4_RANGE.max);
+
+const isPreferences = hasFields({
+  tuningStandard: optional((v) => isString(v) || isA4(v)),
+  tuningSystem: optional(orNull(isString)),
+  raga: optional(orNull(isString)),
+  churchMode: optional(orNull(isIntBetween(1, 8)))
+});
+
+const isPreset = (v) => hasFields({
+  id: isString,
+  mixer: (mixer) => isString(mixer) && Object.hasOwn(MIXER_SETTINGS, mixer),
+  name: isString,
+  createdAt: isString
+})(v) && MIXER_SETTINGS[v.mixer](v.settings);
+
+/**
+ * Check one imported profile
+ * @throws {ProfileImportError}
+ */
+function checkProfile(profile, i) {
+  if (!isString(profile?.id) || !isString(profile.name)) {
+    throw new ProfileImportError(`Profile ${i + 1} has no id or name`);
+  }
+  const { name } = profile;
+  if (!isString(profile.createdAt) || !isString(profile.updatedAt)) {
+    throw new ProfileImportError(`Profile "${name}" has an unreadable date`);
+  }
+  if (!optional(isListOf(isSession))(profile.sessions)) {
+    throw new ProfileImportError(`Profile "${name}" has a session without an id, date or valid f0, low and high`);
+  }
+  if (!optional(isPreferences)(profile.preferences)) {
+    throw new ProfileImportError(`Profile "${name}" has unreadable preferences`);
+  }
+  if (!optional(Array.isArray)(profile.mixerPresets)) {
+    throw new ProfileImportError(`Profile "${name}" has unreadable mixer presets`);
+  }
+  const bad = (profile.mixerPresets || []).find(preset => !isPreset(preset));
+  if (bad) {
+    const label = isString(bad?.name) ? `"${bad.name}"` : 'without a name';
+    throw new ProfileImportError(`Profile "${name}" has a mixer preset ${label} that can't be loaded`);
+  }
+}
+
+/**
+ * Read and check an export file
+ * @param {string} text - JSON
+ * @returns {Array} Normalized profiles
+ * @throws {ProfileImportError}
+ */
+export function parseProfiles(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new ProfileImportError('The file is not JSON');
+  }
+  if (data?.format !== PROFILE_FILE_FORMAT || !Array.isArray(data.profiles)) {
+    throw new ProfileImportError('The file is not a Vocal Prism profile export');
+  }
+  if (data.version > PROFILE_FILE_VERSION) {
+    throw new ProfileImportError(`The file is from a newer version (${data.version}) of Vocal Prism`);
+  }
+
+  return data.profiles.map((profile, i) => {
+    checkProfile(profile, i);
+    return normalizeProfile(profile);
+  });
+}
+
+/**
+ * Combine an imported profile with the stored one of the same id: sessions
+ * and presets are merged by id, name and preferences come from whichever
+ * was updated last
+ */
+export function mergeProfile(stored, imported) {
+  if (!stored) return imported;
+
+  const newer = imported.updatedAt > stored.updatedAt ? imported : stored;
+  const byId = (a, b) => [...a, ...b.filter(item => !a.some(other => other.id === item.id))];
+  return normalizeProfile({
+    ...newer,
+    createdAt: stored.createdAt < imported.createdAt ? stored.createdAt : imported.createdAt,
+    sessions: byId(stored.sessions, imported.sessions),
+    mixerPresets: byId(stored.mixerPresets, imported.mixerPresets)
+  });
+}
+
+/**
+ * Import an export file into the store
+ * @param {string} text - JSON
+ * @returns {Promise<{added: number, merged: number}>}
+ * @throws {ProfileImportError}
+ */
+export async function importProfiles(text) {
+  const incoming = parseProfiles(text);
+
+  // Merge against the store itself, in the transaction that writes, so an
+  // import before the first load (or beside another change) loses nothing
+  const merged = await withStore('readwrite', store => Promise.all(incoming.map(async profile => {
+    const stored = await request(store.get(profile.id));
+    await request(store.put(mergeProfile(stored && normalizeProfile(stored), profile)));
+    return Boolean(stored);
+  })));
+  await refresh();
+
+  const count = merged.filter(Boolean).length;
+  return { added: incoming.length - count, merged: count };
+}
@@ -0,0 +1,164 @@
+/**
+ * Session program storage
+ * The user's entrainment session programs, kept in localStorage and
+ * moved between machines as JSON files
+ *
+ * A program is { id, name, mode, placement, waveType, duty, shape, segments }
+ * (see engine/sessionProgram).
+ */
+
+import { normalizeProgram, VOLUME_CURVES, BED_TYPES, WAVE_TYPES } from '../engine/sessionProgram';
+import { ENTRAINMENT_MODES, PULSE_SHAPES, BEAT_PLACEMENTS } from '../engine/entrainment';
+
+const STORAGE_KEY = 'vocal-prism:session-programs';
+
+// Exported files
+export const PROGRAM_FILE_FORMAT = 'vocal-prism-sessions';
+export const PROGRAM_FILE_VERSION = 1;
+
+/**
+ * Thrown for a program file that can't be imported
+ */
+export class ProgramImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ProgramImportError';
+  }
+}
+
+const isProgram = (p) => p && typeof p.id === 'string' && Array.isArray(p.segments);
+
+/**
+ * Saved programs (empty if storage is unavailable or corrupt)
+ */
+export function loadPrograms() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    const list = raw ? JSON.parse(raw) : [];
+    return Array.isArray(list) ? list.filter(isProgram).map(normalizeProgram) : [];
+  } catch (e) {
+    console.warn('Could not read saved session programs:', e);
+    return [];
+  }
+}
+
+/**
+ * Replace the saved list
+ * @returns {boolean} Whether it was written (private mode / quota can refuse)
+ */
+export function savePrograms(list) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(list));
+    return true;
+  } catch (e) {
+    console.warn('Could not save session programs:', e);
+    return false;
+  }
+}
+
+/**
+ * Insert or update one program by id and persist
+ * @returns {Array} The new list
+ */
+export function upsertProgram(list, program) {
+  const next = list.some(p => p.id === program.id)
+    ? list.map(p => (p.id === program.id ? program : p))
+    : [...list, program];
+  savePrograms(next);
+  return next;
+}
+
+/**
+ * Remove one program by id and persist
+ * @returns {Array} The new list
+ */
+export function removeProgram(list, id) {
+  const next = list.filter(p => p.id !== id);
+  savePrograms(next);
+  return next;
+}
+
+/**
+ * Programs as an export file
+ * @param {Array} programs
+ * @returns {string} JSON
+ */
+export function serializePrograms(programs) {
+  return JSON.stringify({
+    format: PROGRAM_FILE_FORMAT,
+    version: PROGRAM_FILE_VERSION,
+    exportedAt: new Date().toISOString(),
+    programs
+  }, null, 2);
+}
+
+// Checks for imported fields. Each may be left out (it gets its default);
+// numbers that are present are clamped to SEGMENT_LIMITS by normalizeProgram.
+const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+const isOneOf = (values) => (v) => values.includes(v);
+const optional = (check) => (v) => v === undefined || check(v);
+const ids = (list) => list.map(item => item.id);
+
+const PROGRAM_FIELDS = {
+  mode: optional(isOneOf(ids(ENTRAINMENT_MODES))),
+  placement: optional(isOneOf(BEAT_PLACEMENTS)),
+  waveType: optional(isOneOf(WAVE_TYPES)),
+  duty: optional(isNumber),
+  shape: optional(isOneOf(ids(PULSE_SHAPES)))
+};
+
+const SEGMENT_FIELDS = {
+  minutes: isNumber,
+  beatFrom: isNumber,
+  beatTo: isNumber,
+  carrier: optional(v => v === null || isNumber(v)),
+  volumeFrom: optional(isNumber),
+  volumeTo: optional(isNumber),
+  volumeCurve: optional(isOneOf(ids(VOLUME_CURVES))),
+  bed: optional(isOneOf(ids(BED_TYPES))),
+  bedLevel: optional(isNumber)
+};
+
+// Name of the first field that fails its check, if any
+const badField = (value, fields) => Object.keys(fields).find(key => !fields[key](value[key]));
+
+/**
+ * Read and check an export file
+ * @param {string} text - JSON
+ * @returns {Array} Normalized programs
+ * @throws {ProgramImportError}
+ */
+export function parsePrograms(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new ProgramImportError('The file is not JSON');
+  }
+  if (data?.format !== PROGRAM_FILE_FORMAT || !Array.isArray(data.programs)) {
+    throw new ProgramImportError('The file is not a Vocal Prism session export');
+  }
+  if (data.version > PROGRAM_FILE_VERSION) {
+    throw new ProgramImportError(`The file is from a newer version (${data.version}) of Vocal Prism`);
+  }
+
+  return data.programs.map((program, i) => {
+    if (!isProgram(program) || typeof program.name !== 'string') {
+      throw new ProgramImportError(`Program ${i + 1} has no id, name or segments`);
+    }
+    const field = badField(program, PROGRAM_FIELDS);
+    if (field) {
+      throw new ProgramImportError(`"${program.name}" has an invalid ${field}`);
+    }
+    program.segments.forEach((segment, j) => {
+      if (segment === null || typeof segment !== 'object') {
+        throw new ProgramImportError(`Segment ${j + 1} of "${program.name}" is not a segment`);
+      }
+      const bad = badField(segment, SEGMENT_FIELDS);
+      if (bad) {
+        throw new ProgramImportError(`Segment ${j + 1} of "${program.name}" has an invalid or missing ${bad}`);
+      }
+    });
+    return normalizeProgram(program);
+  });
+}
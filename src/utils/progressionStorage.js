@@ -0,0 +1,62 @@
+/**
+ * Custom progression storage
+ * The looper's user-written progressions, kept in localStorage
+ *
+ * A progression is { id, name, chords: string[], durations: (number|null)[] }
+ * where chords are Roman-numeral symbols and a null duration means
+ * "use the looper's beats-per-chord setting".
+ */
+
+const STORAGE_KEY = 'vocal-prism:progressions';
+
+/**
+ * Saved progressions (empty if storage is unavailable or corrupt)
+ */
+export function loadCustomProgressions() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    const list = raw ? JSON.parse(raw) : [];
+    return Array.isArray(list)
+      ? list.filter(p => p && typeof p.id === 'string' && Array.isArray(p.chords))
+      : [];
+  } catch (e) {
+    console.warn('Could not read saved progressions:', e);
+    return [];
+  }
+}
+
+/**
+ * Replace the saved list
+ * @returns {boolean} Whether it was written (private mode / quota can refuse)
+ */
+export function saveCustomProgressions(list) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(list));
+    return true;
+  } catch (e) {
+    console.warn('Could not save progressions:', e);
+    return false;
+  }
+}
+
+/**
+ * Insert or update one progression by id and persist
+ * @returns {Array} The new list
+ */
+export function upsertCustomProgression(list, progression) {
+  const next = list.some(p => p.id === progression.id)
+    ? list.map(p => (p.id === progression.id ? progression : p))
+    : [...list, progression];
+  saveCustomProgressions(next);
+  return next;
+}
+
+/**
+ * Remove one progression by id and persist
+ * @returns {Array} The new list
+ */
+export function removeCustomProgression(list, id) {
+  const next = list.filter(p => p.id !== id);
+  saveCustomProgressions(next);
+  return next;
+}
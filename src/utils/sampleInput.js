@@ -0,0 +1,76 @@
+/**
+ * Sample Input
+ * Get a mono sample to analyse: decode a dropped audio file, or record a
+ * few seconds from the microphone
+ *
+ * Both return { samples, sampleRate, duration } with the channels mixed
+ * down, decoded on the shared AudioContext.
+ */
+
+import { getAudioContext } from './mobileAudio';
+import { openMicrophone } from './microphone';
+
+/**
+ * Mix an AudioBuffer's channels down to one
+ */
+function toMono(buffer) {
+  const samples = new Float32Array(buffer.length);
+  for (let c = 0; c < buffer.numberOfChannels; c++) {
+    const channel = buffer.getChannelData(c);
+    for (let i = 0; i < buffer.length; i++) samples[i] += channel[i] / buffer.numberOfChannels;
+  }
+  return samples;
+}
+
+/**
+ * Decode an audio file or blob (WAV, MP3, M4A, OGG … whatever the browser reads)
+ * @param {Blob} file
+ * @returns {Promise<{ samples: Float32Array, sampleRate: number, duration: number }>}
+ */
+export async function decodeSample(file) {
+  const ctx = await getAudioContext();
+  if (!ctx) throw new Error('Web Audio API not supported');
+
+  const data = await file.arrayBuffer();
+  let buffer;
+  try {
+    buffer = await ctx.decodeAudioData(data);
+  } catch {
+    throw new Error(`Could not decode ${file.name || 'the recording'} as audio`);
+  }
+
+  return { samples: toMono(buffer), sampleRate: buffer.sampleRate, duration: buffer.duration };
+}
+
+/**
+ * Record from the microphone for a fixed time
+ *
+ * CRITICAL: Call from a click/touch handler (opens the mic).
+ *
+ * @param {number} seconds
+ * @returns {Promise<{ samples: Float32Array, sampleRate: number, duration: number }>}
+ */
+export async function recordSample(seconds) {
+  if (typeof MediaRecorder === 'undefined') {
+    throw new Error('Recording is not supported in this browser');
+  }
+
+  const mic = await openMicrophone();
+  try {
+    const recorder = new MediaRecorder(mic.stream);
+    const chunks = [];
+    recorder.ondataavailable = (e) => chunks.push(e.data);
+
+    const stopped = new Promise((resolve, reject) => {
+      recorder.onstop = resolve;
+      recorder.onerror = (e) => reject(e.error || new Error('Recording failed'));
+    });
+    recorder.start();
+    setTimeout(() => recorder.state !== 'inactive' && recorder.stop(), seconds * 1000);
+    await stopped;
+
+    return await decodeSample(new Blob(chunks, { type: recorder.mimeType }));
+  } finally {
+    mic.close();
+  }
+}
@@ -0,0 +1,257 @@
+/**
+ * Session Player
+ * Plays a session program (engine/sessionProgram) on the audio clock
+ *
+ *   beat (startEntrainment) → session bus ─┐
+ *   drone voices            → drone bus  ──┼→ master
+ *   looped noise → fade     → noise buses ─┘
+ *
+ * start(offset) lays the whole remaining program out at once: every
+ * keyframe becomes a ramp on the beat's frequencies and the buses' gains,
+ * chained with linear/exponentialRampToValueAtTime, so timer jitter or a
+ * background tab can't move a single ramp. Pausing tears the graph down
+ * and remembers the position; resuming lays it out again from there.
+ */
+
+import { startEntrainment } from './entrainment';
+import { programKeyframes, programDuration, sessionStateAt } from '../engine/sessionProgram';
+import { generateNoise, NOISE_TYPES } from '../engine/noise';
+
+// Overall level of the beat and the beds (matches the beat mixer)
+const SESSION_GAIN = 0.3;
+
+// Seconds between start() and the first sound, fade in/out on start, pause and end
+const START_DELAY = 0.05;
+const FADE = 0.4;
+const END_FADE = 3;
+
+// Drone bed: Sa an octave under the carrier, and Pa below that Sa
+const DRONE_PARTS = [{ ratio: 0.5, level: 0.6 }, { ratio: 0.375, level: 0.35 }];
+
+// Length of the looped noise buffers (seconds)
+const NOISE_SECONDS = 8;
+
+// Noise buffers per context (they can't be shared across contexts)
+const noiseCache = new WeakMap();
+
+function getNoiseBuffer(ctx, type) {
+  if (!noiseCache.has(ctx)) noiseCache.set(ctx, new Map());
+  const buffers = noiseCache.get(ctx);
+  if (!buffers.has(type)) {
+    const samples = generateNoise(type, Math.round(NOISE_SECONDS * ctx.sampleRate));
+    const buffer = ctx.createBuffer(1, samples.length, ctx.sampleRate);
+    buffer.copyToChannel(samples, 0);
+    buffers.set(type, buffer);
+  }
+  return buffers.get(type);
+}
+
+/**
+ * Ramp a param to `value`, arriving at `time`, from the last scheduled value
+ */
+function rampTo(param, value, time, curve = 'linear') {
+  if (curve === 'exponential') {
+    param.exponentialRampToValueAtTime(value, time);
+  } else {
+    param.linearRampToValueAtTime(value, time);
+  }
+}
+
+/**
+ * Create a player for one program
+ * @param {object} engine - Live audio engine (see getAudioEngine)
+ * @param {object} program - Normalized program
+ * @param {object} options
+ * @param {number} options.f0 - Carrier for segments without one (Hz)
+ * @param {AudioNode} options.destination - Where the session's buses feed
+ *   (defaults to the engine's master)
+ * @param {function} options.onEnd - Called when the program has played out
+ * @returns {object} { start(offset), pause(), stop(), elapsed(), duration, isPlaying }
+ */
+export function createSessionPlayer(engine, program, { f0, destination, onEnd = () => {} } = {}) {
+  const { ctx } = engine;
+  const duration = programDuration(program);
+  const keyframes = programKeyframes(program, { f0 });
+  const usedBeds = ['drone', ...NOISE_TYPES].filter(id => keyframes.some(k => k.beds[id] > 0));
+
+  let running = null; // { t0, offset, buses, patch, drone, noises, endTimer }
+  let position = 0;
+
+  const elapsed = () => {
+    if (!running) return position;
+    return Math.min(duration, running.offset + Math.max(0, engine.now() - running.t0));
+  };
+
+  // Silence and release one run's graph, or whatever of it was built
+  function dismantle(run, release) {
+    const { buses, patch, drone, noises, endTimer } = run;
+    clearTimeout(endTimer);
+    const at = engine.now();
+
+    patch?.stop({ release });
+    drone.forEach(v => v.stop({ release }));
+    noises.forEach(({ source, fade }) => {
+      engine.ramp(fade.gain, 0, { at, ramp: release, from: 1 });
+      try {
+        source.stop(at + release + 0.05);
+      } catch {
+        // Already ended
+      }
+    });
+    // Let the fades finish before the buses let go
+    setTimeout(() => buses.forEach(bus => bus.dispose()), (release + 0.1) * 1000);
+  }
+
+  function teardown(release) {
+    if (!running) return;
+    dismantle(running, release);
+    running = null;
+  }
+
+  /**
+   * Start sounding from `offset` seconds into the program
+   * @returns {boolean} Whether it started (false if already playing or at the end)
+   * @throws If the graph can't be built (e.g. a non-finite frequency); the
+   *   player is then left stopped, as before the call
+   */
+  function start(offset = position) {
+    if (running || offset >= duration) return false;
+
+    const t0 = engine.now() + START_DELAY;
+    const state = sessionStateAt(program, offset, { f0 });
+    // Audio time of a program time, for this run
+    const timeOf = (t) => t0 + (t - offset);
+
+    // Only kept once everything is scheduled
+    const run = { t0, offset, buses: [], patch: null, drone: [], noises: [], endTimer: null };
+
+    const createBus = (name, level) => {
+      const bus = engine.createBus(name, { volume: level, destination });
+      bus.input.gain.setValueAtTime(level, t0);
+      run.buses.push(bus);
+      return bus;
+    };
+
+    try {
+      // The beat
+      const beatBus = createBus('session', state.volume * SESSION_GAIN);
+      run.patch = startEntrainment(beatBus, {
+        mode: program.mode,
+        f0: state.carrier,
+        beat: state.beat,
+        placement: program.placement,
+        waveType: program.waveType,
+        duty: program.duty,
+        shape: program.shape
+      }, { when: t0, attack: FADE });
+
+      // Beds
+      const bedBuses = {};
+      usedBeds.forEach(id => {
+        bedBuses[id] = createBus(`session-${id}`, state.beds[id] * SESSION_GAIN);
+      });
+      if (bedBuses.drone) {
+        run.drone = DRONE_PARTS.map(part => bedBuses.drone.createVoice({
+          frequency: state.carrier * part.ratio,
+          type: 'triangle',
+          volume: part.level,
+          when: t0,
+          attack: FADE
+        }));
+      }
+      NOISE_TYPES.filter(id => bedBuses[id]).forEach(id => {
+        const source = ctx.createBufferSource();
+        source.buffer = getNoiseBuffer(ctx, id);
+        source.loop = true;
+        const fade = ctx.createGain();
+        fade.gain.setValueAtTime(0, t0);
+        fade.gain.linearRampToValueAtTime(1, t0 + FADE);
+        source.connect(fade);
+        fade.connect(bedBuses[id].input);
+        source.onended = () => {
+          source.disconnect();
+          fade.disconnect();
+        };
+        source.start(t0, (offset % NOISE_SECONDS));
+        run.noises.push({ source, fade });
+      });
+
+      // Every keyframe still ahead, as chained ramps
+      keyframes.filter(k => k.time > offset).forEach(k => {
+        const time = timeOf(k.time);
+        run.patch.rampTo({ beat: k.beat, f0: k.carrier }, time);
+        rampTo(beatBus.input.gain, k.volume * SESSION_GAIN, time, k.curve);
+        usedBeds.forEach(id => rampTo(bedBuses[id].input.gain, k.beds[id] * SESSION_GAIN, time));
+        run.drone.forEach((voice, i) => {
+          voice.osc.frequency.linearRampToValueAtTime(k.carrier * DRONE_PARTS[i].ratio, time);
+        });
+      });
+
+      // Fade out over the last seconds
+      const end = timeOf(duration);
+      const fadeFrom = Math.max(t0, end - END_FADE);
+      run.patch.stop({ at: fadeFrom, release: end - fadeFrom });
+      run.drone.forEach(v => v.stop({ at: fadeFrom, release: end - fadeFrom }));
+      run.noises.forEach(({ source, fade }) => {
+        fade.gain.setValueAtTime(1, fadeFrom);
+        fade.gain.linearRampToValueAtTime(0, end);
+        source.stop(end + 0.05);
+      });
+    } catch (e) {
+      dismantle(run, 0.05);
+      throw e;
+    }
+
+    // Report the end
+    running = run;
+    running.endTimer = setTimeout(() => {
+      position = duration;
+      teardown(0.05);
+      onEnd();
+    }, (timeOf(duration) - engine.now() + 0.1) * 1000);
+
+    return true;
+  }
+
+  return {
+    duration,
+
+    get isPlaying() {
+      return running !== null;
+    },
+
+    elapsed,
+
+    start,
+
+    /**
+     * Stop sounding and keep the position for a later start()
+     * @returns {number} Seconds into the program
+     */
+    pause() {
+      position = elapsed();
+      teardown(FADE);
+      return position;
+    },
+
+    /**
+     * Stop and rewind
+     */
+    stop({ release = FADE } = {}) {
+      teardown(release);
+      position = 0;
+    },
+
+    /**
+     * Move the position (takes effect on the next start, or now if playing)
+     */
+    seek(seconds) {
+      const wasPlaying = running !== null;
+      teardown(0.1);
+      position = Math.min(Math.max(seconds, 0), duration);
+      if (wasPlaying) start(position);
+    }
+  };
+}
+
+export default createSessionPlayer;
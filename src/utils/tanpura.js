@@ -0,0 +1,226 @@
+/**
+ * Tanpura
+ * Additive tanpura: four strings plucked in a cycle, each with the jawari bloom
+ *
+ * The jawari is the curved bridge a tanpura string grazes as it vibrates.
+ * It throws energy into high partials a moment after the pluck, and the
+ * bright band then sweeps down the spectrum while the note rings. Each
+ * pluck here is a plain harmonic body plus three jawari bands (PeriodicWaves
+ * over high, middle and low-middle partials) whose envelopes peak one after
+ * another, so the buzz blooms and descends like the real bridge.
+ *
+ * The strings are the first string (Pa, Ma or Ni below Sa), Sa, Sa, and
+ * kharaj Sa an octave down, plucked in that order with a rest before the
+ * cycle repeats. The two Sa strings are detuned against each other for the
+ * slow beating of a real instrument. Settings are read at every pluck, so
+ * they can change while it plays.
+ */
+
+import { createBeatScheduler } from './beatScheduler';
+
+// First string, as a ratio to Sa (it sits below Sa)
+export const TANPURA_FIRST_STRINGS = {
+  P: { label: 'Pa', ratio: 3 / 4, description: 'Most ragas' },
+  m: { label: 'Ma', ratio: 2 / 3, description: 'Ragas without Pa, e.g. Malkauns' },
+  N: { label: 'Ni', ratio: 15 / 16, description: 'Ragas without Pa or shuddha Ma, e.g. Marwa' }
+};
+
+export const TANPURA_DEFAULTS = {
+  f0: 165,
+  firstString: 'P',
+  cycleSeconds: 4.8, // one round of four plucks and the rest
+  jawari: 0.6,       // 0 = plain plucked string, 1 = full buzz
+  detune: 2,         // cents between the two Sa strings (each ± half)
+  volume: 0.5
+};
+
+// A cycle is five equal slots: four plucks and a rest
+const CYCLE_SLOTS = 5;
+
+// Strings in pluck order. ratio null = the first string.
+const STRINGS = [
+  { ratio: null, detune: 0.25, pan: -0.3, level: 0.9 },
+  { ratio: 1, detune: 0.5, pan: -0.1, level: 0.75 },
+  { ratio: 1, detune: -0.5, pan: 0.1, level: 0.75 },
+  { ratio: 0.5, detune: 0, pan: 0.3, level: 1 }
+];
+
+// Harmonic ranges of the jawari bands, when each peaks after the pluck
+// (s), its weight, and its decay as a fraction of the string's ring time
+const JAWARI_BANDS = [
+  { from: 14, to: 30, peak: 0.08, weight: 0.45, decay: 0.08 },
+  { from: 8, to: 16, peak: 0.3, weight: 0.65, decay: 0.15 },
+  { from: 4, to: 9, peak: 0.8, weight: 0.8, decay: 0.25 }
+];
+
+// Harmonics of the plain string body
+const BODY_HARMONICS = 12;
+
+// PeriodicWaves per context (they can't be shared across contexts)
+const waveCache = new WeakMap();
+
+function getWaves(ctx) {
+  if (waveCache.has(ctx)) return waveCache.get(ctx);
+
+  const body = (() => {
+    const real = new Float32Array(BODY_HARMONICS + 1);
+    const imag = new Float32Array(BODY_HARMONICS + 1);
+    for (let n = 1; n <= BODY_HARMONICS; n++) imag[n] = 1 / Math.pow(n, 1.2);
+    return ctx.createPeriodicWave(real, imag);
+  })();
+
+  const bands = JAWARI_BANDS.map(({ from, to }) => {
+    const real = new Float32Array(to + 1);
+    const imag = new Float32Array(to + 1);
+    // Smooth bump over the band, tilted towards its lower partials
+    for (let n = from; n <= to; n++) {
+      imag[n] = Math.sin((Math.PI * (n - from + 1)) / (to - from + 2)) / Math.sqrt(n);
+    }
+    return ctx.createPeriodicWave(real, imag);
+  });
+
+  const waves = { body, bands };
+  waveCache.set(ctx, waves);
+  return waves;
+}
+
+/**
+ * Frequency of string `index` (0–3) for the given settings
+ */
+export function tanpuraStringHz(index, { f0, firstString, detune }) {
+  const string = STRINGS[index];
+  const ratio = string.ratio ?? (TANPURA_FIRST_STRINGS[firstString] || TANPURA_FIRST_STRINGS.P).ratio;
+  return f0 * ratio * Math.pow(2, (string.detune * detune) / 1200);
+}
+
+/**
+ * Pluck one string on a bus
+ * @param {object} bus - Engine bus (see createAudioEngine)
+ * @param {number} hz
+ * @param {number} when - Audio time of the pluck
+ * @param {object} options - { jawari, ring (seconds), level, pan }
+ * @returns {Array} The voices started
+ */
+export function pluckTanpuraString(bus, hz, when, { jawari = TANPURA_DEFAULTS.jawari, ring = 6, level = 0.5, pan = 0 } = {}) {
+  const waves = getWaves(bus.engine.ctx);
+  const attack = 0.008;
+
+  const voices = [bus.createVoice({
+    frequency: hz,
+    periodicWave: waves.body,
+    pan,
+    when,
+    envelope: (g, t) => {
+      g.setValueAtTime(0, t);
+      g.linearRampToValueAtTime(level * 0.6, t + attack);
+      g.setTargetAtTime(0, t + attack, ring / 4);
+    },
+    duration: ring,
+    release: 0.3
+  })];
+
+  if (jawari > 0) {
+    JAWARI_BANDS.forEach((band, i) => {
+      voices.push(bus.createVoice({
+        frequency: hz,
+        periodicWave: waves.bands[i],
+        pan,
+        when,
+        envelope: (g, t) => {
+          g.setValueAtTime(0, t);
+          g.linearRampToValueAtTime(level * jawari * band.weight * 0.4, t + band.peak);
+          g.setTargetAtTime(0, t + band.peak, ring * band.decay);
+        },
+        duration: ring,
+        release: 0.3
+      }));
+    });
+  }
+
+  return voices;
+}
+
+/**
+ * Pluck string `index` of the cycle with the given settings
+ */
+function pluckCycleString(bus, index, when, settings) {
+  const string = STRINGS[index];
+  return pluckTanpuraString(bus, tanpuraStringHz(index, settings), when, {
+    jawari: settings.jawari,
+    // Each string rings on past the next round's pluck of it
+    ring: Math.max(3, settings.cycleSeconds * 1.3),
+    level: settings.volume * string.level,
+    pan: string.pan
+  });
+}
+
+/**
+ * Schedule a fixed stretch of tanpura (for offline rendering)
+ * @param {object} bus
+ * @param {number} duration - Seconds from time 0
+ * @param {object} options - See TANPURA_DEFAULTS
+ */
+export function scheduleTanpura(bus, duration, options = {}) {
+  const settings = { ...TANPURA_DEFAULTS, ...options };
+  const slot = settings.cycleSeconds / CYCLE_SLOTS;
+
+  for (let cycle = 0; cycle * settings.cycleSeconds < duration; cycle++) {
+    STRINGS.forEach((_, index) => {
+      const when = cycle * settings.cycleSeconds + index * slot;
+      if (when < duration) pluckCycleString(bus, index, when, settings);
+    });
+  }
+}
+
+/**
+ * A running tanpura on a bus
+ * @param {object} bus - Engine bus
+ * @param {object} options - See TANPURA_DEFAULTS
+ * @returns {object} { start(when), stop({ release }), set(options), isRunning, settings }
+ */
+export function createTanpura(bus, options = {}) {
+  const settings = { ...TANPURA_DEFAULTS, ...options };
+  let voices = [];
+
+  const scheduler = createBeatScheduler(bus.engine.ctx, {
+    getTempo: () => (60 * CYCLE_SLOTS) / settings.cycleSeconds,
+    getBeatsPerBar: () => CYCLE_SLOTS,
+    onBeat: (beat, time) => {
+      if (beat >= STRINGS.length) return;
+      voices = voices.filter(v => bus.voices.has(v));
+      voices.push(...pluckCycleString(bus, beat, time, settings));
+    }
+  });
+
+  return {
+    get isRunning() {
+      return scheduler.isRunning;
+    },
+
+    get settings() {
+      return { ...settings };
+    },
+
+    start(when) {
+      return scheduler.start(when);
+    },
+
+    /**
+     * Stop plucking and let the strings die away
+     */
+    stop({ release = 1.5 } = {}) {
+      scheduler.stop();
+      voices.forEach(v => v.stop({ release }));
+      voices = [];
+    },
+
+    /**
+     * Change settings; they apply from the next pluck
+     */
+    set(next) {
+      Object.assign(settings, next);
+    }
+  };
+}
+
+export default createTanpura;